@@ -0,0 +1,354 @@
+import { debugLog } from './debugLog.js'
+import { BUILTIN_TEMPLATES, countTemplateShapes } from '../../src/utils/builtinTemplates.js'
+
+// Action validation
+//
+// Everything the model produces passes through here before it reaches the
+// browser. Each action is checked against the schema of its type: missing or
+// malformed required fields reject the action, optional ones fall back to a
+// default, numbers are clamped (positions and sizes to the canvas) and colors
+// must be hex. One command can only create so many shapes, and deletes are
+// held back until the whole answer is in: a few are sent as usual, more than
+// ACTION_LIMITS.MAX_DELETES come back as a single confirm_delete action that
+// the user has to approve before anything is removed.
+// Problems are collected as issues ({ code, message }) so the browser can say
+// what was skipped or changed.
+
+export const ACTION_LIMITS = {
+  MAX_CREATES: 100, // shapes one command may create (templates and copies count every shape they add)
+  MAX_DELETES: 10, // shapes one command may delete without confirmation
+  MAX_BULK_DELETE: 500, // shapes one confirmation may cover
+  MIN_SIZE: 5,
+  MAX_TEXT_LENGTH: 2000,
+  MIN_FONT_SIZE: 8,
+  MAX_FONT_SIZE: 200,
+  MAX_OFFSET: 1000,
+  MAX_SPACING: 1000,
+  MAX_IDS: 500, // targets per action
+  MAX_TEMPLATE_PARAMS: 4000, // characters of JSON
+  MAX_ISSUES: 10
+}
+
+// Named colors the prompt offers, and a few the model likes to use anyway
+const NAMED_COLORS = {
+  red: '#ff0000',
+  blue: '#0000ff',
+  green: '#00ff00',
+  yellow: '#ffff00',
+  purple: '#800080',
+  black: '#000000',
+  white: '#ffffff',
+  gray: '#808080',
+  grey: '#808080',
+  orange: '#ffa500',
+  pink: '#ffc0cb'
+}
+
+const HEX_COLOR_PATTERN = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i
+
+const CREATE_TYPES = ['create_shape', 'create_text', 'create_sticky', 'create_frame']
+
+const valid = (value, warning = null) => ({ value, warning })
+const invalid = (error) => ({ error })
+
+// Field checkers: (value, field) => { value, warning } | { error }
+// A missing value is an error unless the field has a fallback or is optional
+// (optional fields are left out of the action).
+const missing = (field, { fallback, optional }) => {
+  if (optional) return valid(undefined)
+  if (fallback !== undefined) return valid(fallback)
+  return invalid(`${field} is required`)
+}
+
+const number = ({ min = -Infinity, max = Infinity, fallback, optional = false } = {}) => (value, field) => {
+  if (value == null || value === '') return missing(field, { fallback, optional })
+  const parsed = Number(value)
+  if (!Number.isFinite(parsed)) {
+    return fallback !== undefined ? valid(fallback, `${field} was not a number`) : invalid(`${field} must be a number`)
+  }
+  const clamped = Math.min(max, Math.max(min, parsed))
+  return valid(clamped, clamped !== parsed ? `${field} ${parsed} was changed to ${clamped}` : null)
+}
+
+const text = ({ maxLength = ACTION_LIMITS.MAX_TEXT_LENGTH, fallback, optional = false, allowEmpty = false } = {}) => (value, field) => {
+  if (value == null || (!allowEmpty && value === '')) return missing(field, { fallback, optional })
+  if (typeof value !== 'string' && typeof value !== 'number') return invalid(`${field} must be text`)
+  const content = String(value)
+  if (content.length > maxLength) {
+    return valid(content.slice(0, maxLength), `${field} was cut to ${maxLength} characters`)
+  }
+  return valid(content)
+}
+
+const color = ({ optional = false } = {}) => (value, field) => {
+  if (value == null || value === '') return missing(field, { optional })
+  const named = NAMED_COLORS[String(value).trim().toLowerCase()]
+  if (named) return valid(named)
+  const match = HEX_COLOR_PATTERN.exec(String(value).trim())
+  if (match) return valid(`#${match[1].toLowerCase()}`)
+  return optional
+    ? valid(undefined, `${field} "${value}" is not a hex color, the default is used`)
+    : invalid(`${field} "${value}" is not a hex color`)
+}
+
+const oneOf = (values, { fallback, optional = false } = {}) => (value, field) => {
+  if (value == null || value === '') return missing(field, { fallback, optional })
+  if (values.includes(value)) return valid(value)
+  return fallback !== undefined
+    ? valid(fallback, `${field} "${value}" is not one of ${values.join(', ')}`)
+    : invalid(`${field} must be one of ${values.join(', ')}`)
+}
+
+const boolean = ({ fallback = false } = {}) => (value) => valid(typeof value === 'boolean' ? value : fallback)
+
+const id = () => (value, field) => (
+  typeof value === 'string' && value ? valid(value) : invalid(`${field} must be a shape ID`)
+)
+
+const idList = () => (value, field) => {
+  const ids = Array.isArray(value) ? value.filter(entry => typeof entry === 'string' && entry) : []
+  if (ids.length === 0) return invalid(`${field} must list at least one shape`)
+  if (ids.length > ACTION_LIMITS.MAX_IDS) {
+    return valid(ids.slice(0, ACTION_LIMITS.MAX_IDS), `${field} was cut to ${ACTION_LIMITS.MAX_IDS} shapes`)
+  }
+  return valid(ids)
+}
+
+const textList = ({ maxItems, maxLength }) => (value) => {
+  const items = Array.isArray(value) ? value.filter(entry => typeof entry === 'string' && entry.trim()) : []
+  return valid(items.slice(0, maxItems).map(item => item.slice(0, maxLength)))
+}
+
+const plainObject = ({ maxLength }) => (value, field) => {
+  if (value == null) return valid({})
+  if (typeof value !== 'object' || Array.isArray(value)) return valid({}, `${field} must be an object, defaults are used`)
+  if (JSON.stringify(value).length > maxLength) return valid({}, `${field} was too long, defaults are used`)
+  return valid(value)
+}
+
+// Schemas by action type: field -> checker
+const createSchemas = ({ canvasWidth, canvasHeight }) => {
+  const x = (options) => number({ min: 0, max: canvasWidth, ...options })
+  const y = (options) => number({ min: 0, max: canvasHeight, ...options })
+  const width = (fallback) => number({ min: ACTION_LIMITS.MIN_SIZE, max: canvasWidth, fallback })
+  const height = (fallback) => number({ min: ACTION_LIMITS.MIN_SIZE, max: canvasHeight, fallback })
+  const fontSize = (options) => number({ min: ACTION_LIMITS.MIN_FONT_SIZE, max: ACTION_LIMITS.MAX_FONT_SIZE, ...options })
+  const ref = () => text({ maxLength: 60, optional: true })
+
+  return {
+    create_shape: {
+      shape: oneOf(['rectangle', 'circle'], { fallback: 'rectangle' }),
+      color: color({ optional: true }),
+      x: x({ fallback: 0 }),
+      y: y({ fallback: 0 }),
+      width: width(100),
+      height: height(100),
+      ref: ref()
+    },
+    create_text: {
+      content: text(),
+      x: x({ fallback: 0 }),
+      y: y({ fallback: 0 }),
+      width: width(200),
+      height: height(50),
+      font_size: fontSize({ fallback: 16 }),
+      ref: ref()
+    },
+    create_sticky: {
+      content: text({ allowEmpty: true, fallback: '' }),
+      color: color({ optional: true }),
+      x: x({ fallback: 0 }),
+      y: y({ fallback: 0 }),
+      width: width(200),
+      height: height(200),
+      ref: ref()
+    },
+    create_frame: {
+      name: text({ maxLength: 100, fallback: 'Frame' }),
+      x: x({ fallback: 0 }),
+      y: y({ fallback: 0 }),
+      width: width(480),
+      height: height(360),
+      ref: ref()
+    },
+    group_shapes: { shapeIds: idList(), ref: ref() },
+    move_shape: { shapeId: id(), x: x(), y: y() },
+    resize_shape: { shapeId: id(), width: width(), height: height() },
+    arrange_shapes: {
+      shapeIds: idList(),
+      pattern: oneOf(['horizontal_row', 'vertical_column', 'grid'], { fallback: 'horizontal_row' }),
+      spacing: number({ min: 0, max: ACTION_LIMITS.MAX_SPACING, fallback: 50 })
+    },
+    delete_shape: { shapeId: id() },
+    change_color: { shapeIds: idList(), color: color() },
+    rotate_shapes: {
+      shapeIds: idList(),
+      rotation: number({ min: -3600, max: 3600 }),
+      relative: boolean()
+    },
+    edit_text: {
+      shapeIds: idList(),
+      content: text({ allowEmpty: true, optional: true }),
+      font_size: fontSize({ optional: true })
+    },
+    align_shapes: { shapeIds: idList(), alignment: oneOf(['left', 'center', 'right', 'top', 'middle', 'bottom']) },
+    distribute_shapes: { shapeIds: idList(), direction: oneOf(['horizontal', 'vertical']) },
+    tidy_shapes: { shapeIds: idList(), spacing: number({ min: 0, max: ACTION_LIMITS.MAX_SPACING, optional: true }) },
+    reorder_shapes: { shapeIds: idList(), position: oneOf(['front', 'back']) },
+    duplicate_shapes: {
+      shapeIds: idList(),
+      offset: number({ min: -ACTION_LIMITS.MAX_OFFSET, max: ACTION_LIMITS.MAX_OFFSET, fallback: 20 }),
+      ref: ref()
+    },
+    instantiate_template: {
+      name: text({ maxLength: 60 }),
+      params: plainObject({ maxLength: ACTION_LIMITS.MAX_TEMPLATE_PARAMS }),
+      x: x({ fallback: 0 }),
+      y: y({ fallback: 0 }),
+      ref: ref()
+    },
+    ask_question: {
+      question: text({ maxLength: 500 }),
+      options: textList({ maxItems: 4, maxLength: 100 })
+    }
+  }
+}
+
+// Count the shapes an action adds to the board. A template counts every shape
+// it places: built-in ones are built with the given parameters, saved ones
+// bring their count along in the catalog. A copy of a group or frame counts
+// its contents too (as far as the context lists them).
+const createCreationCounter = (context) => {
+  const childIds = new Map() // parent ID -> child IDs
+  for (const shape of context.shapes || []) {
+    if (!shape.parent) continue
+    if (!childIds.has(shape.parent)) childIds.set(shape.parent, [])
+    childIds.get(shape.parent).push(shape.id)
+  }
+
+  const countWithContents = (ids) => {
+    const counted = new Set()
+    const visit = (id) => {
+      if (counted.has(id)) return
+      counted.add(id)
+      for (const childId of childIds.get(id) || []) visit(childId)
+    }
+    ids.forEach(visit)
+    return counted.size
+  }
+
+  const countTemplate = ({ name, params }) => {
+    const wanted = name.trim().toLowerCase()
+    const builtin = BUILTIN_TEMPLATES.find(template => template.name.toLowerCase() === wanted)
+    if (builtin) return countTemplateShapes(builtin, params)
+    const saved = (context.templates || []).find(template => template.name.toLowerCase() === wanted)
+    return saved?.shapeCount || 1
+  }
+
+  return (action) => {
+    if (CREATE_TYPES.includes(action.type)) return 1
+    if (action.type === 'instantiate_template') return countTemplate(action)
+    if (action.type === 'duplicate_shapes') return countWithContents(action.shapeIds)
+    return 0
+  }
+}
+
+/**
+ * Create the validator for one command's actions
+ * Feed it every resolved action with add(), then call finish() once the
+ * model is done; both return the actions to send on, in order.
+ * @param {Object} context - From normalizeContext (canvasWidth, canvasHeight, shapes, templates)
+ * @returns {Object} { add(action), finish(), report(code, message), issues }
+ */
+export const createActionValidator = (context) => {
+  const canvasWidth = context.canvasWidth || 5000
+  const canvasHeight = context.canvasHeight || 5000
+  const schemas = createSchemas({ canvasWidth, canvasHeight })
+  const issues = []
+  const heldDeletes = []
+  const countCreated = createCreationCounter(context)
+  let createdCount = 0
+
+  const report = (code, message) => {
+    debugLog(`⚠️ ACTION ISSUE (${code})`)
+    if (issues.length >= ACTION_LIMITS.MAX_ISSUES) return
+    if (issues.some(issue => issue.code === code && issue.message === message)) return
+    issues.push({ code, message })
+  }
+
+  const check = (action) => {
+    const schema = schemas[action?.type]
+    if (!schema) {
+      report('invalid_action', `Unknown action "${action?.type}" was skipped`)
+      return null
+    }
+
+    const checked = { type: action.type }
+    for (const [field, checkField] of Object.entries(schema)) {
+      const result = checkField(action[field], field)
+      if (result.error) {
+        report('invalid_action', `${action.type} was skipped: ${result.error}`)
+        return null
+      }
+      if (result.warning) report('adjusted', `${action.type}: ${result.warning}`)
+      if (result.value !== undefined) checked[field] = result.value
+    }
+
+    if (checked.type === 'edit_text' && checked.content === undefined && checked.font_size === undefined) {
+      report('invalid_action', 'edit_text was skipped: nothing to change')
+      return null
+    }
+
+    // New shapes stay on the canvas as a whole, not just their corner
+    if (CREATE_TYPES.includes(checked.type)) {
+      checked.x = Math.min(checked.x, canvasWidth - checked.width)
+      checked.y = Math.min(checked.y, canvasHeight - checked.height)
+    }
+    return checked
+  }
+
+  /**
+   * Check one action
+   * @param {Object} action - Resolved action
+   * @returns {Array<Object>} Actions to send now (deletes are held until finish)
+   */
+  const add = (action) => {
+    const checked = check(action)
+    if (!checked) return []
+
+    if (checked.type === 'delete_shape') {
+      if (!heldDeletes.includes(checked.shapeId)) heldDeletes.push(checked.shapeId)
+      return []
+    }
+
+    const created = countCreated(checked)
+    if (created > 0 && createdCount + created > ACTION_LIMITS.MAX_CREATES) {
+      report('too_many_shapes', `Only ${ACTION_LIMITS.MAX_CREATES} shapes can be created per command; the rest were skipped`)
+      return []
+    }
+    createdCount += created
+    return [checked]
+  }
+
+  /**
+   * Release the held deletes once every action is in
+   * @returns {Array<Object>} The deletes, or one confirm_delete action when there are too many
+   */
+  const finish = () => {
+    if (heldDeletes.length <= ACTION_LIMITS.MAX_DELETES) {
+      return heldDeletes.map(shapeId => ({ type: 'delete_shape', shapeId }))
+    }
+
+    const shapeIds = heldDeletes.slice(0, ACTION_LIMITS.MAX_BULK_DELETE)
+    if (heldDeletes.length > shapeIds.length) {
+      report('too_many_deletes', `Only ${ACTION_LIMITS.MAX_BULK_DELETE} shapes can be deleted per command`)
+    }
+    return [{
+      type: 'confirm_delete',
+      shapeIds,
+      question: `This would delete ${shapeIds.length} shapes. Delete them?`
+    }]
+  }
+
+  return { add, finish, report, issues }
+}
@@ -0,0 +1,128 @@
+import { createClient } from '@supabase/supabase-js'
+import { AIRequestError } from './requestLimits.js'
+
+// Who is calling the AI endpoints
+//
+// The browser sends the user's Supabase access token (Authorization: Bearer).
+// The endpoints check it with Supabase and look up the user's role on the
+// board before any model call or write happens: only owners and editors can
+// run AI commands. Accepted changes are written with a client that carries the
+// user's own token (getUserClient), so row level security applies to them
+// exactly as to edits made in the browser.
+//   SUPABASE_URL (or VITE_SUPABASE_URL), SUPABASE_SERVICE_ROLE_KEY,
+//   SUPABASE_ANON_KEY (or VITE_SUPABASE_ANON_KEY)
+// The service role key bypasses row level security: it stays on the server and
+// is only used to check tokens and board roles, never to write shapes.
+
+const EDITOR_ROLES = ['owner', 'editor']
+
+let serviceClient = null
+
+/**
+ * Supabase client with the service role, created on first use
+ * @param {Object} env - Environment variables (default process.env)
+ * @returns {Object} Supabase client
+ * @throws {AIRequestError} not_configured when the settings are missing
+ */
+export const getServiceClient = (env = process.env) => {
+  if (serviceClient) return serviceClient
+
+  const url = env.SUPABASE_URL || env.VITE_SUPABASE_URL
+  const key = env.SUPABASE_SERVICE_ROLE_KEY
+  if (!url || !key) {
+    throw new AIRequestError('not_configured', 'The AI assistant is not set up on this server', {
+      status: 500,
+      details: 'SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY must be set for the AI endpoint.'
+    })
+  }
+
+  serviceClient = createClient(url, key, {
+    auth: { persistSession: false, autoRefreshToken: false }
+  })
+  return serviceClient
+}
+
+// Access token from "Authorization: Bearer <token>"
+const getBearerToken = (req) => {
+  const header = req.headers?.authorization
+  if (typeof header !== 'string') return null
+  const [scheme, token] = header.split(' ')
+  return scheme?.toLowerCase() === 'bearer' && token ? token : null
+}
+
+/**
+ * Supabase client that acts as the caller: the anon key plus their access
+ * token, so row level security and the shape lock rules apply to its writes
+ * @param {Object} req - Incoming request (already authenticated)
+ * @param {Object} env - Environment variables (default process.env)
+ * @returns {Object} Supabase client
+ * @throws {AIRequestError} unauthorized without a token, not_configured when the settings are missing
+ */
+export const getUserClient = (req, env = process.env) => {
+  const token = getBearerToken(req)
+  if (!token) {
+    throw new AIRequestError('unauthorized', 'Sign in to use the AI assistant', { status: 401 })
+  }
+
+  const url = env.SUPABASE_URL || env.VITE_SUPABASE_URL
+  const key = env.SUPABASE_ANON_KEY || env.VITE_SUPABASE_ANON_KEY
+  if (!url || !key) {
+    throw new AIRequestError('not_configured', 'The AI assistant is not set up on this server', {
+      status: 500,
+      details: 'SUPABASE_URL and SUPABASE_ANON_KEY must be set to save AI changes.'
+    })
+  }
+
+  return createClient(url, key, {
+    auth: { persistSession: false, autoRefreshToken: false },
+    global: { headers: { Authorization: `Bearer ${token}` } }
+  })
+}
+
+/**
+ * Verify the caller's access token and that they can edit the board
+ * @param {Object} req - Incoming request
+ * @param {string} boardId - Board the request is for
+ * @param {Object} client - Service-role Supabase client (default getServiceClient())
+ * @returns {Promise<Object>} { user, role }
+ * @throws {AIRequestError} unauthorized (401), invalid_board (400) or forbidden (403)
+ */
+export const authenticateRequest = async (req, boardId, client = getServiceClient()) => {
+  const token = getBearerToken(req)
+  if (!token) {
+    throw new AIRequestError('unauthorized', 'Sign in to use the AI assistant', { status: 401 })
+  }
+
+  const { data, error } = await client.auth.getUser(token)
+  if (error || !data?.user) {
+    throw new AIRequestError('unauthorized', 'Your session has expired', {
+      status: 401,
+      details: 'Sign in again, then retry.'
+    })
+  }
+  const user = data.user
+
+  if (typeof boardId !== 'string' || !boardId) {
+    throw new AIRequestError('invalid_board', 'Board is required')
+  }
+
+  const { data: member, error: memberError } = await client
+    .from('board_members')
+    .select('role')
+    .eq('board_id', boardId)
+    .eq('user_id', user.id)
+    .maybeSingle()
+
+  if (memberError) {
+    console.error('❌ Error checking board membership:', memberError)
+    throw new Error(`Could not check board membership: ${memberError.message}`)
+  }
+  if (!member || !EDITOR_ROLES.includes(member.role)) {
+    throw new AIRequestError('forbidden', "You can't edit this board", {
+      status: 403,
+      details: member ? 'Viewers cannot run AI commands.' : 'Ask the owner to share it with you.'
+    })
+  }
+
+  return { user, role: member.role }
+}
@@ -0,0 +1,410 @@
+import { debugLog } from './debugLog.js'
+
+// Canvas context and shape references
+//
+// The browser sends a compact list of the shapes a command is most likely
+// about (selection, recent creations, what is in view), see
+// src/utils/aiContext.js. The model sees that list with real IDs; where it
+// can't name an ID it passes a description instead ("the three blue circles
+// on the left", "selection", "it"). Every action target is resolved here to
+// concrete IDs before the action reaches the browser, so the client only
+// ever executes actions on real shapes. In a conversation, "them" and "it"
+// also point at the shapes of the previous answer (previous). The templates
+// the model can place with instantiateTemplate are listed along with the shapes.
+
+const MAX_SHAPES = 500
+const MAX_TEMPLATES = 50
+const PARAM_TYPES = ['string', 'number', 'list']
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, both: 2, pair: 2, three: 3, four: 4, five: 5,
+  six: 6, seven: 7, eight: 8, nine: 9, ten: 10
+}
+
+// word -> [shape type(s), plural]
+const TYPE_WORDS = {
+  rectangle: [['rectangle'], false], rectangles: [['rectangle'], true],
+  rect: [['rectangle'], false], rects: [['rectangle'], true],
+  square: [['rectangle'], false], squares: [['rectangle'], true],
+  box: [['rectangle'], false], boxes: [['rectangle'], true],
+  button: [['rectangle'], false], buttons: [['rectangle'], true],
+  circle: [['circle'], false], circles: [['circle'], true],
+  ellipse: [['circle'], false], ellipses: [['circle'], true],
+  dot: [['circle'], false], dots: [['circle'], true],
+  text: [['text'], false], texts: [['text'], true],
+  label: [['text'], false], labels: [['text'], true],
+  heading: [['text'], false], headings: [['text'], true],
+  sticky: [['sticky'], false], stickies: [['sticky'], true],
+  note: [['sticky'], false], notes: [['sticky'], true],
+  frame: [['frame'], false], frames: [['frame'], true],
+  line: [['line', 'arrow'], false], lines: [['line', 'arrow'], true],
+  arrow: [['arrow'], false], arrows: [['arrow'], true],
+  connector: [['line', 'arrow'], false], connectors: [['line', 'arrow'], true],
+  drawing: [['path'], false], drawings: [['path'], true],
+  stroke: [['path'], false], strokes: [['path'], true],
+  group: [['group'], false], groups: [['group'], true],
+  shape: [null, false], shapes: [null, true],
+  one: [null, false], ones: [null, true]
+}
+
+const COLOR_WORDS = {
+  red: 'red', orange: 'orange', yellow: 'yellow', gold: 'yellow', green: 'green',
+  lime: 'green', teal: 'cyan', cyan: 'cyan', blue: 'blue', navy: 'blue',
+  purple: 'purple', violet: 'purple', pink: 'pink', magenta: 'pink',
+  gray: 'gray', grey: 'gray', silver: 'gray', black: 'black', white: 'white', brown: 'brown'
+}
+
+const POSITION_WORDS = {
+  left: 'left', leftmost: 'left', right: 'right', rightmost: 'right',
+  top: 'top', upper: 'top', topmost: 'top', bottom: 'bottom', lower: 'bottom', bottommost: 'bottom',
+  center: 'center', centre: 'center', middle: 'center'
+}
+
+const SIZE_WORDS = {
+  largest: 'largest', biggest: 'largest', big: 'largest', large: 'largest',
+  smallest: 'smallest', tiny: 'smallest', small: 'smallest'
+}
+
+const toNumber = (value) => (Number.isFinite(Number(value)) ? Math.round(Number(value)) : 0)
+
+const toText = (value, maxLength) => (typeof value === 'string' ? value.slice(0, maxLength) : '')
+
+// Template catalog entry: { name, description, params: { key: { type, default, description } }, width, height, shapeCount }
+const normalizeTemplate = (template) => ({
+  name: toText(template.name, 60),
+  description: toText(template.description, 200),
+  params: Object.fromEntries(Object.entries(template.params && typeof template.params === 'object' ? template.params : {})
+    .slice(0, 10)
+    .map(([key, spec]) => [key.slice(0, 40), {
+      type: PARAM_TYPES.includes(spec?.type) ? spec.type : 'string',
+      default: spec?.default ?? null,
+      description: toText(spec?.description, 200)
+    }])),
+  width: toNumber(template.width),
+  height: toNumber(template.height),
+  shapeCount: Math.max(1, toNumber(template.shapeCount))
+})
+
+/**
+ * Check the context sent by the browser and bring it into one shape
+ * @param {Object|null} raw - canvasContext from the request body
+ * @returns {Object} { shapes, selection, recent, previous, viewport, totalShapes, canvasWidth, canvasHeight, commandHistory, templates }
+ */
+export const normalizeContext = (raw) => {
+  const context = raw && typeof raw === 'object' ? raw : {}
+  const shapes = (Array.isArray(context.shapes) ? context.shapes : [])
+    .filter(shape => shape && typeof shape.id === 'string')
+    .slice(0, MAX_SHAPES)
+    .map(shape => ({
+      id: shape.id,
+      type: String(shape.type || 'rectangle'),
+      x: toNumber(shape.x),
+      y: toNumber(shape.y),
+      width: toNumber(shape.w ?? shape.width),
+      height: toNumber(shape.h ?? shape.height),
+      color: typeof shape.color === 'string' ? shape.color : null,
+      text: typeof shape.text === 'string' ? shape.text : (shape.text_content || null),
+      parent: shape.parent ?? shape.parent_id ?? null
+    }))
+  const ids = (list) => (Array.isArray(list) ? list.filter(id => typeof id === 'string') : [])
+  const viewport = context.viewport && typeof context.viewport === 'object'
+    ? {
+        x: toNumber(context.viewport.x),
+        y: toNumber(context.viewport.y),
+        width: toNumber(context.viewport.width),
+        height: toNumber(context.viewport.height)
+      }
+    : null
+
+  return {
+    shapes,
+    selection: ids(context.selection),
+    recent: ids(context.recent),
+    previous: ids(context.previous),
+    viewport,
+    totalShapes: toNumber(context.totalShapes) || shapes.length,
+    canvasWidth: toNumber(context.canvasWidth) || 5000,
+    canvasHeight: toNumber(context.canvasHeight) || 5000,
+    commandHistory: ids(context.commandHistory).slice(-3),
+    templates: (Array.isArray(context.templates) ? context.templates : [])
+      .filter(template => template && typeof template.name === 'string' && template.name)
+      .slice(0, MAX_TEMPLATES)
+      .map(normalizeTemplate)
+  }
+}
+
+/**
+ * Describe the context for the system prompt (one line per shape)
+ * @param {Object} context - From normalizeContext
+ * @returns {string}
+ */
+export const describeContext = (context) => {
+  const lines = [
+    `Canvas: ${context.canvasWidth}x${context.canvasHeight}. ${context.totalShapes} shapes on the board, ${context.shapes.length} listed below.`
+  ]
+  if (context.viewport) {
+    const { x, y, width, height } = context.viewport
+    lines.push(`Visible area: x ${x} to ${x + width}, y ${y} to ${y + height}.`)
+  }
+  lines.push(`Selected: ${context.selection.length > 0 ? context.selection.join(', ') : 'nothing'}`)
+  lines.push(`Recently created (newest first): ${context.recent.length > 0 ? context.recent.join(', ') : 'nothing'}`)
+  if (context.previous.length > 0) {
+    lines.push(`Shapes from the previous answer: ${context.previous.join(', ')}`)
+  }
+  if (context.commandHistory.length > 0) {
+    lines.push(`Previous commands: ${context.commandHistory.map(command => JSON.stringify(command)).join(', ')}`)
+  }
+  if (context.templates.length > 0) {
+    lines.push('Templates (name widthxheight: description; params):')
+    for (const template of context.templates) {
+      const params = Object.entries(template.params)
+        .map(([key, spec]) => `${key} (${spec.type}, default ${JSON.stringify(spec.default)})${spec.description ? ` ${spec.description}` : ''}`)
+        .join('; ')
+      lines.push(`${JSON.stringify(template.name)} ${template.width}x${template.height}: ${template.description || '-'}; ${params || 'no params'}`)
+    }
+  }
+  lines.push('Shapes (id type x y width height color "text" in:parent):')
+  for (const shape of context.shapes) {
+    const text = shape.text ? ` ${JSON.stringify(shape.text.slice(0, 60))}` : ''
+    const parent = shape.parent ? ` in:${shape.parent}` : ''
+    lines.push(`${shape.id} ${shape.type} ${shape.x} ${shape.y} ${shape.width} ${shape.height} ${shape.color || '-'}${text}${parent}`)
+  }
+  return lines.join('\n')
+}
+
+// Name the color family of a hex color (null for anything unreadable)
+export const getColorFamily = (hex) => {
+  const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(hex || '')
+  if (!match) return null
+  const digits = match[1].length === 3 ? match[1].split('').map(digit => digit + digit).join('') : match[1]
+  const [r, g, b] = [0, 2, 4].map(index => parseInt(digits.slice(index, index + 2), 16) / 255)
+
+  const max = Math.max(r, g, b)
+  const min = Math.min(r, g, b)
+  const lightness = (max + min) / 2
+  const chroma = max - min
+  if (chroma < 0.12) {
+    if (lightness > 0.85) return 'white'
+    if (lightness < 0.15) return 'black'
+    return 'gray'
+  }
+
+  let hue
+  if (max === r) hue = ((g - b) / chroma + 6) % 6
+  else if (max === g) hue = (b - r) / chroma + 2
+  else hue = (r - g) / chroma + 4
+  hue *= 60
+
+  if (hue < 15 || hue >= 330) return lightness > 0.75 ? 'pink' : 'red'
+  if (hue < 45) return lightness < 0.35 ? 'brown' : 'orange'
+  if (hue < 70) return 'yellow'
+  if (hue < 165) return 'green'
+  if (hue < 195) return 'cyan'
+  if (hue < 255) return 'blue'
+  if (hue < 290) return 'purple'
+  return 'pink'
+}
+
+const centerOf = (shape) => ({ x: shape.x + shape.width / 2, y: shape.y + shape.height / 2 })
+
+// Order candidates by a position or size word (closest match first)
+const sortBy = (shapes, order, context) => {
+  const sorted = [...shapes]
+  const viewCenter = context.viewport
+    ? { x: context.viewport.x + context.viewport.width / 2, y: context.viewport.y + context.viewport.height / 2 }
+    : { x: context.canvasWidth / 2, y: context.canvasHeight / 2 }
+  const comparators = {
+    left: (a, b) => centerOf(a).x - centerOf(b).x,
+    right: (a, b) => centerOf(b).x - centerOf(a).x,
+    top: (a, b) => centerOf(a).y - centerOf(b).y,
+    bottom: (a, b) => centerOf(b).y - centerOf(a).y,
+    center: (a, b) => (
+      Math.hypot(centerOf(a).x - viewCenter.x, centerOf(a).y - viewCenter.y) -
+      Math.hypot(centerOf(b).x - viewCenter.x, centerOf(b).y - viewCenter.y)
+    ),
+    largest: (a, b) => b.width * b.height - a.width * a.height,
+    smallest: (a, b) => a.width * a.height - b.width * b.height
+  }
+  return sorted.sort(comparators[order])
+}
+
+// Keep the half of the candidates on the given side ("the blue circles on the left")
+const keepSide = (shapes, side) => {
+  if (side === 'center' || shapes.length < 2) return shapes
+  const axis = side === 'left' || side === 'right' ? 'x' : 'y'
+  const values = shapes.map(shape => centerOf(shape)[axis])
+  const middle = (Math.min(...values) + Math.max(...values)) / 2
+  const kept = shapes.filter(shape => (
+    side === 'left' || side === 'top' ? centerOf(shape)[axis] < middle : centerOf(shape)[axis] > middle
+  ))
+  return kept.length > 0 ? kept : shapes
+}
+
+/**
+ * Resolve a description of shapes to their IDs
+ * Understands the selection ("everything I selected"), the shapes of the
+ * previous answer ("them", "those"), the last created shape ("it", "that",
+ * "the one I just made"), and combinations of count,
+ * color, type, position, size and quoted text ("the three blue circles on
+ * the left", "the largest sticky note", 'the text "Login"'). Candidates are
+ * the shapes in the context, in the order they were listed.
+ * @param {string} description
+ * @param {Object} context - From normalizeContext
+ * @returns {Array<string>} Shape IDs (empty when nothing matches)
+ */
+export const resolveReference = (description, context) => {
+  const phrase = String(description || '').trim().toLowerCase()
+  if (!phrase) return []
+
+  const byId = new Map(context.shapes.map(shape => [shape.id, shape]))
+
+  if (/^(them|they|those|these|those shapes|these shapes)$/.test(phrase)) {
+    return [...context.previous]
+  }
+  if (/^(it|that|this|that one|this one|the last one)$/.test(phrase) ||
+      /\b(just (made|created|added)|last (one|created|shape|thing))\b/.test(phrase)) {
+    // One shape (or group) from the previous answer, otherwise the newest shape
+    return context.previous.length === 1 ? [...context.previous] : context.recent.slice(0, 1)
+  }
+
+  const quoted = /["“']([^"”']+)["”']/.exec(String(description))
+  const words = phrase.replace(/["“”']([^"“”']+)["“”']/g, ' ').split(/[^a-z0-9]+/).filter(Boolean)
+
+  let candidates = context.shapes
+  let hasFilter = false
+  if (words.some(word => word === 'selected' || word === 'selection')) {
+    candidates = context.selection.map(id => byId.get(id)).filter(Boolean)
+    // Selected shapes outside the listed context are still the selection
+    if (candidates.length === 0) return [...context.selection]
+    hasFilter = true
+  }
+
+  let count = null
+  let plural = words.some(word => (
+    ['all', 'every', 'everything', 'them', 'those', 'these', 'selected', 'selection'].includes(word)
+  ))
+  let types = null
+  let color = null
+  let position = null
+  let size = null
+  for (const word of words) {
+    if (/^\d+$/.test(word)) count = Number(word)
+    else if (NUMBER_WORDS[word] && !TYPE_WORDS[word]) count = NUMBER_WORDS[word]
+    if (TYPE_WORDS[word]) {
+      const [wordTypes, isPlural] = TYPE_WORDS[word]
+      if (wordTypes) types = wordTypes
+      plural = plural || isPlural
+    }
+    if (COLOR_WORDS[word]) color = COLOR_WORDS[word]
+    if (POSITION_WORDS[word]) position = POSITION_WORDS[word]
+    if (SIZE_WORDS[word]) size = SIZE_WORDS[word]
+  }
+
+  if (types) {
+    candidates = candidates.filter(shape => types.includes(shape.type))
+    hasFilter = true
+  }
+  if (color) {
+    candidates = candidates.filter(shape => getColorFamily(shape.color) === color)
+    hasFilter = true
+  }
+  if (quoted) {
+    const text = quoted[1].toLowerCase()
+    candidates = candidates.filter(shape => shape.text?.toLowerCase().includes(text))
+    hasFilter = true
+  }
+  if (!hasFilter && !words.includes('everything') && !words.includes('all')) return []
+
+  if (size) candidates = sortBy(candidates, size, context)
+  if (position) {
+    candidates = sortBy(candidates, position, context)
+    if (plural && count === null) candidates = keepSide(candidates, position)
+  }
+
+  if (count !== null) return candidates.slice(0, count).map(shape => shape.id)
+  if (plural) return candidates.map(shape => shape.id)
+  return candidates.slice(0, 1).map(shape => shape.id)
+}
+
+/**
+ * Create a resolver that turns the targets of each action into concrete IDs
+ * Targets may be shape IDs, refs of shapes created earlier in the same
+ * command, or descriptions. Actions whose targets can't be resolved (or
+ * that name a template the board doesn't have) are dropped; a description of several shapes turns a delete or resize into one
+ * action per shape. Descriptions that match nothing are reported as issues,
+ * so the user learns why nothing happened.
+ * @param {Object} context - From normalizeContext
+ * @param {Function} report - (code, message) => void, the validator's issue list
+ * @returns {Function} (action) => Array<Object> resolved actions
+ */
+export const createTargetResolver = (context, report = () => {}) => {
+  const knownIds = new Set(context.shapes.map(shape => shape.id))
+  const refs = new Set()
+
+  const resolveTarget = (target) => {
+    if (typeof target !== 'string' || !target.trim()) return []
+    if (knownIds.has(target) || refs.has(target) || UUID_PATTERN.test(target)) return [target]
+    const ids = resolveReference(target, context)
+    debugLog(`🔎 RESOLVED REFERENCE TO ${ids.length} SHAPES`)
+    if (ids.length === 0) report('no_match', `No shapes match "${target.trim()}"`)
+    return ids
+  }
+  const resolveTargets = (targets) => [...new Set((Array.isArray(targets) ? targets : [targets]).flatMap(resolveTarget))]
+
+  const resolveAction = (action) => {
+    switch (action.type) {
+      case 'move_shape': {
+        const [shapeId] = resolveTarget(action.shapeId || action.description)
+        return shapeId ? [{ ...action, shapeId }] : []
+      }
+
+      case 'resize_shape':
+        return resolveTarget(action.shapeId || action.description)
+          .map(shapeId => ({ ...action, shapeId }))
+
+      case 'delete_shape':
+        return resolveTarget(action.shapeId || action.description)
+          .map(shapeId => ({ type: 'delete_shape', shapeId }))
+
+      case 'arrange_shapes':
+      case 'group_shapes':
+      case 'change_color':
+      case 'rotate_shapes':
+      case 'edit_text':
+      case 'align_shapes':
+      case 'distribute_shapes':
+      case 'tidy_shapes':
+      case 'reorder_shapes':
+      case 'duplicate_shapes': {
+        const shapeIds = resolveTargets(action.shapeIds)
+        return shapeIds.length > 0 ? [{ ...action, shapeIds }] : []
+      }
+
+      // Template names are matched against the catalog the browser sent
+      case 'instantiate_template': {
+        if (context.templates.length === 0) return [action]
+        const wanted = String(action.name || '').trim().toLowerCase()
+        const template = context.templates.find(entry => entry.name.toLowerCase() === wanted)
+        if (!template) {
+          report('unknown_template', `There is no template called "${action.name}"`)
+          return []
+        }
+        return [{ ...action, name: template.name }]
+      }
+
+      default:
+        return [action]
+    }
+  }
+
+  return (action) => {
+    if (action.ref) refs.add(action.ref)
+    const resolved = resolveAction(action)
+    if (resolved.length === 0) {
+      debugLog('❓ NO SHAPES MATCH, ACTION DROPPED:', action.type)
+    }
+    return resolved
+  }
+}
@@ -0,0 +1,121 @@
+// Conversation history for the AI assistant
+//
+// The chat panel sends the earlier turns of the board's conversation with
+// every message: what the user asked, and for each answer the tools that were
+// called, the shapes they produced and whether the user kept them. They are
+// turned into plain user/assistant messages here, so every provider can take
+// them the same way and follow-ups ("make them bigger", "now put a title
+// above it") have something to refer back to.
+
+// Earlier images aren't sent again; the model only learns there was one
+const IMAGE_NOTE = '[An image was attached to this message.]'
+
+const MAX_TURNS = 20
+const MAX_CONTENT_LENGTH = 1000
+
+// Tool names by action type, so the history reads like the model's own calls
+const TOOL_NAMES = {
+  create_shape: 'createShape',
+  create_text: 'createText',
+  create_sticky: 'createStickyNote',
+  create_frame: 'createFrame',
+  group_shapes: 'groupShapes',
+  move_shape: 'moveShape',
+  resize_shape: 'resizeShape',
+  arrange_shapes: 'arrangeShapes',
+  delete_shape: 'deleteShape',
+  change_color: 'changeColor',
+  rotate_shapes: 'rotateShapes',
+  edit_text: 'editText',
+  align_shapes: 'alignShapes',
+  distribute_shapes: 'distributeShapes',
+  tidy_shapes: 'tidyShapes',
+  reorder_shapes: 'changeLayerOrder',
+  duplicate_shapes: 'duplicateShapes',
+  instantiate_template: 'instantiateTemplate'
+}
+
+const OUTCOMES = {
+  accepted: 'The user accepted these changes.',
+  discarded: 'The user discarded these changes; nothing was saved.',
+  ready: 'The changes were shown as a preview and not accepted yet.',
+  error: 'The command failed.'
+}
+
+const clip = (text) => String(text || '').slice(0, MAX_CONTENT_LENGTH)
+
+// "createShape x3, groupShapes"
+const summarizeActions = (actions) => {
+  const counts = new Map()
+  actions.forEach(type => {
+    const name = TOOL_NAMES[type] || type
+    counts.set(name, (counts.get(name) || 0) + 1)
+  })
+  return Array.from(counts, ([name, count]) => (count > 1 ? `${name} x${count}` : name)).join(', ')
+}
+
+// Describe one assistant turn as the model would have seen it
+const describeAssistantTurn = (turn) => {
+  if (turn.status === 'question' || turn.status === 'confirm') {
+    return clip(turn.content)
+  }
+  if (turn.status === 'declined') {
+    return `${clip(turn.content)} The user chose to keep the shapes; nothing was deleted.`
+  }
+
+  const actions = Array.isArray(turn.actions) ? turn.actions.filter(type => typeof type === 'string') : []
+  if (actions.length === 0) {
+    return turn.status === 'error' ? `${OUTCOMES.error} ${clip(turn.error)}` : 'I did not change anything.'
+  }
+
+  const lines = [`Called ${summarizeActions(actions)}.`]
+  lines.push(OUTCOMES[turn.status] || OUTCOMES.ready)
+  const shapeIds = Array.isArray(turn.shapeIds) ? turn.shapeIds.filter(id => typeof id === 'string') : []
+  if (turn.status === 'accepted' && shapeIds.length > 0) {
+    lines.push(`Shapes created or changed: ${shapeIds.slice(0, 50).join(', ')}`)
+  }
+  if (turn.status === 'error' && turn.error) {
+    lines.push(clip(turn.error))
+  }
+  return lines.join(' ')
+}
+
+// A user message as the model sees it
+const describeUserTurn = (turn) => {
+  const text = clip(turn.content)
+  if (!turn.hasImage) return text
+  return text ? `${text}\n${IMAGE_NOTE}` : IMAGE_NOTE
+}
+
+/**
+ * Turn the conversation sent by the browser into provider messages
+ * The result starts with a user message and alternates roles (what every
+ * provider accepts); turns the browser marks as still running are left out.
+ * @param {Array<Object>|null} rawTurns - [{ role: 'user', content, hasImage } | { role: 'assistant', status, content, actions, shapeIds, error }]
+ * @returns {Array<Object>} [{ role: 'user' | 'assistant', content }]
+ */
+export const toHistoryMessages = (rawTurns) => {
+  const turns = (Array.isArray(rawTurns) ? rawTurns : [])
+    .filter(turn => turn && (turn.role === 'user' || turn.role === 'assistant') && turn.status !== 'streaming')
+    .slice(-MAX_TURNS)
+
+  const messages = []
+  for (const turn of turns) {
+    const content = turn.role === 'user' ? describeUserTurn(turn) : describeAssistantTurn(turn)
+    if (!content) continue
+
+    const last = messages[messages.length - 1]
+    if (!last && turn.role === 'assistant') continue
+    if (last?.role === turn.role) {
+      last.content += `\n${content}`
+    } else {
+      messages.push({ role: turn.role, content })
+    }
+  }
+
+  // The new command follows as a user message
+  if (messages[messages.length - 1]?.role === 'user') {
+    messages.push({ role: 'assistant', content: 'I did not change anything.' })
+  }
+  return messages
+}
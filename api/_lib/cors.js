@@ -0,0 +1,30 @@
+// Cross-origin access to the AI endpoints
+//
+// The app calls the deployed endpoints from other origins too (the Vite dev
+// server, preview deployments), so those origins get CORS headers. Anything
+// else is left without them and the browser blocks it. Requests still need a
+// valid access token (see auth.js); this only keeps other sites from using a
+// signed-in user's browser.
+//   AI_ALLOWED_ORIGINS  comma-separated list (default http://localhost:5173)
+
+const DEFAULT_ORIGINS = ['http://localhost:5173']
+
+const getAllowedOrigins = (env) => (env.AI_ALLOWED_ORIGINS
+  ? env.AI_ALLOWED_ORIGINS.split(',').map(origin => origin.trim()).filter(Boolean)
+  : DEFAULT_ORIGINS)
+
+/**
+ * Set the CORS headers for a request from an allowed origin
+ * @param {Object} req - Incoming request
+ * @param {Object} res - Response
+ * @param {Object} env - Environment variables (default process.env)
+ */
+export const setCorsHeaders = (req, res, env = process.env) => {
+  res.setHeader('Vary', 'Origin')
+  const origin = req.headers?.origin
+  if (!origin || !getAllowedOrigins(env).includes(origin)) return
+
+  res.setHeader('Access-Control-Allow-Origin', origin)
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS')
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization')
+}
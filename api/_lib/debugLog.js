@@ -0,0 +1,14 @@
+// Debug logging for the AI endpoints
+//
+// Off unless AI_DEBUG is 'true'. Callers only pass request metadata (counts,
+// function names, action types): commands, canvas contents and model arguments
+// are user data and stay out of the server logs either way.
+//   AI_DEBUG  'true' to log each request's progress
+
+/**
+ * Log when AI_DEBUG is on
+ * @param {...*} args - console.log arguments
+ */
+export const debugLog = (...args) => {
+  if (process.env.AI_DEBUG === 'true') console.log(...args)
+}
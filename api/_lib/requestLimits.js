@@ -0,0 +1,155 @@
+// Request limits for the AI endpoint
+//
+// Every command costs a model call, so requests are limited before the
+// provider is reached: the command, the canvas context and an attached image
+// have a maximum size, and each user gets a number of commands per minute. Rejections are
+// AIRequestErrors, which the endpoint answers with a structured body:
+//   { error, code, details, retryAfter? }
+// The rate limit is kept in memory, so it holds per server instance; that
+// is enough to stop a runaway client or a stuck retry loop.
+
+export const REQUEST_LIMITS = {
+  MAX_COMMAND_LENGTH: 1000, // characters
+  MAX_CONTEXT_LENGTH: 200000, // characters of canvasContext JSON
+  MAX_HISTORY_LENGTH: 50000, // characters of history JSON
+  RATE_LIMIT: 20, // commands per user per window
+  RATE_WINDOW_MS: 60000,
+  MAX_CHANGES: 2000, // inserts, updates and deletes in one accepted preview
+  MAX_IMAGE_LENGTH: 3000000 // characters of base64 image data (about 2.2 MB)
+}
+
+// Image formats the vision models accept
+export const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif']
+
+/**
+ * A request the endpoint refuses, with what the browser should show
+ */
+export class AIRequestError extends Error {
+  /**
+   * @param {string} code - Machine-readable reason (e.g. 'rate_limited')
+   * @param {string} message - Short message for the user
+   * @param {Object} options
+   * @param {number} options.status - HTTP status
+   * @param {string} options.details - More detail for the user
+   * @param {number} options.retryAfter - Seconds until a retry can succeed
+   */
+  constructor(code, message, { status = 400, details = null, retryAfter = null } = {}) {
+    super(message)
+    this.name = 'AIRequestError'
+    this.code = code
+    this.status = status
+    this.details = details
+    this.retryAfter = retryAfter
+  }
+}
+
+/**
+ * Body of an error answer (JSON response or stream error event)
+ * @param {Error} error - AIRequestError, or any other error (reported as a server error)
+ * @returns {Object} { error, code, details, retryAfter? }
+ */
+export const toErrorBody = (error) => {
+  if (error instanceof AIRequestError) {
+    return {
+      error: error.message,
+      code: error.code,
+      details: error.details || error.message,
+      ...(error.retryAfter ? { retryAfter: error.retryAfter } : {})
+    }
+  }
+  return {
+    error: 'Failed to process AI command',
+    code: 'server_error',
+    details: error.message
+  }
+}
+
+const sizeOf = (value) => (value == null ? 0 : JSON.stringify(value).length)
+
+const checkImage = (image) => {
+  if (image == null) return
+  if (typeof image !== 'object' || !IMAGE_TYPES.includes(image.mediaType) || typeof image.data !== 'string' || !image.data) {
+    throw new AIRequestError('invalid_image', 'The image could not be read', {
+      details: 'Attach a PNG, JPEG, WebP or GIF image.'
+    })
+  }
+  if (image.data.length > REQUEST_LIMITS.MAX_IMAGE_LENGTH) {
+    throw new AIRequestError('image_too_large', 'The image is too large', {
+      status: 413,
+      details: 'Use a smaller image or a cropped screenshot.'
+    })
+  }
+}
+
+/**
+ * Check the size of a command request
+ * @param {Object} body - { command, canvasContext, history, image }
+ * @throws {AIRequestError} invalid_command, prompt_too_long, context_too_large, history_too_large,
+ *   invalid_image or image_too_large
+ */
+export const checkRequestSize = ({ command, canvasContext, history, image }) => {
+  if (typeof command !== 'string' || !command.trim()) {
+    throw new AIRequestError('invalid_command', 'Command is required')
+  }
+  if (command.length > REQUEST_LIMITS.MAX_COMMAND_LENGTH) {
+    throw new AIRequestError('prompt_too_long', 'Command is too long', {
+      status: 413,
+      details: `Commands can be at most ${REQUEST_LIMITS.MAX_COMMAND_LENGTH} characters (this one has ${command.length}).`
+    })
+  }
+  if (sizeOf(canvasContext) > REQUEST_LIMITS.MAX_CONTEXT_LENGTH) {
+    throw new AIRequestError('context_too_large', 'Too much board data was sent with the command', {
+      status: 413,
+      details: 'Select fewer shapes or zoom in, then try again.'
+    })
+  }
+  if (sizeOf(history) > REQUEST_LIMITS.MAX_HISTORY_LENGTH) {
+    throw new AIRequestError('history_too_large', 'The conversation is too long', {
+      status: 413,
+      details: 'Start a new chat and try again.'
+    })
+  }
+  checkImage(image)
+}
+
+/**
+ * Create a sliding-window rate limiter
+ * @param {Object} options
+ * @param {number} options.limit - Requests allowed per window
+ * @param {number} options.windowMs - Window length
+ * @param {Function} options.now - Clock (tests pass a fake one)
+ * @returns {Object} { check(key) } throwing AIRequestError('rate_limited') once a key (user ID) is over the limit
+ */
+export const createRateLimiter = ({
+  limit = REQUEST_LIMITS.RATE_LIMIT,
+  windowMs = REQUEST_LIMITS.RATE_WINDOW_MS,
+  now = Date.now
+} = {}) => {
+  const hits = new Map() // key -> request times, oldest first
+
+  const check = (key) => {
+    const time = now()
+    const since = time - windowMs
+
+    // Forget keys that went quiet, so the map doesn't grow without bound
+    for (const [otherKey, times] of hits) {
+      if (times[times.length - 1] <= since) hits.delete(otherKey)
+    }
+
+    const times = (hits.get(key) || []).filter(hit => hit > since)
+    if (times.length >= limit) {
+      const retryAfter = Math.max(1, Math.ceil((times[0] + windowMs - time) / 1000))
+      hits.set(key, times)
+      throw new AIRequestError('rate_limited', 'Too many AI commands', {
+        status: 429,
+        details: `You can send ${limit} commands every ${Math.round(windowMs / 1000)} seconds. Try again in ${retryAfter} s.`,
+        retryAfter
+      })
+    }
+
+    times.push(time)
+    hits.set(key, times)
+  }
+
+  return { check }
+}
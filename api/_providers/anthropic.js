@@ -0,0 +1,92 @@
+// Anthropic Messages API with tool use, called over plain HTTP (no SDK)
+
+const API_URL = 'https://api.anthropic.com/v1/messages'
+const API_VERSION = '2023-06-01'
+
+// The new user message, with the attached image first (as Anthropic recommends)
+const toUserContent = (prompt, image) => (image
+  ? [
+      { type: 'image', source: { type: 'base64', media_type: image.mediaType, data: image.data } },
+      { type: 'text', text: prompt }
+    ]
+  : prompt)
+
+// Yield the parsed data of each server-sent event in a fetch response
+async function* readEvents(response) {
+  const decoder = new TextDecoder()
+  let buffer = ''
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true }).replace(/\r\n/g, '\n')
+    let boundary = buffer.indexOf('\n\n')
+    while (boundary !== -1) {
+      const data = buffer.slice(0, boundary)
+        .split('\n')
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trimStart())
+        .join('\n')
+      buffer = buffer.slice(boundary + 2)
+      if (data) yield JSON.parse(data)
+      boundary = buffer.indexOf('\n\n')
+    }
+  }
+}
+
+/**
+ * Create a provider backed by the Anthropic Messages API
+ * @param {Object} options
+ * @param {string} options.apiKey - Anthropic API key
+ * @param {string} options.model - Model name
+ * @returns {Object} Provider
+ */
+export const createAnthropicProvider = ({ apiKey, model }) => ({
+  name: 'anthropic',
+  model,
+
+  /**
+   * Stream completed tool calls, in order
+   * @param {Object} request - { system, history, prompt, image, tools, temperature, maxTokens }
+   * @returns {AsyncGenerator<Object>} { name, arguments } with arguments as a JSON string
+   */
+  async *streamToolCalls({ system, history = [], prompt, image = null, tools, temperature, maxTokens }) {
+    const response = await fetch(API_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': apiKey,
+        'anthropic-version': API_VERSION
+      },
+      body: JSON.stringify({
+        model,
+        system,
+        messages: [...history, { role: 'user', content: toUserContent(prompt, image) }],
+        tools: tools.map(tool => ({
+          name: tool.name,
+          description: tool.description,
+          input_schema: tool.parameters
+        })),
+        temperature,
+        max_tokens: maxTokens,
+        stream: true
+      })
+    })
+
+    if (!response.ok) {
+      throw new Error(`Anthropic API error ${response.status}: ${await response.text()}`)
+    }
+
+    // Tool inputs arrive as JSON fragments inside their content block
+    let current = null
+    for await (const event of readEvents(response)) {
+      if (event.type === 'content_block_start' && event.content_block?.type === 'tool_use') {
+        current = { name: event.content_block.name, arguments: '' }
+      } else if (event.type === 'content_block_delta' && event.delta?.type === 'input_json_delta' && current) {
+        current.arguments += event.delta.partial_json
+      } else if (event.type === 'content_block_stop' && current) {
+        yield { name: current.name, arguments: current.arguments || '{}' }
+        current = null
+      } else if (event.type === 'error') {
+        throw new Error(`Anthropic API error: ${event.error?.message || 'unknown error'}`)
+      }
+    }
+  }
+})
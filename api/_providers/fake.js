@@ -0,0 +1,93 @@
+import fs from 'fs'
+import crypto from 'crypto'
+import defaultFixtures from './fixtures.js'
+
+// Deterministic provider that replays recorded tool calls, so the whole AI
+// pipeline (parsing, streaming, client preview) runs offline. Each call's
+// arguments are handed out in small fragments, like a real stream.
+// It stands in for a vision model too: fixtures recorded from a command with
+// an attached image carry the image's fingerprint (or true for any image).
+
+const FRAGMENT_SIZE = 16
+
+/**
+ * Normalize a command for fixture lookup (case and spacing don't matter)
+ * @param {string} command
+ * @returns {string}
+ */
+export const normalizeCommand = (command) => command.trim().toLowerCase().replace(/\s+/g, ' ')
+
+/**
+ * Fingerprint of an attached image, used to match image fixtures
+ * @param {Object} image - { mediaType, data } with base64 data
+ * @returns {string}
+ */
+export const hashImage = (image) => crypto.createHash('sha256').update(image.data).digest('hex').slice(0, 16)
+
+/**
+ * Whether a fixture was recorded for this command and image
+ * @param {Object} fixture - { command, image?, toolCalls }
+ * @param {string} prompt - Command text
+ * @param {Object|null} image - Attached image
+ * @returns {boolean}
+ */
+export const matchesFixture = (fixture, prompt, image) => {
+  if (normalizeCommand(fixture.command) !== normalizeCommand(prompt)) return false
+  if (!image) return !fixture.image
+  return fixture.image === true || fixture.image === hashImage(image)
+}
+
+/**
+ * Read fixtures from a JSON file ([{ command, toolCalls }])
+ * @param {string} path - File path
+ * @returns {Array<Object>} Fixtures (empty if the file doesn't exist yet)
+ */
+export const readFixtureFile = (path) => {
+  if (!fs.existsSync(path)) return []
+  return JSON.parse(fs.readFileSync(path, 'utf8'))
+}
+
+/**
+ * Create the fake provider
+ * @param {Object} options
+ * @param {Array<Object>} options.fixtures - [{ command, image?, toolCalls: [{ name, arguments }] }]
+ * @returns {Object} Provider
+ */
+export const createFakeProvider = ({ fixtures = defaultFixtures } = {}) => {
+  // An image's own recording wins over one for any image
+  const findToolCalls = (prompt, image) => {
+    const matching = fixtures.filter(fixture => matchesFixture(fixture, prompt, image))
+    const fixture = matching.find(entry => entry.image !== true) || matching[0]
+    return fixture?.toolCalls
+  }
+
+  return {
+    name: 'fake',
+    model: 'fixtures',
+
+    /**
+     * Replay the fixture recorded for the prompt and image (nothing for unknown commands)
+     * @param {Object} request - { prompt, image, ... }
+     * @returns {AsyncGenerator<Object>} { name, arguments } with arguments as a JSON string
+     */
+    async *streamToolCalls({ prompt, image = null }) {
+      const toolCalls = findToolCalls(prompt, image)
+      if (!toolCalls) {
+        console.log('🧪 NO FIXTURE FOR COMMAND:', prompt, image ? `(image ${hashImage(image)})` : '')
+        return
+      }
+
+      for (const toolCall of toolCalls) {
+        const rawArguments = typeof toolCall.arguments === 'string'
+          ? toolCall.arguments
+          : JSON.stringify(toolCall.arguments)
+        let replayed = ''
+        for (let index = 0; index < rawArguments.length; index += FRAGMENT_SIZE) {
+          replayed += rawArguments.slice(index, index + FRAGMENT_SIZE)
+          await Promise.resolve() // let other work run between fragments
+        }
+        yield { name: toolCall.name, arguments: replayed }
+      }
+    }
+  }
+}
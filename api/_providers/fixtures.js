@@ -0,0 +1,69 @@
+// Recorded tool calls replayed by the fake provider (LLM_PROVIDER=fake)
+// Each fixture maps a command to the tool calls a real model made for it,
+// with arguments kept as the JSON strings the model produced. To add one,
+// run a command with LLM_RECORD_FILE set and copy the entry from that file.
+// Fixtures with image: true answer a command sent with any attached image
+// (recordings carry the image's fingerprint instead).
+
+const args = (value) => JSON.stringify(value)
+
+export default [
+  {
+    command: 'create a red circle',
+    toolCalls: [
+      { name: 'createShape', arguments: args({ shape: 'circle', color: '#ff0000', x: 400, y: 300, width: 100, height: 100 }) }
+    ]
+  },
+  {
+    command: 'create a login form',
+    toolCalls: [
+      { name: 'instantiateTemplate', arguments: args({ name: 'login_form', params: {}, x: 300, y: 200, ref: 'login-form' }) }
+    ]
+  },
+  {
+    command: 'add a signup form with email and password',
+    toolCalls: [
+      { name: 'instantiateTemplate', arguments: args({ name: 'login_form', params: { title: 'Sign up', fields: ['Email', 'Password'], buttonLabel: 'Create account' }, x: 300, y: 200 }) }
+    ]
+  },
+  {
+    command: 'delete the red circle',
+    toolCalls: [
+      { name: 'deleteShape', arguments: args({ description: 'red circle' }) }
+    ]
+  },
+  {
+    command: 'make them blue',
+    toolCalls: [
+      { name: 'changeColor', arguments: args({ shapeIds: ['them'], color: '#0000ff' }) }
+    ]
+  },
+  {
+    command: 'tidy up the selection',
+    toolCalls: [
+      { name: 'tidyShapes', arguments: args({ shapeIds: ['selection'] }) }
+    ]
+  },
+  {
+    command: 'turn this sketch into shapes',
+    image: true,
+    toolCalls: [
+      { name: 'createShape', arguments: args({ shape: 'rectangle', color: '#e5e7eb', x: 400, y: 200, width: 800, height: 560, ref: 'card' }) },
+      { name: 'createText', arguments: args({ content: 'Log in', x: 460, y: 240, width: 680, height: 48, fontSize: 32, ref: 'title' }) },
+      { name: 'createText', arguments: args({ content: 'Email', x: 460, y: 320, width: 680, height: 24, fontSize: 16, ref: 'email-label' }) },
+      { name: 'createShape', arguments: args({ shape: 'rectangle', color: '#ffffff', x: 460, y: 350, width: 680, height: 48, ref: 'email-input' }) },
+      { name: 'createText', arguments: args({ content: 'Password', x: 460, y: 420, width: 680, height: 24, fontSize: 16, ref: 'password-label' }) },
+      { name: 'createShape', arguments: args({ shape: 'rectangle', color: '#ffffff', x: 460, y: 450, width: 680, height: 48, ref: 'password-input' }) },
+      { name: 'createShape', arguments: args({ shape: 'rectangle', color: '#ffffff', x: 460, y: 540, width: 200, height: 56, ref: 'button' }) },
+      { name: 'createText', arguments: args({ content: 'Sign in', x: 500, y: 556, width: 120, height: 24, fontSize: 18, ref: 'button-label' }) },
+      { name: 'createShape', arguments: args({ shape: 'circle', color: '#e5e7eb', x: 1080, y: 240, width: 48, height: 48, ref: 'logo' }) },
+      { name: 'groupShapes', arguments: args({ shapeIds: ['card', 'title', 'email-label', 'email-input', 'password-label', 'password-input', 'button', 'button-label', 'logo'], ref: 'login-sketch' }) }
+    ]
+  },
+  {
+    command: 'delete the circle',
+    toolCalls: [
+      { name: 'askClarifyingQuestion', arguments: args({ question: 'There are several circles. Which one should I delete?', options: ['the red circle', 'all circles'] }) }
+    ]
+  }
+]
@@ -0,0 +1,128 @@
+import { createOpenAIProvider, createAzureProvider, createLocalProvider } from './openai.js'
+import { createAnthropicProvider } from './anthropic.js'
+import { createFakeProvider, hashImage, matchesFixture, readFixtureFile } from './fake.js'
+import fs from 'fs'
+
+// LLM providers
+//
+// The AI endpoint talks to the model through a provider, chosen with
+// LLM_PROVIDER (default: openai):
+//   openai     OPENAI_API_KEY, LLM_MODEL (default gpt-4-turbo)
+//   anthropic  ANTHROPIC_API_KEY, LLM_MODEL (default claude-3-5-sonnet-latest)
+//   azure      AZURE_OPENAI_API_KEY, AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_DEPLOYMENT,
+//              AZURE_OPENAI_API_VERSION (default 2024-06-01)
+//   local      LLM_BASE_URL (e.g. http://localhost:11434/v1), LLM_MODEL, LLM_API_KEY (optional)
+//   fake       replays recorded tool calls (fixtures.js, or LLM_FIXTURES_FILE)
+// Every provider has the same shape:
+//   { name, model, streamToolCalls({ system, history, prompt, image, tools, temperature, maxTokens }) }
+// where streamToolCalls yields completed tool calls { name, arguments } in order,
+// history holds the earlier turns as alternating user/assistant messages and
+// image is an attached picture { mediaType, data } (base64) or null; the
+// configured model must support images for those commands.
+// With LLM_RECORD_FILE set, the tool calls of every command are appended to
+// that file in the fixture format, ready to be replayed by the fake provider.
+
+/**
+ * Thrown when the configured provider is missing settings
+ */
+export class ProviderConfigError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'ProviderConfigError'
+  }
+}
+
+const requireEnv = (env, name) => {
+  if (!env[name]) {
+    throw new ProviderConfigError(`${name} environment variable is not set`)
+  }
+  return env[name]
+}
+
+// Append each command's tool calls to a fixture file once the stream is done
+const withRecording = (provider, path) => ({
+  ...provider,
+  async *streamToolCalls(request) {
+    const toolCalls = []
+    for await (const toolCall of provider.streamToolCalls(request)) {
+      toolCalls.push(toolCall)
+      yield toolCall
+    }
+    const image = request.image || null
+    const fixtures = readFixtureFile(path)
+      .filter(fixture => !matchesFixture(fixture, request.prompt, image) || fixture.image === true)
+    fixtures.push({ command: request.prompt, ...(image ? { image: hashImage(image) } : {}), toolCalls })
+    fs.writeFileSync(path, JSON.stringify(fixtures, null, 2))
+    console.log(`🧪 RECORDED ${toolCalls.length} TOOL CALLS TO:`, path)
+  }
+})
+
+/**
+ * Create the provider selected by the environment
+ * @param {Object} env - Environment variables (default process.env)
+ * @returns {Object} Provider
+ * @throws {ProviderConfigError} Unknown provider or missing settings
+ */
+export const createProvider = (env = process.env) => {
+  const name = env.LLM_PROVIDER || 'openai'
+  let provider
+
+  switch (name) {
+    case 'openai':
+      provider = createOpenAIProvider({
+        apiKey: requireEnv(env, 'OPENAI_API_KEY'),
+        model: env.LLM_MODEL || 'gpt-4-turbo'
+      })
+      break
+
+    case 'anthropic':
+      provider = createAnthropicProvider({
+        apiKey: requireEnv(env, 'ANTHROPIC_API_KEY'),
+        model: env.LLM_MODEL || 'claude-3-5-sonnet-latest'
+      })
+      break
+
+    case 'azure':
+      provider = createAzureProvider({
+        apiKey: requireEnv(env, 'AZURE_OPENAI_API_KEY'),
+        endpoint: requireEnv(env, 'AZURE_OPENAI_ENDPOINT'),
+        deployment: requireEnv(env, 'AZURE_OPENAI_DEPLOYMENT'),
+        apiVersion: env.AZURE_OPENAI_API_VERSION || '2024-06-01'
+      })
+      break
+
+    case 'local':
+      provider = createLocalProvider({
+        baseURL: requireEnv(env, 'LLM_BASE_URL'),
+        apiKey: env.LLM_API_KEY,
+        model: requireEnv(env, 'LLM_MODEL')
+      })
+      break
+
+    case 'fake':
+      provider = createFakeProvider(env.LLM_FIXTURES_FILE
+        ? { fixtures: readFixtureFile(env.LLM_FIXTURES_FILE) }
+        : {})
+      break
+
+    default:
+      throw new ProviderConfigError(`Unknown LLM_PROVIDER "${name}"`)
+  }
+
+  return env.LLM_RECORD_FILE ? withRecording(provider, env.LLM_RECORD_FILE) : provider
+}
+
+let sharedProvider = null
+
+/**
+ * Get the provider for this server (created on first use)
+ * A missing setting fails the request that needs it instead of the whole server.
+ * @returns {Object} Provider
+ */
+export const getProvider = () => {
+  if (!sharedProvider) {
+    sharedProvider = createProvider()
+    console.log(`🤖 LLM PROVIDER: ${sharedProvider.name} (${sharedProvider.model})`)
+  }
+  return sharedProvider
+}
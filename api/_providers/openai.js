@@ -0,0 +1,92 @@
+import OpenAI, { AzureOpenAI } from 'openai'
+
+// OpenAI chat completions with tool calls. Azure OpenAI and local
+// OpenAI-compatible servers (Ollama, LM Studio, vLLM, ...) speak the same
+// protocol, so they share this provider with a differently configured client.
+
+// An attached image goes along as a data URL (vision models only)
+const toUserContent = (prompt, image) => (image
+  ? [
+      { type: 'text', text: prompt },
+      { type: 'image_url', image_url: { url: `data:${image.mediaType};base64,${image.data}` } }
+    ]
+  : prompt)
+
+const toMessages = ({ system, history = [], prompt, image }) => [
+  { role: 'system', content: system },
+  ...history,
+  { role: 'user', content: toUserContent(prompt, image) }
+]
+
+/**
+ * Create a provider backed by an OpenAI-compatible client
+ * @param {Object} options
+ * @param {string} options.name - Provider name (for logs)
+ * @param {Object} options.client - OpenAI SDK client
+ * @param {string} options.model - Model (or Azure deployment) name
+ * @param {boolean} options.parallelToolCalls - Ask for parallel tool calls (not every server supports the flag)
+ * @returns {Object} Provider
+ */
+export const createOpenAICompatibleProvider = ({ name, client, model, parallelToolCalls = true }) => ({
+  name,
+  model,
+
+  /**
+   * Stream completed tool calls, in order
+   * Tool calls arrive as argument fragments, one call after another; a call
+   * is complete once the next one starts or the stream ends.
+   * @param {Object} request - { system, history, prompt, image, tools, temperature, maxTokens }
+   * @returns {AsyncGenerator<Object>} { name, arguments } with arguments as a JSON string
+   */
+  async *streamToolCalls({ system, history, prompt, image = null, tools, temperature, maxTokens }) {
+    const stream = await client.chat.completions.create({
+      model,
+      messages: toMessages({ system, history, prompt, image }),
+      tools: tools.map(tool => ({ type: 'function', function: tool })),
+      tool_choice: 'auto',
+      ...(parallelToolCalls ? { parallel_tool_calls: true } : {}),
+      temperature,
+      max_tokens: maxTokens,
+      stream: true
+    })
+
+    const toolCalls = [] // index -> { name, arguments }
+    let sentCount = 0
+    for await (const chunk of stream) {
+      for (const delta of chunk.choices[0]?.delta?.tool_calls || []) {
+        if (!toolCalls[delta.index]) {
+          toolCalls[delta.index] = { name: '', arguments: '' }
+        }
+        toolCalls[delta.index].name += delta.function?.name || ''
+        toolCalls[delta.index].arguments += delta.function?.arguments || ''
+
+        for (; sentCount < delta.index; sentCount++) {
+          if (toolCalls[sentCount]) yield toolCalls[sentCount]
+        }
+      }
+    }
+    for (; sentCount < toolCalls.length; sentCount++) {
+      if (toolCalls[sentCount]) yield toolCalls[sentCount]
+    }
+  }
+})
+
+export const createOpenAIProvider = ({ apiKey, model }) => createOpenAICompatibleProvider({
+  name: 'openai',
+  client: new OpenAI({ apiKey }),
+  model
+})
+
+export const createAzureProvider = ({ apiKey, endpoint, deployment, apiVersion }) => createOpenAICompatibleProvider({
+  name: 'azure',
+  client: new AzureOpenAI({ apiKey, endpoint, deployment, apiVersion }),
+  model: deployment
+})
+
+export const createLocalProvider = ({ baseURL, apiKey, model }) => createOpenAICompatibleProvider({
+  name: 'local',
+  // Local servers usually ignore the key, but the SDK requires one
+  client: new OpenAI({ baseURL, apiKey: apiKey || 'local' }),
+  model,
+  parallelToolCalls: false
+})
@@ -0,0 +1,139 @@
+import { AIRequestError, REQUEST_LIMITS, toErrorBody } from './_lib/requestLimits.js'
+import { authenticateRequest, getServiceClient, getUserClient } from './_lib/auth.js'
+import { setCorsHeaders } from './_lib/cors.js'
+import { debugLog } from './_lib/debugLog.js'
+import { SYNCED_SHAPE_FIELDS } from '../src/lib/constants.js'
+
+// Writes the changes of an accepted AI command
+//
+// An AI command is previewed in the browser (ai-command.js streams the
+// actions). When the user accepts the preview, its inserts, updates and
+// deletes are sent here rather than written from the browser. After the same
+// checks as a command (signed in, owner or editor of the board, made before
+// the body is read or its size checked) they are
+// applied in one apply_shape_mutations call made with the user's own token,
+// never the service role: row level security, the creator-only delete rule
+// and shape locks apply just as they do to edits made in the browser. The
+// batch is all or nothing, recorded as the user's edit (created_by, version
+// history), and seen by everyone on the board through the usual realtime
+// subscription on shapes.
+//
+// Rows are cut down to the columns a shape edit may set. Anything else in the
+// body (board_id, created_by, owner_id, lock fields, timestamps) is dropped.
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+
+// Columns a new shape and a shape update may set
+const INSERT_FIELDS = ['id', 'type', ...SYNCED_SHAPE_FIELDS, 'field_clocks']
+const UPDATE_FIELDS = [...SYNCED_SHAPE_FIELDS, 'field_clocks']
+
+const pickFields = (row, fields) => Object.fromEntries(
+  Object.entries(row).filter(([key]) => fields.includes(key))
+)
+
+const invalidChanges = (details) => new AIRequestError('invalid_changes', 'The changes could not be read', { details })
+
+// The changes in a request body, checked for shape
+const readChanges = ({ inserts = [], updates = [], deletes = [] }) => {
+  if (!Array.isArray(inserts) || !Array.isArray(updates) || !Array.isArray(deletes)) {
+    throw invalidChanges('inserts, updates and deletes must be lists.')
+  }
+
+  const count = inserts.length + updates.length + deletes.length
+  if (count === 0) {
+    throw invalidChanges('There are no changes to apply.')
+  }
+  if (count > REQUEST_LIMITS.MAX_CHANGES) {
+    throw new AIRequestError('too_many_changes', 'Too many changes at once', {
+      status: 413,
+      details: `At most ${REQUEST_LIMITS.MAX_CHANGES} shapes can be changed at once (this has ${count}).`
+    })
+  }
+
+  if (!inserts.every(row => isPlainObject(row) && typeof row.id === 'string')) {
+    throw invalidChanges('Every new shape needs an ID.')
+  }
+  if (!updates.every(update => isPlainObject(update) && typeof update.id === 'string' && isPlainObject(update.changes))) {
+    throw invalidChanges('Every update needs an ID and changes.')
+  }
+  if (!deletes.every(id => typeof id === 'string')) {
+    throw invalidChanges('Deletes must be shape IDs.')
+  }
+
+  return {
+    inserts: inserts.map(row => pickFields(row, INSERT_FIELDS)),
+    updates: updates.map(({ id, changes }) => ({ id, changes: pickFields(changes, UPDATE_FIELDS) })),
+    deletes
+  }
+}
+
+/**
+ * Create the endpoint that saves accepted AI changes
+ * @param {Object} options
+ * @param {Function} options.getClient - () => service-role Supabase client, for authentication only (tests pass a fake one)
+ * @param {Function} options.getWriteClient - (req) => Supabase client acting as the caller, used for the write
+ * @param {Function} options.authenticate - (req, boardId, client) => Promise<{ user, role }>
+ * @returns {Function} (req, res) => Promise
+ */
+export const createAIApplyHandler = ({
+  getClient = getServiceClient,
+  getWriteClient = getUserClient,
+  authenticate = authenticateRequest
+} = {}) => async function handler(req, res) {
+  setCorsHeaders(req, res)
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end()
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const body = req.body || {}
+    // The changes are only read for a signed-in editor of the board
+    const { user } = await authenticate(req, body.boardId, getClient())
+    const { inserts, updates, deletes } = readChanges(body)
+
+    debugLog('💾 APPLYING AI CHANGES:', {
+      boardId: body.boardId,
+      userId: user.id,
+      inserts: inserts.length,
+      updates: updates.length,
+      deletes: deletes.length
+    })
+
+    const { data, error } = await getWriteClient(req).rpc('apply_shape_mutations', {
+      p_board_id: body.boardId,
+      p_inserts: inserts,
+      p_updates: updates,
+      p_deletes: deletes
+    })
+
+    if (error) {
+      console.error('❌ Error applying AI changes:', error)
+      // Nothing was written (e.g. a shape was deleted or locked by someone else meanwhile)
+      throw new AIRequestError('apply_failed', 'The changes could not be saved', {
+        status: 409,
+        details: error.message
+      })
+    }
+
+    return res.status(200).json(data)
+  } catch (error) {
+    if (error instanceof AIRequestError) {
+      console.log(`🚫 CHANGES REFUSED (${error.code}):`, error.details || error.message)
+      return res.status(error.status).json(toErrorBody(error))
+    }
+
+    console.error('💥 AI APPLY ERROR:', {
+      message: error.message,
+      stack: error.stack,
+      name: error.name
+    })
+    return res.status(500).json(toErrorBody(error))
+  }
+}
+
+export default createAIApplyHandler()
@@ -1,24 +1,300 @@
-import OpenAI from 'openai'
+import { getProvider as getConfiguredProvider } from './_providers/index.js'
+import { normalizeContext, describeContext, createTargetResolver } from './_lib/canvasContext.js'
+import { toHistoryMessages } from './_lib/conversation.js'
+import { createActionValidator } from './_lib/actionValidation.js'
+import { AIRequestError, checkRequestSize, createRateLimiter, toErrorBody } from './_lib/requestLimits.js'
+import { authenticateRequest } from './_lib/auth.js'
+import { setCorsHeaders } from './_lib/cors.js'
+import { debugLog } from './_lib/debugLog.js'
+
+// The model is reached through a provider chosen by configuration (OpenAI,
+// Anthropic, Azure, a local server or recorded fixtures), see _providers/index.js.
+// API keys are read when the first command needs them, never sent to the browser.
+// Only signed-in owners and editors of the board can run commands (_lib/auth.js);
+// the changes they accept are written by ai-apply.js.
+
+// Added to the system prompt when the user attaches a sketch or screenshot
+const WIREFRAME_PROMPT = `
+WIREFRAME IMAGE: The user attached an image of a wireframe (a sketch, photo or screenshot). Rebuild it on the canvas:
+- createShape with shape="rectangle" for boxes, containers, inputs, buttons and image placeholders; shape="circle" for round elements (avatars, icons, radio buttons)
+- createText for every label, heading and piece of text, with the words as written in the image
+- Keep the positions, sizes and proportions of the image, scaled so the whole wireframe is about 800px wide, and place it in the visible area clear of other shapes
+- Colors: containers and placeholders light gray (#e5e7eb), inputs and buttons white (#ffffff), unless the image clearly shows a color
+- Give every element a ref and finish with one groupShapes call listing all of them
+- Build it from these shapes only; don't use templates
+If the image is not a wireframe or interface, call askClarifyingQuestion instead.
+`
+
+// Convert a tool call from the model to the action format expected by the frontend
+// (null for unknown functions or arguments that aren't valid JSON)
+const toAction = (functionName, rawArguments) => {
+  let functionArgs
+  try {
+    functionArgs = JSON.parse(rawArguments || '{}')
+  } catch {
+    console.error(`❌ INVALID ARGUMENTS FOR ${functionName}`)
+    return null
+  }
+
+  debugLog(`🔨 PROCESSING FUNCTION CALL: ${functionName}`)
+
+  let action = null
+  switch (functionName) {
+    case 'createShape':
+      action = {
+        type: 'create_shape',
+        shape: functionArgs.shape,
+        color: functionArgs.color,
+        x: functionArgs.x,
+        y: functionArgs.y,
+        width: functionArgs.width,
+        height: functionArgs.height,
+        ref: functionArgs.ref
+      }
+      break
+
+    case 'createText':
+      action = {
+        type: 'create_text',
+        content: functionArgs.content,
+        x: functionArgs.x,
+        y: functionArgs.y,
+        width: functionArgs.width,
+        height: functionArgs.height,
+        font_size: functionArgs.fontSize || 16,
+        ref: functionArgs.ref
+      }
+      break
+
+    case 'createStickyNote':
+      action = {
+        type: 'create_sticky',
+        content: functionArgs.content,
+        color: functionArgs.color,
+        x: functionArgs.x,
+        y: functionArgs.y,
+        width: functionArgs.width || 200,
+        height: functionArgs.height || 200,
+        ref: functionArgs.ref
+      }
+      break
+
+    case 'createFrame':
+      action = {
+        type: 'create_frame',
+        name: functionArgs.name,
+        x: functionArgs.x,
+        y: functionArgs.y,
+        width: functionArgs.width,
+        height: functionArgs.height,
+        ref: functionArgs.ref
+      }
+      break
+
+    case 'groupShapes':
+      action = {
+        type: 'group_shapes',
+        shapeIds: functionArgs.shapeIds,
+        ref: functionArgs.ref
+      }
+      break
+
+    case 'moveShape':
+      action = {
+        type: 'move_shape',
+        shapeId: functionArgs.shapeId,
+        x: functionArgs.x,
+        y: functionArgs.y
+      }
+      break
+
+    case 'resizeShape':
+      action = {
+        type: 'resize_shape',
+        shapeId: functionArgs.shapeId,
+        width: functionArgs.width,
+        height: functionArgs.height
+      }
+      break
+
+    case 'arrangeShapes':
+      action = {
+        type: 'arrange_shapes',
+        shapeIds: functionArgs.shapeIds,
+        pattern: functionArgs.pattern,
+        spacing: functionArgs.spacing || 50
+      }
+      break
+
+    case 'deleteShape':
+      action = {
+        type: 'delete_shape',
+        shapeId: functionArgs.shapeId,
+        description: functionArgs.description
+      }
+      break
+
+    case 'changeColor':
+      action = {
+        type: 'change_color',
+        shapeIds: functionArgs.shapeIds,
+        color: functionArgs.color
+      }
+      break
+
+    case 'rotateShapes':
+      action = {
+        type: 'rotate_shapes',
+        shapeIds: functionArgs.shapeIds,
+        rotation: functionArgs.rotation,
+        relative: functionArgs.relative || false
+      }
+      break
+
+    case 'editText':
+      action = {
+        type: 'edit_text',
+        shapeIds: functionArgs.shapeIds,
+        content: functionArgs.content,
+        font_size: functionArgs.fontSize
+      }
+      break
+
+    case 'alignShapes':
+      action = {
+        type: 'align_shapes',
+        shapeIds: functionArgs.shapeIds,
+        alignment: functionArgs.alignment
+      }
+      break
+
+    case 'distributeShapes':
+      action = {
+        type: 'distribute_shapes',
+        shapeIds: functionArgs.shapeIds,
+        direction: functionArgs.direction
+      }
+      break
+
+    case 'tidyShapes':
+      action = {
+        type: 'tidy_shapes',
+        shapeIds: functionArgs.shapeIds,
+        spacing: functionArgs.spacing
+      }
+      break
 
-// SECURITY: Verify OpenAI API key is loaded
-if (!process.env.OPENAI_API_KEY) {
-  console.error('❌ OPENAI_API_KEY environment variable is not set')
-  process.exit(1)
+    case 'changeLayerOrder':
+      action = {
+        type: 'reorder_shapes',
+        shapeIds: functionArgs.shapeIds,
+        position: functionArgs.position
+      }
+      break
+
+    case 'instantiateTemplate':
+      action = {
+        type: 'instantiate_template',
+        name: functionArgs.name,
+        params: functionArgs.params && typeof functionArgs.params === 'object' ? functionArgs.params : {},
+        x: functionArgs.x,
+        y: functionArgs.y,
+        ref: functionArgs.ref
+      }
+      break
+
+    case 'askClarifyingQuestion':
+      action = {
+        type: 'ask_question',
+        question: functionArgs.question,
+        options: Array.isArray(functionArgs.options) ? functionArgs.options : []
+      }
+      break
+
+    case 'duplicateShapes':
+      action = {
+        type: 'duplicate_shapes',
+        shapeIds: functionArgs.shapeIds,
+        offset: functionArgs.offset ?? 20,
+        ref: functionArgs.ref
+      }
+      break
+  }
+
+  if (action) {
+    debugLog('✅ CREATED ACTION:', action.type)
+  }
+  return action
 }
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-})
+// Write one server-sent event
+const sendEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+}
 
-export default async function handler(req, res) {
-  console.log("========================================")
-  console.log("🚨 API CALLED - YOU SHOULD SEE THIS!")
-  console.log("========================================")
-  
-  // Enable CORS for localhost:5173
-  res.setHeader('Access-Control-Allow-Origin', '*')
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS')
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type')
+// Run a model answer through target resolution and validation
+// (see _lib/canvasContext.js and _lib/actionValidation.js), yielding the actions to send
+async function* collectActions(provider, request, resolveTargets, validator) {
+  for await (const toolCall of provider.streamToolCalls(request)) {
+    const action = toAction(toolCall.name, toolCall.arguments)
+    if (!action) continue
+    for (const resolved of resolveTargets(action)) {
+      yield* validator.add(resolved)
+    }
+  }
+  yield* validator.finish()
+}
+
+// Stream the response as server-sent events:
+//   event: action  data: { index, action }   (one per valid action)
+//   event: done    data: { count, command, timestamp, issues }
+//   event: error   data: { error, code, details }
+const streamActions = async (res, provider, request, command, resolveTargets, validator) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive'
+  })
+
+  let actionCount = 0
+  try {
+    for await (const action of collectActions(provider, request, resolveTargets, validator)) {
+      sendEvent(res, 'action', { index: actionCount, action })
+      actionCount++
+    }
+
+    debugLog(`✅ TOTAL ACTIONS STREAMED: ${actionCount}`)
+    sendEvent(res, 'done', {
+      count: actionCount,
+      command: command,
+      timestamp: new Date().toISOString(),
+      issues: validator.issues
+    })
+  } catch (error) {
+    console.error('💥 LLM STREAM ERROR:', {
+      message: error.message,
+      stack: error.stack,
+      name: error.name
+    })
+    sendEvent(res, 'error', toErrorBody(error))
+  }
+  res.end()
+}
+
+/**
+ * Create the AI command endpoint
+ * @param {Object} options
+ * @param {Function} options.getProvider - () => LLM provider (tests pass a fake one)
+ * @param {Object} options.rateLimiter - From createRateLimiter (tests pass their own limits)
+ * @param {Function} options.authenticate - (req, boardId) => Promise<{ user, role }> (tests pass a fake one)
+ * @returns {Function} (req, res) => Promise
+ */
+export const createAICommandHandler = ({
+  getProvider = getConfiguredProvider,
+  rateLimiter = createRateLimiter(),
+  authenticate = authenticateRequest
+} = {}) => async function handler(req, res) {
+  setCorsHeaders(req, res)
 
   if (req.method === 'OPTIONS') {
     return res.status(200).end()
@@ -29,23 +305,36 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { command, canvasContext } = req.body
+    const { boardId, command, canvasContext, history, image = null, stream = false } = req.body || {}
 
-    console.log('🚀 API REQUEST RECEIVED:', {
-      command,
+    debugLog('🚀 API REQUEST RECEIVED:', {
+      boardId,
+      commandLength: typeof command === 'string' ? command.length : 0,
       hasCanvasContext: !!canvasContext,
+      hasImage: !!image,
       timestamp: new Date().toISOString()
     })
 
-    console.log('📝 COMMAND TEXT:', command)
-    console.log('📊 CANVAS CONTEXT:', canvasContext)
-
-    if (!command) {
-      console.log('❌ ERROR: No command provided')
-      return res.status(400).json({ error: 'Command is required' })
-    }
+    // Anonymous, oversized and too frequent requests never reach the model.
+    // Only board editors get as far as the size checks and their details.
+    const { user } = await authenticate(req, boardId)
+    checkRequestSize({ command, canvasContext, history, image })
+    rateLimiter.check(user.id)
+
+    // Shapes the command may refer to; targets are resolved against them
+    const context = normalizeContext(canvasContext)
+    const validator = createActionValidator(context)
+    const resolveTargets = createTargetResolver(context, validator.report)
+    // Earlier turns of the board's conversation (chat panel)
+    const historyMessages = toHistoryMessages(history)
+    debugLog('📊 CANVAS CONTEXT:', {
+      shapes: context.shapes.length,
+      selection: context.selection.length,
+      totalShapes: context.totalShapes,
+      historyMessages: historyMessages.length
+    })
 
-    // Define OpenAI functions for canvas operations
+    // Functions (tools) the model can call for canvas operations
     const functions = [
       {
         name: 'createShape',
@@ -77,6 +366,10 @@ export default async function handler(req, res) {
             height: {
               type: 'number',
               description: 'Height of the shape'
+            },
+            ref: {
+              type: 'string',
+              description: 'Optional name for this element (e.g. "username-input") so groupShapes can refer to it'
             }
           },
           required: ['shape', 'color', 'x', 'y', 'width', 'height']
@@ -111,11 +404,106 @@ export default async function handler(req, res) {
             fontSize: {
               type: 'number',
               description: 'Font size in pixels'
+            },
+            ref: {
+              type: 'string',
+              description: 'Optional name for this element (e.g. "username-input") so groupShapes can refer to it'
             }
           },
           required: ['content', 'x', 'y', 'width', 'height']
         }
       },
+      {
+        name: 'createStickyNote',
+        description: 'Create a sticky note: a colored card with wrapping text (ideas, notes, brainstorming)',
+        parameters: {
+          type: 'object',
+          properties: {
+            content: {
+              type: 'string',
+              description: 'Text on the note'
+            },
+            color: {
+              type: 'string',
+              description: 'Note color in hex format (default #FDE68A, pastel yellow)'
+            },
+            x: {
+              type: 'number',
+              description: 'X position on canvas (0-5000)'
+            },
+            y: {
+              type: 'number',
+              description: 'Y position on canvas (0-5000)'
+            },
+            width: {
+              type: 'number',
+              description: 'Width of the note (default 200)'
+            },
+            height: {
+              type: 'number',
+              description: 'Height of the note (default 200)'
+            },
+            ref: {
+              type: 'string',
+              description: 'Optional name for this element (e.g. "username-input") so groupShapes can refer to it'
+            }
+          },
+          required: ['content', 'x', 'y']
+        }
+      },
+      {
+        name: 'createFrame',
+        description: 'Create a named frame: a container area that clips and owns the shapes placed inside it (screens, sections, columns)',
+        parameters: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              description: 'Frame name shown above it'
+            },
+            x: {
+              type: 'number',
+              description: 'X position on canvas (0-5000)'
+            },
+            y: {
+              type: 'number',
+              description: 'Y position on canvas (0-5000)'
+            },
+            width: {
+              type: 'number',
+              description: 'Width of the frame'
+            },
+            height: {
+              type: 'number',
+              description: 'Height of the frame'
+            },
+            ref: {
+              type: 'string',
+              description: 'Optional name for this element (e.g. "username-input") so groupShapes can refer to it'
+            }
+          },
+          required: ['name', 'x', 'y', 'width', 'height']
+        }
+      },
+      {
+        name: 'groupShapes',
+        description: 'Group shapes so they move, resize and rotate as one unit. Use this for every composite element (forms, nav bars, cards)',
+        parameters: {
+          type: 'object',
+          properties: {
+            shapeIds: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'IDs of existing shapes, refs given to shapes created in this command, or descriptions (e.g. "selection", "the blue circles")'
+            },
+            ref: {
+              type: 'string',
+              description: 'Optional name for this element (e.g. "username-input") so groupShapes can refer to it'
+            }
+          },
+          required: ['shapeIds']
+        }
+      },
       {
         name: 'moveShape',
         description: 'Move an existing shape to a new position',
@@ -124,7 +512,7 @@ export default async function handler(req, res) {
           properties: {
             shapeId: {
               type: 'string',
-              description: 'ID of the shape to move'
+              description: 'ID of the shape to move, a ref, or a description (e.g. "it", "the red circle")'
             },
             x: {
               type: 'number',
@@ -146,7 +534,7 @@ export default async function handler(req, res) {
           properties: {
             shapeId: {
               type: 'string',
-              description: 'ID of the shape to resize'
+              description: 'ID of the shape to resize, a ref, or a description (e.g. "it", "all blue circles")'
             },
             width: {
               type: 'number',
@@ -162,14 +550,14 @@ export default async function handler(req, res) {
       },
       {
         name: 'arrangeShapes',
-        description: 'Arrange multiple shapes in a pattern',
+        description: 'Arrange multiple shapes in a pattern, in the given order, starting at the top-left of the box around them',
         parameters: {
           type: 'object',
           properties: {
             shapeIds: {
               type: 'array',
               items: { type: 'string' },
-              description: 'Array of shape IDs to arrange'
+              description: 'Shape IDs or refs to arrange, or descriptions (e.g. ["selection"], ["all sticky notes"])'
             },
             pattern: {
               type: 'string',
@@ -178,7 +566,7 @@ export default async function handler(req, res) {
             },
             spacing: {
               type: 'number',
-              description: 'Spacing between shapes in pixels'
+              description: 'Gap between shapes in pixels (edge to edge)'
             }
           },
           required: ['shapeIds', 'pattern']
@@ -186,7 +574,7 @@ export default async function handler(req, res) {
       },
       {
         name: 'deleteShape',
-        description: 'Delete a shape from the canvas by ID or description. Use this for commands like "delete red circle", "remove blue rectangle", "delete the shape I just made"',
+        description: 'Delete shapes from the canvas by ID or description. Use this for commands like "delete red circle", "remove the three blue rectangles", "delete the shape I just made"',
         parameters: {
           type: 'object',
           properties: {
@@ -196,44 +584,253 @@ export default async function handler(req, res) {
             },
             description: {
               type: 'string',
-              description: 'Description of the shape to delete (e.g., "red circle", "blue rectangle", "text element"). Use this when user describes the shape to delete.'
+              description: 'Description of the shape(s) to delete (e.g., "red circle", "all blue rectangles", "selection", "it"). Use this when no ID in the canvas context fits.'
             }
           },
           required: []
         }
+      },
+      {
+        name: 'changeColor',
+        description: 'Change the color of existing shapes (a group recolors its members)',
+        parameters: {
+          type: 'object',
+          properties: {
+            shapeIds: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Shape IDs or refs, or descriptions (e.g. ["selection"], ["the red circles"])'
+            },
+            color: {
+              type: 'string',
+              description: 'New color in hex format (e.g., #ff0000)'
+            }
+          },
+          required: ['shapeIds', 'color']
+        }
+      },
+      {
+        name: 'rotateShapes',
+        description: 'Rotate existing shapes (circles and lines are not rotated)',
+        parameters: {
+          type: 'object',
+          properties: {
+            shapeIds: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Shape IDs or refs, or descriptions (e.g. ["it"])'
+            },
+            rotation: {
+              type: 'number',
+              description: 'Angle in degrees, clockwise'
+            },
+            relative: {
+              type: 'boolean',
+              description: 'true to rotate by the angle ("rotate it 45 degrees"), false to set it ("make it upright" = 0)'
+            }
+          },
+          required: ['shapeIds', 'rotation']
+        }
+      },
+      {
+        name: 'editText',
+        description: 'Change the text or font size of text elements, sticky notes or frame names',
+        parameters: {
+          type: 'object',
+          properties: {
+            shapeIds: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Shape IDs or refs, or descriptions (e.g. ["all labels"])'
+            },
+            content: {
+              type: 'string',
+              description: 'New text (leave out to keep the current text)'
+            },
+            fontSize: {
+              type: 'number',
+              description: 'New font size in pixels (leave out to keep the current size)'
+            }
+          },
+          required: ['shapeIds']
+        }
+      },
+      {
+        name: 'alignShapes',
+        description: 'Align shapes along an edge or center line of the box around them',
+        parameters: {
+          type: 'object',
+          properties: {
+            shapeIds: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Two or more shape IDs or refs, or descriptions (e.g. ["selection"])'
+            },
+            alignment: {
+              type: 'string',
+              enum: ['left', 'center', 'right', 'top', 'middle', 'bottom'],
+              description: 'center lines shapes up vertically, middle horizontally'
+            }
+          },
+          required: ['shapeIds', 'alignment']
+        }
+      },
+      {
+        name: 'distributeShapes',
+        description: 'Space shapes evenly between the outermost two, keeping their order',
+        parameters: {
+          type: 'object',
+          properties: {
+            shapeIds: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Three or more shape IDs or refs, or descriptions (e.g. ["all sticky notes"])'
+            },
+            direction: {
+              type: 'string',
+              enum: ['horizontal', 'vertical'],
+              description: 'Axis to space the shapes along'
+            }
+          },
+          required: ['shapeIds', 'direction']
+        }
+      },
+      {
+        name: 'tidyShapes',
+        description: 'Tidy up a messy layout: finds the rows and columns the shapes were meant to form, lines them up with even gaps, and moves overlapping shapes apart. Use it for "clean up", "tidy" or "fix the spacing"; it works out alignment and spacing by itself',
+        parameters: {
+          type: 'object',
+          properties: {
+            shapeIds: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Two or more shape IDs or refs, or descriptions (e.g. ["selection"])'
+            },
+            spacing: {
+              type: 'number',
+              description: 'Gap between shapes in px, only when the user asks for one (default: the typical gap there is now)'
+            }
+          },
+          required: ['shapeIds']
+        }
+      },
+      {
+        name: 'changeLayerOrder',
+        description: 'Bring shapes to the front or send them to the back',
+        parameters: {
+          type: 'object',
+          properties: {
+            shapeIds: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Shape IDs or refs, or descriptions (e.g. ["it"])'
+            },
+            position: {
+              type: 'string',
+              enum: ['front', 'back'],
+              description: 'front draws the shapes above all others, back below all others'
+            }
+          },
+          required: ['shapeIds', 'position']
+        }
+      },
+      {
+        name: 'duplicateShapes',
+        description: 'Copy existing shapes (groups and frames are copied with their contents)',
+        parameters: {
+          type: 'object',
+          properties: {
+            shapeIds: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Shape IDs or refs, or descriptions (e.g. ["selection"])'
+            },
+            offset: {
+              type: 'number',
+              description: 'Pixels the copies are shifted right and down (default 20)'
+            },
+            ref: {
+              type: 'string',
+              description: 'Optional name for the copy of the first shape, so later calls can refer to it'
+            }
+          },
+          required: ['shapeIds']
+        }
+      },
+      {
+        name: 'instantiateTemplate',
+        description: 'Place a ready-made component from the template library (login form, nav bar, card, pricing table, kanban column, flowchart, or a template the team saved). It arrives grouped as one unit',
+        parameters: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              description: 'Template name exactly as listed under Templates in the canvas context'
+            },
+            params: {
+              type: 'object',
+              description: 'Values for the template\'s params, e.g. { "title": "Create account", "fields": ["Email", "Password"] }. Leave out params to use their defaults'
+            },
+            x: {
+              type: 'number',
+              description: 'X position of the template\'s top-left corner'
+            },
+            y: {
+              type: 'number',
+              description: 'Y position of the template\'s top-left corner'
+            },
+            ref: {
+              type: 'string',
+              description: 'Optional name for the placed component, so later calls can refer to it'
+            }
+          },
+          required: ['name', 'x', 'y']
+        }
+      },
+      {
+        name: 'askClarifyingQuestion',
+        description: 'Ask the user a question instead of acting, when the command is ambiguous or missing something you need',
+        parameters: {
+          type: 'object',
+          properties: {
+            question: {
+              type: 'string',
+              description: 'Short question for the user'
+            },
+            options: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Optional answers the user can pick with one click (2-4 short phrases)'
+            }
+          },
+          required: ['question']
+        }
       }
     ]
 
-    console.log('🤖 CALLING OPENAI API...')
-    console.log('📋 AVAILABLE FUNCTIONS:', functions.map(f => ({
-      name: f.name,
-      description: f.description,
-      requiredParams: f.parameters.required
-    })))
+    const provider = getProvider()
+
+    debugLog(`🤖 CALLING ${provider.name.toUpperCase()} (${provider.model})...`)
     
-    const requestPayload = {
-      model: 'gpt-4-turbo',
-      messages: [
-        {
-          role: 'system',
-          content: `You are a canvas command assistant. Parse user commands and call the appropriate functions to accomplish the task.
+    const request = {
+      system: `You are a canvas command assistant. Parse user commands and call the appropriate functions to accomplish the task.
+
+CONVERSATION: This is a chat. Earlier messages show what the user asked and what you did; follow-ups like "make them bigger" or "now put a title above it" refer to the shapes from your previous answers. "them", "those" and "they" mean the shapes you created or changed last (listed as "Shapes from the previous answer" in the canvas context).
+
+CLARIFYING QUESTIONS: If a command is ambiguous (it names one shape but several match, it's unclear what "it" is, or something you need is missing), call askClarifyingQuestion and nothing else. Don't guess. Commands that only create new shapes are never ambiguous; use sensible defaults.
 
 CRITICAL: For complex commands, you MUST make MULTIPLE function calls in sequence to create all required elements. Use the tools array to call multiple functions in one response.
 
-MANDATORY: When you see "create login form", you MUST call exactly 5 functions in parallel:
-1. createText for "Username:" label
-2. createShape for username input field  
-3. createText for "Password:" label
-4. createShape for password input field
-5. createShape for login button
+TEMPLATES: Common components (login forms, navigation bars, cards, pricing tables, kanban columns, flowcharts, and templates the team saved) come from the template library listed in the canvas context. For these, call instantiateTemplate once with the template's name, params that fit the command (labels, items, colors) and a position; don't build them from individual shapes. Use a template's size to keep it clear of other shapes.
 
-DO NOT stop after 1 function call. You must call ALL 5 functions for login form.
+GROUPING: Composite elements you build yourself (anything the template library doesn't cover, e.g. a button with a label) MUST be grouped so they move as one unit. Give every element you create a ref and finish with a groupShapes call listing those refs.
+Use createStickyNote for notes and ideas, and createFrame for named areas (screens, sections); shapes created inside a frame's area are placed in that frame.
 
 Available colors: red (#ff0000), blue (#0000ff), green (#00ff00), yellow (#ffff00), purple (#800080), black (#000000), white (#ffffff)
 
 Current canvas context:
-${canvasContext ? JSON.stringify(canvasContext, null, 2) : 'No canvas context provided'}
-
+${describeContext(context)}
+${image ? WIREFRAME_PROMPT : ''}
 Position keywords:
 - "center" → x: 2500, y: 2500 (canvas center)
 - "top left" → x: 0, y: 0
@@ -244,296 +841,84 @@ Position keywords:
 Default positions: x: 0, y: 0 (top-left corner for visibility)
 Default sizes: width: 300, height: 300 (large for debugging)
 
-For references like "it", "that", "the one I just made":
-- Look at commandHistory to understand what was created recently
-- Use the most recent shape that matches the description
-- If multiple shapes match, prefer the most recently created one
+REFERRING TO EXISTING SHAPES:
+- Prefer the IDs listed in the canvas context (moveShape, resizeShape, arrangeShapes, groupShapes, deleteShape)
+- "it", "that", "the one I just made" → the first recently created shape
+- "the selection", "everything I selected" → the selected shapes
+- When no listed ID fits, pass a short description instead of an ID (e.g. "the three blue circles on the left"); it is resolved on the server
 
 COMPLEX COMMAND EXAMPLES:
-- "create login form" → MUST call 5 functions: createText("Username:"), createShape(username input), createText("Password:"), createShape(password input), createShape(button)
+- "create login form" → Call instantiateTemplate with name="login_form"
+- "add a signup form with email, password and confirm password" → Call instantiateTemplate with name="login_form", params={ "title": "Sign up", "fields": ["Email", "Password", "Confirm password"], "buttonLabel": "Create account" }
 - "add 3 blue circles" → Call createShape 3 times with different positions
-- "create navigation bar" → Call createShape for background, createText for each menu item
+- "create navigation bar with Home, Blog and Shop" → Call instantiateTemplate with name="nav_bar", params={ "items": ["Home", "Blog", "Shop"] }
+- "make a kanban board" → Call instantiateTemplate with name="kanban_column" three times (To do, Doing, Done) side by side
+- "add a sticky note saying buy milk" → Call createStickyNote with content="buy milk"
+- "create a frame called Home screen" → Call createFrame with name="Home screen"
+- "group the red circle and the blue square" → Call groupShapes with their IDs from the canvas context
 - "delete the red circle" → Call deleteShape with description="red circle"
 - "remove blue rectangle" → Call deleteShape with description="blue rectangle"
 - "delete shape with ID shape1" → Call deleteShape with shapeId="shape1"
+- "make the selection green" → Call changeColor with shapeIds=["selection"], color="#00ff00"
+- "rotate it 45 degrees" → Call rotateShapes with shapeIds=["it"], rotation=45, relative=true
+- "change the title to Welcome" → Call editText with the title's ID and content="Welcome"
+- "align the selected shapes to the left" → Call alignShapes with shapeIds=["selection"], alignment="left"
+- "space the sticky notes evenly" → Call distributeShapes with shapeIds=["all sticky notes"], direction="horizontal"
+- "tidy up the selection" → Call tidyShapes with shapeIds=["selection"]
+- "bring the red square to the front" → Call changeLayerOrder with position="front"
+- "duplicate the login form" → Call duplicateShapes with the group's ID
 
 DELETE OPERATIONS:
-- When user says "delete [description]", use deleteShape with description parameter
-- When user provides specific ID, use deleteShape with shapeId parameter
-- Match shapes by color, type, or other descriptive attributes
-- If multiple shapes match, delete the most recently created one
-
-EXAMPLE: For "create login form", you should make exactly 5 tool calls:
-1. createText with content="Username:", x=300, y=200
-2. createShape with shape="rectangle", x=300, y=225, color="#f3f4f6"
-3. createText with content="Password:", x=300, y=285
-4. createShape with shape="rectangle", x=300, y=310, color="#f3f4f6"
-5. createShape with shape="rectangle", x=300, y=370, color="#3b82f6"
+- Use deleteShape with shapeId when the shape is listed in the canvas context
+- Otherwise use deleteShape with a description ("red circle", "all stickies", "selection")
+- A description of several shapes ("all", "the three ...") deletes every one of them
+- Large deletes are confirmed by the user before anything is removed, so just call deleteShape; don't ask first
 
 EXAMPLE: For "delete the red circle", you should call:
 1. deleteShape with description="red circle"
 
-LAYOUT GUIDELINES:
-- Username label: x: 300, y: 200, width: 100, height: 20, font_size: 16
-- Username input: x: 300, y: 225, width: 280, height: 40, color: #f3f4f6
-- Password label: x: 300, y: 285, width: 100, height: 20, font_size: 16  
-- Password input: x: 300, y: 310, width: 280, height: 40, color: #f3f4f6
-- Login button: x: 300, y: 370, width: 280, height: 50, color: #3b82f6
-
-You MUST call multiple functions for complex commands. Do not try to create everything in one function call.`
-        },
-        {
-          role: 'user',
-          content: command
-        }
-      ],
-      tools: functions.map(func => ({
-        type: 'function',
-        function: func
-      })),
-      tool_choice: 'auto',
-      parallel_tool_calls: true,
+You MUST call multiple functions for complex commands. Do not try to create everything in one function call.`,
+      history: historyMessages,
+      prompt: command,
+      image,
+      tools: functions,
       temperature: 0.1,
-      max_tokens: 4000
+      maxTokens: 4000
     }
-    
-    console.log('📤 OPENAI REQUEST PAYLOAD:', JSON.stringify(requestPayload, null, 2))
-    
-    // Call OpenAI with function calling
-    const response = await openai.chat.completions.create(requestPayload)
-
-    console.log('✅ OPENAI RESPONSE RECEIVED:', {
-      hasMessage: !!response.choices[0]?.message,
-      hasFunctionCall: !!response.choices[0]?.message?.function_call,
-      hasToolCalls: !!response.choices[0]?.message?.tool_calls,
-      toolCallsCount: response.choices[0]?.message?.tool_calls?.length || 0,
-      functionCallName: response.choices[0]?.message?.function_call?.name,
-      toolCallNames: response.choices[0]?.message?.tool_calls?.map(tc => tc.function.name),
-      toolCallTypes: response.choices[0]?.message?.tool_calls?.map(tc => tc.type)
-    })
-    
-    console.log('📥 OPENAI RAW RESPONSE:', JSON.stringify(response, null, 2))
-    console.log('🔧 TOOL CALLS ARRAY:', response.choices[0]?.message?.tool_calls)
-
-    const message = response.choices[0].message
-    const actions = []
 
-    console.log('🔍 PROCESSING OPENAI MESSAGE:', {
-      hasFunctionCall: !!message.function_call,
-      hasToolCalls: !!message.tool_calls,
-      toolCallsLength: message.tool_calls?.length || 0
-    })
-
-    // Process function calls
-    if (message.function_call) {
-      const functionName = message.function_call.name
-      const functionArgs = JSON.parse(message.function_call.arguments)
-
-      console.log('📞 FUNCTION CALL DETECTED:', {
-        functionName,
-        functionArgs
-      })
-      
-      console.log(`🔨 PROCESSING FUNCTION CALL: ${functionName}`)
-      console.log(`📋 FUNCTION ARGUMENTS:`, JSON.stringify(functionArgs, null, 2))
-
-      // Convert function calls to action format expected by frontend
-      switch (functionName) {
-        case 'createShape':
-          const createShapeAction = {
-            type: 'create_shape',
-            shape: functionArgs.shape,
-            color: functionArgs.color,
-            x: functionArgs.x,
-            y: functionArgs.y,
-            width: functionArgs.width,
-            height: functionArgs.height
-          }
-          actions.push(createShapeAction)
-          console.log('✅ CREATED SHAPE ACTION:', createShapeAction)
-          break
-
-        case 'createText':
-          const createTextAction = {
-            type: 'create_text',
-            content: functionArgs.content,
-            x: functionArgs.x,
-            y: functionArgs.y,
-            width: functionArgs.width,
-            height: functionArgs.height,
-            font_size: functionArgs.fontSize || 16
-          }
-          actions.push(createTextAction)
-          console.log('✅ CREATED TEXT ACTION:', createTextAction)
-          break
-
-        case 'moveShape':
-          const moveShapeAction = {
-            type: 'move_shape',
-            shapeId: functionArgs.shapeId,
-            x: functionArgs.x,
-            y: functionArgs.y
-          }
-          actions.push(moveShapeAction)
-          console.log('✅ CREATED MOVE ACTION:', moveShapeAction)
-          break
-
-        case 'resizeShape':
-          const resizeShapeAction = {
-            type: 'resize_shape',
-            shapeId: functionArgs.shapeId,
-            width: functionArgs.width,
-            height: functionArgs.height
-          }
-          actions.push(resizeShapeAction)
-          console.log('✅ CREATED RESIZE ACTION:', resizeShapeAction)
-          break
-
-        case 'arrangeShapes':
-          const arrangeShapesAction = {
-            type: 'arrange_shapes',
-            shapeIds: functionArgs.shapeIds,
-            pattern: functionArgs.pattern,
-            spacing: functionArgs.spacing || 50
-          }
-          actions.push(arrangeShapesAction)
-          console.log('✅ CREATED ARRANGE ACTION:', arrangeShapesAction)
-          break
-
-        case 'deleteShape':
-          const deleteShapeAction = {
-            type: 'delete_shape',
-            shapeId: functionArgs.shapeId,
-            description: functionArgs.description
-          }
-          actions.push(deleteShapeAction)
-          console.log('✅ CREATED DELETE ACTION:', deleteShapeAction)
-          break
-      }
+    // Streaming clients get each action as soon as its tool call is complete
+    if (stream) {
+      return streamActions(res, provider, request, command, resolveTargets, validator)
     }
 
-    // Handle multiple function calls (for complex commands)
-    if (message.tool_calls) {
-      console.log('🔧 PROCESSING TOOL CALLS:', message.tool_calls.length)
-      
-      for (let i = 0; i < message.tool_calls.length; i++) {
-        const toolCall = message.tool_calls[i]
-        const functionName = toolCall.function.name
-        const functionArgs = JSON.parse(toolCall.function.arguments)
-
-        console.log(`📞 TOOL CALL ${i + 1}:`, {
-          functionName,
-          functionArgs
-        })
-        
-        console.log(`🔨 PROCESSING TOOL CALL ${i + 1}: ${functionName}`)
-        console.log(`📋 TOOL CALL ${i + 1} ARGUMENTS:`, JSON.stringify(functionArgs, null, 2))
-
-        switch (functionName) {
-          case 'createShape':
-            const toolCreateShapeAction = {
-              type: 'create_shape',
-              shape: functionArgs.shape,
-              color: functionArgs.color,
-              x: functionArgs.x,
-              y: functionArgs.y,
-              width: functionArgs.width,
-              height: functionArgs.height
-            }
-            actions.push(toolCreateShapeAction)
-            console.log(`✅ TOOL CREATED SHAPE ACTION ${i + 1}:`, toolCreateShapeAction)
-            break
-
-          case 'createText':
-            const toolCreateTextAction = {
-              type: 'create_text',
-              content: functionArgs.content,
-              x: functionArgs.x,
-              y: functionArgs.y,
-              width: functionArgs.width,
-              height: functionArgs.height,
-              font_size: functionArgs.fontSize || 16
-            }
-            actions.push(toolCreateTextAction)
-            console.log(`✅ TOOL CREATED TEXT ACTION ${i + 1}:`, toolCreateTextAction)
-            break
-
-          case 'moveShape':
-            const toolMoveShapeAction = {
-              type: 'move_shape',
-              shapeId: functionArgs.shapeId,
-              x: functionArgs.x,
-              y: functionArgs.y
-            }
-            actions.push(toolMoveShapeAction)
-            console.log(`✅ TOOL CREATED MOVE ACTION ${i + 1}:`, toolMoveShapeAction)
-            break
-
-          case 'resizeShape':
-            const toolResizeShapeAction = {
-              type: 'resize_shape',
-              shapeId: functionArgs.shapeId,
-              width: functionArgs.width,
-              height: functionArgs.height
-            }
-            actions.push(toolResizeShapeAction)
-            console.log(`✅ TOOL CREATED RESIZE ACTION ${i + 1}:`, toolResizeShapeAction)
-            break
-
-          case 'arrangeShapes':
-            const toolArrangeShapesAction = {
-              type: 'arrange_shapes',
-              shapeIds: functionArgs.shapeIds,
-              pattern: functionArgs.pattern,
-              spacing: functionArgs.spacing || 50
-            }
-            actions.push(toolArrangeShapesAction)
-            console.log(`✅ TOOL CREATED ARRANGE ACTION ${i + 1}:`, toolArrangeShapesAction)
-            break
-
-          case 'deleteShape':
-            const toolDeleteShapeAction = {
-              type: 'delete_shape',
-              shapeId: functionArgs.shapeId,
-              description: functionArgs.description
-            }
-            actions.push(toolDeleteShapeAction)
-            console.log(`✅ TOOL CREATED DELETE ACTION ${i + 1}:`, toolDeleteShapeAction)
-            break
-        }
-      }
+    const actions = []
+    for await (const action of collectActions(provider, request, resolveTargets, validator)) {
+      actions.push(action)
     }
 
-    console.log('🎯 FINAL ACTIONS TO RETURN:', {
-      actionsCount: actions.length,
-      actions: actions
-    })
-    
-    console.log('📋 FINAL ACTIONS ARRAY:', JSON.stringify(actions, null, 2))
-    console.log(`✅ TOTAL ACTIONS CREATED: ${actions.length}`)
-    
-    actions.forEach((action, index) => {
-      console.log(`🎨 ACTION ${index + 1}:`, {
-        type: action.type,
-        ...action
-      })
-    })
+    debugLog(`✅ TOTAL ACTIONS CREATED: ${actions.length}`)
 
     return res.status(200).json({ 
       actions: actions,
       command: command,
-      timestamp: new Date().toISOString()
+      timestamp: new Date().toISOString(),
+      issues: validator.issues
     })
 
   } catch (error) {
-    console.error('💥 OPENAI API ERROR:', {
+    if (error instanceof AIRequestError) {
+      console.log(`🚫 REQUEST REFUSED (${error.code}):`, error.details || error.message)
+      if (error.retryAfter) res.setHeader('Retry-After', String(error.retryAfter))
+      return res.status(error.status).json(toErrorBody(error))
+    }
+
+    console.error('💥 LLM API ERROR:', {
       message: error.message,
       stack: error.stack,
       name: error.name
     })
-    return res.status(500).json({ 
-      error: 'Failed to process command with OpenAI',
-      details: error.message
-    })
+    return res.status(500).json(toErrorBody(error))
   }
-}
\ No newline at end of file
+}
+
+export default createAICommandHandler()
@@ -0,0 +1,42 @@
+-- Let the AI endpoint write shapes on behalf of the user who ran a command
+-- Run this in Supabase SQL Editor after add-batch-mutations.sql
+--
+-- Accepted AI changes are no longer written from the browser: the endpoint
+-- (api/ai-apply.js) verifies the user's access token and then calls this
+-- function with the service role key. It runs apply_shape_mutations as that
+-- user, so:
+-- - the board membership check (can_edit_board) is made for the user,
+-- - new shapes get the user as created_by,
+-- - the version history records the user as the author of every change,
+-- - and the rows reach other clients through the normal realtime channel.
+-- It runs in one transaction, like any apply_shape_mutations call.
+--
+-- Only the service role may call it: anyone else could act as any user.
+
+CREATE OR REPLACE FUNCTION apply_shape_mutations_as(
+    p_user_id UUID,
+    p_board_id UUID,
+    p_inserts JSONB DEFAULT '[]'::jsonb,
+    p_updates JSONB DEFAULT '[]'::jsonb,
+    p_deletes UUID[] DEFAULT '{}'
+)
+RETURNS JSONB AS $$
+BEGIN
+    IF p_user_id IS NULL THEN
+        RAISE EXCEPTION 'A user is required';
+    END IF;
+
+    -- auth.uid() reads the request's JWT claims; make them the user's for this transaction
+    PERFORM set_config('request.jwt.claim.sub', p_user_id::TEXT, true);
+    PERFORM set_config(
+        'request.jwt.claims',
+        jsonb_build_object('sub', p_user_id, 'role', 'authenticated')::TEXT,
+        true
+    );
+
+    RETURN apply_shape_mutations(p_board_id, p_inserts, p_updates, p_deletes);
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE EXECUTE ON FUNCTION apply_shape_mutations_as(UUID, UUID, JSONB, JSONB, UUID[]) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION apply_shape_mutations_as(UUID, UUID, JSONB, JSONB, UUID[]) TO service_role;
@@ -0,0 +1,97 @@
+-- Add atomic batch writes for multi-shape operations
+-- Run this in Supabase SQL Editor after add-groups-frames.sql
+--
+-- Arrange, duplicate, multi-select delete and AI commands send all of their
+-- inserts, updates and deletes in one request instead of one request per
+-- shape. The function runs in a single transaction: if any change fails (a
+-- missing shape, a row the caller may not touch, a constraint) nothing is
+-- applied, and the client rolls back its optimistic state.
+--
+-- It runs with the caller's rights, so the shapes RLS policies still decide
+-- what may be written. A change that RLS filters out counts as a failure.
+
+-- p_inserts: shape rows; columns that are left out keep their defaults
+-- p_updates: [{ "id": ..., "changes": { column: value, ... } }]
+-- p_deletes: shape IDs
+-- Returns { inserted: [rows], updated: [rows], deleted: [ids] }
+CREATE OR REPLACE FUNCTION apply_shape_mutations(
+    p_board_id UUID,
+    p_inserts JSONB DEFAULT '[]'::jsonb,
+    p_updates JSONB DEFAULT '[]'::jsonb,
+    p_deletes UUID[] DEFAULT '{}'
+)
+RETURNS JSONB AS $$
+DECLARE
+    shape_columns TEXT[];
+    item JSONB;
+    changes JSONB;
+    column_list TEXT;
+    row_json JSONB;
+    inserted JSONB := '[]'::jsonb;
+    updated JSONB := '[]'::jsonb;
+    deleted_ids UUID[] := '{}';
+BEGIN
+    IF NOT can_edit_board(p_board_id) THEN
+        RAISE EXCEPTION 'Not allowed to edit this board';
+    END IF;
+
+    SELECT array_agg(attname::TEXT) INTO shape_columns
+    FROM pg_attribute
+    WHERE attrelid = 'shapes'::regclass AND attnum > 0 AND NOT attisdropped;
+
+    FOR item IN SELECT * FROM jsonb_array_elements(COALESCE(p_inserts, '[]'::jsonb)) LOOP
+        -- New shapes always go to this board
+        item := item || jsonb_build_object('board_id', p_board_id);
+        IF auth.uid() IS NOT NULL THEN
+            item := item || jsonb_build_object('created_by', auth.uid());
+        END IF;
+
+        SELECT string_agg(format('%I', key), ', ') INTO column_list
+        FROM jsonb_object_keys(item) AS key
+        WHERE key = ANY(shape_columns);
+
+        EXECUTE format(
+            'INSERT INTO shapes (%s) SELECT %s FROM jsonb_populate_record(NULL::shapes, $1) RETURNING to_jsonb(shapes.*)',
+            column_list, column_list
+        ) INTO row_json USING item;
+        inserted := inserted || jsonb_build_array(row_json);
+    END LOOP;
+
+    FOR item IN SELECT * FROM jsonb_array_elements(COALESCE(p_updates, '[]'::jsonb)) LOOP
+        changes := COALESCE(item->'changes', '{}'::jsonb) - 'id' - 'board_id' - 'created_by' - 'created_at'
+            || jsonb_build_object('updated_at', NOW());
+
+        SELECT string_agg(format('%I', key), ', ') INTO column_list
+        FROM jsonb_object_keys(changes) AS key
+        WHERE key = ANY(shape_columns);
+
+        EXECUTE format(
+            'UPDATE shapes SET (%s) = (SELECT %s FROM jsonb_populate_record(NULL::shapes, $1)) '
+            'WHERE id = $2 AND board_id = $3 RETURNING to_jsonb(shapes.*)',
+            column_list, column_list
+        ) INTO row_json USING changes, (item->>'id')::UUID, p_board_id;
+
+        IF row_json IS NULL THEN
+            RAISE EXCEPTION 'Shape % could not be updated', item->>'id';
+        END IF;
+        updated := updated || jsonb_build_array(row_json);
+    END LOOP;
+
+    IF cardinality(p_deletes) > 0 THEN
+        WITH removed AS (
+            DELETE FROM shapes
+            WHERE board_id = p_board_id AND id = ANY(p_deletes)
+            RETURNING id
+        )
+        SELECT COALESCE(array_agg(id), '{}') INTO deleted_ids FROM removed;
+
+        IF cardinality(deleted_ids) <> (SELECT count(DISTINCT id) FROM unnest(p_deletes) AS id) THEN
+            RAISE EXCEPTION 'Some shapes could not be deleted';
+        END IF;
+    END IF;
+
+    RETURN jsonb_build_object('inserted', inserted, 'updated', updated, 'deleted', to_jsonb(deleted_ids));
+END;
+$$ LANGUAGE plpgsql;
+
+GRANT EXECUTE ON FUNCTION apply_shape_mutations(UUID, JSONB, JSONB, UUID[]) TO authenticated;
@@ -0,0 +1,245 @@
+-- Add per-board sharing with owner / editor / viewer roles
+-- Run this in Supabase SQL Editor after add-boards.sql
+
+-- Enable pgcrypto for invite tokens
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+-- Create board_members table (who can access which board, and how)
+CREATE TABLE IF NOT EXISTS board_members (
+    board_id UUID REFERENCES boards(id) ON DELETE CASCADE NOT NULL,
+    user_id UUID REFERENCES profiles(id) ON DELETE CASCADE NOT NULL,
+    role TEXT NOT NULL CHECK (role IN ('owner', 'editor', 'viewer')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (board_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_board_members_user_id ON board_members(user_id);
+
+DROP TRIGGER IF EXISTS update_board_members_updated_at ON board_members;
+CREATE TRIGGER update_board_members_updated_at BEFORE UPDATE ON board_members
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Create board_invites table (shareable invite links)
+CREATE TABLE IF NOT EXISTS board_invites (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    board_id UUID REFERENCES boards(id) ON DELETE CASCADE NOT NULL,
+    token TEXT UNIQUE NOT NULL DEFAULT encode(gen_random_bytes(18), 'hex'),
+    role TEXT NOT NULL CHECK (role IN ('editor', 'viewer')),
+    created_by UUID REFERENCES profiles(id) ON DELETE CASCADE NOT NULL,
+    expires_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() + INTERVAL '7 days',
+    revoked BOOLEAN DEFAULT false,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_board_invites_board_id ON board_invites(board_id);
+
+-- Every existing board creator becomes its owner
+INSERT INTO board_members (board_id, user_id, role)
+SELECT id, created_by, 'owner' FROM boards
+ON CONFLICT (board_id, user_id) DO NOTHING;
+
+-- Automatically make the creator of a new board its owner
+CREATE OR REPLACE FUNCTION add_board_owner()
+RETURNS TRIGGER AS $$
+BEGIN
+    INSERT INTO board_members (board_id, user_id, role)
+    VALUES (NEW.id, NEW.created_by, 'owner')
+    ON CONFLICT (board_id, user_id) DO UPDATE SET role = 'owner';
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS on_board_created ON boards;
+CREATE TRIGGER on_board_created
+    AFTER INSERT ON boards
+    FOR EACH ROW EXECUTE FUNCTION add_board_owner();
+
+-- Role helpers used by the RLS policies below
+-- (SECURITY DEFINER so policies on board_members don't recurse into themselves)
+CREATE OR REPLACE FUNCTION board_role(p_board_id UUID)
+RETURNS TEXT AS $$
+    SELECT role FROM board_members
+    WHERE board_id = p_board_id AND user_id = auth.uid();
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION can_view_board(p_board_id UUID)
+RETURNS BOOLEAN AS $$
+    SELECT board_role(p_board_id) IS NOT NULL;
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION can_edit_board(p_board_id UUID)
+RETURNS BOOLEAN AS $$
+    SELECT COALESCE(board_role(p_board_id) IN ('owner', 'editor'), false);
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION is_board_owner(p_board_id UUID)
+RETURNS BOOLEAN AS $$
+    SELECT COALESCE(board_role(p_board_id) = 'owner', false);
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Accept an invite link: adds the caller to the board (never downgrades an existing role)
+CREATE OR REPLACE FUNCTION accept_board_invite(p_token TEXT)
+RETURNS UUID AS $$
+DECLARE
+    invite board_invites%ROWTYPE;
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'Must be signed in to accept an invite';
+    END IF;
+
+    SELECT * INTO invite
+    FROM board_invites
+    WHERE token = p_token
+      AND revoked = false
+      AND (expires_at IS NULL OR expires_at > NOW());
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Invite link is invalid or has expired';
+    END IF;
+
+    INSERT INTO board_members (board_id, user_id, role)
+    VALUES (invite.board_id, auth.uid(), invite.role)
+    ON CONFLICT (board_id, user_id) DO UPDATE
+        SET role = CASE
+            WHEN board_members.role = 'viewer' AND EXCLUDED.role = 'editor' THEN 'editor'
+            ELSE board_members.role
+        END;
+
+    RETURN invite.board_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION board_role(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION can_view_board(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION can_edit_board(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION is_board_owner(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION accept_board_invite(TEXT) TO authenticated;
+
+-- Enable Row Level Security
+ALTER TABLE board_members ENABLE ROW LEVEL SECURITY;
+ALTER TABLE board_invites ENABLE ROW LEVEL SECURITY;
+
+-- Boards: members can see them, owners can change them
+-- The creator can always see their board: INSERT ... RETURNING checks the new
+-- row against this policy before add_board_owner has made them a member.
+DROP POLICY IF EXISTS "Users can view all boards" ON boards;
+DROP POLICY IF EXISTS "Members can view boards" ON boards;
+CREATE POLICY "Members can view boards" ON boards
+    FOR SELECT USING (created_by = auth.uid() OR can_view_board(id));
+
+DROP POLICY IF EXISTS "Users can update their own boards" ON boards;
+DROP POLICY IF EXISTS "Owners can update boards" ON boards;
+CREATE POLICY "Owners can update boards" ON boards
+    FOR UPDATE USING (is_board_owner(id));
+
+DROP POLICY IF EXISTS "Users can delete their own boards" ON boards;
+DROP POLICY IF EXISTS "Owners can delete boards" ON boards;
+CREATE POLICY "Owners can delete boards" ON boards
+    FOR DELETE USING (is_board_owner(id));
+
+-- Board members: visible to fellow members, managed by owners, anyone may leave
+DROP POLICY IF EXISTS "Members can view board members" ON board_members;
+CREATE POLICY "Members can view board members" ON board_members
+    FOR SELECT USING (can_view_board(board_id));
+
+DROP POLICY IF EXISTS "Owners can add board members" ON board_members;
+CREATE POLICY "Owners can add board members" ON board_members
+    FOR INSERT WITH CHECK (is_board_owner(board_id));
+
+DROP POLICY IF EXISTS "Owners can change member roles" ON board_members;
+CREATE POLICY "Owners can change member roles" ON board_members
+    FOR UPDATE USING (is_board_owner(board_id) AND user_id <> auth.uid());
+
+DROP POLICY IF EXISTS "Owners can remove members and members can leave" ON board_members;
+CREATE POLICY "Owners can remove members and members can leave" ON board_members
+    FOR DELETE USING (
+        (is_board_owner(board_id) AND user_id <> auth.uid()) OR
+        (user_id = auth.uid() AND role <> 'owner')
+    );
+
+-- Board invites: only owners can see, create and revoke invite links
+DROP POLICY IF EXISTS "Owners can view invites" ON board_invites;
+CREATE POLICY "Owners can view invites" ON board_invites
+    FOR SELECT USING (is_board_owner(board_id));
+
+DROP POLICY IF EXISTS "Owners can create invites" ON board_invites;
+CREATE POLICY "Owners can create invites" ON board_invites
+    FOR INSERT WITH CHECK (is_board_owner(board_id) AND auth.uid() = created_by);
+
+DROP POLICY IF EXISTS "Owners can revoke invites" ON board_invites;
+CREATE POLICY "Owners can revoke invites" ON board_invites
+    FOR UPDATE USING (is_board_owner(board_id));
+
+-- Shapes: viewers read, editors and owners write
+DROP POLICY IF EXISTS "Users can view all shapes" ON shapes;
+DROP POLICY IF EXISTS "Members can view shapes" ON shapes;
+CREATE POLICY "Members can view shapes" ON shapes
+    FOR SELECT USING (can_view_board(board_id));
+
+DROP POLICY IF EXISTS "Users can insert shapes" ON shapes;
+DROP POLICY IF EXISTS "Editors can insert shapes" ON shapes;
+CREATE POLICY "Editors can insert shapes" ON shapes
+    FOR INSERT WITH CHECK (can_edit_board(board_id) AND auth.uid() = created_by);
+
+DROP POLICY IF EXISTS "Users can update shapes" ON shapes;
+DROP POLICY IF EXISTS "Editors can update shapes" ON shapes;
+CREATE POLICY "Editors can update shapes" ON shapes
+    FOR UPDATE USING (
+        can_edit_board(board_id) AND (
+            auth.uid() = created_by OR
+            auth.uid() = owner_id OR
+            owner_id IS NULL
+        )
+    )
+    WITH CHECK (can_edit_board(board_id));
+
+-- A policy can't compare the new row with the old one, so a trigger keeps the
+-- creator and the board of a shape as they were: otherwise an editor could
+-- make themselves the creator of someone else's shape and then delete it.
+CREATE OR REPLACE FUNCTION pin_shape_ownership()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.created_by := OLD.created_by;
+    NEW.board_id := OLD.board_id;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS pin_shape_ownership ON shapes;
+CREATE TRIGGER pin_shape_ownership BEFORE UPDATE ON shapes
+    FOR EACH ROW EXECUTE FUNCTION pin_shape_ownership();
+
+DROP POLICY IF EXISTS "Users can delete their own shapes" ON shapes;
+DROP POLICY IF EXISTS "Editors can delete shapes" ON shapes;
+CREATE POLICY "Editors can delete shapes" ON shapes
+    FOR DELETE USING (
+        is_board_owner(board_id) OR
+        (can_edit_board(board_id) AND auth.uid() = created_by)
+    );
+
+-- Presence: only visible to people on the same board
+DROP POLICY IF EXISTS "Users can view all presence" ON presence;
+DROP POLICY IF EXISTS "Members can view board presence" ON presence;
+CREATE POLICY "Members can view board presence" ON presence
+    FOR SELECT USING (board_id IS NULL OR can_view_board(board_id) OR auth.uid() = user_id);
+
+GRANT ALL ON board_members TO authenticated;
+GRANT ALL ON board_invites TO authenticated;
+
+-- Enable Realtime for membership changes (role updates apply live)
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_publication_tables
+        WHERE pubname = 'supabase_realtime' AND tablename = 'board_members'
+    ) THEN
+        ALTER PUBLICATION supabase_realtime ADD TABLE board_members;
+    END IF;
+END $$;
+
+-- Verify the changes
+SELECT tablename, policyname, cmd
+FROM pg_policies
+WHERE tablename IN ('boards', 'board_members', 'board_invites', 'shapes', 'presence')
+ORDER BY tablename, policyname;
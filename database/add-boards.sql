@@ -0,0 +1,92 @@
+-- Add multi-board support
+-- Run this in Supabase SQL Editor after complete-migration.sql
+
+-- Create boards table (named canvases)
+CREATE TABLE IF NOT EXISTS boards (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    name TEXT NOT NULL CHECK (char_length(name) BETWEEN 1 AND 100),
+    created_by UUID REFERENCES profiles(id) ON DELETE CASCADE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_boards_created_by ON boards(created_by);
+CREATE INDEX IF NOT EXISTS idx_boards_updated_at ON boards(updated_at);
+
+DROP TRIGGER IF EXISTS update_boards_updated_at ON boards;
+CREATE TRIGGER update_boards_updated_at BEFORE UPDATE ON boards
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Scope shapes to a board
+ALTER TABLE shapes
+ADD COLUMN IF NOT EXISTS board_id UUID REFERENCES boards(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_shapes_board_id ON shapes(board_id);
+
+-- Move shapes from the old global canvas into a "Main Board"
+DO $$
+DECLARE
+    legacy_owner UUID;
+    legacy_board UUID;
+BEGIN
+    IF EXISTS (SELECT 1 FROM shapes WHERE board_id IS NULL) THEN
+        SELECT created_by INTO legacy_owner
+        FROM shapes
+        WHERE board_id IS NULL
+        ORDER BY created_at ASC
+        LIMIT 1;
+
+        INSERT INTO boards (name, created_by)
+        VALUES ('Main Board', legacy_owner)
+        RETURNING id INTO legacy_board;
+
+        UPDATE shapes SET board_id = legacy_board WHERE board_id IS NULL;
+    END IF;
+END $$;
+
+ALTER TABLE shapes ALTER COLUMN board_id SET NOT NULL;
+
+-- Track which board each user is currently viewing
+ALTER TABLE presence
+ADD COLUMN IF NOT EXISTS board_id UUID REFERENCES boards(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_presence_board_id ON presence(board_id);
+
+-- Enable Row Level Security
+ALTER TABLE boards ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view all boards" ON boards;
+CREATE POLICY "Users can view all boards" ON boards
+    FOR SELECT USING (true);
+
+DROP POLICY IF EXISTS "Users can create boards" ON boards;
+CREATE POLICY "Users can create boards" ON boards
+    FOR INSERT WITH CHECK (auth.uid() = created_by);
+
+DROP POLICY IF EXISTS "Users can update their own boards" ON boards;
+CREATE POLICY "Users can update their own boards" ON boards
+    FOR UPDATE USING (auth.uid() = created_by);
+
+DROP POLICY IF EXISTS "Users can delete their own boards" ON boards;
+CREATE POLICY "Users can delete their own boards" ON boards
+    FOR DELETE USING (auth.uid() = created_by);
+
+GRANT ALL ON boards TO authenticated;
+
+-- Enable Realtime for boards (only add if not already present)
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_publication_tables
+        WHERE pubname = 'supabase_realtime' AND tablename = 'boards'
+    ) THEN
+        ALTER PUBLICATION supabase_realtime ADD TABLE boards;
+    END IF;
+END $$;
+
+-- Verify the changes
+SELECT column_name, data_type, is_nullable
+FROM information_schema.columns
+WHERE table_name IN ('boards', 'shapes', 'presence')
+  AND column_name IN ('id', 'name', 'board_id')
+ORDER BY table_name, column_name;
@@ -0,0 +1,165 @@
+-- Add lines, arrows and connectors
+-- Run this in Supabase SQL Editor after add-shape-history.sql
+--
+-- A line runs from (x, y) to (end_x, end_y). Either end can be bound to an
+-- anchor ('top', 'right', 'bottom', 'left', 'center') on another shape; the
+-- client resolves bound ends from the target shape, and the stored
+-- coordinates are the fallback if that shape is deleted.
+-- There is deliberately no foreign key on the bindings: restoring an old
+-- version may bring a line back before (or without) the shape it pointed at.
+
+-- Allow the new shape types
+ALTER TABLE shapes DROP CONSTRAINT IF EXISTS shapes_type_check;
+ALTER TABLE shapes ADD CONSTRAINT shapes_type_check
+    CHECK (type IN ('rectangle', 'circle', 'text', 'line', 'arrow'));
+
+-- Line geometry, style and bindings
+ALTER TABLE shapes
+ADD COLUMN IF NOT EXISTS end_x NUMERIC,
+ADD COLUMN IF NOT EXISTS end_y NUMERIC,
+ADD COLUMN IF NOT EXISTS routing TEXT DEFAULT 'straight'
+    CHECK (routing IN ('straight', 'elbow', 'curved')),
+ADD COLUMN IF NOT EXISTS stroke_width NUMERIC DEFAULT 2
+    CHECK (stroke_width > 0 AND stroke_width <= 50),
+ADD COLUMN IF NOT EXISTS dash TEXT DEFAULT 'solid'
+    CHECK (dash IN ('solid', 'dashed', 'dotted')),
+ADD COLUMN IF NOT EXISTS start_arrowhead TEXT DEFAULT 'none'
+    CHECK (start_arrowhead IN ('none', 'arrow', 'triangle', 'circle')),
+ADD COLUMN IF NOT EXISTS end_arrowhead TEXT DEFAULT 'none'
+    CHECK (end_arrowhead IN ('none', 'arrow', 'triangle', 'circle')),
+ADD COLUMN IF NOT EXISTS start_shape_id UUID,
+ADD COLUMN IF NOT EXISTS start_anchor TEXT
+    CHECK (start_anchor IN ('top', 'right', 'bottom', 'left', 'center')),
+ADD COLUMN IF NOT EXISTS end_shape_id UUID,
+ADD COLUMN IF NOT EXISTS end_anchor TEXT
+    CHECK (end_anchor IN ('top', 'right', 'bottom', 'left', 'center'));
+
+CREATE INDEX IF NOT EXISTS idx_shapes_start_shape ON shapes(start_shape_id) WHERE start_shape_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_shapes_end_shape ON shapes(end_shape_id) WHERE end_shape_id IS NOT NULL;
+
+-- Single list of fields that carry their own clock and are restored by
+-- restore_board_version. Keep in sync with SYNCED_SHAPE_FIELDS in
+-- src/lib/constants.js; later migrations only need to replace this function.
+CREATE OR REPLACE FUNCTION synced_shape_fields()
+RETURNS TEXT[] AS $$
+    SELECT ARRAY[
+        'x', 'y', 'width', 'height', 'rotation', 'color', 'z_index', 'text_content', 'font_size',
+        'end_x', 'end_y', 'routing', 'stroke_width', 'dash', 'start_arrowhead', 'end_arrowhead',
+        'start_shape_id', 'start_anchor', 'end_shape_id', 'end_anchor'
+    ];
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Merge an incoming shape UPDATE field by field (see add-field-clocks.sql)
+CREATE OR REPLACE FUNCTION merge_shape_field_clocks()
+RETURNS TRIGGER AS $$
+DECLARE
+    field TEXT;
+    old_row JSONB := to_jsonb(OLD);
+    new_row JSONB := to_jsonb(NEW);
+    old_clocks JSONB := COALESCE(OLD.field_clocks, '{}'::jsonb);
+    new_clocks JSONB := COALESCE(NEW.field_clocks, '{}'::jsonb);
+    merged_clocks JSONB := COALESCE(OLD.field_clocks, '{}'::jsonb);
+    -- Writers that don't send clocks leave field_clocks untouched
+    clockless_write BOOLEAN := NEW.field_clocks IS NOT DISTINCT FROM OLD.field_clocks;
+    old_clock TEXT;
+    new_clock TEXT;
+BEGIN
+    FOREACH field IN ARRAY synced_shape_fields() LOOP
+        old_clock := COALESCE(old_clocks->>field, '');
+        new_clock := COALESCE(new_clocks->>field, '');
+
+        IF (new_row->field) IS NOT DISTINCT FROM (old_row->field) THEN
+            -- Same value: just keep the newer clock
+            IF (new_clock COLLATE "C") > (old_clock COLLATE "C") THEN
+                merged_clocks := jsonb_set(merged_clocks, ARRAY[field], to_jsonb(new_clock));
+            END IF;
+        ELSIF clockless_write THEN
+            -- Plain write: accept it and stamp the field with a server clock
+            merged_clocks := jsonb_set(merged_clocks, ARRAY[field], to_jsonb(next_field_clock(old_clock)));
+        ELSIF (new_clock COLLATE "C") > (old_clock COLLATE "C") THEN
+            -- Newer write for this field wins
+            merged_clocks := jsonb_set(merged_clocks, ARRAY[field], to_jsonb(new_clock));
+        ELSE
+            -- Stale write for this field: keep the stored value
+            new_row := jsonb_set(new_row, ARRAY[field], old_row->field);
+        END IF;
+    END LOOP;
+
+    new_row := jsonb_set(new_row, '{field_clocks}', merged_clocks);
+    NEW := jsonb_populate_record(NEW, new_row);
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Restore a board (or only some shapes) to how it looked at p_at
+-- (see add-shape-history.sql). Existing shapes get every synced field back.
+CREATE OR REPLACE FUNCTION restore_board_version(
+    p_board_id UUID,
+    p_at TIMESTAMP WITH TIME ZONE,
+    p_shape_ids UUID[] DEFAULT NULL
+)
+RETURNS INTEGER AS $$
+DECLARE
+    restored_count INTEGER := 0;
+    affected INTEGER;
+    target_columns TEXT;
+    source_columns TEXT;
+BEGIN
+    IF NOT can_edit_board(p_board_id) THEN
+        RAISE EXCEPTION 'Not allowed to edit this board';
+    END IF;
+
+    DROP TABLE IF EXISTS past_shapes;
+    CREATE TEMP TABLE past_shapes ON COMMIT DROP AS
+    SELECT (jsonb_populate_record(NULL::shapes, state)).*
+    FROM get_board_state_at(p_board_id, p_at) AS state
+    WHERE p_shape_ids IS NULL OR (state->>'id')::UUID = ANY(p_shape_ids);
+
+    -- Past ownership locks are meaningless now
+    UPDATE past_shapes SET owner_id = NULL, ownership_timestamp = NULL;
+
+    -- Remove shapes that didn't exist at that point
+    DELETE FROM shapes s
+    WHERE s.board_id = p_board_id
+      AND (p_shape_ids IS NULL OR s.id = ANY(p_shape_ids))
+      AND NOT EXISTS (SELECT 1 FROM past_shapes p WHERE p.id = s.id);
+    GET DIAGNOSTICS affected = ROW_COUNT;
+    restored_count := restored_count + affected;
+
+    -- Roll back shapes that still exist
+    SELECT string_agg(quote_ident(field), ', '), string_agg('p.' || quote_ident(field), ', ')
+    INTO target_columns, source_columns
+    FROM unnest(synced_shape_fields()) AS field;
+
+    EXECUTE format(
+        'UPDATE shapes s
+         SET (%s, owner_id, ownership_timestamp) = (SELECT %s, NULL::UUID, NULL::TIMESTAMPTZ FROM past_shapes p WHERE p.id = s.id)
+         WHERE EXISTS (
+             SELECT 1 FROM past_shapes p
+             WHERE p.id = s.id
+               AND shape_content(to_jsonb(s)) IS DISTINCT FROM shape_content(to_jsonb(p))
+         )',
+        target_columns,
+        source_columns
+    );
+    GET DIAGNOSTICS affected = ROW_COUNT;
+    restored_count := restored_count + affected;
+
+    -- Bring back shapes that have been deleted since
+    INSERT INTO shapes
+    SELECT p.*
+    FROM past_shapes p
+    WHERE NOT EXISTS (SELECT 1 FROM shapes s WHERE s.id = p.id);
+    GET DIAGNOSTICS affected = ROW_COUNT;
+    restored_count := restored_count + affected;
+
+    RETURN restored_count;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Verify the changes
+SELECT column_name, data_type, column_default
+FROM information_schema.columns
+WHERE table_name = 'shapes'
+  AND column_name IN ('end_x', 'end_y', 'routing', 'stroke_width', 'dash', 'start_arrowhead',
+                      'end_arrowhead', 'start_shape_id', 'start_anchor', 'end_shape_id', 'end_anchor');
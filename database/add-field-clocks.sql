@@ -0,0 +1,86 @@
+-- Add property-level conflict resolution for shapes
+-- Run this in Supabase SQL Editor after add-board-roles.sql
+--
+-- Every synced shape field gets its own hybrid logical clock (HLC) in
+-- shapes.field_clocks, e.g. {"x": "001718000000000:00000:ab12cd34", ...}.
+-- Timestamps are zero-padded so they compare as plain strings (see src/utils/hlc.js).
+-- On UPDATE a field only changes if the incoming clock is newer than the stored one,
+-- so two users editing different properties of the same shape never clobber each other.
+
+-- Add the per-field clock column
+ALTER TABLE shapes
+ADD COLUMN IF NOT EXISTS field_clocks JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+-- Generate a server-side clock that sorts after p_previous
+-- (used for writes that don't send clocks, e.g. plain column updates)
+CREATE OR REPLACE FUNCTION next_field_clock(p_previous TEXT)
+RETURNS TEXT AS $$
+DECLARE
+    now_ms BIGINT := (EXTRACT(EPOCH FROM clock_timestamp()) * 1000)::BIGINT;
+    previous_wall BIGINT := 0;
+    previous_counter INTEGER := 0;
+BEGIN
+    IF p_previous IS NOT NULL AND p_previous <> '' THEN
+        previous_wall := split_part(p_previous, ':', 1)::BIGINT;
+        previous_counter := split_part(p_previous, ':', 2)::INTEGER;
+    END IF;
+
+    IF now_ms > previous_wall THEN
+        RETURN lpad(now_ms::TEXT, 15, '0') || ':00000:server';
+    END IF;
+
+    RETURN lpad(previous_wall::TEXT, 15, '0') || ':' || lpad((previous_counter + 1)::TEXT, 5, '0') || ':server';
+END;
+$$ LANGUAGE plpgsql;
+
+-- Merge an incoming shape UPDATE field by field
+CREATE OR REPLACE FUNCTION merge_shape_field_clocks()
+RETURNS TRIGGER AS $$
+DECLARE
+    synced_fields TEXT[] := ARRAY['x', 'y', 'width', 'height', 'rotation', 'color', 'z_index', 'text_content', 'font_size'];
+    field TEXT;
+    old_row JSONB := to_jsonb(OLD);
+    new_row JSONB := to_jsonb(NEW);
+    old_clocks JSONB := COALESCE(OLD.field_clocks, '{}'::jsonb);
+    new_clocks JSONB := COALESCE(NEW.field_clocks, '{}'::jsonb);
+    merged_clocks JSONB := COALESCE(OLD.field_clocks, '{}'::jsonb);
+    -- Writers that don't send clocks leave field_clocks untouched
+    clockless_write BOOLEAN := NEW.field_clocks IS NOT DISTINCT FROM OLD.field_clocks;
+    old_clock TEXT;
+    new_clock TEXT;
+BEGIN
+    FOREACH field IN ARRAY synced_fields LOOP
+        old_clock := COALESCE(old_clocks->>field, '');
+        new_clock := COALESCE(new_clocks->>field, '');
+
+        IF (new_row->field) IS NOT DISTINCT FROM (old_row->field) THEN
+            -- Same value: just keep the newer clock
+            IF (new_clock COLLATE "C") > (old_clock COLLATE "C") THEN
+                merged_clocks := jsonb_set(merged_clocks, ARRAY[field], to_jsonb(new_clock));
+            END IF;
+        ELSIF clockless_write THEN
+            -- Plain write: accept it and stamp the field with a server clock
+            merged_clocks := jsonb_set(merged_clocks, ARRAY[field], to_jsonb(next_field_clock(old_clock)));
+        ELSIF (new_clock COLLATE "C") > (old_clock COLLATE "C") THEN
+            -- Newer write for this field wins
+            merged_clocks := jsonb_set(merged_clocks, ARRAY[field], to_jsonb(new_clock));
+        ELSE
+            -- Stale write for this field: keep the stored value
+            new_row := jsonb_set(new_row, ARRAY[field], old_row->field);
+        END IF;
+    END LOOP;
+
+    new_row := jsonb_set(new_row, '{field_clocks}', merged_clocks);
+    NEW := jsonb_populate_record(NEW, new_row);
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS merge_shape_field_clocks ON shapes;
+CREATE TRIGGER merge_shape_field_clocks BEFORE UPDATE ON shapes
+    FOR EACH ROW EXECUTE FUNCTION merge_shape_field_clocks();
+
+-- Verify the changes
+SELECT column_name, data_type, column_default
+FROM information_schema.columns
+WHERE table_name = 'shapes' AND column_name = 'field_clocks';
@@ -0,0 +1,35 @@
+-- Add freehand pen paths
+-- Run this in Supabase SQL Editor after add-connectors.sql
+--
+-- A path is a simplified pen stroke. x/y is the top-left of the stroke's box
+-- and path_points holds the points relative to it as "x y x y ..." text, so
+-- the field merges per-property like any other scalar column. The stroke
+-- width reuses the stroke_width column added for lines.
+
+-- Allow the new shape type
+ALTER TABLE shapes DROP CONSTRAINT IF EXISTS shapes_type_check;
+ALTER TABLE shapes ADD CONSTRAINT shapes_type_check
+    CHECK (type IN ('rectangle', 'circle', 'text', 'line', 'arrow', 'path'));
+
+-- Stroke points (5000 points at most, see PEN_CONFIG.MAX_POINTS)
+ALTER TABLE shapes
+ADD COLUMN IF NOT EXISTS path_points TEXT
+    CHECK (path_points IS NULL OR length(path_points) <= 200000);
+
+-- path_points carries its own clock and is restored with the other fields
+-- (merge_shape_field_clocks and restore_board_version read this list)
+CREATE OR REPLACE FUNCTION synced_shape_fields()
+RETURNS TEXT[] AS $$
+    SELECT ARRAY[
+        'x', 'y', 'width', 'height', 'rotation', 'color', 'z_index', 'text_content', 'font_size',
+        'end_x', 'end_y', 'routing', 'stroke_width', 'dash', 'start_arrowhead', 'end_arrowhead',
+        'start_shape_id', 'start_anchor', 'end_shape_id', 'end_anchor',
+        'path_points'
+    ];
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Verify the changes
+SELECT column_name, data_type
+FROM information_schema.columns
+WHERE table_name = 'shapes'
+  AND column_name = 'path_points';
@@ -0,0 +1,43 @@
+-- Add groups, frames and sticky notes
+-- Run this in Supabase SQL Editor after add-freehand-paths.sql
+--
+-- Groups and frames are rows in the shapes table like everything else.
+-- Membership is stored on the child: parent_id points at the group or frame
+-- the shape belongs to. A group is an invisible container whose members move,
+-- resize and rotate together; a frame is a named, visible container (name in
+-- text_content) that clips its children. Sticky notes are colored cards that
+-- reuse text_content and font_size.
+--
+-- parent_id has no foreign key on purpose: undo, restore and offline replay
+-- may write a child before its container exists again, and the client treats
+-- a dangling parent_id as "no parent".
+
+-- Allow the new shape types
+ALTER TABLE shapes DROP CONSTRAINT IF EXISTS shapes_type_check;
+ALTER TABLE shapes ADD CONSTRAINT shapes_type_check
+    CHECK (type IN ('rectangle', 'circle', 'text', 'line', 'arrow', 'path', 'group', 'frame', 'sticky'));
+
+-- Container of a shape (group or frame), null for top-level shapes
+ALTER TABLE shapes
+ADD COLUMN IF NOT EXISTS parent_id UUID;
+
+CREATE INDEX IF NOT EXISTS idx_shapes_parent_id ON shapes(parent_id);
+
+-- parent_id carries its own clock and is restored with the other fields
+-- (merge_shape_field_clocks and restore_board_version read this list)
+CREATE OR REPLACE FUNCTION synced_shape_fields()
+RETURNS TEXT[] AS $$
+    SELECT ARRAY[
+        'x', 'y', 'width', 'height', 'rotation', 'color', 'z_index', 'text_content', 'font_size',
+        'end_x', 'end_y', 'routing', 'stroke_width', 'dash', 'start_arrowhead', 'end_arrowhead',
+        'start_shape_id', 'start_anchor', 'end_shape_id', 'end_anchor',
+        'path_points',
+        'parent_id'
+    ];
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Verify the changes
+SELECT column_name, data_type
+FROM information_schema.columns
+WHERE table_name = 'shapes'
+  AND column_name = 'parent_id';
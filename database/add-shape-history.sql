@@ -0,0 +1,159 @@
+-- Add version history and point-in-time restore for boards
+-- Run this in Supabase SQL Editor after add-field-clocks.sql
+--
+-- shapes rows are mutated in place, so every change is also appended to
+-- shape_events (never updated or deleted). The state of a board at any point
+-- in time is the latest event per shape up to that moment.
+
+-- Create the append-only change log
+CREATE TABLE IF NOT EXISTS shape_events (
+    id BIGSERIAL PRIMARY KEY,
+    board_id UUID REFERENCES boards(id) ON DELETE CASCADE NOT NULL,
+    shape_id UUID NOT NULL,
+    operation TEXT NOT NULL CHECK (operation IN ('INSERT', 'UPDATE', 'DELETE')),
+    shape JSONB NOT NULL, -- Row after the change (the removed row for DELETE)
+    author_id UUID REFERENCES profiles(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_shape_events_board_time ON shape_events(board_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_shape_events_shape ON shape_events(shape_id, id);
+
+-- Columns that don't count as a content change (ownership locks, sync bookkeeping)
+CREATE OR REPLACE FUNCTION shape_content(p_shape JSONB)
+RETURNS JSONB AS $$
+    SELECT p_shape - 'owner_id' - 'ownership_timestamp' - 'updated_at' - 'field_clocks';
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Append an event for every shape change
+CREATE OR REPLACE FUNCTION log_shape_event()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        INSERT INTO shape_events (board_id, shape_id, operation, shape, author_id)
+        VALUES (OLD.board_id, OLD.id, 'DELETE', to_jsonb(OLD), COALESCE(auth.uid(), OLD.created_by));
+        RETURN OLD;
+    END IF;
+
+    -- Skip updates that only take or release ownership
+    IF TG_OP = 'UPDATE' AND shape_content(to_jsonb(NEW)) = shape_content(to_jsonb(OLD)) THEN
+        RETURN NEW;
+    END IF;
+
+    INSERT INTO shape_events (board_id, shape_id, operation, shape, author_id)
+    VALUES (NEW.board_id, NEW.id, TG_OP, to_jsonb(NEW), COALESCE(auth.uid(), NEW.created_by));
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS log_shape_event ON shapes;
+CREATE TRIGGER log_shape_event
+    AFTER INSERT OR UPDATE OR DELETE ON shapes
+    FOR EACH ROW EXECUTE FUNCTION log_shape_event();
+
+-- Seed the log with the current state so existing boards have a starting point
+INSERT INTO shape_events (board_id, shape_id, operation, shape, author_id, created_at)
+SELECT s.board_id, s.id, 'INSERT', to_jsonb(s), s.created_by, COALESCE(s.updated_at, s.created_at, NOW())
+FROM shapes s
+WHERE NOT EXISTS (SELECT 1 FROM shape_events e WHERE e.shape_id = s.id);
+
+-- State of a board at a point in time: latest non-deleted version of each shape
+CREATE OR REPLACE FUNCTION get_board_state_at(p_board_id UUID, p_at TIMESTAMP WITH TIME ZONE)
+RETURNS SETOF JSONB AS $$
+BEGIN
+    IF NOT can_view_board(p_board_id) THEN
+        RAISE EXCEPTION 'Not allowed to view this board';
+    END IF;
+
+    RETURN QUERY
+    SELECT latest.shape
+    FROM (
+        SELECT DISTINCT ON (shape_id) shape_id, operation, shape
+        FROM shape_events
+        WHERE board_id = p_board_id AND created_at <= p_at
+        ORDER BY shape_id, id DESC
+    ) latest
+    WHERE latest.operation <> 'DELETE';
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+-- Restore a board (or only some shapes) to how it looked at p_at.
+-- Shapes that didn't exist yet are deleted, deleted shapes come back and
+-- everything else gets its past position, size, color and text.
+-- Returns the number of shapes that changed.
+CREATE OR REPLACE FUNCTION restore_board_version(
+    p_board_id UUID,
+    p_at TIMESTAMP WITH TIME ZONE,
+    p_shape_ids UUID[] DEFAULT NULL
+)
+RETURNS INTEGER AS $$
+DECLARE
+    restored_count INTEGER := 0;
+    affected INTEGER;
+BEGIN
+    IF NOT can_edit_board(p_board_id) THEN
+        RAISE EXCEPTION 'Not allowed to edit this board';
+    END IF;
+
+    DROP TABLE IF EXISTS past_shapes;
+    CREATE TEMP TABLE past_shapes ON COMMIT DROP AS
+    SELECT (jsonb_populate_record(NULL::shapes, state)).*
+    FROM get_board_state_at(p_board_id, p_at) AS state
+    WHERE p_shape_ids IS NULL OR (state->>'id')::UUID = ANY(p_shape_ids);
+
+    -- Past ownership locks are meaningless now
+    UPDATE past_shapes SET owner_id = NULL, ownership_timestamp = NULL;
+
+    -- Remove shapes that didn't exist at that point
+    DELETE FROM shapes s
+    WHERE s.board_id = p_board_id
+      AND (p_shape_ids IS NULL OR s.id = ANY(p_shape_ids))
+      AND NOT EXISTS (SELECT 1 FROM past_shapes p WHERE p.id = s.id);
+    GET DIAGNOSTICS affected = ROW_COUNT;
+    restored_count := restored_count + affected;
+
+    -- Roll back shapes that still exist
+    UPDATE shapes s
+    SET x = p.x,
+        y = p.y,
+        width = p.width,
+        height = p.height,
+        rotation = p.rotation,
+        color = p.color,
+        z_index = p.z_index,
+        text_content = p.text_content,
+        font_size = p.font_size,
+        owner_id = NULL,
+        ownership_timestamp = NULL
+    FROM past_shapes p
+    WHERE s.id = p.id
+      AND shape_content(to_jsonb(s)) IS DISTINCT FROM shape_content(to_jsonb(p));
+    GET DIAGNOSTICS affected = ROW_COUNT;
+    restored_count := restored_count + affected;
+
+    -- Bring back shapes that have been deleted since
+    INSERT INTO shapes
+    SELECT p.*
+    FROM past_shapes p
+    WHERE NOT EXISTS (SELECT 1 FROM shapes s WHERE s.id = p.id);
+    GET DIAGNOSTICS affected = ROW_COUNT;
+    restored_count := restored_count + affected;
+
+    RETURN restored_count;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION get_board_state_at(UUID, TIMESTAMP WITH TIME ZONE) TO authenticated;
+GRANT EXECUTE ON FUNCTION restore_board_version(UUID, TIMESTAMP WITH TIME ZONE, UUID[]) TO authenticated;
+
+-- Enable Row Level Security: members can read the log, nobody writes it directly
+ALTER TABLE shape_events ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Members can view shape events" ON shape_events;
+CREATE POLICY "Members can view shape events" ON shape_events
+    FOR SELECT USING (can_view_board(board_id));
+
+GRANT SELECT ON shape_events TO authenticated;
+
+-- Verify the changes
+SELECT COUNT(*) AS seeded_events FROM shape_events;
@@ -0,0 +1,174 @@
+-- Add server-authoritative shape locks with leases
+-- Run this in Supabase SQL Editor after add-batch-mutations.sql
+--
+-- Locks (owner_id) used to be taken with a conditional update from the
+-- browser, stamped with the browser's clock and released by a browser timer.
+-- A closed tab or a skewed clock could leave a shape locked, and two clients
+-- could both believe they had it. Now:
+-- - acquire_shape_lock takes the locks for a set of shapes, all or nothing,
+--   and grants a lease that runs out at a time set by the database clock.
+-- - renew_shape_lock extends the lease while the holder is still editing.
+-- - release_shape_lock gives the locks back.
+-- A lock whose lease has run out counts as free, whether or not the cleanup
+-- below has cleared it yet. Only these functions can take or extend a lock;
+-- a direct update of the lock columns is ignored (clearing them still works,
+-- so history restores and cleanup keep working).
+
+ALTER TABLE shapes ADD COLUMN IF NOT EXISTS lock_expires_at TIMESTAMP WITH TIME ZONE;
+
+-- Renewing a lease isn't a content change either (keeps it out of shape history)
+CREATE OR REPLACE FUNCTION shape_content(p_shape JSONB)
+RETURNS JSONB AS $$
+    SELECT p_shape - 'owner_id' - 'ownership_timestamp' - 'lock_expires_at' - 'updated_at' - 'field_clocks';
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Keep the lock columns as they were unless a lock function is writing them
+CREATE OR REPLACE FUNCTION guard_shape_lock()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF current_setting('app.shape_lock', true) IS DISTINCT FROM 'on' AND NEW.owner_id IS NOT NULL THEN
+        NEW.owner_id := OLD.owner_id;
+        NEW.ownership_timestamp := OLD.ownership_timestamp;
+        NEW.lock_expires_at := OLD.lock_expires_at;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS guard_shape_lock ON shapes;
+CREATE TRIGGER guard_shape_lock
+    BEFORE UPDATE ON shapes
+    FOR EACH ROW
+    EXECUTE FUNCTION guard_shape_lock();
+
+-- Take the locks on all of the given shapes, or on none of them
+-- A shape can be taken when it is unlocked, already held by the caller, or
+-- its lease has run out. Returns one row per shape: who holds it now and
+-- whether the caller got the whole set.
+CREATE OR REPLACE FUNCTION acquire_shape_lock(
+    p_shape_ids UUID[],
+    p_lease_seconds INTEGER DEFAULT 15
+)
+RETURNS TABLE (
+    shape_id UUID,
+    holder_id UUID,
+    owned_at TIMESTAMP WITH TIME ZONE,
+    expires_at TIMESTAMP WITH TIME ZONE,
+    acquired BOOLEAN
+) AS $$
+DECLARE
+    me UUID := auth.uid();
+    lease INTERVAL := make_interval(secs => LEAST(GREATEST(p_lease_seconds, 1), 60));
+    found_count INTEGER;
+    blocked_count INTEGER;
+BEGIN
+    IF me IS NULL THEN
+        RAISE EXCEPTION 'Not signed in';
+    END IF;
+
+    -- Row locks in a fixed order, so two overlapping requests can't deadlock:
+    -- the second one waits and then sees the first one's result
+    PERFORM 1 FROM shapes s WHERE s.id = ANY(p_shape_ids) ORDER BY s.id FOR UPDATE;
+
+    SELECT
+        count(*),
+        count(*) FILTER (WHERE
+            NOT can_edit_board(s.board_id)
+            OR (s.owner_id IS NOT NULL AND s.owner_id <> me AND s.lock_expires_at > NOW())
+        )
+    INTO found_count, blocked_count
+    FROM shapes s
+    WHERE s.id = ANY(p_shape_ids);
+
+    acquired := found_count > 0
+        AND found_count = (SELECT count(DISTINCT id) FROM unnest(p_shape_ids) AS id)
+        AND blocked_count = 0;
+
+    IF acquired THEN
+        PERFORM set_config('app.shape_lock', 'on', true);
+        UPDATE shapes s
+        SET owner_id = me, ownership_timestamp = NOW(), lock_expires_at = NOW() + lease
+        WHERE s.id = ANY(p_shape_ids);
+        PERFORM set_config('app.shape_lock', 'off', true);
+    END IF;
+
+    RETURN QUERY
+    SELECT s.id, s.owner_id, s.ownership_timestamp, s.lock_expires_at, acquired
+    FROM shapes s
+    WHERE s.id = ANY(p_shape_ids);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Extend the caller's leases; returns the shapes that are still held
+-- A shape whose lease ran out is renewed too, as long as nobody took it.
+CREATE OR REPLACE FUNCTION renew_shape_lock(
+    p_shape_ids UUID[],
+    p_lease_seconds INTEGER DEFAULT 15
+)
+RETURNS TABLE (shape_id UUID, expires_at TIMESTAMP WITH TIME ZONE) AS $$
+DECLARE
+    lease INTERVAL := make_interval(secs => LEAST(GREATEST(p_lease_seconds, 1), 60));
+BEGIN
+    PERFORM set_config('app.shape_lock', 'on', true);
+    RETURN QUERY
+    UPDATE shapes s
+    SET lock_expires_at = NOW() + lease
+    WHERE s.id = ANY(p_shape_ids) AND s.owner_id = auth.uid()
+    RETURNING s.id, s.lock_expires_at;
+    PERFORM set_config('app.shape_lock', 'off', true);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Give back the caller's locks; returns the shapes that were released
+CREATE OR REPLACE FUNCTION release_shape_lock(p_shape_ids UUID[])
+RETURNS TABLE (shape_id UUID) AS $$
+BEGIN
+    RETURN QUERY
+    UPDATE shapes s
+    SET owner_id = NULL, ownership_timestamp = NULL, lock_expires_at = NULL
+    WHERE s.id = ANY(p_shape_ids) AND s.owner_id = auth.uid()
+    RETURNING s.id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION acquire_shape_lock(UUID[], INTEGER) TO authenticated;
+GRANT EXECUTE ON FUNCTION renew_shape_lock(UUID[], INTEGER) TO authenticated;
+GRANT EXECUTE ON FUNCTION release_shape_lock(UUID[]) TO authenticated;
+
+-- Cleanup now clears locks whose lease ran out, so other clients see them as
+-- free (locks from before this migration have no lease and use the old 15s rule)
+CREATE OR REPLACE FUNCTION cleanup_expired_ownership()
+RETURNS void AS $$
+BEGIN
+    UPDATE shapes
+    SET owner_id = NULL, ownership_timestamp = NULL, lock_expires_at = NULL
+    WHERE owner_id IS NOT NULL
+      AND (lock_expires_at <= NOW()
+           OR (lock_expires_at IS NULL AND ownership_timestamp < NOW() - INTERVAL '15 seconds'));
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION manual_cleanup_ownership()
+RETURNS TABLE (
+    cleaned_count INTEGER,
+    remaining_owned INTEGER
+) AS $$
+DECLARE
+    cleaned INTEGER;
+    remaining INTEGER;
+BEGIN
+    UPDATE shapes
+    SET owner_id = NULL, ownership_timestamp = NULL, lock_expires_at = NULL
+    WHERE owner_id IS NOT NULL
+      AND (lock_expires_at <= NOW()
+           OR (lock_expires_at IS NULL AND ownership_timestamp < NOW() - INTERVAL '15 seconds'));
+
+    GET DIAGNOSTICS cleaned = ROW_COUNT;
+
+    SELECT COUNT(*) INTO remaining
+    FROM shapes
+    WHERE owner_id IS NOT NULL;
+
+    RETURN QUERY SELECT cleaned, remaining;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
@@ -0,0 +1,57 @@
+-- Add custom shape templates (saved selections that can be inserted again)
+-- Run this in Supabase SQL Editor after add-board-roles.sql
+--
+-- A template holds its shapes in the canvas document format with positions
+-- relative to its top-left corner (see src/utils/templates.js). Templates are
+-- shared with the creator's team: everyone who is a member of a board the
+-- creator is also a member of can see and insert them.
+
+CREATE TABLE IF NOT EXISTS shape_templates (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    name TEXT NOT NULL CHECK (char_length(name) BETWEEN 1 AND 60),
+    description TEXT CHECK (description IS NULL OR char_length(description) <= 200),
+    shapes JSONB NOT NULL CHECK (jsonb_typeof(shapes) = 'array'),
+    created_by UUID REFERENCES profiles(id) ON DELETE CASCADE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_shape_templates_created_by ON shape_templates(created_by);
+
+DROP TRIGGER IF EXISTS update_shape_templates_updated_at ON shape_templates;
+CREATE TRIGGER update_shape_templates_updated_at BEFORE UPDATE ON shape_templates
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Whether the caller and another user are members of a common board
+-- (SECURITY DEFINER so it can look at boards the caller can't see the members of)
+CREATE OR REPLACE FUNCTION shares_board_with(p_user_id UUID)
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1
+        FROM board_members mine
+        JOIN board_members theirs ON theirs.board_id = mine.board_id
+        WHERE mine.user_id = auth.uid() AND theirs.user_id = p_user_id
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION shares_board_with(UUID) TO authenticated;
+
+-- Enable Row Level Security
+ALTER TABLE shape_templates ENABLE ROW LEVEL SECURITY;
+
+-- Templates: visible to the creator's team, managed by the creator
+DROP POLICY IF EXISTS "Team members can view templates" ON shape_templates;
+CREATE POLICY "Team members can view templates" ON shape_templates
+    FOR SELECT USING (auth.uid() = created_by OR shares_board_with(created_by));
+
+DROP POLICY IF EXISTS "Users can create templates" ON shape_templates;
+CREATE POLICY "Users can create templates" ON shape_templates
+    FOR INSERT WITH CHECK (auth.uid() = created_by);
+
+DROP POLICY IF EXISTS "Creators can update templates" ON shape_templates;
+CREATE POLICY "Creators can update templates" ON shape_templates
+    FOR UPDATE USING (auth.uid() = created_by);
+
+DROP POLICY IF EXISTS "Creators can delete templates" ON shape_templates;
+CREATE POLICY "Creators can delete templates" ON shape_templates
+    FOR DELETE USING (auth.uid() = created_by);
@@ -0,0 +1,51 @@
+-- Let users create boards again
+-- Run this in Supabase SQL Editor after add-board-roles.sql
+--
+-- The browser creates a board with INSERT ... RETURNING. Postgres checks the
+-- returned row against the boards SELECT policy before the AFTER INSERT
+-- trigger (add_board_owner) has added the creator as owner, so
+-- can_view_board() was still false and every new board (including an
+-- imported one) failed with a row level security error. The creator may now
+-- always see their own boards.
+
+DROP POLICY IF EXISTS "Members can view boards" ON boards;
+CREATE POLICY "Members can view boards" ON boards
+    FOR SELECT USING (created_by = auth.uid() OR can_view_board(id));
+
+-- Check: create a board as a signed-in user, the way the app does, then undo it.
+-- Fails this script with the row level security error if creating still breaks.
+DO $$
+DECLARE
+    tester UUID;
+    created_id UUID;
+BEGIN
+    SELECT id INTO tester FROM profiles LIMIT 1;
+    IF tester IS NULL THEN
+        RAISE NOTICE 'No users yet, board creation check skipped';
+        RETURN;
+    END IF;
+
+    BEGIN
+        PERFORM set_config('request.jwt.claim.sub', tester::TEXT, true);
+        PERFORM set_config(
+            'request.jwt.claims',
+            jsonb_build_object('sub', tester, 'role', 'authenticated')::TEXT,
+            true
+        );
+        SET LOCAL ROLE authenticated;
+
+        INSERT INTO boards (name, created_by)
+        VALUES ('Board creation check', tester)
+        RETURNING id INTO created_id;
+
+        -- Roll back the board, its owner row and the role change
+        RAISE EXCEPTION 'board creation check done';
+    EXCEPTION
+        WHEN raise_exception THEN
+            IF SQLERRM <> 'board creation check done' THEN
+                RAISE;
+            END IF;
+    END;
+
+    RAISE NOTICE 'Board creation check passed';
+END $$;
@@ -0,0 +1,11 @@
+-- Write accepted AI changes as the user again, under row level security
+-- Run this in Supabase SQL Editor after add-ai-service-writes.sql
+--
+-- apply_shape_mutations_as was called with the service role, which bypasses
+-- row level security: setting the JWT claims only changed who auth.uid()
+-- reported, so the creator-only rules and shape locks were never checked.
+-- The AI endpoint (api/ai-apply.js) now calls apply_shape_mutations with the
+-- user's own access token instead, like every other batch write, and no
+-- longer needs this function.
+
+DROP FUNCTION IF EXISTS apply_shape_mutations_as(UUID, UUID, JSONB, JSONB, UUID[]);
@@ -0,0 +1,101 @@
+-- Apply the board's edit rules to version restores
+-- Run this in Supabase SQL Editor after add-shape-locks.sql
+--
+-- restore_board_version runs as SECURITY DEFINER, so row level security
+-- doesn't stop it. It now applies the same rules as a direct edit:
+-- - a shape that didn't exist yet is only deleted by its creator or the board owner,
+-- - shapes someone else holds a lock on (an active lease) are left as they are.
+-- Shapes skipped for either reason are counted, so the history panel can say so.
+-- The return value changes from a count to { restored, skipped }.
+
+DROP FUNCTION IF EXISTS restore_board_version(UUID, TIMESTAMP WITH TIME ZONE, UUID[]);
+
+CREATE OR REPLACE FUNCTION restore_board_version(
+    p_board_id UUID,
+    p_at TIMESTAMP WITH TIME ZONE,
+    p_shape_ids UUID[] DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+    me UUID := auth.uid();
+    is_owner BOOLEAN;
+    restored_count INTEGER := 0;
+    skipped_count INTEGER := 0;
+    affected INTEGER;
+    target_columns TEXT;
+    source_columns TEXT;
+BEGIN
+    IF NOT can_edit_board(p_board_id) THEN
+        RAISE EXCEPTION 'Not allowed to edit this board';
+    END IF;
+    is_owner := is_board_owner(p_board_id);
+
+    DROP TABLE IF EXISTS past_shapes;
+    CREATE TEMP TABLE past_shapes ON COMMIT DROP AS
+    SELECT (jsonb_populate_record(NULL::shapes, state)).*
+    FROM get_board_state_at(p_board_id, p_at) AS state
+    WHERE p_shape_ids IS NULL OR (state->>'id')::UUID = ANY(p_shape_ids);
+
+    -- Past ownership locks are meaningless now
+    UPDATE past_shapes SET owner_id = NULL, ownership_timestamp = NULL, lock_expires_at = NULL;
+
+    -- Shapes the restore would change that the caller may not touch
+    DROP TABLE IF EXISTS blocked_shapes;
+    CREATE TEMP TABLE blocked_shapes ON COMMIT DROP AS
+    SELECT s.id
+    FROM shapes s
+    LEFT JOIN past_shapes p ON p.id = s.id
+    WHERE s.board_id = p_board_id
+      AND (p_shape_ids IS NULL OR s.id = ANY(p_shape_ids))
+      AND (p.id IS NULL OR shape_content(to_jsonb(s)) IS DISTINCT FROM shape_content(to_jsonb(p)))
+      AND (
+          -- Someone else is editing it
+          (s.owner_id IS NOT NULL AND s.owner_id IS DISTINCT FROM me AND s.lock_expires_at > NOW())
+          -- Deleting it is up to its creator or the board owner
+          OR (p.id IS NULL AND NOT is_owner AND s.created_by IS DISTINCT FROM me)
+      );
+    SELECT count(*) INTO skipped_count FROM blocked_shapes;
+
+    -- Remove shapes that didn't exist at that point
+    DELETE FROM shapes s
+    WHERE s.board_id = p_board_id
+      AND (p_shape_ids IS NULL OR s.id = ANY(p_shape_ids))
+      AND NOT EXISTS (SELECT 1 FROM past_shapes p WHERE p.id = s.id)
+      AND NOT EXISTS (SELECT 1 FROM blocked_shapes b WHERE b.id = s.id);
+    GET DIAGNOSTICS affected = ROW_COUNT;
+    restored_count := restored_count + affected;
+
+    -- Roll back shapes that still exist
+    SELECT string_agg(quote_ident(field), ', '), string_agg('p.' || quote_ident(field), ', ')
+    INTO target_columns, source_columns
+    FROM unnest(synced_shape_fields()) AS field;
+
+    EXECUTE format(
+        'UPDATE shapes s
+         SET (%s, owner_id, ownership_timestamp, lock_expires_at) =
+             (SELECT %s, NULL::UUID, NULL::TIMESTAMPTZ, NULL::TIMESTAMPTZ FROM past_shapes p WHERE p.id = s.id)
+         WHERE EXISTS (
+             SELECT 1 FROM past_shapes p
+             WHERE p.id = s.id
+               AND shape_content(to_jsonb(s)) IS DISTINCT FROM shape_content(to_jsonb(p))
+         )
+         AND NOT EXISTS (SELECT 1 FROM blocked_shapes b WHERE b.id = s.id)',
+        target_columns,
+        source_columns
+    );
+    GET DIAGNOSTICS affected = ROW_COUNT;
+    restored_count := restored_count + affected;
+
+    -- Bring back shapes that have been deleted since
+    INSERT INTO shapes
+    SELECT p.*
+    FROM past_shapes p
+    WHERE NOT EXISTS (SELECT 1 FROM shapes s WHERE s.id = p.id);
+    GET DIAGNOSTICS affected = ROW_COUNT;
+    restored_count := restored_count + affected;
+
+    RETURN jsonb_build_object('restored', restored_count, 'skipped', skipped_count);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION restore_board_version(UUID, TIMESTAMP WITH TIME ZONE, UUID[]) TO authenticated;
@@ -0,0 +1,117 @@
+// Spatial index benchmark
+//
+// Compares viewport queries and shape moves on the SpatialIndex used by the
+// ObjectStore against a linear scan over every shape (what rendering without
+// culling has to do).
+//
+//   npm run bench:index
+//
+// Boards are random rectangles on the 5000x5000 canvas; viewports are a
+// 1600x900 screen at 25%, 100% and 400% zoom, at random positions. Both sides
+// return the matching IDs as a Set (what the renderer looks them up in); the
+// scan only tests precomputed boxes, so it is a lower bound for scanning shape
+// records. Every timing is the best of RUNS runs, so other work on the machine
+// doesn't skew the comparison.
+
+import SpatialIndex from '../src/lib/SpatialIndex.js'
+
+const BOARD_SIZE = 5000
+const SCREEN = { width: 1600, height: 900 }
+const ZOOMS = [0.25, 1, 4]
+const BOARD_SIZES = [1000, 10000, 50000]
+const QUERIES = 2000
+const MOVES = 20000
+const RUNS = 5
+
+// Deterministic random numbers so runs are comparable
+const createRandom = (seed) => () => {
+  seed = (seed * 1664525 + 1013904223) % 4294967296
+  return seed / 4294967296
+}
+
+const createShapes = (count, random) => Array.from({ length: count }, (_, index) => ({
+  id: `shape-${index}`,
+  x: random() * BOARD_SIZE,
+  y: random() * BOARD_SIZE,
+  width: 20 + random() * 180,
+  height: 20 + random() * 180
+}))
+
+const createViewports = (count, zoom, random) => Array.from({ length: count }, () => ({
+  x: random() * (BOARD_SIZE - SCREEN.width / zoom),
+  y: random() * (BOARD_SIZE - SCREEN.height / zoom),
+  width: SCREEN.width / zoom,
+  height: SCREEN.height / zoom
+}))
+
+const intersects = (a, b) => (
+  a.x <= b.x + b.width &&
+  a.x + a.width >= b.x &&
+  a.y <= b.y + b.height &&
+  a.y + a.height >= b.y
+)
+
+const time = (fn) => {
+  let best = null
+  for (let run = 0; run < RUNS; run++) {
+    const start = performance.now()
+    const result = fn()
+    const ms = performance.now() - start
+    if (!best || ms < best.ms) best = { ms, result }
+  }
+  return best
+}
+
+const scanIds = (shapes, viewport) => {
+  const ids = new Set()
+  for (const shape of shapes) {
+    if (intersects(shape, viewport)) ids.add(shape.id)
+  }
+  return ids
+}
+
+const format = (ms, count) => `${(ms / count * 1000).toFixed(1)} µs`
+
+const rows = []
+for (const size of BOARD_SIZES) {
+  const random = createRandom(size)
+  const shapes = createShapes(size, random)
+  const index = new SpatialIndex()
+
+  const build = time(() => {
+    index.clear()
+    shapes.forEach(shape => index.insert(shape.id, shape))
+  })
+
+  // Dragging: the same shape nudged a pixel at a time
+  const moved = { ...shapes[0] }
+  const move = time(() => {
+    for (let i = 0; i < MOVES; i++) {
+      moved.x = shapes[0].x + (i % 1000)
+      index.insert(moved.id, moved)
+    }
+  })
+  index.insert(shapes[0].id, shapes[0])
+
+  for (const zoom of ZOOMS) {
+    const viewports = createViewports(QUERIES, zoom, random)
+    const scan = time(() => viewports.reduce((total, viewport) => total + scanIds(shapes, viewport).size, 0))
+    const query = time(() => viewports.reduce((total, viewport) => total + index.search(viewport).size, 0))
+    if (scan.result !== query.result) {
+      throw new Error(`Index returned ${query.result} shapes, scan found ${scan.result}`)
+    }
+
+    rows.push({
+      shapes: size,
+      zoom: `${zoom * 100}%`,
+      'build': `${build.ms.toFixed(1)} ms`,
+      'move': format(move.ms, MOVES),
+      'scan / viewport': format(scan.ms, QUERIES),
+      'index / viewport': format(query.ms, QUERIES),
+      'speedup': `${(scan.ms / query.ms).toFixed(1)}x`,
+      'shapes / viewport': Math.round(query.result / QUERIES)
+    })
+  }
+}
+
+console.table(rows)
@@ -1,490 +1,591 @@
-import { useState, useCallback } from 'react'
-import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom'
+import { useState, useCallback, useRef, useEffect, useMemo } from 'react'
+import { BrowserRouter as Router, Routes, Route, Navigate, Link, useParams } from 'react-router-dom'
 import { AuthProvider, useAuth } from './components/Auth/AuthProvider'
 import { LoginForm } from './components/Auth/LoginForm'
 import { AuthCallback } from './components/Auth/AuthCallback'
 import { Canvas } from './components/Canvas/Canvas'
+import { BoardList } from './components/Boards/BoardList'
+import { ShareDialog } from './components/Boards/ShareDialog'
+import { InviteAccept } from './components/Boards/InviteAccept'
+import { HistoryPanel } from './components/History/HistoryPanel'
+import { ExportDialog } from './components/Export/ExportDialog'
 import { UsersList } from './components/Presence/UsersList'
-import { AICommandBar } from './components/AI/AICommandBar'
+import { AIChatPanel } from './components/AI/AIChatPanel'
+import { AIPreviewBar } from './components/AI/AIPreviewBar'
+import { TemplatesDialog } from './components/Templates/TemplatesDialog'
 import { SettingsDropdown } from './components/Settings/SettingsDropdown'
 import { usePresence } from './hooks/usePresence'
-import { supabase } from './lib/supabase'
-import { TABLES } from './lib/constants'
+import { useBoard } from './hooks/useBoards'
+import { useBoardMembership } from './hooks/useBoardMembership'
+import { useCanvasDocument } from './hooks/useCanvasDocument'
+import { useGrouping } from './hooks/useGrouping'
+import { useAIPreview } from './hooks/useAIPreview'
+import { useAIConversation } from './hooks/useAIConversation'
+import { useTemplates } from './hooks/useTemplates'
+import { STICKY_CONFIG, FRAME_CONFIG } from './lib/constants'
 import { generateId } from './utils/canvasHelpers'
+import { isFrameShape, isGroupShape, expandGroups, getShapesInFrame } from './utils/containerHelpers'
+import { getAlignChanges, getDistributeChanges, getLayerChanges, createDuplicates } from './utils/editHelpers'
+import { getArrangeChanges, getTidyChanges } from './utils/layoutHelpers'
+import { getViewportRect } from './utils/boardExport'
+import { buildAIContext } from './utils/aiContext'
+import { findTemplate, getTemplateCatalog, getTemplateSize } from './utils/templates'
 import objectStore from './lib/ObjectStore'
 import './App.css'
 
-const AppContent = () => {
-  const { user, loading, logout, username } = useAuth()
+// Map AI action types to database shape types
+const mapActionTypeToDbType = (action) => {
+  const validTypes = ['rectangle', 'circle', 'text', 'sticky', 'frame']
+
+  switch (action.type) {
+    case 'create_shape': {
+      const shapeType = action.shape || 'rectangle'
+      return validTypes.includes(shapeType) ? shapeType : 'rectangle'
+    }
+    case 'create_text':
+      return 'text'
+    case 'create_sticky':
+      return 'sticky'
+    case 'create_frame':
+      return 'frame'
+    default:
+      return 'rectangle' // Default fallback to valid database type
+  }
+}
+
+// Shapes AI commands can't rotate (round, drawn between two points, or containers)
+const ROTATION_EXEMPT_TYPES = ['circle', 'line', 'arrow', 'group', 'frame']
+
+// Shapes whose text AI commands can edit (a frame's text is its name)
+const TEXT_SHAPE_TYPES = ['text', 'sticky', 'frame']
+
+// A single named board: canvas, presence sidebar and AI command bar
+const BoardWorkspace = ({ user, username, logout }) => {
+  const { boardId } = useParams()
+  const { board, loading: boardLoading, notFound } = useBoard(boardId)
   
   const { onlineUsers, updateActivity } = usePresence({ 
     userId: user?.id, 
-    username: user?.user_metadata?.username || 'Anonymous' 
+    username: user?.user_metadata?.username || 'Anonymous',
+    boardId
   })
 
+  const membership = useBoardMembership({ boardId, userId: user?.id })
+  const { readOnly } = membership
+  const [isShareOpen, setIsShareOpen] = useState(false)
+  const [isHistoryOpen, setIsHistoryOpen] = useState(false)
+  const [isExportOpen, setIsExportOpen] = useState(false)
+  const [isChatOpen, setIsChatOpen] = useState(false)
+  const [isTemplatesOpen, setIsTemplatesOpen] = useState(false)
+  const stageRef = useRef(null) // Live canvas stage (export reads the visible area from it)
+
+  // JSON import
+  const { importIntoBoard } = useCanvasDocument({ boardId, userId: user?.id })
+  const importInputRef = useRef(null)
+
+  const handleImportFile = useCallback(async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+
+    try {
+      const count = await importIntoBoard(file)
+      window.alert(`Imported ${count} shape${count !== 1 ? 's' : ''}.`)
+    } catch (error) {
+      console.error('💥 Failed to import board document:', error)
+      window.alert(`Could not import file: ${error.message}`)
+    }
+  }, [importIntoBoard])
+
   // Command history and context tracking
   const [commandHistory, setCommandHistory] = useState([])
   const [lastCreatedShapeId, setLastCreatedShapeId] = useState(null)
 
-  // Function to insert shape into Supabase database
-  const insertShapeIntoDatabase = useCallback(async (shapeData) => {
-    try {
-      // console.log('💾 SUPABASE INSERT - Input shapeData:', {
-      //   id: shapeData.id,
-      //   type: shapeData.type,
-      //   x: shapeData.x,
-      //   y: shapeData.y,
-      //   width: shapeData.width,
-      //   height: shapeData.height,
-      //   color: shapeData.color,
-      //   text_content: shapeData.text_content,
-      //   font_size: shapeData.font_size
-      // })
-      
-      const { data, error } = await supabase
-        .from(TABLES.SHAPES)
-        .insert(shapeData)
-        .select()
-        .single()
-
-      if (error) {
-        console.error('❌ Supabase error:', error)
-        throw error
-      }
+  // AI commands group the pieces of composite layouts (login forms, nav bars, ...)
+  const { groupShapes } = useGrouping({ userId: user?.id, boardId })
+
+  // Template library (inserted from the Templates dialog or by AI commands)
+  const templateLibrary = useTemplates({ boardId, userId: user?.id })
+  const { templates, createTemplateRows, insertTemplate } = templateLibrary
+  const templateCatalog = useMemo(() => getTemplateCatalog(templates), [templates])
+
+  // Insert a template in the middle of the visible area
+  const handleInsertTemplate = useCallback((template) => {
+    const viewport = stageRef.current ? getViewportRect(stageRef.current) : null
+    const { width, height } = getTemplateSize(template)
+    const anchor = viewport
+      ? { x: viewport.x + (viewport.width - width) / 2, y: viewport.y + (viewport.height - height) / 2 }
+      : { x: 100, y: 100 }
+    updateActivity()
+    return insertTemplate(template, {}, anchor)
+  }, [insertTemplate, updateActivity])
+
+  // Describe the board for an AI command: selection, recent creations and
+  // the shapes in view (the endpoint resolves "it", "the blue circles", ... against it)
+  const getCanvasContext = useCallback(({ previousIds = [] } = {}) => {
+    const viewport = stageRef.current ? getViewportRect(stageRef.current) : null
+    return buildAIContext({
+      shapes: objectStore.getAll(),
+      selectedIds: objectStore.getSelectedIds(),
+      viewportIds: viewport ? objectStore.queryRect(viewport) : [],
+      viewport,
+      userId: user?.id,
+      lastCreatedId: lastCreatedShapeId,
+      previousIds,
+      commandHistory,
+      templates: templateCatalog
+    })
+  }, [user?.id, commandHistory, lastCreatedShapeId, templateCatalog])
+
+  // Stage one AI action in the command's preview transaction
+  const applyAIAction = useCallback(async (session, action) => {
+    const { transaction } = session
+    // Targets are shape IDs, or refs of shapes created earlier in this command
+    const resolveId = (id) => session.createdRefs.get(id) || id
+    // Shapes locked by another user are left alone, like on manual edits
+    const getEditableIds = (ids) => (ids || []).map(resolveId).filter(id => {
+      if (!objectStore.isOwnedByOther(id, user?.id)) return true
+      console.log('🔒 Skipping shape locked by another user:', id)
+      return false
+    })
+    const applyChanges = (changes) => objectStore.batch(() => {
+      changes.forEach(({ id, changes: fields }) => transaction.update(id, fields))
+    })
+
+    // Handle different action types
+    if (action.type === 'move_shape') {
+      // console.log('🔄 Moving shape:', action.shapeId, 'to', action.x, action.y)
+      getEditableIds([action.shapeId]).forEach(id => transaction.update(id, { x: action.x, y: action.y }))
+      return
+    }
 
-      // console.log('✅ SUPABASE INSERT - Returned data:', {
-      //   id: data.id,
-      //   type: data.type,
-      //   x: data.x,
-      //   y: data.y,
-      //   width: data.width,
-      //   height: data.height,
-      //   color: data.color,
-      //   text_content: data.text_content,
-      //   font_size: data.font_size
-      // })
-      
-      // Add the shape to ObjectStore so it appears on canvas immediately
-      // console.log('🎨 Adding shape to ObjectStore for immediate display')
-      objectStore.add(data)
-      
-      return data
-    } catch (error) {
-      console.error('💥 Failed to create shape in database:', error)
-      throw error
+    if (action.type === 'resize_shape') {
+      // console.log('📏 Resizing shape:', action.shapeId, 'to', action.width, 'x', action.height)
+      getEditableIds([action.shapeId]).forEach(id => transaction.update(id, { width: action.width, height: action.height }))
+      return
     }
-  }, [])
 
-  // Function to move shape in database
-  const moveShapeInDatabase = useCallback(async (shapeId, x, y) => {
-    try {
-      // console.log('💾 Moving shape in Supabase:', { shapeId, x, y })
-      
-      const { data, error } = await supabase
-        .from(TABLES.SHAPES)
-        .update({ x, y, updated_at: new Date().toISOString() })
-        .eq('id', shapeId)
-        .select()
-        .single()
-
-      if (error) {
-        console.error('❌ Supabase move error:', error)
-        throw error
-      }
+    if (action.type === 'arrange_shapes') {
+      // console.log('📐 Arranging shapes:', action.shapeIds, 'in pattern:', action.pattern)
+      applyChanges(getArrangeChanges(objectStore.getAll(), getEditableIds(action.shapeIds), action.pattern, action.spacing ?? 50, objectStore.get))
+      return
+    }
 
-      // console.log('✅ Shape moved in Supabase:', data.id)
-      
-      // Update ObjectStore
-      objectStore.update(shapeId, { x, y })
-      
-      return data
-    } catch (error) {
-      console.error('💥 Failed to move shape in database:', error)
-      throw error
+    if (action.type === 'tidy_shapes') {
+      // console.log('🧹 Tidying shapes:', action.shapeIds)
+      const { kind, changes } = getTidyChanges(objectStore.getAll(), getEditableIds(action.shapeIds), objectStore.get, {
+        spacing: action.spacing
+      })
+      console.log('🧹 Tidied shapes:', { layout: kind, moved: changes.length })
+      applyChanges(changes)
+      return
     }
-  }, [])
 
-  // Function to resize shape in database
-  const resizeShapeInDatabase = useCallback(async (shapeId, width, height) => {
-    try {
-      // console.log('💾 Resizing shape in Supabase:', { shapeId, width, height })
-      
-      const { data, error } = await supabase
-        .from(TABLES.SHAPES)
-        .update({ width, height, updated_at: new Date().toISOString() })
-        .eq('id', shapeId)
-        .select()
-        .single()
-
-      if (error) {
-        console.error('❌ Supabase resize error:', error)
-        throw error
-      }
+    if (action.type === 'delete_shape') {
+      // console.log('🗑️ Deleting shape:', action.shapeId)
+      transaction.remove(getEditableIds([action.shapeId]))
+      return
+    }
 
-      // console.log('✅ Shape resized in Supabase:', data.id)
-      
-      // Update ObjectStore
-      objectStore.update(shapeId, { width, height })
-      
-      return data
-    } catch (error) {
-      console.error('💥 Failed to resize shape in database:', error)
-      throw error
+    if (action.type === 'change_color') {
+      // console.log('🎨 Recoloring shapes:', action.shapeIds, action.color)
+      const shapeIds = expandGroups(objectStore.getAll(), getEditableIds(action.shapeIds))
+        .filter(id => !isGroupShape(objectStore.get(id)))
+      applyChanges(shapeIds.map(id => ({ id, changes: { color: action.color } })))
+      return
     }
-  }, [])
 
-  // Function to arrange shapes in database
-  const arrangeShapesInDatabase = useCallback(async (shapeIds, pattern, spacing = 50) => {
-    try {
-      // console.log('💾 Arranging shapes in Supabase:', { shapeIds, pattern, spacing })
-      
-      const shapes = objectStore.getAll().filter(shape => shapeIds.includes(shape.id))
-      const positions = calculateArrangementPositions(shapes, pattern, spacing)
-      
-      for (let i = 0; i < shapeIds.length; i++) {
-        const shapeId = shapeIds[i]
-        const position = positions[i]
-        
-        if (position) {
-          const { error } = await supabase
-            .from(TABLES.SHAPES)
-            .update({ 
-              x: position.x, 
-              y: position.y, 
-              updated_at: new Date().toISOString() 
-            })
-            .eq('id', shapeId)
-          
-          if (error) {
-            console.error('❌ Supabase arrange error for shape:', shapeId, error)
-            continue
-          }
-          
-          // Update ObjectStore
-          objectStore.update(shapeId, { x: position.x, y: position.y })
-        }
-      }
+    if (action.type === 'rotate_shapes') {
+      // console.log('🔄 Rotating shapes:', action.shapeIds, action.rotation)
+      applyChanges(getEditableIds(action.shapeIds)
+        .map(id => objectStore.get(id))
+        .filter(shape => shape && !ROTATION_EXEMPT_TYPES.includes(shape.type))
+        .map(shape => {
+          const rotation = action.relative ? (shape.rotation || 0) + action.rotation : action.rotation
+          return { id: shape.id, changes: { rotation: ((rotation % 360) + 360) % 360 } }
+        }))
+      return
+    }
 
-      // console.log('✅ Shapes arranged in Supabase')
-      
-    } catch (error) {
-      console.error('💥 Failed to arrange shapes in database:', error)
-      throw error
+    if (action.type === 'edit_text') {
+      // console.log('✏️ Editing text:', action.shapeIds, action.content)
+      const changes = {}
+      if (typeof action.content === 'string') changes.text_content = action.content
+      if (action.font_size) changes.font_size = action.font_size
+      applyChanges(getEditableIds(action.shapeIds)
+        .filter(id => TEXT_SHAPE_TYPES.includes(objectStore.get(id)?.type))
+        .map(id => ({ id, changes })))
+      return
     }
-  }, [])
 
-  // Helper function to calculate arrangement positions
-  const calculateArrangementPositions = useCallback((shapes, pattern, spacing) => {
-    const positions = []
-    let currentX = 0
-    let currentY = 0
-    
-    switch (pattern) {
-      case 'horizontal_row':
-        shapes.forEach((shape, index) => {
-          positions.push({
-            x: currentX,
-            y: currentY
-          })
-          currentX += shape.width + spacing
-        })
-        break
-        
-      case 'vertical_column':
-        shapes.forEach((shape, index) => {
-          positions.push({
-            x: currentX,
-            y: currentY
-          })
-          currentY += shape.height + spacing
-        })
-        break
-        
-      case 'grid':
-        const cols = Math.ceil(Math.sqrt(shapes.length))
-        shapes.forEach((shape, index) => {
-          const col = index % cols
-          const row = Math.floor(index / cols)
-          positions.push({
-            x: col * (shape.width + spacing),
-            y: row * (shape.height + spacing)
-          })
-        })
-        break
-        
-      default:
-        // Default to horizontal row
-        shapes.forEach((shape, index) => {
-          positions.push({
-            x: index * (shape.width + spacing),
-            y: 0
-          })
-        })
+    if (action.type === 'align_shapes') {
+      // console.log('📐 Aligning shapes:', action.shapeIds, action.alignment)
+      applyChanges(getAlignChanges(objectStore.getAll(), getEditableIds(action.shapeIds), action.alignment, objectStore.get))
+      return
     }
-    
-    return positions
-  }, [])
 
-  // Function to delete shape from database
-  const deleteShapeFromDatabase = useCallback(async (shapeId, description) => {
-    try {
-      let targetShapeId = shapeId
-
-      // If no shapeId provided, find by description
-      if (!targetShapeId && description) {
-        const allShapes = objectStore.getAll()
-        
-        // Color name to hex mapping
-        const colorMap = {
-          'red': '#ff0000',
-          'green': '#10B981',
-          'blue': '#0000ff',
-          'yellow': '#ffff00',
-          'orange': '#FFA500',
-          'purple': '#8B5CF6',
-          'pink': '#ff69b4',
-          'black': '#000000',
-          'white': '#ffffff',
-          'gray': '#808080',
-          'grey': '#808080',
-          'brown': '#8B4513',
-          'cyan': '#00ffff',
-          'magenta': '#ff00ff',
-          'lime': '#00ff00',
-          'navy': '#000080',
-          'teal': '#008080',
-          'olive': '#808000',
-          'maroon': '#800000',
-          'silver': '#c0c0c0',
-          'gold': '#FFD700'
-        }
-        
-        const matchingShape = allShapes.find(shape => {
-          if (!shape || !shape.color || !shape.type) {
-            return false
-          }
-          
-          const shapeDescription = `${shape.color} ${shape.type}`
-          const searchTerm = description.toLowerCase()
-          
-          // Try multiple matching strategies
-          const matches = 
-            shapeDescription.toLowerCase().includes(searchTerm) ||
-            shape.type.toLowerCase().includes(searchTerm) ||
-            shape.color.toLowerCase().includes(searchTerm) ||
-            // Try matching individual words with color mapping
-            searchTerm.split(' ').every(word => {
-              // Check if word is a color name and matches the hex code
-              if (colorMap[word] && shape.color.toLowerCase() === colorMap[word].toLowerCase()) {
-                return true
-              }
-              // Check if word matches type, color, or description
-              return shapeDescription.toLowerCase().includes(word) ||
-                     shape.type.toLowerCase().includes(word) ||
-                     shape.color.toLowerCase().includes(word)
-            })
-          
-          return matches
-        })
-        
-        if (matchingShape) {
-          targetShapeId = matchingShape.id
-        } else {
-          console.error('❌ No shape found matching description:', description)
-          return
-        }
-      }
+    if (action.type === 'distribute_shapes') {
+      // console.log('📐 Distributing shapes:', action.shapeIds, action.direction)
+      applyChanges(getDistributeChanges(objectStore.getAll(), getEditableIds(action.shapeIds), action.direction, objectStore.get))
+      return
+    }
 
-      if (!targetShapeId) {
-        console.error('❌ No shape ID or description provided for deletion')
+    if (action.type === 'reorder_shapes') {
+      // console.log('📚 Reordering shapes:', action.shapeIds, action.position)
+      applyChanges(getLayerChanges(objectStore.getAll(), getEditableIds(action.shapeIds), action.position))
+      return
+    }
+
+    if (action.type === 'duplicate_shapes') {
+      // console.log('📋 Duplicating shapes:', action.shapeIds)
+      const shapeIds = (action.shapeIds || []).map(resolveId)
+      const { copies, idMap } = createDuplicates(objectStore.getAll(), shapeIds, {
+        userId: user?.id,
+        getShape: objectStore.get,
+        getOffset: () => action.offset ?? 20
+      })
+      if (copies.length === 0) return
+      transaction.insert(copies)
+      copies.forEach(copy => session.createdIds.add(copy.id))
+      if (action.ref && idMap.has(shapeIds[0])) session.createdRefs.set(action.ref, idMap.get(shapeIds[0]))
+      return
+    }
+
+    if (action.type === 'instantiate_template') {
+      // console.log('🧩 Placing template:', action.name, action.params)
+      const template = findTemplate(templates, action.name)
+      if (!template) {
+        console.log('❓ Unknown template:', action.name)
         return
       }
+      const { rows, rootId } = createTemplateRows(template, action.params, { x: action.x, y: action.y })
+      if (rows.length === 0) return
+      transaction.insert(rows)
+      rows.forEach(row => session.createdIds.add(row.id))
+      if (action.ref) session.createdRefs.set(action.ref, rootId)
+      session.lastCreatedId = rootId
+      return
+    }
 
-      // console.log('🗑️ Deleting shape from Supabase:', targetShapeId)
-      
-      const { error } = await supabase
-        .from(TABLES.SHAPES)
-        .delete()
-        .eq('id', targetShapeId)
-        .eq('created_by', user?.id) // Only delete own shapes
-
-      if (error) {
-        console.error('❌ Supabase delete error:', error)
-        return
+    if (action.type === 'group_shapes') {
+      // console.log('🔗 Grouping shapes:', action.shapeIds)
+      const shapeIds = (action.shapeIds || []).map(resolveId)
+      const group = await groupShapes(shapeIds, session.label, transaction)
+      if (group) {
+        session.createdIds.add(group.id)
+        if (action.ref) session.createdRefs.set(action.ref, group.id)
       }
+      return
+    }
 
-      // Remove from ObjectStore
-      objectStore.remove(targetShapeId)
-      
-      // console.log('✅ Shape deleted successfully:', targetShapeId)
-    } catch (error) {
-      console.error('💥 Failed to delete shape from database:', error)
+    // Create shape data using API values (not hardcoded defaults)
+    const dbType = mapActionTypeToDbType(action)
+    const defaultColor = {
+      sticky: STICKY_CONFIG.DEFAULT_COLOR,
+      frame: FRAME_CONFIG.DEFAULT_COLOR
+    }[dbType] || '#ff0000'
+    const shapeData = {
+      id: generateId(), // Generate proper UUID
+      type: dbType, // Map to correct database type
+      x: action.x || 0, // Use API x value
+      y: action.y || 0, // Use API y value
+      width: action.width || 300, // Use API width value (fallback to 300)
+      height: action.height || 300, // Use API height value (fallback to 300)
+      color: action.color || defaultColor, // Use API color value
+      rotation: 0,
+      board_id: boardId,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+      created_by: user?.id,
+      text_content: action.content || action.text_content || action.name || null, // Handle both content and text_content (frame name)
+      font_size: action.font_size || (dbType === 'sticky' ? STICKY_CONFIG.FONT_SIZE : 16) // Use API font_size value
     }
-  }, [user?.id])
 
-  // Resolve references in commands (it, that, the one I just made, etc.)
-  const resolveCommandReferences = useCallback((command) => {
-    let resolvedCommand = command
-    
-    // Replace common references
-    if (lastCreatedShapeId) {
-      const lastShape = objectStore.get(lastCreatedShapeId)
-      if (lastShape) {
-        const shapeDescription = `${lastShape.color} ${lastShape.type}`
-        
-        // Replace references with specific descriptions
-        resolvedCommand = resolvedCommand
-          .replace(/\bit\b/g, `the ${shapeDescription}`)
-          .replace(/\bthat\b/g, `the ${shapeDescription}`)
-          .replace(/\bthe one I just made\b/g, `the ${shapeDescription}`)
-          .replace(/\bthe last one\b/g, `the ${shapeDescription}`)
-      }
+    // Frames sit behind everything else
+    if (dbType === 'frame') {
+      shapeData.z_index = Math.min(...objectStore.getAll().map(shape => shape.z_index || 0), 0) - 1
     }
-    
-    // console.log('🔄 Command reference resolution:', { original: command, resolved: resolvedCommand })
-    return resolvedCommand
-  }, [lastCreatedShapeId])
-
-  // Get current shapes for canvas context
-  const getCanvasContext = useCallback(() => {
-    const currentShapes = objectStore.getAll()
-    return {
-      shapes: currentShapes.map(shape => ({
-        id: shape.id,
-        type: shape.type,
-        x: shape.x,
-        y: shape.y,
-        width: shape.width,
-        height: shape.height,
-        color: shape.color,
-        text_content: shape.text_content
-      })),
-      canvasWidth: 5000,
-      canvasHeight: 5000,
-      commandHistory: commandHistory.slice(-3), // Last 3 commands for context
-      lastCreatedShapeId
+
+    // console.log('🎨 SHAPE DATA TO INSERT:', shapeData)
+    transaction.insert(shapeData)
+    session.createdIds.add(shapeData.id)
+    if (action.ref) session.createdRefs.set(action.ref, shapeData.id)
+
+    // Track the last created shape for reference resolution
+    if (action.type === 'create_shape' || action.type === 'create_text' || action.type === 'create_sticky') {
+      session.lastCreatedId = shapeData.id
+    }
+  }, [user?.id, boardId, groupShapes, templates, createTemplateRows])
+
+  // Once every action arrived: frames created by the command take in the
+  // other shapes it created on their area
+  const finishAIActions = useCallback((session) => {
+    const getCreatedShapes = () => objectStore.getAll().filter(shape => session.createdIds.has(shape.id))
+    for (const frame of getCreatedShapes().filter(isFrameShape)) {
+      getShapesInFrame(getCreatedShapes(), frame)
+        .forEach(shapeId => session.transaction.update(shapeId, { parent_id: frame.id }))
     }
-  }, [commandHistory, lastCreatedShapeId])
 
-  // Handle AI command results
-  const handleAICommandResult = useCallback(async (result, originalCommand) => {
-    // console.log('🎯 AI Command executed:', result)
-    
-    // Track activity for AI command
-    updateActivity()
-    
     // Add command to history
     setCommandHistory(prev => [...prev.slice(-4), {
-      command: originalCommand,
+      command: session.command,
       timestamp: new Date().toISOString(),
-      actions: result.actions?.length || 0
+      actions: session.actionCount
     }])
+  }, [])
+
+  // AI commands stream in as a preview (ghost shapes) until accepted or discarded
+  const { preview: aiPreview, startPreview, acceptPreview, discardPreview } = useAIPreview({
+    boardId,
+    applyAction: applyAIAction,
+    finishActions: finishAIActions
+  })
+
+  // Handle the start of an AI command
+  const handleAICommandStart = useCallback((originalCommand) => {
+    // Viewers can't modify the board (the AI bar is disabled too)
+    if (readOnly) return null
+
+    // Track activity for AI command
+    updateActivity()
+    return startPreview(originalCommand)
+  }, [readOnly, updateActivity, startPreview])
+
+  const handleChangesAccepted = useCallback((session) => {
+    if (session.lastCreatedId) {
+      setLastCreatedShapeId(session.lastCreatedId)
+      // console.log('📌 Last created shape ID set:', session.lastCreatedId)
+    }
+  }, [])
+
+  // The board's conversation with the AI assistant (chat panel); its answers are previewed
+  const {
+    turns: chatTurns,
+    isSending,
+    sendMessage,
+    acceptChanges,
+    discardChanges,
+    confirmDeletes,
+    keepShapes,
+    clearConversation
+  } = useAIConversation({
+    boardId,
+    getCanvasContext,
+    startPreview: handleAICommandStart,
+    acceptPreview,
+    discardPreview,
+    onAccepted: handleChangesAccepted,
+    hasOpenPreview: !!aiPreview
+  })
+
+  // Tidy up button: previewed like an AI command, so it can be accepted or discarded
+  const handleTidy = useCallback(async (shapeIds) => {
+    // Like the next chat message, it waits until the open preview is accepted or discarded
+    if (aiPreview) return
+    const preview = handleAICommandStart('Tidy up')
+    if (!preview) return
+    preview.addAction({ type: 'tidy_shapes', shapeIds })
+    await preview.finish()
+  }, [aiPreview, handleAICommandStart])
+
+  // A board that becomes read-only drops the preview
+  useEffect(() => {
+    if (readOnly) discardChanges()
+  }, [readOnly, discardChanges])
+
+  if (boardLoading || membership.loading) {
+    return (
+      <div className="loading-container">
+        <div className="loading-spinner">Loading board...</div>
+      </div>
+    )
+  }
+
+  if (notFound) {
+    return (
+      <div className="loading-container">
+        <div className="board-not-found">
+          <p>This board doesn't exist or was deleted.</p>
+          <Link to="/" className="board-back-link">← Back to boards</Link>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="app">
+      <div className="app-header">
+        <div className="header-content">
+          <div>
+            <Link to="/" className="board-back-link">← Boards</Link>
+            <span className="board-name">{board?.name}</span>
+            {readOnly && <span className="read-only-badge">View only</span>}
+          </div>
+          <span className="username">Welcome, {username}</span>
+          <button
+            onClick={() => setIsShareOpen(true)}
+            className="ai-test-button"
+          >
+            Share
+          </button>
+          <button
+            onClick={() => setIsHistoryOpen(true)}
+            className="ai-test-button"
+          >
+            History
+          </button>
+          <button
+            onClick={() => setIsTemplatesOpen(true)}
+            className="ai-test-button"
+            title="Insert components or save the selection as a template"
+          >
+            Templates
+          </button>
+          <button
+            onClick={() => setIsExportOpen(true)}
+            className="ai-test-button"
+            title="Download this board as PNG, SVG, PDF or JSON"
+          >
+            Export
+          </button>
+          {!readOnly && (
+            <>
+              <button
+                onClick={() => importInputRef.current?.click()}
+                className="ai-test-button"
+                title="Add shapes from an exported JSON file"
+              >
+                Import
+              </button>
+              <input
+                ref={importInputRef}
+                type="file"
+                accept="application/json,.json"
+                onChange={handleImportFile}
+                style={{ display: 'none' }}
+              />
+            </>
+          )}
+          {!readOnly && (
+            <button 
+              onClick={() => setIsChatOpen(open => !open)}
+              className="ai-test-button"
+              style={{
+                background: '#3b82f6',
+                color: 'white',
+                border: 'none',
+                padding: '8px 16px',
+                borderRadius: '6px',
+                marginRight: '10px',
+                cursor: 'pointer'
+              }}
+            >
+              🤖 AI (Ctrl+K)
+            </button>
+          )}
+          <SettingsDropdown 
+            user={user}
+            username={username}
+            email={user?.email}
+            onClose={() => {}} // Don't auto-logout when closing settings
+          />
+          <button 
+            onClick={logout}
+            className="logout-button"
+          >
+            Logout
+          </button>
+        </div>
+      </div>
     
-    if (result.actions && result.actions.length > 0) {
-      // console.log('🔧 Processing actions:', result.actions)
+      <div className="app-main">
+        <div className="canvas-wrapper">
+          <Canvas
+            key={boardId}
+            user={user}
+            boardId={boardId}
+            readOnly={readOnly}
+            stageRef={stageRef}
+            onlineUsers={onlineUsers}
+            updateActivity={updateActivity}
+            previewShapeIds={aiPreview?.shapeIds}
+            hasOpenPreview={!!aiPreview}
+            onTidy={handleTidy}
+          />
+
+          {/* AI assistant conversation */}
+          <AIChatPanel
+            isOpen={isChatOpen}
+            onOpenChange={setIsChatOpen}
+            turns={chatTurns}
+            isSending={isSending}
+            hasOpenPreview={!!aiPreview}
+            onSend={sendMessage}
+            onConfirmDeletes={confirmDeletes}
+            onKeepShapes={keepShapes}
+            onClear={clearConversation}
+            disabled={readOnly}
+          />
+        </div>
       
-      // Process actions sequentially to avoid race conditions
-      for (let index = 0; index < result.actions.length; index++) {
-        const action = result.actions[index]
-        // console.log(`Action ${index + 1}:`, action)
-        
-        // Map AI action types to database types
-        const mapActionTypeToDbType = (actionType) => {
-          const validTypes = ['rectangle', 'circle', 'text']
-          
-          switch (actionType) {
-            case 'create_shape':
-              const shapeType = action.shape || 'rectangle'
-              return validTypes.includes(shapeType) ? shapeType : 'rectangle'
-            case 'create_text':
-              return 'text'
-            default:
-              return 'rectangle' // Default fallback to valid database type
-          }
-        }
-
-        // Handle different action types
-        if (action.type === 'move_shape') {
-          // console.log('🔄 Moving shape:', action.shapeId, 'to', action.x, action.y)
-          await moveShapeInDatabase(action.shapeId, action.x, action.y)
-          return
-        }
-
-        if (action.type === 'resize_shape') {
-          // console.log('📏 Resizing shape:', action.shapeId, 'to', action.width, 'x', action.height)
-          await resizeShapeInDatabase(action.shapeId, action.width, action.height)
-          return
-        }
-
-        if (action.type === 'arrange_shapes') {
-          // console.log('📐 Arranging shapes:', action.shapeIds, 'in pattern:', action.pattern)
-          await arrangeShapesInDatabase(action.shapeIds, action.pattern, action.spacing)
-          return
-        }
-
-        if (action.type === 'delete_shape') {
-          // console.log('🗑️ Deleting shape:', action.shapeId || action.description)
-          await deleteShapeFromDatabase(action.shapeId, action.description)
-          return
-        }
-
-        // DEBUG: Log the raw action from API
-        // console.log('🔍 RAW ACTION FROM API:', {
-        //   type: action.type,
-        //   x: action.x,
-        //   y: action.y,
-        //   width: action.width,
-        //   height: action.height,
-        //   color: action.color,
-        //   content: action.content,
-        //   text_content: action.text_content,
-        //   font_size: action.font_size
-        // })
-
-        // Create shape data using API values (not hardcoded defaults)
-        const shapeData = {
-          id: generateId(), // Generate proper UUID
-          type: mapActionTypeToDbType(action.type), // Map to correct database type
-          x: action.x || 0, // Use API x value
-          y: action.y || 0, // Use API y value
-          width: action.width || 300, // Use API width value (fallback to 300)
-          height: action.height || 300, // Use API height value (fallback to 300)
-          color: action.color || '#ff0000', // Use API color value
-          rotation: 0,
-          created_at: new Date().toISOString(),
-          updated_at: new Date().toISOString(),
-          created_by: user?.id,
-          text_content: action.content || action.text_content || null, // Handle both content and text_content
-          font_size: action.font_size || 16 // Use API font_size value
-        }
-        
-        // console.log('🎨 SHAPE DATA TO INSERT:', {
-        //   id: shapeData.id,
-        //   type: shapeData.type,
-        //   x: shapeData.x,
-        //   y: shapeData.y,
-        //   width: shapeData.width,
-        //   height: shapeData.height,
-        //   color: shapeData.color,
-        //   text_content: shapeData.text_content,
-        //   font_size: shapeData.font_size
-        // })
-        
-        // ACTUALLY INSERT INTO SUPABASE DATABASE
-        try {
-          const createdShape = await insertShapeIntoDatabase(shapeData)
-          
-          // Track the last created shape for reference resolution
-          if (action.type === 'create_shape' || action.type === 'create_text') {
-            setLastCreatedShapeId(createdShape.id)
-            // console.log('📌 Last created shape ID set:', createdShape.id)
-          }
-        } catch (error) {
-          console.error(`💥 Failed to create shape ${index + 1}:`, error)
-        }
-      }
-    }
-  }, [user?.id, insertShapeIntoDatabase, moveShapeInDatabase, resizeShapeInDatabase, arrangeShapesInDatabase, deleteShapeFromDatabase, updateActivity])
+        <div className="sidebar">
+          <UsersList 
+            onlineUsers={onlineUsers}
+            currentUser={user}
+          />
+        </div>
+      </div>
+
+
+      {/* Changes from the last AI command, waiting for Accept/Discard */}
+      {aiPreview && (
+        <AIPreviewBar
+          preview={aiPreview}
+          onAccept={acceptChanges}
+          onDiscard={discardChanges}
+        />
+      )}
+
+      {isHistoryOpen && (
+        <HistoryPanel
+          boardId={boardId}
+          readOnly={readOnly}
+          onClose={() => setIsHistoryOpen(false)}
+        />
+      )}
+
+      {isTemplatesOpen && (
+        <TemplatesDialog
+          library={templateLibrary}
+          currentUserId={user?.id}
+          readOnly={readOnly}
+          onInsert={handleInsertTemplate}
+          onClose={() => setIsTemplatesOpen(false)}
+        />
+      )}
+
+      {isExportOpen && (
+        <ExportDialog
+          board={board}
+          stageRef={stageRef}
+          onClose={() => setIsExportOpen(false)}
+        />
+      )}
+
+      {isShareOpen && (
+        <ShareDialog
+          boardName={board?.name}
+          currentUserId={user?.id}
+          membership={membership}
+          onClose={() => setIsShareOpen(false)}
+        />
+      )}
+    </div>
+  )
+}
+
+const AppContent = () => {
+  const { user, loading, logout, username } = useAuth()
 
   if (loading) {
     return (
@@ -501,77 +602,30 @@ const AppContent = () => {
       
       {/* Protected routes - require authentication */}
       <Route 
-        path="/*" 
+        path="/" 
         element={
           user ? (
-            <div className="app">
-              <div className="app-header">
-                <div className="header-content">
-                  <h3>CollabCanvas</h3>
-                  <span className="username">Welcome, {username}</span>
-                  <button 
-                    onClick={() => {
-                      // Test button to open AI Command Bar
-                      const event = new KeyboardEvent('keydown', {
-                        key: 'k',
-                        ctrlKey: true,
-                        bubbles: true
-                      })
-                      document.dispatchEvent(event)
-                    }}
-                    className="ai-test-button"
-                    style={{
-                      background: '#3b82f6',
-                      color: 'white',
-                      border: 'none',
-                      padding: '8px 16px',
-                      borderRadius: '6px',
-                      marginRight: '10px',
-                      cursor: 'pointer'
-                    }}
-                  >
-                    🤖 AI (Ctrl+K)
-                  </button>
-                  <SettingsDropdown 
-                    user={user}
-                    username={username}
-                    email={user?.email}
-                    onClose={() => {}} // Don't auto-logout when closing settings
-                  />
-                  <button 
-                    onClick={logout}
-                    className="logout-button"
-                  >
-                    Logout
-                  </button>
-                </div>
-              </div>
-              
-              <div className="app-main">
-                <div className="canvas-wrapper">
-                  <Canvas user={user} onlineUsers={onlineUsers} updateActivity={updateActivity} />
-                </div>
-                
-                <div className="sidebar">
-                  <UsersList 
-                    onlineUsers={onlineUsers}
-                    currentUser={user}
-                  />
-                </div>
-              </div>
-
-              {/* AI Command Bar */}
-              <AICommandBar 
-                onCommandResult={handleAICommandResult}
-                canvasContext={getCanvasContext()}
-                resolveReferences={resolveCommandReferences}
-              />
-            </div>
+            <BoardList user={user} username={username} onLogout={logout} />
           ) : (
             <LoginForm />
           )
         } 
       />
+      <Route 
+        path="/boards/:boardId" 
+        element={
+          user ? (
+            <BoardWorkspace user={user} username={username} logout={logout} />
+          ) : (
+            <LoginForm />
+          )
+        } 
+      />
+      <Route 
+        path="/invite/:token" 
+        element={user ? <InviteAccept /> : <LoginForm />} 
+      />
+      <Route path="*" element={<Navigate to="/" replace />} />
     </Routes>
   )
 }
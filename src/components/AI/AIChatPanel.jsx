@@ -0,0 +1,321 @@
+import { useState, useEffect, useRef } from 'react'
+import { prepareImage } from '../../utils/fileHelpers'
+import './AIChatPanel.css'
+
+const describeChanges = (count) => `${count} change${count !== 1 ? 's' : ''}`
+const describeShapes = (count) => `${count} shape${count !== 1 ? 's' : ''}`
+
+// Issues shown under an answer (the rest are summarized)
+const MAX_ISSUES_SHOWN = 3
+
+// First image among dropped or pasted items
+const findImageFile = (items) => Array.from(items || []).find(file => file.type?.startsWith('image/')) || null
+
+// Text of an assistant turn for each state
+const getReplyText = ({ status, actions, content, error, errorCode }) => {
+  switch (status) {
+    case 'streaming':
+      return actions.length > 0 ? `Working... ${describeChanges(actions.length)} so far` : 'Thinking...'
+    case 'ready':
+      return `${content ? `${content} ` : ''}${describeChanges(actions.length)} previewed on the board. Accept or discard them below, or keep them by sending another message.`
+    case 'accepted':
+      return `Done: ${describeChanges(actions.length)} saved.`
+    case 'discarded':
+      return `Discarded ${describeChanges(actions.length)}.`
+    case 'question':
+    case 'confirm':
+      return content
+    case 'declined':
+      return 'Okay, nothing was deleted.'
+    case 'error':
+      // Requests the endpoint refused explain themselves (e.g. rate limited)
+      return errorCode && errorCode !== 'server_error' ? error : `Something went wrong: ${error}`
+    default:
+      return "I couldn't find anything to change. Try describing the shapes differently."
+  }
+}
+
+/**
+ * Docked AI assistant chat for the board
+ * Ctrl+K opens it and focuses the input, Esc closes it. A wireframe image can
+ * be dropped on the panel, pasted into the input or picked with the attach
+ * button; it is sent with the next message.
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Whether the panel is shown
+ * @param {Function} props.onOpenChange - (isOpen) => void
+ * @param {Array<Object>} props.turns - Conversation (see useAIConversation)
+ * @param {boolean} props.isSending - An answer is still coming in
+ * @param {boolean} props.hasOpenPreview - Changes are waiting for Accept/Discard; nothing can be sent until then
+ * @param {Function} props.onSend - (text, image) => void, image from prepareImage or null
+ * @param {Function} props.onConfirmDeletes - (turnId) => void, go ahead with a large delete
+ * @param {Function} props.onKeepShapes - (turnId) => void, decline a large delete
+ * @param {Function} props.onClear - Start a new conversation
+ * @param {boolean} props.disabled - Read-only board
+ */
+export const AIChatPanel = ({
+  isOpen,
+  onOpenChange,
+  turns,
+  isSending,
+  hasOpenPreview = false,
+  onSend,
+  onConfirmDeletes,
+  onKeepShapes,
+  onClear,
+  disabled = false
+}) => {
+  const [message, setMessage] = useState('')
+  const [attachment, setAttachment] = useState(null)
+  const [attachError, setAttachError] = useState(null)
+  const [isDragging, setIsDragging] = useState(false)
+  const inputRef = useRef(null)
+  const threadRef = useRef(null)
+  const fileInputRef = useRef(null)
+
+  // Close the panel if the board becomes read-only while it's open
+  useEffect(() => {
+    if (disabled) onOpenChange(false)
+  }, [disabled, onOpenChange])
+
+  // Handle Ctrl+K shortcut (Windows)
+  useEffect(() => {
+    // Viewers can't run AI commands on a read-only board
+    if (disabled) return
+
+    const handleKeyDown = (e) => {
+      if (e.ctrlKey && e.key === 'k') {
+        e.preventDefault()
+        e.stopPropagation()
+        // console.log('⌨️ Ctrl+K pressed, opening AI assistant')
+        onOpenChange(true)
+        setTimeout(() => inputRef.current?.focus(), 100)
+      }
+      if (e.key === 'Escape' && document.activeElement === inputRef.current) {
+        onOpenChange(false)
+      }
+    }
+
+    document.addEventListener('keydown', handleKeyDown, true)
+    return () => document.removeEventListener('keydown', handleKeyDown, true)
+  }, [disabled, onOpenChange])
+
+  // Focus input when opened
+  useEffect(() => {
+    if (isOpen) inputRef.current?.focus()
+  }, [isOpen])
+
+  // Keep the newest message in view
+  useEffect(() => {
+    if (threadRef.current) {
+      threadRef.current.scrollTop = threadRef.current.scrollHeight
+    }
+  }, [turns, isOpen])
+
+  const attachImage = async (file) => {
+    if (!file || disabled) return
+    setAttachError(null)
+    try {
+      setAttachment(await prepareImage(file))
+      inputRef.current?.focus()
+    } catch (error) {
+      console.error('❌ Error attaching image:', error)
+      setAttachError(error.message)
+    }
+  }
+
+  const send = (text) => {
+    if ((!text.trim() && !attachment) || isSending || hasOpenPreview || disabled) return
+    onSend(text, attachment)
+    setMessage('')
+    setAttachment(null)
+    setAttachError(null)
+  }
+
+  // Dragging files over the canvas underneath would drop them there instead
+  const handleDragOver = (e) => {
+    if (!e.dataTransfer.types.includes('Files')) return
+    e.preventDefault()
+    e.stopPropagation()
+    setIsDragging(true)
+  }
+
+  const handleDragLeave = (e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) setIsDragging(false)
+  }
+
+  const handleDrop = (e) => {
+    if (!e.dataTransfer.types.includes('Files')) return
+    e.preventDefault()
+    e.stopPropagation()
+    setIsDragging(false)
+    const file = findImageFile(e.dataTransfer.files)
+    if (file) {
+      attachImage(file)
+    } else {
+      setAttachError('Only images can be attached')
+    }
+  }
+
+  const handlePaste = (e) => {
+    const file = findImageFile(e.clipboardData?.files)
+    if (!file) return
+    e.preventDefault()
+    attachImage(file)
+  }
+
+  const handleFileChange = (e) => {
+    attachImage(e.target.files?.[0])
+    // Picking the same file again still fires a change
+    e.target.value = ''
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    send(message)
+  }
+
+  if (!isOpen) return null
+
+  return (
+    <div
+      className={`ai-chat-panel ${isDragging ? 'dragging' : ''}`}
+      role="complementary"
+      aria-label="AI assistant"
+      onDragOver={handleDragOver}
+      onDragLeave={handleDragLeave}
+      onDrop={handleDrop}
+    >
+      <div className="ai-chat-header">
+        <span className="ai-chat-title">🤖 AI assistant</span>
+        <button
+          className="ai-chat-header-button"
+          onClick={onClear}
+          disabled={turns.length === 0 || isSending}
+          title="Start a new conversation"
+        >
+          New chat
+        </button>
+        <button
+          className="ai-chat-header-button"
+          onClick={() => onOpenChange(false)}
+          title="Close (Esc)"
+        >
+          ×
+        </button>
+      </div>
+
+      <div className="ai-chat-thread" ref={threadRef}>
+        {turns.length === 0 && (
+          <div className="ai-chat-empty">
+            Ask for shapes or changes, e.g. "create a login form", then follow up with "make it wider" or "add a title above it". Drop a wireframe sketch or screenshot here to turn it into shapes.
+          </div>
+        )}
+        {turns.map(turn => (
+          turn.role === 'user' ? (
+            <div key={turn.id} className="ai-chat-message user">
+              {turn.image && <img className="ai-chat-image" src={turn.image} alt="Attached wireframe" />}
+              {turn.content}
+            </div>
+          ) : (
+            <div key={turn.id} className={`ai-chat-message assistant ${turn.status}`}>
+              {getReplyText(turn)}
+              {turn.status === 'question' && turn.options.length > 0 && (
+                <div className="ai-chat-options">
+                  {turn.options.map(option => (
+                    <button
+                      key={option}
+                      className="ai-chat-option"
+                      onClick={() => send(option)}
+                      disabled={isSending || hasOpenPreview}
+                    >
+                      {option}
+                    </button>
+                  ))}
+                </div>
+              )}
+              {turn.pendingDeletes?.length > 0 && (
+                <div className="ai-chat-options">
+                  <button
+                    className="ai-chat-option danger"
+                    onClick={() => onConfirmDeletes(turn.id)}
+                    disabled={isSending || disabled}
+                  >
+                    Delete {describeShapes(turn.pendingDeletes.length)}
+                  </button>
+                  <button className="ai-chat-option" onClick={() => onKeepShapes(turn.id)}>
+                    Keep them
+                  </button>
+                </div>
+              )}
+              {turn.issues?.length > 0 && (
+                <ul className="ai-chat-issues">
+                  {turn.issues.slice(0, MAX_ISSUES_SHOWN).map((issue, index) => (
+                    <li key={index}>{issue.message}</li>
+                  ))}
+                  {turn.issues.length > MAX_ISSUES_SHOWN && (
+                    <li>and {turn.issues.length - MAX_ISSUES_SHOWN} more</li>
+                  )}
+                </ul>
+              )}
+            </div>
+          )
+        ))}
+      </div>
+
+      <form className="ai-chat-form" onSubmit={handleSubmit}>
+        {attachment && (
+          <div className="ai-chat-attachment">
+            <img src={attachment.previewUrl} alt="Wireframe to send" />
+            <button
+              type="button"
+              className="ai-chat-attachment-remove"
+              onClick={() => setAttachment(null)}
+              title="Remove image"
+            >
+              ×
+            </button>
+          </div>
+        )}
+        {attachError && <div className="ai-chat-attach-error">{attachError}</div>}
+        {hasOpenPreview && !isSending && (
+          <div className="ai-chat-preview-notice">Accept or discard the previewed changes before sending another message.</div>
+        )}
+        <button
+          type="button"
+          className="ai-chat-attach"
+          onClick={() => fileInputRef.current?.click()}
+          disabled={isSending || disabled}
+          title="Attach a wireframe image"
+        >
+          🖼️
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="image/*"
+          onChange={handleFileChange}
+          hidden
+        />
+        <input
+          ref={inputRef}
+          type="text"
+          className="ai-chat-input"
+          value={message}
+          onChange={(e) => setMessage(e.target.value)}
+          onPaste={handlePaste}
+          placeholder={attachment
+            ? 'Describe the image (optional)'
+            : turns.length === 0 ? "e.g. 'create red circle'" : 'Reply or ask for more changes'}
+          disabled={disabled}
+        />
+        <button
+          type="submit"
+          className="ai-chat-send"
+          disabled={(!message.trim() && !attachment) || isSending || hasOpenPreview || disabled}
+        >
+          {isSending ? '...' : 'Send'}
+        </button>
+      </form>
+    </div>
+  )
+}
@@ -0,0 +1,51 @@
+import './AIPreviewBar.css'
+
+const describeChanges = (count) => `${count} change${count !== 1 ? 's' : ''}`
+
+// Status line for each preview state
+const getStatusText = ({ status, actionCount, error }) => {
+  switch (status) {
+    case 'streaming':
+      return `Drawing... ${describeChanges(actionCount)} so far`
+    case 'saving':
+      return 'Saving...'
+    case 'error':
+      return `Stopped early: ${error}. ${describeChanges(actionCount)} received.`
+    default:
+      return `${describeChanges(actionCount)} ready. Nothing is saved until you accept.`
+  }
+}
+
+export const AIPreviewBar = ({ preview, onAccept, onDiscard }) => {
+  const isSaving = preview.status === 'saving'
+  const canAccept = (preview.status === 'ready' || preview.status === 'error') && preview.actionCount > 0
+
+  return (
+    <div className="ai-preview-bar" role="status">
+      <div className="ai-preview-text">
+        <span className="ai-preview-command" title={preview.command}>
+          ✨ {preview.command}
+        </span>
+        <span className={`ai-preview-status ${preview.status === 'error' ? 'error' : ''}`}>
+          {getStatusText(preview)}
+        </span>
+      </div>
+      <div className="ai-preview-actions">
+        <button
+          className="ai-preview-discard"
+          onClick={onDiscard}
+          disabled={isSaving}
+        >
+          Discard
+        </button>
+        <button
+          className="ai-preview-accept"
+          onClick={onAccept}
+          disabled={!canAccept}
+        >
+          {isSaving ? 'Saving...' : 'Accept'}
+        </button>
+      </div>
+    </div>
+  )
+}
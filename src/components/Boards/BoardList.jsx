@@ -0,0 +1,214 @@
+import { useState, useRef } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { useBoards } from '../../hooks/useBoards'
+import { useCanvasDocument } from '../../hooks/useCanvasDocument'
+import { SettingsDropdown } from '../Settings/SettingsDropdown'
+import './BoardList.css'
+
+export const BoardList = ({ user, username, onLogout }) => {
+  const navigate = useNavigate()
+  const { boards, loading, error, createBoard, renameBoard, deleteBoard } = useBoards({ userId: user?.id })
+  const [newBoardName, setNewBoardName] = useState('')
+  const [isCreating, setIsCreating] = useState(false)
+  const [editingBoardId, setEditingBoardId] = useState(null)
+  const [editingName, setEditingName] = useState('')
+  const [actionError, setActionError] = useState(null)
+  const [isImporting, setIsImporting] = useState(false)
+  const importInputRef = useRef(null)
+  const { importAsNewBoard } = useCanvasDocument({ userId: user?.id })
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+    if (!newBoardName.trim() || isCreating) return
+
+    setIsCreating(true)
+    setActionError(null)
+    try {
+      const board = await createBoard(newBoardName)
+      setNewBoardName('')
+      if (board) {
+        navigate(`/boards/${board.id}`)
+      }
+    } catch (error) {
+      setActionError(`Could not create board: ${error.message}`)
+    } finally {
+      setIsCreating(false)
+    }
+  }
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file || isImporting) return
+
+    setIsImporting(true)
+    setActionError(null)
+    try {
+      const board = await importAsNewBoard(file, createBoard, deleteBoard)
+      if (board) {
+        navigate(`/boards/${board.id}`)
+      }
+    } catch (error) {
+      setActionError(`Could not import board: ${error.message}`)
+    } finally {
+      setIsImporting(false)
+    }
+  }
+
+  const startRename = (board) => {
+    setEditingBoardId(board.id)
+    setEditingName(board.name)
+  }
+
+  const handleRename = async (e) => {
+    e.preventDefault()
+    setActionError(null)
+    try {
+      await renameBoard(editingBoardId, editingName)
+      setEditingBoardId(null)
+      setEditingName('')
+    } catch (error) {
+      setActionError(`Could not rename board: ${error.message}`)
+    }
+  }
+
+  const handleDelete = async (board) => {
+    if (!window.confirm(`Delete "${board.name}" and all of its shapes?`)) return
+
+    setActionError(null)
+    try {
+      await deleteBoard(board.id)
+    } catch (error) {
+      setActionError(`Could not delete board: ${error.message}`)
+    }
+  }
+
+  return (
+    <div className="app">
+      <div className="app-header">
+        <div className="header-content">
+          <h3>CollabCanvas</h3>
+          <span className="username">Welcome, {username}</span>
+          <SettingsDropdown
+            user={user}
+            username={username}
+            email={user?.email}
+            onClose={() => {}}
+          />
+          <button
+            onClick={onLogout}
+            className="logout-button"
+          >
+            Logout
+          </button>
+        </div>
+      </div>
+
+      <div className="board-list-container">
+        <div className="board-list-header">
+          <h2>Boards</h2>
+          <form className="board-create-form" onSubmit={handleCreate}>
+            <input
+              type="text"
+              value={newBoardName}
+              onChange={(e) => setNewBoardName(e.target.value)}
+              placeholder="New board name"
+              maxLength={100}
+              disabled={isCreating}
+            />
+            <button
+              type="submit"
+              className="toolbar-button primary"
+              disabled={!newBoardName.trim() || isCreating}
+            >
+              {isCreating ? 'Creating...' : '+ New Board'}
+            </button>
+            <button
+              type="button"
+              className="toolbar-button secondary"
+              onClick={() => importInputRef.current?.click()}
+              disabled={isImporting}
+              title="Create a board from an exported JSON file"
+            >
+              {isImporting ? 'Importing...' : 'Import'}
+            </button>
+            <input
+              ref={importInputRef}
+              type="file"
+              accept="application/json,.json"
+              onChange={handleImport}
+              style={{ display: 'none' }}
+            />
+          </form>
+        </div>
+
+        {(error || actionError) && (
+          <div className="board-list-error">{actionError || error}</div>
+        )}
+
+        {loading ? (
+          <div className="board-list-empty">Loading boards...</div>
+        ) : boards.length === 0 ? (
+          <div className="board-list-empty">No boards yet. Create one to get started.</div>
+        ) : (
+          <ul className="board-grid">
+            {boards.map((board) => {
+              const isOwner = board.created_by === user?.id
+
+              return (
+                <li key={board.id} className="board-card">
+                  {editingBoardId === board.id ? (
+                    <form className="board-rename-form" onSubmit={handleRename}>
+                      <input
+                        type="text"
+                        value={editingName}
+                        onChange={(e) => setEditingName(e.target.value)}
+                        maxLength={100}
+                        autoFocus
+                      />
+                      <button type="submit" className="toolbar-button primary">Save</button>
+                      <button
+                        type="button"
+                        className="toolbar-button secondary"
+                        onClick={() => setEditingBoardId(null)}
+                      >
+                        Cancel
+                      </button>
+                    </form>
+                  ) : (
+                    <button
+                      className="board-card-open"
+                      onClick={() => navigate(`/boards/${board.id}`)}
+                    >
+                      <span className="board-card-name">{board.name}</span>
+                      <span className="board-card-meta">
+                        Updated {new Date(board.updated_at).toLocaleString()}
+                      </span>
+                    </button>
+                  )}
+
+                  {isOwner && editingBoardId !== board.id && (
+                    <div className="board-card-actions">
+                      <button
+                        className="toolbar-button secondary"
+                        onClick={() => startRename(board)}
+                      >
+                        Rename
+                      </button>
+                      <button
+                        className="toolbar-button board-delete-button"
+                        onClick={() => handleDelete(board)}
+                      >
+                        Delete
+                      </button>
+                    </div>
+                  )}
+                </li>
+              )
+            })}
+          </ul>
+        )}
+      </div>
+    </div>
+  )
+}
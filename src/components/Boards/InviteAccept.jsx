@@ -0,0 +1,46 @@
+import { useEffect, useState } from 'react'
+import { Link, useNavigate, useParams } from 'react-router-dom'
+import { acceptBoardInvite } from '../../hooks/useBoardMembership'
+import './BoardList.css'
+
+export const InviteAccept = () => {
+  const { token } = useParams()
+  const navigate = useNavigate()
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+
+    const accept = async () => {
+      try {
+        const boardId = await acceptBoardInvite(token)
+        if (!cancelled) {
+          navigate(`/boards/${boardId}`, { replace: true })
+        }
+      } catch (error) {
+        if (!cancelled) {
+          setError(error.message || 'Invite link is invalid or has expired')
+        }
+      }
+    }
+
+    accept()
+
+    return () => {
+      cancelled = true
+    }
+  }, [token, navigate])
+
+  return (
+    <div className="loading-container">
+      {error ? (
+        <div className="board-not-found">
+          <p>{error}</p>
+          <Link to="/" className="board-back-link">← Back to boards</Link>
+        </div>
+      ) : (
+        <div className="loading-spinner">Joining board...</div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,138 @@
+import { useState } from 'react'
+import { BOARD_ROLES } from '../../lib/constants'
+import { getInviteUrl } from '../../hooks/useBoardMembership'
+import './BoardList.css'
+
+const ROLE_LABELS = {
+  [BOARD_ROLES.OWNER]: 'Owner',
+  [BOARD_ROLES.EDITOR]: 'Editor',
+  [BOARD_ROLES.VIEWER]: 'Viewer',
+}
+
+export const ShareDialog = ({ boardName, currentUserId, membership, onClose }) => {
+  const {
+    isOwner,
+    members,
+    invites,
+    createInvite,
+    revokeInvite,
+    updateMemberRole,
+    removeMember,
+  } = membership
+  const [inviteRole, setInviteRole] = useState(BOARD_ROLES.EDITOR)
+  const [copiedInviteId, setCopiedInviteId] = useState(null)
+  const [error, setError] = useState(null)
+
+  const runAction = async (action) => {
+    setError(null)
+    try {
+      await action()
+    } catch (error) {
+      setError(error.message)
+    }
+  }
+
+  const handleCopy = async (invite) => {
+    try {
+      await navigator.clipboard.writeText(getInviteUrl(invite.token))
+      setCopiedInviteId(invite.id)
+      setTimeout(() => setCopiedInviteId(null), 2000)
+    } catch (error) {
+      console.error('Error copying invite link:', error)
+      setError('Could not copy to clipboard - copy the link manually')
+    }
+  }
+
+  return (
+    <div className="share-dialog-overlay" onClick={onClose}>
+      <div className="share-dialog" onClick={(e) => e.stopPropagation()}>
+        <div className="settings-header">
+          <h4>Share "{boardName}"</h4>
+          <button className="close-button" onClick={onClose}>×</button>
+        </div>
+
+        {error && <div className="board-list-error">{error}</div>}
+
+        <div className="share-section">
+          <div className="section-label">Members</div>
+          <ul className="share-member-list">
+            {members.map((member) => {
+              const isSelf = member.user_id === currentUserId
+
+              return (
+                <li key={member.user_id} className="share-member">
+                  <span className="share-member-name">
+                    {member.username}{isSelf && ' (You)'}
+                  </span>
+                  {isOwner && !isSelf ? (
+                    <>
+                      <select
+                        value={member.role}
+                        onChange={(e) => runAction(() => updateMemberRole(member.user_id, e.target.value))}
+                      >
+                        {Object.values(BOARD_ROLES).map(role => (
+                          <option key={role} value={role}>{ROLE_LABELS[role]}</option>
+                        ))}
+                      </select>
+                      <button
+                        className="share-remove-button"
+                        onClick={() => runAction(() => removeMember(member.user_id))}
+                        title="Remove from board"
+                      >
+                        Remove
+                      </button>
+                    </>
+                  ) : (
+                    <span className={`share-role-badge role-${member.role}`}>
+                      {ROLE_LABELS[member.role]}
+                    </span>
+                  )}
+                </li>
+              )
+            })}
+          </ul>
+        </div>
+
+        {isOwner && (
+          <div className="share-section">
+            <div className="section-label">Invite links</div>
+            <div className="share-invite-create">
+              <select value={inviteRole} onChange={(e) => setInviteRole(e.target.value)}>
+                <option value={BOARD_ROLES.EDITOR}>Can edit</option>
+                <option value={BOARD_ROLES.VIEWER}>Can view</option>
+              </select>
+              <button
+                className="toolbar-button primary"
+                onClick={() => runAction(() => createInvite(inviteRole))}
+              >
+                Create link
+              </button>
+            </div>
+
+            {invites.length === 0 ? (
+              <p className="share-empty">No active invite links.</p>
+            ) : (
+              <ul className="share-invite-list">
+                {invites.map((invite) => (
+                  <li key={invite.id} className="share-invite">
+                    <input type="text" readOnly value={getInviteUrl(invite.token)} onFocus={(e) => e.target.select()} />
+                    <span className={`share-role-badge role-${invite.role}`}>{ROLE_LABELS[invite.role]}</span>
+                    <button className="toolbar-button secondary" onClick={() => handleCopy(invite)}>
+                      {copiedInviteId === invite.id ? 'Copied!' : 'Copy'}
+                    </button>
+                    <button
+                      className="share-remove-button"
+                      onClick={() => runAction(() => revokeInvite(invite.id))}
+                    >
+                      Revoke
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
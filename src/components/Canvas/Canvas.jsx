@@ -1,27 +1,85 @@
-import { useRef, useCallback, useEffect, useState } from 'react'
+import { useRef, useCallback, useEffect, useMemo, useState, Fragment } from 'react'
 import Konva from 'konva'
-import { Transformer } from 'react-konva'
+import { Transformer, Rect, Group } from 'react-konva'
 import { CanvasStage } from './CanvasStage'
 import { Rectangle } from './Rectangle'
 import { Circle } from './Circle'
 import { TextBox } from './TextBox'
+import { Connector } from './Connector'
+import { PenStroke, StrokePreview } from './PenStroke'
+import { Frame, FrameContents } from './Frame'
 import { Cursor } from './Cursor'
 import { useCanvas } from '../../hooks/useCanvas'
 import { useCursors } from '../../hooks/useCursors'
 import { useRealtimeSync } from '../../hooks/useRealtimeSync'
 import { useKeyboardShortcuts } from '../../hooks/useKeyboardShortcuts'
-import { CANVAS_CONFIG, REALTIME_CONFIG, TABLES } from '../../lib/constants'
+import { useHistory } from '../../hooks/useHistory'
+import { useStrokePreview } from '../../hooks/useStrokePreview'
+import { useGrouping } from '../../hooks/useGrouping'
+import { useRenderViewport } from '../../hooks/useRenderViewport'
+import { useShape, useStoreSelector } from '../../hooks/useObjectStore'
+import { CANVAS_CONFIG, REALTIME_CONFIG, TABLES, LINE_CONFIG, PEN_CONFIG, LOCK_CONFIG, AI_CONFIG } from '../../lib/constants'
 import { throttle } from '../../utils/syncHelpers'
+import {
+  isLineShape,
+  isBindableShape,
+  getAnchorPoint,
+  getFacingAnchors,
+  getTranslateChanges,
+} from '../../utils/connectorHelpers'
+import { simplifyPoints } from '../../utils/penHelpers'
+import { getShapeBounds } from '../../utils/canvasHelpers'
+import { getActiveIds, getRenderSets, haveSameItems, haveSameIds } from '../../utils/renderCulling'
+import { installRenderBenchmark } from '../../utils/renderBenchmark'
+import {
+  isGroupShape,
+  isFrameShape,
+  getParent,
+  getSelectionTargetId,
+  getDescendantIds,
+  expandGroups,
+  getContentBounds,
+  findContainingFrame,
+  getShapesInFrame,
+  getRenderTree,
+} from '../../utils/containerHelpers'
 import objectStore from '../../lib/ObjectStore'
+import historyManager from '../../lib/HistoryManager'
 import ownershipManager from '../../utils/OwnershipManager'
 import { supabase } from '../../lib/supabase'
 
-export const Canvas = ({ user, onlineUsers, updateActivity }) => {
+// Half size of the pen's capture area (canvas units), covering any reachable view
+const PEN_CAPTURE_EXTENT = 1000000
+
+// Drag/transform ends of shapes moved together arrive one by one (text boxes a
+// frame later); commits within this window become a single undo step
+const GESTURE_COMMIT_WINDOW = 100 // ms
+
+export const Canvas = ({ user, boardId, readOnly = false, stageRef: externalStageRef, onlineUsers, updateActivity, previewShapeIds, hasOpenPreview = false, onTidy }) => {
   const stageRef = useRef(null)
   const transformerRef = useRef(null)
   const [isDragging, setIsDragging] = useState(false)
   const [ownedShapes, setOwnedShapes] = useState(new Set()) // Track shapes owned by current user
+  const [lockNotice, setLockNotice] = useState(null) // Why a lock was denied or lost
+  const lockNoticeTimerRef = useRef(null)
+  const [activeTool, setActiveTool] = useState('select') // 'select' | 'pen'
+  const [penWidth, setPenWidth] = useState(PEN_CONFIG.DEFAULT_STROKE_WIDTH)
+  const [draftStroke, setDraftStroke] = useState(null) // Points of the stroke being drawn
+  const draftPointsRef = useRef(null)
+  const gestureBatchRef = useRef(null)
   
+  // Share the Konva stage with the workspace (export reads the visible area from it)
+  useEffect(() => {
+    if (!externalStageRef) return
+    externalStageRef.current = stageRef.current
+    return () => {
+      externalStageRef.current = null
+    }
+  }, [externalStageRef])
+
+  // Dev builds: window.runRenderBenchmark() measures pan/zoom frame times
+  useEffect(() => installRenderBenchmark(stageRef), [])
+
   const {
     shapes,
     selectedShapeId,
@@ -30,6 +88,10 @@ export const Canvas = ({ user, onlineUsers, updateActivity }) => {
     addRectangle,
     addCircle,
     addTextBox,
+    addLine,
+    addPath,
+    addStickyNote,
+    addFrame,
     updateShapePosition,
     selectShape,
     deselectAll,
@@ -40,7 +102,7 @@ export const Canvas = ({ user, onlineUsers, updateActivity }) => {
     setShapesFromRemote,
     setSelectedColor,
     objectStore,
-  } = useCanvas()
+  } = useCanvas({ boardId })
 
   // DEBUG: Log shapes summary when it changes
   useEffect(() => {
@@ -60,6 +122,7 @@ export const Canvas = ({ user, onlineUsers, updateActivity }) => {
   } = useCursors({ 
     userId: user?.id, 
     username: user?.user_metadata?.username || 'Anonymous',
+    boardId,
     isDragging, // Pass drag state to cursor hook
     updateActivity // Pass activity tracking function
   })
@@ -70,16 +133,52 @@ export const Canvas = ({ user, onlineUsers, updateActivity }) => {
     isConnected,
     pendingChangesCount,
   } = useRealtimeSync({ 
-    shapes, 
     setShapesFromRemote, 
-    userId: user?.id 
+    userId: user?.id,
+    boardId
+  })
+
+  // Live preview of strokes other users are drawing
+  const { remoteStrokes, startStroke, extendStroke, endStroke } = useStrokePreview({
+    userId: user?.id,
+    boardId
+  })
+
+  // Per-user undo/redo
+  const { undo, redo, canUndo, canRedo } = useHistory({
+    userId: user?.id,
+    boardId,
+    readOnly
   })
 
+  // Groups (Ctrl+G / Ctrl+Shift+G and the toolbar)
+  const { groupShapes, ungroupShapes } = useGrouping({
+    userId: user?.id,
+    boardId
+  })
+
+  const handleGroup = useCallback(async (shapeIds) => {
+    const group = await groupShapes(shapeIds)
+    if (group) {
+      selectShape(group.id)
+    }
+  }, [groupShapes, selectShape])
+
+  const handleUngroup = useCallback(async (shapeIds) => {
+    const memberIds = await ungroupShapes(shapeIds)
+    if (memberIds.length > 0) {
+      deselectAll()
+      memberIds.forEach(id => addToSelection(id))
+    }
+  }, [ungroupShapes, deselectAll, addToSelection])
+
   // Keyboard shortcuts
   useKeyboardShortcuts({
     selectedShapeId,
     selectedShapeIds,
     userId: user?.id,
+    boardId,
+    readOnly, // Viewers can't delete, duplicate or move shapes
     updateActivity, // Pass activity tracking function
     onShapeDeleted: useCallback((shapeId) => {
       // console.log('🎹 Keyboard: Shape deleted:', shapeId)
@@ -96,201 +195,121 @@ export const Canvas = ({ user, onlineUsers, updateActivity }) => {
     onDeselect: useCallback(() => {
       // console.log('🎹 Keyboard: Deselecting all shapes')
       deselectAll()
-    }, [deselectAll])
+      setActiveTool('select') // Escape also puts the pen down
+    }, [deselectAll]),
+    onUndo: undo,
+    onRedo: redo,
+    onGroup: handleGroup,
+    onUngroup: handleUngroup
   })
 
-  // Release current ownership (click canvas/other shape)
-  const releaseCurrentOwnership = useCallback(async () => {
-    if (!user?.id || ownedShapes.size === 0) return
-
-    const ownedShapesArray = Array.from(ownedShapes)
-    
-    for (const shapeId of ownedShapesArray) {
-      try {
-        // Release ownership in database
-        const { error } = await supabase
-          .from(TABLES.SHAPES)
-          .update({ owner_id: null, ownership_timestamp: null })
-          .eq('id', shapeId)
-          
-        if (error) {
-          console.error('Error releasing ownership:', error)
-          continue
-        }
-
-        // Clear timeout
-        ownershipManager.release(shapeId)
-
-        // Update ObjectStore with ownership release
-        const ownershipReleaseData = { owner_id: null, ownership_timestamp: null }
-        objectStore.update(shapeId, ownershipReleaseData)
-
-        // Update local state
-        setOwnedShapes(prev => {
-          const newSet = new Set(prev)
-          newSet.delete(shapeId)
-          return newSet
-        })
-
-        // Broadcast ownership release
-        const updatedShape = objectStore.get(shapeId)
-        if (updatedShape) {
-          broadcastShapeChange({ ...updatedShape, ...ownershipReleaseData }, 'update')
-        }
-      } catch (error) {
-        console.error('Error releasing ownership for shape:', shapeId, error)
-      }
-    }
-  }, [user?.id, ownedShapes, broadcastShapeChange])
-
-  // Handle ownership timeout
-  const handleOwnershipTimeout = useCallback(async (shapeId) => {
-    try {
-      // Release ownership in database
-      const { error } = await supabase
-        .from(TABLES.SHAPES)
-        .update({ owner_id: null, ownership_timestamp: null })
-        .eq('id', shapeId)
-        
-      if (error) {
-        console.error('Error releasing ownership on timeout:', error)
-        return
-      }
-
-      // Update ObjectStore with ownership release
-      const ownershipReleaseData = { owner_id: null, ownership_timestamp: null }
-      objectStore.update(shapeId, ownershipReleaseData)
-
-      // Update local state
-      setOwnedShapes(prev => {
-        const newSet = new Set(prev)
-        newSet.delete(shapeId)
-        return newSet
-      })
+  // Tell the user why a shape couldn't be taken (clears itself after a moment)
+  const showLockNotice = useCallback((message) => {
+    clearTimeout(lockNoticeTimerRef.current)
+    setLockNotice(message)
+    lockNoticeTimerRef.current = setTimeout(() => setLockNotice(null), LOCK_CONFIG.NOTICE_DURATION)
+  }, [])
 
-      // Broadcast ownership release
+  useEffect(() => () => clearTimeout(lockNoticeTimerRef.current), [])
+
+  // Explain a denied lock, naming whoever holds the shapes
+  const notifyLockDenied = useCallback((locks) => {
+    const holderIds = [...new Set(locks.map(lock => lock.holder_id).filter(id => id && id !== user?.id))]
+    const names = holderIds.map(id => onlineUsers?.find(onlineUser => onlineUser.user_id === id)?.username || 'another user')
+    const target = locks.length === 1 ? 'this shape' : 'these shapes'
+    showLockNotice(names.length > 0
+      ? `🔒 ${[...new Set(names)].join(', ')} is editing ${target}`
+      : `🔒 You can't edit ${target} right now`)
+  }, [user?.id, onlineUsers, showLockNotice])
+
+  // Show ownership changes locally and to other clients right away
+  const applyOwnership = useCallback((changesById) => {
+    objectStore.batch(() => {
+      changesById.forEach((ownershipData, shapeId) => objectStore.update(shapeId, ownershipData))
+    })
+    changesById.forEach((ownershipData, shapeId) => {
       const updatedShape = objectStore.get(shapeId)
       if (updatedShape) {
-        broadcastShapeChange({ ...updatedShape, ...ownershipReleaseData }, 'update')
+        broadcastShapeChange(updatedShape, 'update')
       }
-    } catch (error) {
-      console.error('Error in handleOwnershipTimeout:', error)
-    }
+    })
   }, [broadcastShapeChange])
 
-  // Ownership acquisition handler (single transaction)
-  const acquireOwnership = useCallback(async (shapeId) => {
-    if (!user?.id) return false
+  // Release ownership of the given shapes
+  const releaseOwnership = useCallback(async (shapeIds) => {
+    if (!user?.id || shapeIds.length === 0) return
 
-    try {
-      // Single transaction: check ownership + acquire if unowned
-      const { data, error } = await supabase
-        .from(TABLES.SHAPES)
-        .update({ 
-          owner_id: user.id, 
-          ownership_timestamp: new Date().toISOString() 
-        })
-        .eq('id', shapeId)
-        .is('owner_id', null) // Only if unowned
-        .select() // Return the updated row
-        
-      if (error) {
-        console.error('Error acquiring ownership:', error)
-        return false
-      }
+    // Even if the request fails, the leases are no longer renewed and run out
+    await ownershipManager.release(shapeIds)
 
-      if (data && data.length > 0) {
-        // Successfully acquired ownership
-        setOwnedShapes(prev => new Set(prev).add(shapeId))
-        
-        // Update ObjectStore with ownership data
-        const ownershipData = { 
-          owner_id: user.id, 
-          ownership_timestamp: new Date().toISOString() 
-        }
-        objectStore.update(shapeId, ownershipData)
-        
-        // Start 15-second timeout
-        ownershipManager.acquire(shapeId, user.id, (timeoutShapeId) => {
-          handleOwnershipTimeout(timeoutShapeId)
-        })
-        
-        // Broadcast ownership change
-        const updatedShape = objectStore.get(shapeId)
-        if (updatedShape) {
-          broadcastShapeChange({ ...updatedShape, ...ownershipData }, 'update')
+    setOwnedShapes(prev => {
+      const newSet = new Set(prev)
+      shapeIds.forEach(shapeId => newSet.delete(shapeId))
+      return newSet
+    })
+    const ownershipReleaseData = { owner_id: null, ownership_timestamp: null, lock_expires_at: null }
+    applyOwnership(new Map(shapeIds.map(shapeId => [shapeId, ownershipReleaseData])))
+  }, [user?.id, applyOwnership])
+
+  // Release current ownership (click canvas/other shape)
+  const releaseCurrentOwnership = useCallback(() => (
+    releaseOwnership(Array.from(ownedShapes))
+  ), [ownedShapes, releaseOwnership])
+
+  // Locks that couldn't be renewed belong to someone else now (or the shape is gone)
+  const handleLocksLost = useCallback((shapeIds) => {
+    setOwnedShapes(prev => {
+      const newSet = new Set(prev)
+      shapeIds.forEach(shapeId => newSet.delete(shapeId))
+      return newSet
+    })
+    objectStore.batch(() => {
+      shapeIds.forEach(shapeId => {
+        if (objectStore.get(shapeId)?.owner_id === user?.id) {
+          objectStore.update(shapeId, { owner_id: null, ownership_timestamp: null, lock_expires_at: null })
         }
-        
-        return true
-      } else {
-        return false // Shape already owned
-      }
-    } catch (error) {
-      console.error('Error in acquireOwnership:', error)
-      return false
-    }
-  }, [user?.id, broadcastShapeChange, handleOwnershipTimeout])
+        removeFromSelection(shapeId)
+      })
+    })
+    showLockNotice('🔓 Your lock expired and the shape was deselected')
+  }, [user?.id, removeFromSelection, showLockNotice])
+
+  useEffect(() => {
+    ownershipManager.setOnLost(handleLocksLost)
+    return () => ownershipManager.setOnLost(null)
+  }, [handleLocksLost])
 
-  // Ownership acquisition handler for multiple shapes
+  // Ownership acquisition for a set of shapes: the database grants all of them or none
   const acquireOwnershipForMultiple = useCallback(async (shapeIds) => {
     if (!user?.id || !shapeIds.length) return false
 
-    try {
-      // Update all shapes in a single transaction
-      const { data, error } = await supabase
-        .from(TABLES.SHAPES)
-        .update({ 
-          owner_id: user.id, 
-          ownership_timestamp: new Date().toISOString() 
-        })
-        .in('id', shapeIds)
-        .is('owner_id', null) // Only if unowned
-        .select() // Return the updated rows
-        
-      if (error) {
-        console.error('Error acquiring ownership for multiple shapes:', error)
-        return false
-      }
-
-      if (data && data.length > 0) {
-        // Successfully acquired ownership for some shapes
-        const acquiredShapeIds = data.map(shape => shape.id)
-        setOwnedShapes(prev => {
-          const newSet = new Set(prev)
-          acquiredShapeIds.forEach(id => newSet.add(id))
-          return newSet
-        })
-        
-        // Update ObjectStore with ownership data for all acquired shapes
-        const ownershipData = { 
-          owner_id: user.id, 
-          ownership_timestamp: new Date().toISOString() 
-        }
-        
-        acquiredShapeIds.forEach(shapeId => {
-          objectStore.update(shapeId, ownershipData)
-          
-          // Start 15-second timeout for each shape
-          ownershipManager.acquire(shapeId, user.id, (timeoutShapeId) => {
-            handleOwnershipTimeout(timeoutShapeId)
-          })
-          
-          // Broadcast ownership change
-          const updatedShape = objectStore.get(shapeId)
-          if (updatedShape) {
-            broadcastShapeChange({ ...updatedShape, ...ownershipData }, 'update')
-          }
-        })
-        
-        return true
-      } else {
-        return false // All shapes already owned
-      }
-    } catch (error) {
-      console.error('Error in acquireOwnershipForMultiple:', error)
+    const { acquired, locks, error } = await ownershipManager.acquire(shapeIds)
+    if (error) {
+      showLockNotice('⚠️ Could not lock the shape. Check your connection and try again.')
+      return false
+    }
+    if (!acquired) {
+      notifyLockDenied(locks)
       return false
     }
-  }, [user?.id, setOwnedShapes, broadcastShapeChange, handleOwnershipTimeout])
+
+    setOwnedShapes(prev => {
+      const newSet = new Set(prev)
+      locks.forEach(lock => newSet.add(lock.shape_id))
+      return newSet
+    })
+    applyOwnership(new Map(locks.map(lock => [lock.shape_id, {
+      owner_id: lock.holder_id,
+      ownership_timestamp: lock.owned_at,
+      lock_expires_at: lock.expires_at
+    }])))
+    return true
+  }, [user?.id, applyOwnership, notifyLockDenied, showLockNotice])
+
+  // Ownership acquisition handler for a single shape
+  const acquireOwnership = useCallback((shapeId) => (
+    acquireOwnershipForMultiple([shapeId])
+  ), [acquireOwnershipForMultiple])
 
   const handleStageClick = useCallback((e) => {
     // Release current ownership when clicking on empty space
@@ -363,7 +382,7 @@ export const Canvas = ({ user, onlineUsers, updateActivity }) => {
   // Ownership acquisition handler for drag start
   const handleDragStartWithOwnership = useCallback(async (shapeId) => {
     const shape = objectStore.get(shapeId)
-    if (!shape) return false
+    if (!shape || readOnly) return false
 
     // If shape is unowned, try to acquire ownership
     if (!shape.owner_id) {
@@ -384,11 +403,12 @@ export const Canvas = ({ user, onlineUsers, updateActivity }) => {
     else {
       return false // Block drag
     }
-  }, [acquireOwnership, selectShape, user?.id])
+  }, [acquireOwnership, selectShape, user?.id, readOnly])
 
   const handleDragEnd = useCallback((shapeId, newPosition) => {
     setIsDragging(false)
     updateShapePosition(shapeId, newPosition)
+    historyManager.commitChange(shapeId, 'Move shape')
     broadcastShapeChange(objectStore.get(shapeId), 'update')
   }, [updateShapePosition, broadcastShapeChange, objectStore])
 
@@ -400,6 +420,7 @@ export const Canvas = ({ user, onlineUsers, updateActivity }) => {
     const centerY = stage.height() / 2
     
     const newRectangle = addRectangle(centerX, centerY)
+    historyManager.recordCreate(newRectangle, 'Add rectangle')
     broadcastShapeChange(newRectangle, 'create')
   }, [addRectangle, broadcastShapeChange])
 
@@ -411,6 +432,7 @@ export const Canvas = ({ user, onlineUsers, updateActivity }) => {
     const centerY = stage.height() / 2
     
     const newCircle = addCircle(centerX, centerY)
+    historyManager.recordCreate(newCircle, 'Add circle')
     broadcastShapeChange(newCircle, 'create')
   }, [addCircle, broadcastShapeChange])
 
@@ -422,20 +444,152 @@ export const Canvas = ({ user, onlineUsers, updateActivity }) => {
     const centerY = stage.height() / 2
     
     const newTextBox = addTextBox(centerX, centerY)
+    historyManager.recordCreate(newTextBox, 'Add text')
     broadcastShapeChange(newTextBox, 'create')
   }, [addTextBox, broadcastShapeChange])
 
+  const handleAddStickyNote = useCallback(() => {
+    const stage = stageRef.current
+    if (!stage) return
+    
+    const centerX = stage.width() / 2
+    const centerY = stage.height() / 2
+    
+    const newSticky = addStickyNote(centerX, centerY)
+    historyManager.recordCreate(newSticky, 'Add sticky note')
+    broadcastShapeChange(newSticky, 'create')
+  }, [addStickyNote, broadcastShapeChange])
+
+  const handleAddFrame = useCallback(() => {
+    const stage = stageRef.current
+    if (!stage) return
+
+    const centerX = stage.width() / 2
+    const centerY = stage.height() / 2
+
+    // Frames sit behind everything and take in the shapes already on their area
+    const allShapes = objectStore.getAll()
+    const minZIndex = Math.min(...allShapes.map(shape => shape.z_index || 0), 0)
+    const frameCount = allShapes.filter(isFrameShape).length
+    const newFrame = addFrame(centerX, centerY, `Frame ${frameCount + 1}`, minZIndex - 1)
+    const adoptedIds = getShapesInFrame(objectStore.getAll(), newFrame)
+
+    historyManager.beginBatch('Add frame')
+    historyManager.recordCreate(newFrame, 'Add frame')
+    historyManager.record('Add frame', adoptedIds.map(id => ({
+      id,
+      before: { parent_id: objectStore.get(id)?.parent_id ?? null },
+      after: { parent_id: newFrame.id }
+    })))
+    historyManager.endBatch()
+
+    broadcastShapeChange(newFrame, 'create')
+    adoptedIds.forEach(id => {
+      objectStore.update(id, { parent_id: newFrame.id })
+      broadcastShapeChange(objectStore.get(id), 'update')
+    })
+  }, [addFrame, broadcastShapeChange, objectStore])
+
+  const handleAddLine = useCallback((type) => {
+    const stage = stageRef.current
+    if (!stage) return
+
+    // With exactly two shapes selected, connect them
+    const [from, to] = selectedShapeIds.map(id => objectStore.get(id))
+    let newLine
+    if (selectedShapeIds.length === 2 && isBindableShape(from) && isBindableShape(to)) {
+      const anchors = getFacingAnchors(from, to)
+      const start = getAnchorPoint(from, anchors.start)
+      const end = getAnchorPoint(to, anchors.end)
+      newLine = addLine(start.x, start.y, end.x, end.y, type, {
+        start_shape_id: from.id,
+        start_anchor: anchors.start,
+        end_shape_id: to.id,
+        end_anchor: anchors.end
+      })
+    } else {
+      const centerX = stage.width() / 2
+      const centerY = stage.height() / 2
+      const halfLength = LINE_CONFIG.DEFAULT_LENGTH / 2
+      newLine = addLine(centerX - halfLength, centerY, centerX + halfLength, centerY, type)
+    }
+
+    historyManager.recordCreate(newLine, type === 'arrow' ? 'Add arrow' : 'Add line')
+    broadcastShapeChange(newLine, 'create')
+  }, [addLine, selectedShapeIds, broadcastShapeChange, objectStore])
+
+  // Pen tool: capture pointer positions in canvas coordinates
+  const handlePenDown = useCallback((e) => {
+    const point = stageRef.current?.getRelativePointerPosition()
+    if (!point) return
+    e.cancelBubble = true
+
+    draftPointsRef.current = [point.x, point.y]
+    setDraftStroke(draftPointsRef.current)
+    startStroke(selectedColor, penWidth)
+    extendStroke(draftPointsRef.current)
+  }, [selectedColor, penWidth, startStroke, extendStroke])
+
+  const handlePenMove = useCallback(() => {
+    const points = draftPointsRef.current
+    const stage = stageRef.current
+    const point = stage?.getRelativePointerPosition()
+    if (!points || !point || points.length / 2 >= PEN_CONFIG.MAX_POINTS) return
+
+    // Skip jitter: points closer than a couple of screen pixels add nothing
+    const scale = stage.scaleX() || 1
+    const lastX = points[points.length - 2]
+    const lastY = points[points.length - 1]
+    if (Math.hypot(point.x - lastX, point.y - lastY) < PEN_CONFIG.MIN_POINT_DISTANCE / scale) return
+
+    draftPointsRef.current = [...points, point.x, point.y]
+    setDraftStroke(draftPointsRef.current)
+    extendStroke(draftPointsRef.current)
+  }, [extendStroke])
+
+  const handlePenUp = useCallback(() => {
+    const points = draftPointsRef.current
+    if (!points) return
+    draftPointsRef.current = null
+    setDraftStroke(null)
+
+    // Tolerance is in screen pixels, so zoomed-in strokes keep their detail
+    const scale = stageRef.current?.scaleX() || 1
+    const newPath = addPath(simplifyPoints(points, PEN_CONFIG.SIMPLIFY_TOLERANCE / scale), penWidth)
+    endStroke(points, newPath.id)
+    historyManager.recordCreate(newPath, 'Draw')
+    broadcastShapeChange(newPath, 'create')
+
+    if (updateActivity) {
+      updateActivity()
+    }
+  }, [addPath, penWidth, endStroke, broadcastShapeChange, updateActivity])
+
+  const togglePen = useCallback(() => {
+    setActiveTool(tool => (tool === 'pen' ? 'select' : 'pen'))
+    deselectAll()
+  }, [deselectAll])
+
+  // Crosshair while the pen is active
+  useEffect(() => {
+    const container = stageRef.current?.container()
+    if (container) {
+      container.style.cursor = activeTool === 'pen' ? 'crosshair' : ''
+    }
+  }, [activeTool])
+
   // No need to pass data to parent - we'll handle toolbar directly
 
   const handleRectangleDragEnd = useCallback((shapeId, newPosition) => {
     updateShapePosition(shapeId, newPosition)
+    historyManager.commitChange(shapeId, 'Move shape')
     
-    const updatedShape = shapes.find(s => s.id === shapeId)
+    const updatedShape = objectStore.get(shapeId)
     if (updatedShape) {
       const shapeWithNewPos = { ...updatedShape, ...newPosition }
       broadcastShapeChange(shapeWithNewPos, 'update')
     }
-  }, [shapes, updateShapePosition, broadcastShapeChange])
+  }, [updateShapePosition, broadcastShapeChange, objectStore])
 
   const handleShapeSelect = useCallback(async (shapeId, event) => {
     // Track activity for shape selection
@@ -443,18 +597,25 @@ export const Canvas = ({ user, onlineUsers, updateActivity }) => {
       updateActivity()
     }
     
+    // Read-only boards have no selection (no transform handles, no ownership writes)
+    if (readOnly) return
+
+    // Clicking a grouped shape selects its group
+    const clickedId = shapeId
+    shapeId = getSelectionTargetId(clickedId, objectStore.get)
+
     // Get the shape to check current ownership
     const shape = objectStore.get(shapeId)
     if (!shape) return
 
+    // A group is owned together with all of its members
+    const unitIds = expandGroups(objectStore.getAll(), [shapeId])
+
     // Check if Shift key is pressed for multi-select
     const isModifierPressed = event?.shiftKey
 
-    // If shape is owned by another user, don't select (no transform handles)
-    if (shape.owner_id && shape.owner_id !== user?.id) {
-      // console.log('Shape is owned by another user, cannot select')
-      return
-    }
+    // Shapes locked by someone else aren't pre-judged here: the database may
+    // know that their lease ran out, and explains a refusal if it didn't
 
     if (isModifierPressed) {
       // Multi-select mode: toggle selection
@@ -468,26 +629,65 @@ export const Canvas = ({ user, onlineUsers, updateActivity }) => {
       } else {
         // If not selected, add to selection
         // For multi-select, we need to acquire ownership of all selected shapes
-        const allSelectedShapes = selectedShapeIds.concat([shapeId])
+        const allSelectedShapes = expandGroups(objectStore.getAll(), selectedShapeIds.concat([shapeId]))
         const ownershipAcquired = await acquireOwnershipForMultiple(allSelectedShapes)
         if (ownershipAcquired) {
           addToSelection(shapeId)
         }
       }
     } else {
-      // Single select mode: clear current selection and select this shape
-      await releaseCurrentOwnership()
-      
-      if (!shape.owner_id) {
-        const ownershipAcquired = await acquireOwnership(shapeId)
-        if (ownershipAcquired) {
-          selectShape(shapeId)
-        }
-      } else {
+      // Single select mode: keep (or take) the locks on this shape, drop the rest
+      await releaseOwnership(Array.from(ownedShapes).filter(id => !unitIds.includes(id)))
+
+      const ownershipAcquired = await acquireOwnershipForMultiple(unitIds)
+      if (ownershipAcquired) {
         selectShape(shapeId)
       }
     }
-  }, [user?.id, selectShape, addToSelection, removeFromSelection, isSelected, selectedShapeIds, acquireOwnership, releaseCurrentOwnership, updateActivity])
+  }, [user?.id, readOnly, selectShape, addToSelection, removeFromSelection, isSelected, selectedShapeIds, ownedShapes, acquireOwnershipForMultiple, releaseOwnership, releaseCurrentOwnership, updateActivity])
+
+  // Commit a drag/transform as part of the current gesture (see GESTURE_COMMIT_WINDOW)
+  const commitGestureChange = useCallback((shapeId, label) => {
+    if (!gestureBatchRef.current) {
+      historyManager.beginBatch(label)
+      gestureBatchRef.current = setTimeout(() => {
+        gestureBatchRef.current = null
+        historyManager.endBatch()
+      }, GESTURE_COMMIT_WINDOW)
+    }
+    historyManager.commitChange(shapeId, label)
+  }, [])
+
+  // Close an open gesture batch when leaving the board
+  useEffect(() => {
+    return () => {
+      if (gestureBatchRef.current) {
+        clearTimeout(gestureBatchRef.current)
+        gestureBatchRef.current = null
+        historyManager.endBatch()
+      }
+    }
+  }, [])
+
+  // Shapes dropped onto a frame join it; shapes dragged out of their frame leave it.
+  // Grouped shapes change frame as a whole group.
+  const updateFrameMembership = useCallback((shapeId) => {
+    const targetId = getSelectionTargetId(shapeId, objectStore.get)
+    const target = objectStore.get(targetId)
+    if (!target || isFrameShape(target) || isLineShape(target)) return
+
+    const allShapes = objectStore.getAll()
+    const bounds = isGroupShape(target) ? getContentBounds(allShapes, targetId) : getShapeBounds(target)
+    if (!bounds) return
+
+    const currentParentId = getParent(target, objectStore.get)?.id ?? null
+    const parentId = findContainingFrame(allShapes, bounds)?.id ?? null
+    if (parentId === currentParentId) return
+
+    historyManager.recordUpdate(targetId, { parent_id: target.parent_id ?? null }, { parent_id: parentId }, 'Move shape')
+    objectStore.update(targetId, { parent_id: parentId })
+    broadcastShapeChange(objectStore.get(targetId), 'update')
+  }, [broadcastShapeChange, objectStore])
 
   const handleShapeDragEnd = useCallback((shapeId, newPosition) => {
     // Track activity for shape drag end
@@ -497,15 +697,20 @@ export const Canvas = ({ user, onlineUsers, updateActivity }) => {
     
     setIsDragging(false) // End drag state
     updateShapePosition(shapeId, newPosition)
+    commitGestureChange(shapeId, 'Move shape')
     
-    const updatedShape = shapes.find(s => s.id === shapeId)
+    const updatedShape = objectStore.get(shapeId)
     if (updatedShape) {
       const shapeWithNewPos = { ...updatedShape, ...newPosition }
       broadcastShapeChange(shapeWithNewPos, 'update')
     }
-  }, [shapes, updateShapePosition, broadcastShapeChange])
+    updateFrameMembership(shapeId)
+  }, [updateShapePosition, broadcastShapeChange, commitGestureChange, updateFrameMembership, objectStore])
 
   const handleShapeDragMoveBroadcast = useCallback((shapeId, newPosition) => {
+    // Remember where the drag started so it can be undone
+    historyManager.beginChange(shapeId)
+
     // Update local ObjectStore immediately (no throttling for instant UI response)
     objectStore.update(shapeId, newPosition)
     
@@ -513,7 +718,99 @@ export const Canvas = ({ user, onlineUsers, updateActivity }) => {
     // This makes local editing completely smooth and snappy
   }, [])
 
+  // Moving a frame moves everything inside it
+  const handleFrameDragMove = useCallback((frameId, newPosition) => {
+    const frame = objectStore.get(frameId)
+    if (!frame) return
+
+    const dx = newPosition.x - frame.x
+    const dy = newPosition.y - frame.y
+    const ids = [frameId, ...getDescendantIds(objectStore.getAll(), [frameId])]
+    ids.forEach(id => historyManager.beginChange(id))
+
+    // Selected children are already being dragged by the Transformer
+    const draggedIds = expandGroups(objectStore.getAll(), selectedShapeIds)
+
+    objectStore.batch(() => {
+      objectStore.update(frameId, newPosition)
+      for (const id of ids.slice(1)) {
+        if (draggedIds.includes(id)) continue
+        const shape = objectStore.get(id)
+        if (shape) {
+          objectStore.update(id, getTranslateChanges(shape, dx, dy, { movingIds: ids, getShape: objectStore.get }))
+        }
+      }
+    })
+  }, [selectedShapeIds, objectStore])
+
+  const handleFrameDragEnd = useCallback((frameId, newPosition) => {
+    // Track activity for frame drag end
+    if (updateActivity) {
+      updateActivity()
+    }
+
+    setIsDragging(false)
+    handleFrameDragMove(frameId, newPosition)
+
+    const ids = [frameId, ...getDescendantIds(objectStore.getAll(), [frameId])]
+    historyManager.beginBatch('Move frame')
+    ids.forEach(id => historyManager.commitChange(id, 'Move frame'))
+    historyManager.endBatch()
+
+    ids.forEach(id => {
+      const updatedShape = objectStore.get(id)
+      if (updatedShape) {
+        broadcastShapeChange(updatedShape, 'update')
+      }
+    })
+  }, [handleFrameDragMove, broadcastShapeChange, updateActivity, objectStore])
+
+  const handleLineChange = useCallback((lineId, changes, label = 'Edit line') => {
+    const line = objectStore.get(lineId)
+    if (!line) return
+
+    historyManager.recordUpdate(lineId, line, changes, label)
+    objectStore.update(lineId, changes)
+    broadcastShapeChange(objectStore.get(lineId), 'update')
+  }, [broadcastShapeChange, objectStore])
+
+  const handleLineMove = useCallback((lineId, dx, dy) => {
+    // Track activity for line drag end
+    if (updateActivity) {
+      updateActivity()
+    }
+
+    setIsDragging(false)
+    const line = objectStore.get(lineId)
+    if (!line) return
+
+    // Dragging a connector on its own detaches it from its shapes
+    handleLineChange(lineId, getTranslateChanges(line, dx, dy, { getShape: objectStore.get }), 'Move line')
+  }, [handleLineChange, updateActivity, objectStore])
+
+  const changeLineStyle = useCallback((field, value) => {
+    const lines = selectedShapeIds
+      .map(id => objectStore.get(id))
+      .filter(shape => isLineShape(shape) && shape[field] !== value)
+    if (lines.length === 0) return
+
+    // One undo step for all selected lines
+    historyManager.record('Change line style', lines.map(line => ({
+      id: line.id,
+      before: { [field]: line[field] ?? null },
+      after: { [field]: value }
+    })))
+
+    lines.forEach(line => {
+      objectStore.update(line.id, { [field]: value })
+      broadcastShapeChange(objectStore.get(line.id), 'update')
+    })
+  }, [selectedShapeIds, broadcastShapeChange, objectStore])
+
   const handleTextChange = useCallback((shapeId, newText) => {
+    const previousText = objectStore.get(shapeId)?.text_content
+    historyManager.recordUpdate(shapeId, { text_content: previousText }, { text_content: newText }, 'Edit text')
+
     // Update ObjectStore
     objectStore.update(shapeId, { text_content: newText })
     
@@ -528,6 +825,12 @@ export const Canvas = ({ user, onlineUsers, updateActivity }) => {
     // Handle both single shape ID and array of shape IDs
     const shapeIds = Array.isArray(shapeIdOrIds) ? shapeIdOrIds : [shapeIdOrIds]
     
+    // Record previous colors so the change can be undone in one step
+    historyManager.record('Change color', shapeIds
+      .map(shapeId => objectStore.get(shapeId))
+      .filter(shape => shape && shape.color !== newColor)
+      .map(shape => ({ id: shape.id, before: { color: shape.color }, after: { color: newColor } })))
+
     // Update ObjectStore with new color for all shapes
     shapeIds.forEach(shapeId => {
       objectStore.update(shapeId, { color: newColor })
@@ -544,17 +847,27 @@ export const Canvas = ({ user, onlineUsers, updateActivity }) => {
 
   const handleColorClick = useCallback((color) => {
     if (selectedShapeId) {
-      // Change color of selected shape (immediate feedback)
-      changeShapeColor(selectedShapeId, color)
+      // Change color of selected shape (immediate feedback); a group colors its members
+      const shapeIds = expandGroups(objectStore.getAll(), [selectedShapeId])
+        .filter(id => !isGroupShape(objectStore.get(id)))
+      changeShapeColor(shapeIds, color)
     } else {
       // Set color for new shapes (current behavior)
       setSelectedColor(color)
     }
-  }, [selectedShapeId, changeShapeColor, setSelectedColor])
+  }, [selectedShapeId, changeShapeColor, setSelectedColor, objectStore])
 
   // Z-index management functions
+  // Same rule as the AI's reorder_shapes: editors may reorder any shape nobody else is editing
+  const canReorder = useCallback((shapeId) => {
+    if (readOnly) return false
+    if (!objectStore.isOwnedByOther(shapeId, user?.id)) return true
+    notifyLockDenied([{ holder_id: objectStore.get(shapeId)?.owner_id }])
+    return false
+  }, [readOnly, user?.id, notifyLockDenied, objectStore])
+
   const bringToFront = useCallback(async () => {
-    if (!selectedShapeId || !user?.id) return
+    if (!selectedShapeId || !user?.id || !canReorder(selectedShapeId)) return
 
     try {
       // Get all shapes to find max z_index
@@ -572,13 +885,15 @@ export const Canvas = ({ user, onlineUsers, updateActivity }) => {
           updated_at: new Date().toISOString() 
         })
         .eq('id', selectedShapeId)
-        .eq('created_by', user.id) // Only update own shapes
 
       if (error) {
         console.error('❌ Error bringing shape to front:', error)
         return
       }
 
+      const previousZIndex = objectStore.get(selectedShapeId)?.z_index || 0
+      historyManager.recordUpdate(selectedShapeId, { z_index: previousZIndex }, { z_index: newZIndex }, 'Bring to front')
+
       // Update in ObjectStore
       objectStore.update(selectedShapeId, { z_index: newZIndex })
       
@@ -586,10 +901,10 @@ export const Canvas = ({ user, onlineUsers, updateActivity }) => {
     } catch (error) {
       console.error('💥 Failed to bring shape to front:', error)
     }
-  }, [selectedShapeId, user?.id])
+  }, [selectedShapeId, user?.id, canReorder])
 
   const sendToBack = useCallback(async () => {
-    if (!selectedShapeId || !user?.id) return
+    if (!selectedShapeId || !user?.id || !canReorder(selectedShapeId)) return
 
     try {
       // Get all shapes to find min z_index
@@ -607,13 +922,15 @@ export const Canvas = ({ user, onlineUsers, updateActivity }) => {
           updated_at: new Date().toISOString() 
         })
         .eq('id', selectedShapeId)
-        .eq('created_by', user.id) // Only update own shapes
 
       if (error) {
         console.error('❌ Error sending shape to back:', error)
         return
       }
 
+      const previousZIndex = objectStore.get(selectedShapeId)?.z_index || 0
+      historyManager.recordUpdate(selectedShapeId, { z_index: previousZIndex }, { z_index: newZIndex }, 'Send to back')
+
       // Update in ObjectStore
       objectStore.update(selectedShapeId, { z_index: newZIndex })
       
@@ -621,24 +938,18 @@ export const Canvas = ({ user, onlineUsers, updateActivity }) => {
     } catch (error) {
       console.error('💥 Failed to send shape to back:', error)
     }
-  }, [selectedShapeId, user?.id])
+  }, [selectedShapeId, user?.id, canReorder])
 
-  // Attach transformer to selected shapes
-  useEffect(() => {
-    if (selectedShapeIds.length > 0 && transformerRef.current) {
-      const stage = stageRef.current
-      if (stage) {
-        const selectedNodes = selectedShapeIds
-          .map(id => stage.findOne(`#${id}`))
-          .filter(Boolean)
-        
-        if (selectedNodes.length > 0) {
-          transformerRef.current.nodes(selectedNodes)
-          transformerRef.current.getLayer().batchDraw()
-        }
-      }
-    }
-  }, [selectedShapeIds])
+  // The palette shows the selected shape's color
+  const selectedShape = useShape(selectedShapeId)
+
+  // Shapes the Transformer acts on: selected shapes and the members of selected groups
+  const selectedUnitIds = expandGroups(shapes, selectedShapeIds)
+  // Kept while the selection is unchanged, so moving shapes doesn't re-render the static layer
+  const selectedUnitKey = selectedUnitIds.join(',')
+  const selectedUnitIdSet = useMemo(() => new Set(selectedUnitKey.split(',')), [selectedUnitKey])
+  // Changes when a selected shape moves in or out of a frame (its node is re-created)
+  const selectedParentsKey = selectedUnitIds.map(id => objectStore.get(id)?.parent_id ?? '').join(',')
 
   // Periodic cleanup of expired ownership (every 15 seconds)
   useEffect(() => {
@@ -691,15 +1002,16 @@ export const Canvas = ({ user, onlineUsers, updateActivity }) => {
   useEffect(() => {
     return () => {
       // Release all owned shapes when component unmounts
-      if (user?.id && ownedShapes.size > 0) {
-        releaseCurrentOwnership()
-      }
+      ownershipManager.releaseAll()
     }
-  }, [user?.id, ownedShapes.size, releaseCurrentOwnership])
+  }, [])
 
 
 
   const handleShapeTransform = useCallback((shapeId, transform) => {
+    // Remember the shape's size before the transform so it can be undone
+    historyManager.beginChange(shapeId)
+
     // Update local ObjectStore immediately (no throttling for instant UI response)
     objectStore.update(shapeId, {
       x: transform.x,
@@ -719,21 +1031,248 @@ export const Canvas = ({ user, onlineUsers, updateActivity }) => {
       updateActivity()
     }
     
-    // Update local ObjectStore with final position
+    // Update local ObjectStore with final position (paths also bake the resize into their points)
     objectStore.update(shapeId, {
       x: transform.x,
       y: transform.y,
       width: transform.width,
       height: transform.height,
-      rotation: transform.rotation
+      rotation: transform.rotation,
+      ...(transform.path_points !== undefined && { path_points: transform.path_points })
     })
+    commitGestureChange(shapeId, 'Transform shape')
     
     // Broadcast final position to database (only on transform end)
     const updatedShape = objectStore.get(shapeId)
     if (updatedShape) {
       broadcastShapeChange(updatedShape, 'update')
     }
-  }, [broadcastShapeChange])
+    if (!isFrameShape(updatedShape)) {
+      updateFrameMembership(shapeId)
+    }
+  }, [broadcastShapeChange, commitGestureChange, updateFrameMembership])
+
+  // First selected line drives the line style controls
+  const selectedLine = selectedShapeIds
+    .map(id => objectStore.get(id))
+    .find(isLineShape)
+
+  // Draw one shape (frames draw just their background and label here)
+  const renderShapeNode = useCallback((shape) => {
+    const isSelected = selectedUnitIdSet.has(shape.id)
+    // Grouped shapes are only dragged or resized together with their group
+    const isLockedInGroup = !isSelected && getSelectionTargetId(shape.id, objectStore.get) !== shape.id
+    const isOwnedByMe = shape.owner_id === user?.id
+    const isOwnedByOther = shape.owner_id && shape.owner_id !== user?.id
+    
+    switch (shape.type) {
+      case 'rectangle':
+        return (
+          <Rectangle
+            key={shape.id}
+            rectangle={shape}
+            isSelected={isSelected}
+            isOwnedByMe={isOwnedByMe}
+            isOwnedByOther={isOwnedByOther}
+            readOnly={readOnly || isLockedInGroup}
+            onSelect={handleShapeSelect}
+            onDragStart={handleDragStart}
+            onDragEnd={handleShapeDragEnd}
+            onDragMoveBroadcast={handleShapeDragMoveBroadcast}
+            onTransform={handleShapeTransform}
+            onTransformEnd={handleShapeTransformEnd}
+            onCursorUpdate={updateCursorPosition}
+            onAcquireOwnership={handleDragStartWithOwnership}
+          />
+        )
+      case 'circle':
+        return (
+          <Circle
+            key={shape.id}
+            circle={shape}
+            isSelected={isSelected}
+            isOwnedByMe={isOwnedByMe}
+            isOwnedByOther={isOwnedByOther}
+            readOnly={readOnly || isLockedInGroup}
+            onSelect={handleShapeSelect}
+            onDragStart={handleDragStart}
+            onDragEnd={handleShapeDragEnd}
+            onDragMoveBroadcast={handleShapeDragMoveBroadcast}
+            onTransform={handleShapeTransform}
+            onTransformEnd={handleShapeTransformEnd}
+            onCursorUpdate={updateCursorPosition}
+            onAcquireOwnership={handleDragStartWithOwnership}
+          />
+        )
+      case 'text':
+      case 'sticky':
+        return (
+          <TextBox
+            key={shape.id} 
+            textBox={shape}
+            isSelected={isSelected}
+            isOwnedByMe={isOwnedByMe}
+            isOwnedByOther={isOwnedByOther}
+            readOnly={readOnly || isLockedInGroup}
+            onSelect={handleShapeSelect}
+            onDragStart={handleDragStart}
+            onDragEnd={handleShapeDragEnd}
+            onDragMoveBroadcast={handleShapeDragMoveBroadcast}
+            onTextChange={handleTextChange}
+            onTransform={handleShapeTransform}
+            onTransformEnd={handleShapeTransformEnd}
+            onCursorUpdate={updateCursorPosition}
+            onAcquireOwnership={handleDragStartWithOwnership}
+          />
+        )
+      case 'line':
+      case 'arrow':
+        return (
+          <Connector
+            key={shape.id}
+            line={shape}
+            isSelected={isSelected}
+            isOwnedByMe={isOwnedByMe}
+            isOwnedByOther={isOwnedByOther}
+            readOnly={readOnly || isLockedInGroup}
+            onSelect={handleShapeSelect}
+            onDragStart={handleDragStart}
+            onLineMove={handleLineMove}
+            onLineChange={handleLineChange}
+            onAcquireOwnership={handleDragStartWithOwnership}
+          />
+        )
+      case 'path':
+        return (
+          <PenStroke
+            key={shape.id}
+            path={shape}
+            isSelected={isSelected}
+            isOwnedByMe={isOwnedByMe}
+            isOwnedByOther={isOwnedByOther}
+            readOnly={readOnly || isLockedInGroup}
+            onSelect={handleShapeSelect}
+            onDragStart={handleDragStart}
+            onDragEnd={handleShapeDragEnd}
+            onDragMoveBroadcast={handleShapeDragMoveBroadcast}
+            onTransform={handleShapeTransform}
+            onTransformEnd={handleShapeTransformEnd}
+            onCursorUpdate={updateCursorPosition}
+            onAcquireOwnership={handleDragStartWithOwnership}
+          />
+        )
+      case 'frame':
+        return (
+          <Frame
+            key={shape.id}
+            frame={shape}
+            isSelected={isSelected}
+            isOwnedByMe={isOwnedByMe}
+            isOwnedByOther={isOwnedByOther}
+            readOnly={readOnly}
+            onSelect={handleShapeSelect}
+            onDragStart={handleDragStart}
+            onDragEnd={handleFrameDragEnd}
+            onDragMoveBroadcast={handleFrameDragMove}
+            onTransform={handleShapeTransform}
+            onTransformEnd={handleShapeTransformEnd}
+            onRename={handleTextChange}
+            onCursorUpdate={updateCursorPosition}
+            onAcquireOwnership={handleDragStartWithOwnership}
+          />
+        )
+      default:
+        return null
+    }
+  }, [
+    selectedUnitIdSet, user?.id, readOnly, objectStore, handleShapeSelect, handleDragStart, handleShapeDragEnd,
+    handleShapeDragMoveBroadcast, handleShapeTransform, handleShapeTransformEnd, updateCursorPosition,
+    handleDragStartWithOwnership, handleTextChange, handleLineMove, handleLineChange, handleFrameDragEnd,
+    handleFrameDragMove
+  ])
+
+  // Shapes of an AI command that hasn't been accepted yet are drawn as ghosts
+  // that can't be selected or dragged
+  const previewIdSet = useMemo(() => new Set(previewShapeIds || []), [previewShapeIds])
+  const renderShape = useCallback((shape) => {
+    const node = renderShapeNode(shape)
+    if (!node || !previewIdSet.has(shape.id)) return node
+    return (
+      <Group key={shape.id} opacity={AI_CONFIG.PREVIEW_OPACITY} listening={false}>
+        {node}
+      </Group>
+    )
+  }, [renderShapeNode, previewIdSet])
+
+  // Draw the render tree: each frame is followed by its clipped contents
+  // (clip-only frames are drawn on the other layer)
+  const renderNodes = useCallback((nodes) => {
+    const renderLevel = (level) => level.map(({ shape, children, clipOnly }) => (
+      children ? (
+        <Fragment key={shape.id}>
+          {!clipOnly && renderShape(shape)}
+          <FrameContents frame={shape}>
+            {renderLevel(children)}
+          </FrameContents>
+        </Fragment>
+      ) : renderShape(shape)
+    ))
+    return renderLevel(nodes)
+  }, [renderShape])
+
+  // Only draw what is near the viewport, split between the static and active layers
+  const renderRect = useRenderViewport(stageRef)
+  // Re-renders when a shape moves into or out of the render area
+  const selectVisibleIds = useCallback((store) => (
+    renderRect ? store.queryRect(renderRect) : null
+  ), [renderRect])
+  const visibleIds = useStoreSelector(selectVisibleIds, haveSameIds)
+  const activeIds = useMemo(() => {
+    const ids = getActiveIds(shapes, selectedShapeIds, user?.id)
+    // Previewed shapes change with every streamed AI action
+    previewIdSet.forEach(id => ids.add(id))
+    return ids
+  }, [shapes, selectedShapeIds, user?.id, previewIdSet])
+  // A node that changes layer is re-created, which would cancel a drag in
+  // progress (dragging an unselected shape selects it), so layers are kept until it ends
+  const layerActiveIdsRef = useRef(activeIds)
+  if (!Konva.isDragging()) {
+    layerActiveIdsRef.current = activeIds
+  }
+  const { staticShapes: nextStaticShapes, activeShapes } = getRenderSets({
+    shapes,
+    visibleIds,
+    activeIds: layerActiveIdsRef.current,
+    getShape: objectStore.get
+  })
+
+  // Keep the same list (and rendered elements) while static shapes are untouched
+  const staticShapesRef = useRef(nextStaticShapes)
+  if (!haveSameItems(staticShapesRef.current, nextStaticShapes)) {
+    staticShapesRef.current = nextStaticShapes
+  }
+  const staticShapes = staticShapesRef.current
+  const staticElements = useMemo(() => renderNodes(getRenderTree(staticShapes)), [staticShapes, renderNodes])
+
+  // Attach transformer to selected shapes (lines are edited with their endpoint handles,
+  // groups have no node of their own). Nodes are re-created when they change layer.
+  useEffect(() => {
+    if (selectedShapeIds.length > 0 && transformerRef.current) {
+      const stage = stageRef.current
+      if (stage) {
+        const selectedNodes = expandGroups(objectStore.getAll(), selectedShapeIds)
+          .filter(id => {
+            const shape = objectStore.get(id)
+            return shape && !isLineShape(shape) && !isGroupShape(shape)
+          })
+          .map(id => stage.findOne(`#${id}`))
+          .filter(Boolean)
+        
+        transformerRef.current.nodes(selectedNodes)
+        transformerRef.current.getLayer().batchDraw()
+      }
+    }
+  }, [selectedShapeIds, selectedParentsKey, staticShapes, objectStore])
 
   return (
     <div className="canvas-container">
@@ -742,19 +1281,26 @@ export const Canvas = ({ user, onlineUsers, updateActivity }) => {
         <div className="realtime-status-banner">
           {!isConnected && (
             <span className="status-disconnected">
-              ⚠️ Real-time connection lost. Changes may be delayed.
+              ⚠️ Offline, {pendingChangesCount} pending change{pendingChangesCount !== 1 ? 's' : ''}. Edits are saved on this device and will sync when you reconnect.
             </span>
           )}
-          {pendingChangesCount > 0 && (
+          {isConnected && pendingChangesCount > 0 && (
             <span className="status-pending">
-              📤 {pendingChangesCount} change{pendingChangesCount !== 1 ? 's' : ''} pending sync
+              📤 Syncing {pendingChangesCount} pending change{pendingChangesCount !== 1 ? 's' : ''}...
             </span>
           )}
         </div>
       )}
 
-      {/* Simple toolbar integrated into canvas */}
-      <div className="canvas-toolbar">
+      {/* Why a shape couldn't be locked */}
+      {lockNotice && (
+        <div className="lock-notice" role="status">
+          {lockNotice}
+        </div>
+      )}
+
+      {/* Simple toolbar integrated into canvas (hidden for viewers) */}
+      {!readOnly && <div className="canvas-toolbar">
         <div className="shape-buttons">
           <button 
             onClick={handleAddRectangle}
@@ -774,6 +1320,70 @@ export const Canvas = ({ user, onlineUsers, updateActivity }) => {
           >
             + Text
           </button>
+          <button 
+            onClick={handleAddStickyNote}
+            className="toolbar-button primary"
+          >
+            + Sticky
+          </button>
+          <button 
+            onClick={handleAddFrame}
+            className="toolbar-button primary"
+            title="Add a frame (shapes inside it move with it)"
+          >
+            + Frame
+          </button>
+          <button 
+            onClick={() => handleAddLine('line')}
+            className="toolbar-button primary"
+            title="Add a line (select two shapes first to connect them)"
+          >
+            + Line
+          </button>
+          <button 
+            onClick={() => handleAddLine('arrow')}
+            className="toolbar-button primary"
+            title="Add an arrow (select two shapes first to connect them)"
+          >
+            + Arrow
+          </button>
+          <button 
+            onClick={togglePen}
+            className={`toolbar-button ${activeTool === 'pen' ? 'primary' : 'secondary'}`}
+            title="Draw freehand (Esc to stop)"
+          >
+            ✏️ Pen
+          </button>
+          {activeTool === 'pen' && (
+            <select
+              className="pen-width-select"
+              value={penWidth}
+              onChange={(e) => setPenWidth(Number(e.target.value))}
+              title="Pen width"
+            >
+              {PEN_CONFIG.STROKE_WIDTHS.map(width => (
+                <option key={width} value={width}>{width}px</option>
+              ))}
+            </select>
+          )}
+        </div>
+        <div className="history-buttons">
+          <button
+            onClick={undo}
+            className="toolbar-button secondary"
+            disabled={!canUndo}
+            title="Undo (Ctrl+Z)"
+          >
+            ↶ Undo
+          </button>
+          <button
+            onClick={redo}
+            className="toolbar-button secondary"
+            disabled={!canRedo}
+            title="Redo (Ctrl+Shift+Z)"
+          >
+            ↷ Redo
+          </button>
         </div>
         <div className="color-palette">
           {['#3B82F6', '#EF4444', '#10B981', '#F59E0B', '#8B5CF6'].map((color) => {
@@ -781,7 +1391,6 @@ export const Canvas = ({ user, onlineUsers, updateActivity }) => {
             let isActive = false
             if (selectedShapeId) {
               // If a shape is selected, show its current color as active
-              const selectedShape = objectStore.get(selectedShapeId)
               isActive = selectedShape?.color === color
             } else {
               // If no shape selected, show selectedColor for new shapes as active
@@ -800,6 +1409,57 @@ export const Canvas = ({ user, onlineUsers, updateActivity }) => {
           })}
         </div>
         
+        {/* Line style - only show when lines are selected */}
+        {selectedLine && (
+          <div className="line-style-controls">
+            <select
+              value={selectedLine.routing || 'straight'}
+              onChange={(e) => changeLineStyle('routing', e.target.value)}
+              title="Routing"
+            >
+              {LINE_CONFIG.ROUTINGS.map(routing => (
+                <option key={routing} value={routing}>{routing}</option>
+              ))}
+            </select>
+            <select
+              value={selectedLine.stroke_width || LINE_CONFIG.DEFAULT_STROKE_WIDTH}
+              onChange={(e) => changeLineStyle('stroke_width', Number(e.target.value))}
+              title="Stroke width"
+            >
+              {LINE_CONFIG.STROKE_WIDTHS.map(width => (
+                <option key={width} value={width}>{width}px</option>
+              ))}
+            </select>
+            <select
+              value={selectedLine.dash || 'solid'}
+              onChange={(e) => changeLineStyle('dash', e.target.value)}
+              title="Dash"
+            >
+              {LINE_CONFIG.DASHES.map(dash => (
+                <option key={dash} value={dash}>{dash}</option>
+              ))}
+            </select>
+            <select
+              value={selectedLine.start_arrowhead || 'none'}
+              onChange={(e) => changeLineStyle('start_arrowhead', e.target.value)}
+              title="Start arrowhead"
+            >
+              {LINE_CONFIG.ARROWHEADS.map(style => (
+                <option key={style} value={style}>start: {style}</option>
+              ))}
+            </select>
+            <select
+              value={selectedLine.end_arrowhead || 'none'}
+              onChange={(e) => changeLineStyle('end_arrowhead', e.target.value)}
+              title="End arrowhead"
+            >
+              {LINE_CONFIG.ARROWHEADS.map(style => (
+                <option key={style} value={style}>end: {style}</option>
+              ))}
+            </select>
+          </div>
+        )}
+
         {/* Z-index management buttons - only show when shape is selected */}
         {selectedShapeId && (
           <div className="z-index-buttons">
@@ -819,7 +1479,43 @@ export const Canvas = ({ user, onlineUsers, updateActivity }) => {
             </button>
           </div>
         )}
-      </div>
+
+        {/* Grouping buttons */}
+        {(selectedShapeIds.length > 1 || selectedShapeIds.some(id => isGroupShape(objectStore.get(id)))) && (
+          <div className="z-index-buttons">
+            {selectedShapeIds.length > 1 && (
+              <button 
+                onClick={() => handleGroup(selectedShapeIds)}
+                className="toolbar-button z-index-button"
+                title="Group (Ctrl+G)"
+              >
+                Group
+              </button>
+            )}
+            {selectedShapeIds.some(id => isGroupShape(objectStore.get(id))) && (
+              <button 
+                onClick={() => handleUngroup(selectedShapeIds)}
+                className="toolbar-button z-index-button"
+                title="Ungroup (Ctrl+Shift+G)"
+              >
+                Ungroup
+              </button>
+            )}
+            {selectedShapeIds.length > 1 && onTidy && (
+              <button
+                onClick={() => onTidy(selectedShapeIds)}
+                className="toolbar-button z-index-button"
+                disabled={hasOpenPreview}
+                title={hasOpenPreview
+                  ? 'Accept or discard the previewed changes first'
+                  : 'Line up rows and columns, even out the gaps and pull overlapping shapes apart (previewed first)'}
+              >
+                Tidy up
+              </button>
+            )}
+          </div>
+        )}
+      </div>}
       
       <CanvasStage
         ref={stageRef}
@@ -828,89 +1524,58 @@ export const Canvas = ({ user, onlineUsers, updateActivity }) => {
         onWheel={handleWheel}
         onMouseMove={handleMouseMove}
         selectedShapeId={selectedShapeId}
+        draggable={activeTool !== 'pen'}
+        staticLayer={staticElements}
       >
-        {/* Render all shapes */}
-        {shapes.map((shape) => {
-          
-          const isSelected = selectedShapeIds.includes(shape.id)
-          const isOwnedByMe = shape.owner_id === user?.id
-          const isOwnedByOther = shape.owner_id && shape.owner_id !== user?.id
-          
-          switch (shape.type) {
-            case 'rectangle':
-              return (
-                <Rectangle
-                  key={shape.id}
-                  rectangle={shape}
-                  isSelected={isSelected}
-                  isOwnedByMe={isOwnedByMe}
-                  isOwnedByOther={isOwnedByOther}
-                  onSelect={handleShapeSelect}
-                  onDragStart={handleDragStart}
-                  onDragEnd={handleShapeDragEnd}
-                  onDragMoveBroadcast={handleShapeDragMoveBroadcast}
-                  onTransform={handleShapeTransform}
-                  onTransformEnd={handleShapeTransformEnd}
-                  onCursorUpdate={updateCursorPosition}
-                  onAcquireOwnership={handleDragStartWithOwnership}
-                />
-              )
-            case 'circle':
-              return (
-                <Circle
-                  key={shape.id}
-                  circle={shape}
-                  isSelected={isSelected}
-                  isOwnedByMe={isOwnedByMe}
-                  isOwnedByOther={isOwnedByOther}
-                  onSelect={handleShapeSelect}
-                  onDragStart={handleDragStart}
-                  onDragEnd={handleShapeDragEnd}
-                  onDragMoveBroadcast={handleShapeDragMoveBroadcast}
-                  onTransform={handleShapeTransform}
-                  onTransformEnd={handleShapeTransformEnd}
-                  onCursorUpdate={updateCursorPosition}
-                  onAcquireOwnership={handleDragStartWithOwnership}
-                />
-              )
-            case 'text':
-              return (
-                <TextBox
-                  key={shape.id} 
-                  textBox={shape}
-                  isSelected={isSelected}
-                  isOwnedByMe={isOwnedByMe}
-                  isOwnedByOther={isOwnedByOther}
-                  onSelect={handleShapeSelect}
-                  onDragStart={handleDragStart}
-                  onDragEnd={handleShapeDragEnd}
-                  onDragMoveBroadcast={handleShapeDragMoveBroadcast}
-                  onTextChange={handleTextChange}
-                  onTransform={handleShapeTransform}
-                  onTransformEnd={handleShapeTransformEnd}
-                  onCursorUpdate={updateCursorPosition}
-                  onAcquireOwnership={handleDragStartWithOwnership}
-                />
-              )
-            default:
-              return null
-          }
-        })}
+        {/* Shapes being selected, moved or edited */}
+        {renderNodes(getRenderTree(activeShapes, objectStore.get))}
+
+        {/* Strokes other users are drawing (hidden once the saved shape arrives) */}
+        {remoteStrokes
+          .filter(stroke => !stroke.shape_id || !objectStore.get(stroke.shape_id))
+          .map(stroke => (
+            <StrokePreview
+              key={stroke.stroke_id}
+              points={stroke.points}
+              color={stroke.color}
+              strokeWidth={stroke.stroke_width}
+              opacity={0.6}
+            />
+          ))}
+
+        {/* Pen tool: capture layer above every shape, plus the stroke being drawn */}
+        {!readOnly && activeTool === 'pen' && (
+          <Rect
+            x={-PEN_CAPTURE_EXTENT}
+            y={-PEN_CAPTURE_EXTENT}
+            width={PEN_CAPTURE_EXTENT * 2}
+            height={PEN_CAPTURE_EXTENT * 2}
+            fill="transparent"
+            onPointerDown={handlePenDown}
+            onPointerMove={handlePenMove}
+            onPointerUp={handlePenUp}
+            onPointerLeave={handlePenUp}
+          />
+        )}
+        {draftStroke && (
+          <StrokePreview points={draftStroke} color={selectedColor} strokeWidth={penWidth} />
+        )}
         
-        {/* Transformer for selected shapes */}
-        {selectedShapeIds.length > 0 && (
+        {/* Transformer for selected shapes (never shown on read-only boards) */}
+        {!readOnly && selectedShapeIds.length > 0 && (
           <Transformer
             ref={transformerRef}
             boundBoxFunc={(oldBox, newBox) => {
-              // Limit resize
-              if (newBox.width < 20 || newBox.height < 20) {
+              // Limit resize (only when shrinking, so thin pen strokes can still be resized)
+              if ((newBox.width < 20 && newBox.width < oldBox.width) || (newBox.height < 20 && newBox.height < oldBox.height)) {
                 return oldBox
               }
               return newBox
             }}
             keepRatio={false}
+            flipEnabled={false}
             enabledAnchors={['top-left', 'top-right', 'bottom-left', 'bottom-right']}
-            rotateEnabled={true}
+            rotateEnabled={!selectedUnitIds.some(id => isFrameShape(objectStore.get(id)))}
             borderEnabled={false}
             anchorFill="#1F2937"
             anchorStroke="#1F2937"
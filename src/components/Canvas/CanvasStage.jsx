@@ -15,13 +15,22 @@ const getCanvasBackground = () => {
   }
 }
 
+/**
+ * Konva stage with the board background and two shape layers
+ * `staticLayer` holds shapes nobody is interacting with; that layer is only
+ * redrawn when they change, and skips hit detection while the board is panned.
+ * `children` go on the active layer above it (selection, drags, transforms,
+ * remote edits, previews and the Transformer). See utils/renderCulling.
+ */
 export const CanvasStage = forwardRef(({ 
   children, 
+  staticLayer = null,
   onStageClick, 
   onStageDrag, 
   onWheel,
   onMouseMove,
-  selectedShapeId
+  selectedShapeId,
+  draggable = true // Off while drawing so the pen doesn't pan the canvas
 }, ref) => {
   const [stageSize, setStageSize] = useState({
     width: window.innerWidth - CANVAS_CONFIG.SIDEBAR_WIDTH,
@@ -29,6 +38,7 @@ export const CanvasStage = forwardRef(({
   })
   const [canvasBackground, setCanvasBackground] = useState(getCanvasBackground())
   const transformerRef = useRef(null)
+  const staticLayerRef = useRef(null)
 
   useEffect(() => {
     const handleResize = () => {
@@ -74,20 +84,37 @@ export const CanvasStage = forwardRef(({
     }
   }, [selectedShapeId])
 
+  // Panning redraws every layer each frame; leave the static layer's hit graph
+  // alone until the pan ends
+  const handleDragStart = (e) => {
+    if (e.target === e.target.getStage()) {
+      staticLayerRef.current?.listening(false)
+    }
+  }
+
+  const handleDragEnd = (e) => {
+    if (e.target === e.target.getStage()) {
+      staticLayerRef.current?.listening(true)
+      staticLayerRef.current?.batchDraw()
+    }
+    onStageDrag?.(e)
+  }
+
   return (
     <Stage
       ref={ref}
       width={stageSize.width}
       height={stageSize.height}
-      draggable
-      onDragEnd={onStageDrag}
+      draggable={draggable}
+      onDragStart={handleDragStart}
+      onDragEnd={handleDragEnd}
       onClick={onStageClick}
       onWheel={onWheel}
       onMouseMove={onMouseMove}
       scaleX={CANVAS_CONFIG.DEFAULT_ZOOM}
       scaleY={CANVAS_CONFIG.DEFAULT_ZOOM}
     >
-      <Layer>
+      <Layer ref={staticLayerRef}>
         {/* Canvas background to show 5000x5000 workspace boundaries */}
         <Rect
           x={0}
@@ -99,6 +126,9 @@ export const CanvasStage = forwardRef(({
           strokeWidth={1}
           listening={false}
         />
+        {staticLayer}
+      </Layer>
+      <Layer>
         {children}
         <Transformer
           ref={transformerRef}
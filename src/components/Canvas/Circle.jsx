@@ -1,12 +1,14 @@
 import { Circle as KonvaCircle } from 'react-konva'
-import { useState } from 'react'
+import { memo, useState } from 'react'
 import { CANVAS_CONFIG } from '../../lib/constants'
+import { useShape } from '../../hooks/useObjectStore'
 
-export const Circle = ({ 
-  circle, 
+export const Circle = memo(({
+  circle: circleProp,
   isSelected, 
   isOwnedByMe,
   isOwnedByOther,
+  readOnly = false,
   onSelect, 
   onDragEnd, 
   onDragStart,
@@ -17,6 +19,8 @@ export const Circle = ({
   onCursorUpdate,
   onAcquireOwnership
 }) => {
+  // Follow this shape's own record: changes to other shapes don't re-render it
+  const circle = useShape(circleProp.id) || circleProp
   const [isDragging, setIsDragging] = useState(false)
 
   const handleDragStart = async (e) => {
@@ -161,7 +165,7 @@ export const Circle = ({
       stroke={visualProps.stroke}
       strokeWidth={visualProps.strokeWidth}
       opacity={visualProps.opacity}
-      draggable={visualProps.draggable}
+      draggable={visualProps.draggable && !readOnly}
       onDragStart={handleDragStart}
       onDragMove={handleDragMove}
       onDragEnd={handleDragEnd}
@@ -178,4 +182,4 @@ export const Circle = ({
       shadowOffsetY={isDragging ? 5 : 2}
     />
   )
-}
+})
@@ -0,0 +1,194 @@
+import { Group, Line, Circle } from 'react-konva'
+import { useRef, useState } from 'react'
+import { LINE_CONFIG } from '../../lib/constants'
+import {
+  getLinePoints,
+  getEndpointAngles,
+  getArrowhead,
+  getDashArray,
+  findNearestAnchor,
+} from '../../utils/connectorHelpers'
+import objectStore from '../../lib/ObjectStore'
+import { useShape } from '../../hooks/useObjectStore'
+
+/**
+ * Arrowhead at one end of a line (shared with StaticShape)
+ */
+export const Arrowhead = ({ style, tip, angle, color, strokeWidth }) => {
+  const head = getArrowhead(style, tip, angle, strokeWidth)
+  if (!head) return null
+
+  if (head.kind === 'circle') {
+    return <Circle x={head.x} y={head.y} radius={head.radius} fill={color} listening={false} />
+  }
+
+  return (
+    <Line
+      points={head.points}
+      stroke={color}
+      strokeWidth={strokeWidth}
+      fill={head.kind === 'filled' ? color : undefined}
+      closed={head.kind === 'filled'}
+      lineCap="round"
+      lineJoin="round"
+      listening={false}
+    />
+  )
+}
+
+export const Connector = ({
+  line: lineProp,
+  isSelected,
+  isOwnedByMe,
+  isOwnedByOther,
+  readOnly = false,
+  onSelect,
+  onDragStart,
+  onLineMove,
+  onLineChange,
+  onAcquireOwnership
+}) => {
+  // Follow this line's record and the shapes it is bound to, so it re-routes
+  // when they move without the whole canvas re-rendering
+  const line = useShape(lineProp.id) || lineProp
+  useShape(line.start_shape_id)
+  useShape(line.end_shape_id)
+  const groupRef = useRef(null)
+  // Endpoint being dragged: { end: 'start'|'end', x, y, snap }
+  const [endpointDrag, setEndpointDrag] = useState(null)
+
+  const canEdit = !readOnly && !isOwnedByOther
+
+  // While an endpoint is dragged, route the line to the pointer (or the anchor it snaps to)
+  const previewLine = endpointDrag
+    ? {
+        ...line,
+        ...(endpointDrag.end === 'start'
+          ? { x: endpointDrag.x, y: endpointDrag.y, start_shape_id: endpointDrag.snap?.shapeId || null, start_anchor: endpointDrag.snap?.anchor || null }
+          : { end_x: endpointDrag.x, end_y: endpointDrag.y, end_shape_id: endpointDrag.snap?.shapeId || null, end_anchor: endpointDrag.snap?.anchor || null })
+      }
+    : line
+
+  const { points, bezier, start, end } = getLinePoints(previewLine, objectStore.get)
+  const angles = getEndpointAngles(points)
+  const strokeWidth = line.stroke_width || LINE_CONFIG.DEFAULT_STROKE_WIDTH
+  const opacity = isOwnedByOther ? 0.3 : 1
+
+  const handleDragStart = async (e) => {
+    if (e.target !== groupRef.current) return
+
+    if (!isOwnedByMe) {
+      const ownershipAcquired = await onAcquireOwnership?.(line.id)
+      if (!ownershipAcquired) {
+        e.target.stopDrag()
+        return
+      }
+    }
+    onDragStart?.(line.id)
+  }
+
+  const handleDragEnd = (e) => {
+    if (e.target !== groupRef.current) return
+
+    // The group only carries the drag offset; bake it into the line's points
+    const dx = e.target.x()
+    const dy = e.target.y()
+    e.target.position({ x: 0, y: 0 })
+    if (dx !== 0 || dy !== 0) {
+      onLineMove?.(line.id, dx, dy)
+    }
+  }
+
+  const getSnap = (node) => {
+    const stage = node.getStage()
+    const scale = stage?.scaleX() || 1
+    return findNearestAnchor(
+      objectStore.getAll(),
+      node.position(),
+      LINE_CONFIG.SNAP_DISTANCE / scale,
+      [line.id]
+    )
+  }
+
+  const handleEndpointDragMove = (which) => (e) => {
+    e.cancelBubble = true
+    const position = e.target.position()
+    setEndpointDrag({ end: which, x: position.x, y: position.y, snap: getSnap(e.target) })
+  }
+
+  const handleEndpointDragEnd = (which) => (e) => {
+    e.cancelBubble = true
+    const snap = getSnap(e.target)
+    const position = snap ? { x: snap.x, y: snap.y } : e.target.position()
+    e.target.position(position)
+    setEndpointDrag(null)
+
+    const changes = which === 'start'
+      ? { x: position.x, y: position.y, start_shape_id: snap?.shapeId || null, start_anchor: snap?.anchor || null }
+      : { end_x: position.x, end_y: position.y, end_shape_id: snap?.shapeId || null, end_anchor: snap?.anchor || null }
+    onLineChange?.(line.id, changes, snap ? 'Connect line' : 'Move line end')
+  }
+
+  return (
+    <Group
+      ref={groupRef}
+      id={line.id}
+      draggable={canEdit}
+      opacity={opacity}
+      onDragStart={handleDragStart}
+      onDragEnd={handleDragEnd}
+      onClick={(e) => {
+        e.cancelBubble = true
+        onSelect?.(line.id, e.evt)
+      }}
+    >
+      <Line
+        points={points}
+        bezier={bezier}
+        stroke={line.color}
+        strokeWidth={strokeWidth}
+        dash={getDashArray(line.dash, strokeWidth) || undefined}
+        lineCap="round"
+        lineJoin="round"
+        hitStrokeWidth={Math.max(12, strokeWidth + 8)}
+        shadowColor={isSelected ? '#3B82F6' : undefined}
+        shadowBlur={isSelected ? 6 : 0}
+        shadowOpacity={isSelected ? 0.8 : 0}
+      />
+      <Arrowhead style={line.start_arrowhead} tip={start} angle={angles.start} color={line.color} strokeWidth={strokeWidth} />
+      <Arrowhead style={line.end_arrowhead} tip={end} angle={angles.end} color={line.color} strokeWidth={strokeWidth} />
+
+      {/* Anchor the dragged end will snap to */}
+      {endpointDrag?.snap && (
+        <Circle
+          x={endpointDrag.snap.x}
+          y={endpointDrag.snap.y}
+          radius={7}
+          stroke="#3B82F6"
+          strokeWidth={2}
+          listening={false}
+        />
+      )}
+
+      {/* Endpoint handles: drag onto another shape's anchor to connect */}
+      {isSelected && canEdit && ['start', 'end'].map(which => {
+        const point = which === 'start' ? start : end
+        return (
+          <Circle
+            key={which}
+            x={point.x}
+            y={point.y}
+            radius={6}
+            fill="#FFFFFF"
+            stroke={(which === 'start' ? line.start_shape_id : line.end_shape_id) ? '#3B82F6' : '#1F2937'}
+            strokeWidth={2}
+            draggable
+            onDragStart={(e) => { e.cancelBubble = true }}
+            onDragMove={handleEndpointDragMove(which)}
+            onDragEnd={handleEndpointDragEnd(which)}
+          />
+        )
+      })}
+    </Group>
+  )
+}
@@ -0,0 +1,152 @@
+import { Rect, Text, Group } from 'react-konva'
+import { useState } from 'react'
+import { FRAME_CONFIG } from '../../lib/constants'
+import { useShape } from '../../hooks/useObjectStore'
+
+/**
+ * Frame background and name label
+ * The Rect is the frame's node (dragged and resized by the Transformer); the
+ * label sits above it, follows through the store and is double-clicked to
+ * rename. Children are drawn by Canvas in a clipped group on top of this,
+ * see FrameContents.
+ * Frames don't rotate, so their clip is always the stored rectangle.
+ */
+export const Frame = ({
+  frame: frameProp,
+  isSelected,
+  isOwnedByMe,
+  isOwnedByOther,
+  readOnly = false,
+  onSelect,
+  onDragEnd,
+  onDragStart,
+  onDragMoveBroadcast,
+  onTransform,
+  onTransformEnd,
+  onRename,
+  onCursorUpdate,
+  onAcquireOwnership
+}) => {
+  // Follow this shape's own record: changes to other shapes don't re-render it
+  const frame = useShape(frameProp.id) || frameProp
+  const [isDragging, setIsDragging] = useState(false)
+
+  const handleDragStart = async (e) => {
+    // Check ownership and acquire if needed (same rules as the other shapes)
+    if (!isOwnedByMe && !isOwnedByOther) {
+      const ownershipAcquired = await onAcquireOwnership?.(frame.id)
+      if (!ownershipAcquired) {
+        e.target.stopDrag()
+        return
+      }
+    } else if (isOwnedByOther) {
+      e.target.stopDrag()
+      return
+    }
+
+    setIsDragging(true)
+    onDragStart?.(frame.id)
+  }
+
+  const handleDragMove = (e) => {
+    if (!isDragging) return
+
+    const stage = e.target.getStage()
+    const pointer = stage.getPointerPosition()
+    if (pointer) {
+      onCursorUpdate?.(stage, pointer.x, pointer.y)
+    }
+    onDragMoveBroadcast?.(frame.id, { x: e.target.x(), y: e.target.y() })
+  }
+
+  const handleDragEnd = (e) => {
+    setIsDragging(false)
+    onDragEnd?.(frame.id, { x: e.target.x(), y: e.target.y() })
+  }
+
+  const getTransform = (node) => {
+    const width = Math.max(FRAME_CONFIG.LABEL_FONT_SIZE * 4, node.width() * node.scaleX())
+    const height = Math.max(FRAME_CONFIG.LABEL_FONT_SIZE * 4, node.height() * node.scaleY())
+
+    // Reset scale and update the actual dimensions
+    node.scaleX(1)
+    node.scaleY(1)
+    node.width(width)
+    node.height(height)
+
+    return { x: node.x(), y: node.y(), width, height, rotation: 0 }
+  }
+
+  const handleRename = () => {
+    if (readOnly || isOwnedByOther) return
+    const name = window.prompt('Frame name', frame.text_content || '')
+    if (name != null && name.trim() !== (frame.text_content || '')) {
+      onRename?.(frame.id, name.trim())
+    }
+  }
+
+  const handleClick = (e) => {
+    e.cancelBubble = true
+    onSelect?.(frame.id, e.evt)
+  }
+
+  return (
+    <Group opacity={isOwnedByOther ? 0.5 : 1}>
+      <Text
+        x={frame.x}
+        y={frame.y - FRAME_CONFIG.LABEL_HEIGHT}
+        height={FRAME_CONFIG.LABEL_HEIGHT}
+        width={frame.width}
+        text={frame.text_content || 'Frame'}
+        fontSize={FRAME_CONFIG.LABEL_FONT_SIZE}
+        fontFamily="Arial, sans-serif"
+        fill={isSelected ? '#1F2937' : '#6B7280'}
+        verticalAlign="middle"
+        wrap="none"
+        ellipsis={true}
+        onClick={handleClick}
+        onDblClick={handleRename}
+      />
+      <Rect
+        id={frame.id}
+        x={frame.x}
+        y={frame.y}
+        width={frame.width}
+        height={frame.height}
+        fill={frame.color || FRAME_CONFIG.DEFAULT_COLOR}
+        stroke={isOwnedByOther ? '#EF4444' : (isSelected ? '#1F2937' : FRAME_CONFIG.BORDER_COLOR)}
+        strokeWidth={isSelected ? 2 : 1}
+        draggable={!isOwnedByOther && !readOnly}
+        onDragStart={handleDragStart}
+        onDragMove={handleDragMove}
+        onDragEnd={handleDragEnd}
+        onTransform={(e) => onTransform?.(frame.id, getTransform(e.target))}
+        onTransformEnd={(e) => onTransformEnd?.(frame.id, getTransform(e.target))}
+        onClick={handleClick}
+        shadowColor="black"
+        shadowBlur={isDragging ? 10 : 4}
+        shadowOpacity={isDragging ? 0.25 : 0.1}
+      />
+    </Group>
+  )
+}
+
+/**
+ * Clipped layer for the shapes inside a frame
+ * @param {Object} frame - Frame record
+ * @param {React.ReactNode} children - Rendered child shapes
+ */
+export const FrameContents = ({ frame: frameProp, children }) => {
+  // The clip follows the frame as it moves or is resized
+  const frame = useShape(frameProp.id) || frameProp
+  return (
+    <Group
+      clipX={frame.x}
+      clipY={frame.y}
+      clipWidth={frame.width}
+      clipHeight={frame.height}
+    >
+      {children}
+    </Group>
+  )
+}
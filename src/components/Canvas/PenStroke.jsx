@@ -0,0 +1,147 @@
+import { Line } from 'react-konva'
+import { useState } from 'react'
+import { PEN_CONFIG } from '../../lib/constants'
+import { decodePathPoints, getSmoothCurvePoints, scalePathPoints } from '../../utils/penHelpers'
+import { useShape } from '../../hooks/useObjectStore'
+
+/**
+ * Freehand path drawn with the pen tool
+ * Resizing scales the node while the Transformer is active; the scale is
+ * baked into path_points on transform end so stroke width stays constant.
+ */
+export const PenStroke = ({
+  path: pathProp,
+  isSelected,
+  isOwnedByMe,
+  isOwnedByOther,
+  readOnly = false,
+  onSelect,
+  onDragEnd,
+  onDragStart,
+  onDragMoveBroadcast,
+  onTransform,
+  onTransformEnd,
+  onCursorUpdate,
+  onAcquireOwnership
+}) => {
+  // Follow this shape's own record: changes to other shapes don't re-render it
+  const path = useShape(pathProp.id) || pathProp
+  const [isDragging, setIsDragging] = useState(false)
+
+  const { points, bezier } = getSmoothCurvePoints(decodePathPoints(path.path_points))
+  const strokeWidth = path.stroke_width || PEN_CONFIG.DEFAULT_STROKE_WIDTH
+
+  const handleDragStart = async (e) => {
+    // Check ownership and acquire if needed (same rules as the other shapes)
+    if (!isOwnedByMe && !isOwnedByOther) {
+      const ownershipAcquired = await onAcquireOwnership?.(path.id)
+      if (!ownershipAcquired) {
+        e.target.stopDrag()
+        return
+      }
+    } else if (isOwnedByOther) {
+      e.target.stopDrag()
+      return
+    }
+
+    setIsDragging(true)
+    onDragStart?.(path.id)
+  }
+
+  const handleDragMove = (e) => {
+    if (!isDragging) return
+
+    const stage = e.target.getStage()
+    const pointer = stage.getPointerPosition()
+    if (pointer) {
+      onCursorUpdate?.(stage, pointer.x, pointer.y)
+    }
+    onDragMoveBroadcast?.(path.id, { x: e.target.x(), y: e.target.y() })
+  }
+
+  const handleDragEnd = (e) => {
+    setIsDragging(false)
+    onDragEnd?.(path.id, { x: e.target.x(), y: e.target.y() })
+  }
+
+  const handleTransform = (e) => {
+    const node = e.target
+    onTransform?.(path.id, {
+      x: node.x(),
+      y: node.y(),
+      width: path.width * Math.abs(node.scaleX()),
+      height: path.height * Math.abs(node.scaleY()),
+      rotation: node.rotation()
+    })
+  }
+
+  const handleTransformEnd = (e) => {
+    const node = e.target
+    const scaleX = node.scaleX()
+    const scaleY = node.scaleY()
+
+    // Bake the scale into the points
+    node.scaleX(1)
+    node.scaleY(1)
+
+    onTransformEnd?.(path.id, {
+      x: node.x(),
+      y: node.y(),
+      width: path.width * Math.abs(scaleX),
+      height: path.height * Math.abs(scaleY),
+      rotation: node.rotation(),
+      path_points: scalePathPoints(path.path_points, scaleX, scaleY)
+    })
+  }
+
+  return (
+    <Line
+      id={path.id}
+      x={path.x}
+      y={path.y}
+      rotation={path.rotation}
+      points={points}
+      bezier={bezier}
+      stroke={path.color}
+      strokeWidth={strokeWidth}
+      strokeScaleEnabled={false}
+      lineCap="round"
+      lineJoin="round"
+      hitStrokeWidth={Math.max(12, strokeWidth + 8)}
+      opacity={isOwnedByOther ? 0.3 : 1}
+      draggable={!isOwnedByOther && !readOnly}
+      onDragStart={handleDragStart}
+      onDragMove={handleDragMove}
+      onDragEnd={handleDragEnd}
+      onTransform={handleTransform}
+      onTransformEnd={handleTransformEnd}
+      onClick={(e) => {
+        e.cancelBubble = true
+        onSelect?.(path.id, e.evt)
+      }}
+      shadowColor={isSelected ? '#3B82F6' : 'black'}
+      shadowBlur={isSelected ? 6 : isDragging ? 10 : 0}
+      shadowOpacity={isSelected ? 0.8 : isDragging ? 0.3 : 0}
+    />
+  )
+}
+
+/**
+ * Stroke that is still being drawn (locally or by another user)
+ * @param {Array<number>} points - Captured points in canvas coordinates
+ */
+export const StrokePreview = ({ points, color, strokeWidth, opacity = 1 }) => {
+  const curve = getSmoothCurvePoints(points)
+  return (
+    <Line
+      points={curve.points}
+      bezier={curve.bezier}
+      stroke={color}
+      strokeWidth={strokeWidth || PEN_CONFIG.DEFAULT_STROKE_WIDTH}
+      lineCap="round"
+      lineJoin="round"
+      opacity={opacity}
+      listening={false}
+    />
+  )
+}
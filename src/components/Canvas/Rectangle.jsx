@@ -1,12 +1,14 @@
 import { Rect } from 'react-konva'
-import { useState } from 'react'
+import { memo, useState } from 'react'
 import { CANVAS_CONFIG } from '../../lib/constants'
+import { useShape } from '../../hooks/useObjectStore'
 
-export const Rectangle = ({
-  rectangle,
+export const Rectangle = memo(({
+  rectangle: rectangleProp,
   isSelected,
   isOwnedByMe,
   isOwnedByOther,
+  readOnly = false,
   onSelect,
   onDragEnd,
   onDragStart,
@@ -17,6 +19,8 @@ export const Rectangle = ({
   onCursorUpdate,
   onAcquireOwnership
 }) => {
+  // Follow this shape's own record: changes to other shapes don't re-render it
+  const rectangle = useShape(rectangleProp.id) || rectangleProp
   const [isDragging, setIsDragging] = useState(false)
 
   const handleDragStart = async (e) => {
@@ -153,7 +157,7 @@ export const Rectangle = ({
       stroke={visualProps.stroke}
       strokeWidth={visualProps.strokeWidth}
       opacity={visualProps.opacity}
-      draggable={visualProps.draggable}
+      draggable={visualProps.draggable && !readOnly}
       onDragStart={handleDragStart}
       onDragMove={handleDragMove}
       onDragEnd={handleDragEnd}
@@ -170,5 +174,4 @@ export const Rectangle = ({
       shadowOffsetY={isDragging ? 5 : 2}
     />
   )
-}
-
+})
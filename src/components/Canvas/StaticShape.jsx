@@ -0,0 +1,183 @@
+import { Rect, Circle as KonvaCircle, Text, Group, Line } from 'react-konva'
+import { Arrowhead } from './Connector'
+import { LINE_CONFIG, PEN_CONFIG, STICKY_CONFIG, FRAME_CONFIG } from '../../lib/constants'
+import { getLinePoints, getEndpointAngles, getDashArray } from '../../utils/connectorHelpers'
+import { decodePathPoints, getSmoothCurvePoints } from '../../utils/penHelpers'
+
+/**
+ * Non-interactive rendering of a shape record (history previews and other
+ * read-only views). Mirrors how Rectangle, Circle, TextBox, PenStroke and Frame
+ * draw shapes, minus selection, ownership and drag/transform handling.
+ * Groups are invisible and frames don't clip here; callers that need clipping
+ * draw frame contents themselves (see getRenderTree).
+ * Lines are drawn from their stored ends, so run records through
+ * resolveConnectors first to follow bindings.
+ */
+export const StaticShape = ({ shape, opacity = 1 }) => {
+  switch (shape.type) {
+    case 'circle': {
+      const radius = shape.width / 2
+      return (
+        <KonvaCircle
+          x={shape.x + radius}
+          y={shape.y + radius}
+          radius={radius}
+          rotation={shape.rotation}
+          fill={shape.color}
+          opacity={opacity}
+          listening={false}
+        />
+      )
+    }
+
+    case 'text':
+      return (
+        <Group
+          x={shape.x}
+          y={shape.y}
+          rotation={shape.rotation}
+          opacity={opacity}
+          listening={false}
+        >
+          <Rect
+            width={shape.width}
+            height={shape.height}
+            fill="#FFFFFF"
+            stroke="#000000"
+            strokeWidth={1}
+            cornerRadius={3}
+          />
+          <Text
+            text={shape.text_content || ''}
+            fontSize={shape.font_size || 16}
+            fontFamily="Arial, sans-serif"
+            fill="#000000"
+            width={shape.width}
+            height={shape.height}
+            verticalAlign="middle"
+            padding={5}
+          />
+        </Group>
+      )
+
+    case 'sticky':
+      return (
+        <Group
+          x={shape.x}
+          y={shape.y}
+          rotation={shape.rotation}
+          opacity={opacity}
+          listening={false}
+        >
+          <Rect
+            width={shape.width}
+            height={shape.height}
+            fill={shape.color}
+            cornerRadius={4}
+            shadowColor="black"
+            shadowBlur={5}
+            shadowOpacity={0.2}
+          />
+          <Text
+            text={shape.text_content || ''}
+            fontSize={shape.font_size || STICKY_CONFIG.FONT_SIZE}
+            fontFamily="Arial, sans-serif"
+            fill={STICKY_CONFIG.TEXT_COLOR}
+            width={shape.width}
+            height={shape.height}
+            verticalAlign="top"
+            padding={STICKY_CONFIG.PADDING}
+            wrap="word"
+            ellipsis={true}
+          />
+        </Group>
+      )
+
+    case 'frame':
+      return (
+        <Group opacity={opacity} listening={false}>
+          <Text
+            x={shape.x}
+            y={shape.y - FRAME_CONFIG.LABEL_HEIGHT}
+            height={FRAME_CONFIG.LABEL_HEIGHT}
+            width={shape.width}
+            text={shape.text_content || 'Frame'}
+            fontSize={FRAME_CONFIG.LABEL_FONT_SIZE}
+            fontFamily="Arial, sans-serif"
+            fill="#6B7280"
+            verticalAlign="middle"
+            wrap="none"
+            ellipsis={true}
+          />
+          <Rect
+            x={shape.x}
+            y={shape.y}
+            width={shape.width}
+            height={shape.height}
+            fill={shape.color || FRAME_CONFIG.DEFAULT_COLOR}
+            stroke={FRAME_CONFIG.BORDER_COLOR}
+            strokeWidth={1}
+          />
+        </Group>
+      )
+
+    case 'group':
+      return null
+
+    case 'line':
+    case 'arrow': {
+      const { points, bezier, start, end } = getLinePoints(shape, () => null)
+      const angles = getEndpointAngles(points)
+      const strokeWidth = shape.stroke_width || LINE_CONFIG.DEFAULT_STROKE_WIDTH
+      return (
+        <Group opacity={opacity} listening={false}>
+          <Line
+            points={points}
+            bezier={bezier}
+            stroke={shape.color}
+            strokeWidth={strokeWidth}
+            dash={getDashArray(shape.dash, strokeWidth) || undefined}
+            lineCap="round"
+            lineJoin="round"
+          />
+          <Arrowhead style={shape.start_arrowhead} tip={start} angle={angles.start} color={shape.color} strokeWidth={strokeWidth} />
+          <Arrowhead style={shape.end_arrowhead} tip={end} angle={angles.end} color={shape.color} strokeWidth={strokeWidth} />
+        </Group>
+      )
+    }
+
+    case 'path': {
+      const { points, bezier } = getSmoothCurvePoints(decodePathPoints(shape.path_points))
+      return (
+        <Line
+          x={shape.x}
+          y={shape.y}
+          rotation={shape.rotation}
+          points={points}
+          bezier={bezier}
+          stroke={shape.color}
+          strokeWidth={shape.stroke_width || PEN_CONFIG.DEFAULT_STROKE_WIDTH}
+          lineCap="round"
+          lineJoin="round"
+          opacity={opacity}
+          listening={false}
+        />
+      )
+    }
+
+    case 'rectangle':
+    default:
+      return (
+        <Rect
+          x={shape.x}
+          y={shape.y}
+          width={shape.width}
+          height={shape.height}
+          rotation={shape.rotation}
+          fill={shape.color}
+          opacity={opacity}
+          listening={false}
+        />
+      )
+  }
+}
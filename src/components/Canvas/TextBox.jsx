@@ -1,14 +1,20 @@
 import { Text, Rect, Group } from 'react-konva'
-import { useRef, useEffect, useState, useCallback } from 'react'
+import { memo, useRef, useEffect, useState, useCallback } from 'react'
 import { throttle } from '../../utils/syncHelpers'
-import { CANVAS_CONFIG } from '../../lib/constants'
+import { CANVAS_CONFIG, STICKY_CONFIG } from '../../lib/constants'
 import objectStore from '../../lib/ObjectStore'
+import { useShape } from '../../hooks/useObjectStore'
 
-export const TextBox = ({ 
-  textBox, 
+/**
+ * Text box, and sticky note (type 'sticky'): a colored card whose text wraps
+ * from the top and is edited in a multi-line field.
+ */
+export const TextBox = memo(({
+  textBox: textBoxProp,
   isSelected, 
   isOwnedByMe,
   isOwnedByOther,
+  readOnly = false,
   onSelect, 
   onDragEnd, 
   onDragStart,
@@ -21,6 +27,8 @@ export const TextBox = ({
   onCursorUpdate,
   onAcquireOwnership
 }) => {
+  // Follow this shape's own record: changes to other shapes don't re-render it
+  const textBox = useShape(textBoxProp.id) || textBoxProp
   const [isDragging, setIsDragging] = useState(false)
   const [isEditing, setIsEditing] = useState(false)
   const [localText, setLocalText] = useState('')
@@ -28,6 +36,9 @@ export const TextBox = ({
   const inputRef = useRef(null)
   const blurTimeoutRef = useRef(null)
   const ownershipTimeoutRef = useRef(null)
+  const isSticky = textBox.type === 'sticky'
+  const fontSize = textBox.font_size || (isSticky ? STICKY_CONFIG.FONT_SIZE : 16)
+  const padding = isSticky ? STICKY_CONFIG.PADDING : 5
 
   const handleDragStart = async (e) => {
     // FIRST: Check ownership and acquire if needed
@@ -166,6 +177,7 @@ export const TextBox = ({
 
   const handleDoubleClick = () => {
     if (isOwnedByOther) return // Cannot edit if owned by another user
+    if (readOnly) return // Viewers can't edit text
     // console.log('🎯 STARTING EDIT: TextBox', textBox.id)
     setLocalText(textBox.text_content || '')
     setIsEditing(true)
@@ -272,7 +284,7 @@ export const TextBox = ({
     // console.log('🔧 DOM INPUT useEffect running:', { isEditing, textBoxId: textBox.id })
     if (isEditing && textRef.current) {
       // console.log('🔧 Creating new DOM input for:', textBox.id)
-      const input = document.createElement('input')
+      const input = document.createElement(isSticky ? 'textarea' : 'input')
       inputRef.current = input
       
       // Position the input over the textbox
@@ -288,11 +300,13 @@ export const TextBox = ({
       input.style.height = `${textBox.height}px`
       input.style.border = '2px solid #2196F3'
       input.style.outline = 'none'
-      input.style.background = 'rgba(255, 255, 255, 0.95)'
-      input.style.fontSize = `${textBox.font_size || 16}px`
+      input.style.background = isSticky ? textBox.color : 'rgba(255, 255, 255, 0.95)'
+      input.style.fontSize = `${fontSize}px`
       input.style.fontFamily = 'Arial, sans-serif'
-      input.style.color = '#000'
-      input.style.padding = '5px'
+      input.style.color = isSticky ? STICKY_CONFIG.TEXT_COLOR : '#000'
+      input.style.padding = `${padding}px`
+      input.style.boxSizing = 'border-box'
+      input.style.resize = 'none'
       input.style.margin = '0'
       input.style.zIndex = '9999'
       input.style.borderRadius = '3px'
@@ -302,7 +316,8 @@ export const TextBox = ({
       input.select()
       
       const handleKeyDown = (e) => {
-        if (e.key === 'Enter') {
+        // Sticky notes take multiple lines; Ctrl/Cmd+Enter saves them
+        if (e.key === 'Enter' && (!isSticky || e.ctrlKey || e.metaKey)) {
           // console.log('⌨️ ENTER PRESSED: saving with input.value:', input.value)
           handleTextSave(input.value)
         } else if (e.key === 'Escape') {
@@ -356,6 +371,7 @@ export const TextBox = ({
 
 
   const displayText = textBox.text_content || 'Double-click to edit'
+  const textColor = isSticky ? STICKY_CONFIG.TEXT_COLOR : '#000000'
   
   // Debug: Log when displayText changes
   // useEffect(() => {
@@ -374,7 +390,7 @@ export const TextBox = ({
       width={textBox.width}
       height={textBox.height}
       rotation={textBox.rotation}
-      draggable={!isOwnedByOther}
+      draggable={!isOwnedByOther && !readOnly}
       opacity={opacity}
       onDragStart={handleDragStart}
       onDragMove={handleDragMove}
@@ -387,10 +403,10 @@ export const TextBox = ({
       <Rect
         width={textBox.width}
         height={textBox.height}
-        fill={isOwnedByOther ? '#F0F0F0' : (isEditing ? '#E3F2FD' : '#FFFFFF')}
-        stroke={isOwnedByOther ? '#BBBBBB' : (isEditing ? '#2196F3' : '#000000')}
-        strokeWidth={isEditing ? 2 : 1}
-        cornerRadius={3}
+        fill={isSticky ? textBox.color : (isOwnedByOther ? '#F0F0F0' : (isEditing ? '#E3F2FD' : '#FFFFFF'))}
+        stroke={isOwnedByOther ? '#BBBBBB' : (isEditing ? '#2196F3' : (isSticky ? (isSelected ? '#1F2937' : null) : '#000000'))}
+        strokeWidth={isEditing || (isSticky && isSelected) ? 2 : 1}
+        cornerRadius={isSticky ? 4 : 3}
         shadowColor="black"
         shadowBlur={isDragging ? 10 : 5}
         shadowOpacity={isDragging ? 0.3 : 0.2}
@@ -399,14 +415,17 @@ export const TextBox = ({
       />
       <Text
         text={displayText}
-        fontSize={textBox.font_size || 16}
+        fontSize={fontSize}
         fontFamily="Arial, sans-serif"
-        fill={isOwnedByOther ? '#888888' : (isEditing ? '#2196F3' : '#000000')}
+        fill={isOwnedByOther ? '#888888' : (isEditing ? '#2196F3' : textColor)}
         width={textBox.width}
         height={textBox.height}
-        verticalAlign="middle"
-        padding={5}
+        verticalAlign={isSticky ? 'top' : 'middle'}
+        padding={padding}
+        wrap="word"
+        ellipsis={isSticky}
+        opacity={isSticky && !textBox.text_content ? 0.5 : 1}
       />
     </Group>
   )
-}
\ No newline at end of file
+})
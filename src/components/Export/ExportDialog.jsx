@@ -0,0 +1,179 @@
+import { useState } from 'react'
+import { useCanvasDocument } from '../../hooks/useCanvasDocument'
+import { useStoreSelector } from '../../hooks/useObjectStore'
+import objectStore from '../../lib/ObjectStore'
+import {
+  EXPORT_AREAS,
+  getExportRegion,
+  getViewportRect,
+  renderRegionToDataUrl,
+  regionToSvg,
+  regionsToPdf,
+} from '../../utils/boardExport'
+import { dataUrlToBytes } from '../../utils/pdfWriter'
+import { downloadFile, toFileName } from '../../utils/fileHelpers'
+import './ExportDialog.css'
+
+const FORMATS = [
+  { value: 'png', label: 'PNG image' },
+  { value: 'svg', label: 'SVG vector' },
+  { value: 'pdf', label: 'PDF document' },
+  { value: 'json', label: 'JSON (re-importable)' },
+]
+
+const PIXEL_RATIOS = [1, 2, 3, 4]
+
+const getSelectedCount = (store) => store.getSelectedIds().length
+
+export const ExportDialog = ({ board, stageRef, onClose }) => {
+  const { exportDocument } = useCanvasDocument({ boardId: board?.id })
+  const [format, setFormat] = useState('png')
+  const [area, setArea] = useState(EXPORT_AREAS.CONTENT)
+  const [pixelRatio, setPixelRatio] = useState(2)
+  const [transparent, setTransparent] = useState(false)
+  const [error, setError] = useState(null)
+
+  const selectedCount = useStoreSelector(getSelectedCount)
+  const isImageFormat = format !== 'json'
+
+  const handleExport = () => {
+    setError(null)
+
+    if (format === 'json') {
+      exportDocument(board)
+      onClose()
+      return
+    }
+
+    const region = getExportRegion({
+      shapes: objectStore.getAll(),
+      area,
+      selectedIds: objectStore.getSelectedIds(),
+      viewport: stageRef?.current ? getViewportRect(stageRef.current) : null
+    })
+
+    if (!region) {
+      setError(area === EXPORT_AREAS.SELECTION ? 'Select some shapes to export first.' : 'There is nothing to export yet.')
+      return
+    }
+
+    try {
+      const background = transparent && format !== 'pdf' ? null : '#FFFFFF'
+
+      if (format === 'png') {
+        const dataUrl = renderRegionToDataUrl(region, { pixelRatio, background })
+        downloadFile(dataUrlToBytes(dataUrl), toFileName(board?.name, 'png'), 'image/png')
+      } else if (format === 'svg') {
+        downloadFile(regionToSvg(region, { background }), toFileName(board?.name, 'svg'), 'image/svg+xml')
+      } else if (format === 'pdf') {
+        downloadFile(regionsToPdf([region], { pixelRatio, background }), toFileName(board?.name, 'pdf'))
+      }
+
+      console.log('🖼️ Exported board:', { format, area, shapes: region.shapes.length })
+      onClose()
+    } catch (error) {
+      console.error('💥 Export failed:', error)
+      setError(`Export failed: ${error.message}`)
+    }
+  }
+
+  return (
+    <div className="share-dialog-overlay" onClick={onClose}>
+      <div className="share-dialog export-dialog" onClick={(e) => e.stopPropagation()}>
+        <div className="settings-header">
+          <h4>Export "{board?.name}"</h4>
+          <button className="close-button" onClick={onClose}>×</button>
+        </div>
+
+        {error && <div className="board-list-error">{error}</div>}
+
+        <div className="share-section">
+          <div className="section-label">Format</div>
+          <div className="export-options">
+            {FORMATS.map(option => (
+              <label key={option.value} className="export-option">
+                <input
+                  type="radio"
+                  name="export-format"
+                  value={option.value}
+                  checked={format === option.value}
+                  onChange={() => setFormat(option.value)}
+                />
+                {option.label}
+              </label>
+            ))}
+          </div>
+        </div>
+
+        {isImageFormat && (
+          <>
+            <div className="share-section">
+              <div className="section-label">Area</div>
+              <div className="export-options">
+                <label className="export-option">
+                  <input
+                    type="radio"
+                    name="export-area"
+                    checked={area === EXPORT_AREAS.CONTENT}
+                    onChange={() => setArea(EXPORT_AREAS.CONTENT)}
+                  />
+                  Whole board
+                </label>
+                <label className="export-option">
+                  <input
+                    type="radio"
+                    name="export-area"
+                    checked={area === EXPORT_AREAS.SELECTION}
+                    onChange={() => setArea(EXPORT_AREAS.SELECTION)}
+                    disabled={selectedCount === 0}
+                  />
+                  Selection ({selectedCount})
+                </label>
+                <label className="export-option">
+                  <input
+                    type="radio"
+                    name="export-area"
+                    checked={area === EXPORT_AREAS.VIEWPORT}
+                    onChange={() => setArea(EXPORT_AREAS.VIEWPORT)}
+                    disabled={!stageRef?.current}
+                  />
+                  Visible area
+                </label>
+              </div>
+            </div>
+
+            <div className="share-section export-settings">
+              {format !== 'svg' && (
+                <label>
+                  Resolution
+                  <select value={pixelRatio} onChange={(e) => setPixelRatio(Number(e.target.value))}>
+                    {PIXEL_RATIOS.map(ratio => (
+                      <option key={ratio} value={ratio}>{ratio}x</option>
+                    ))}
+                  </select>
+                </label>
+              )}
+              {format !== 'pdf' && (
+                <label className="export-option">
+                  <input
+                    type="checkbox"
+                    checked={transparent}
+                    onChange={(e) => setTransparent(e.target.checked)}
+                  />
+                  Transparent background
+                </label>
+              )}
+            </div>
+          </>
+        )}
+
+        <div className="export-actions">
+          <button className="toolbar-button secondary" onClick={onClose}>Cancel</button>
+          <button className="toolbar-button primary" onClick={handleExport}>
+            Export
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,204 @@
+import { useEffect, useMemo, useState } from 'react'
+import { Stage, Layer } from 'react-konva'
+import { StaticShape } from '../Canvas/StaticShape'
+import { useVersionHistory } from '../../hooks/useVersionHistory'
+import { getShapesBounds } from '../../utils/canvasHelpers'
+import { resolveConnectors } from '../../utils/connectorHelpers'
+import { useSelectedIds } from '../../hooks/useObjectStore'
+import './HistoryPanel.css'
+
+const PREVIEW_WIDTH = 560
+const PREVIEW_HEIGHT = 360
+const PREVIEW_PADDING = 20
+
+const OPERATION_LABELS = {
+  INSERT: 'added',
+  UPDATE: 'edited',
+  DELETE: 'deleted',
+}
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleString()
+const describeShapes = (count) => `${count} shape${count !== 1 ? 's' : ''}`
+
+export const HistoryPanel = ({ boardId, readOnly, onClose }) => {
+  const { events, loading, loadEvents, loadStateAt, restoreVersion } = useVersionHistory({ boardId })
+  const [selectedIndex, setSelectedIndex] = useState(-1)
+  const [previewShapes, setPreviewShapes] = useState([])
+  const [previewLoading, setPreviewLoading] = useState(false)
+  const [restoring, setRestoring] = useState(false)
+  const [message, setMessage] = useState(null)
+  const [error, setError] = useState(null)
+
+  const selectedEvent = events[selectedIndex] || null
+  const selectedShapeIds = useSelectedIds()
+
+  useEffect(() => {
+    loadEvents()
+  }, [loadEvents])
+
+  // Start at the latest version
+  useEffect(() => {
+    setSelectedIndex(events.length - 1)
+  }, [events.length])
+
+  // Load the preview for the selected point in time (debounced while scrubbing)
+  useEffect(() => {
+    if (!selectedEvent) {
+      setPreviewShapes([])
+      return
+    }
+
+    let cancelled = false
+    const timeout = setTimeout(async () => {
+      setPreviewLoading(true)
+      try {
+        const shapes = await loadStateAt(selectedEvent.created_at)
+        if (!cancelled) {
+          setPreviewShapes(resolveConnectors(shapes))
+          setError(null)
+        }
+      } catch (error) {
+        if (!cancelled) setError(error.message)
+      } finally {
+        if (!cancelled) setPreviewLoading(false)
+      }
+    }, 150)
+
+    return () => {
+      cancelled = true
+      clearTimeout(timeout)
+    }
+  }, [selectedEvent, loadStateAt])
+
+  // Fit the previewed version into the preview area
+  const previewTransform = useMemo(() => {
+    const bounds = getShapesBounds(previewShapes)
+    if (!bounds) return { scale: 1, x: 0, y: 0 }
+
+    const scale = Math.min(
+      (PREVIEW_WIDTH - PREVIEW_PADDING * 2) / Math.max(bounds.width, 1),
+      (PREVIEW_HEIGHT - PREVIEW_PADDING * 2) / Math.max(bounds.height, 1),
+      1
+    )
+    return {
+      scale,
+      x: PREVIEW_PADDING - bounds.x * scale + (PREVIEW_WIDTH - PREVIEW_PADDING * 2 - bounds.width * scale) / 2,
+      y: PREVIEW_PADDING - bounds.y * scale + (PREVIEW_HEIGHT - PREVIEW_PADDING * 2 - bounds.height * scale) / 2
+    }
+  }, [previewShapes])
+
+  const handleRestore = async (shapeIds = null) => {
+    if (!selectedEvent) return
+
+    const target = shapeIds ? `${shapeIds.length} selected shape${shapeIds.length !== 1 ? 's' : ''}` : 'the whole board'
+    if (!window.confirm(`Restore ${target} to ${formatTime(selectedEvent.created_at)}?`)) return
+
+    setRestoring(true)
+    setMessage(null)
+    setError(null)
+    try {
+      const { restored, skipped } = await restoreVersion(selectedEvent.created_at, shapeIds)
+      const restoredText = restored > 0
+        ? `Restored ${describeShapes(restored)}.`
+        : 'Nothing to restore - already matches this version.'
+      setMessage(skipped > 0
+        ? `${restoredText} ${describeShapes(skipped)} left unchanged (someone is editing them, or they belong to another user and only they or the board owner can delete them).`
+        : restoredText)
+      loadEvents()
+    } catch (error) {
+      setError(error.message)
+    } finally {
+      setRestoring(false)
+    }
+  }
+
+  return (
+    <div className="history-overlay" onClick={onClose}>
+      <div className="history-panel" onClick={(e) => e.stopPropagation()}>
+        <div className="settings-header">
+          <h4>Version history</h4>
+          <button className="close-button" onClick={onClose}>×</button>
+        </div>
+
+        {error && <div className="board-list-error">{error}</div>}
+        {message && <div className="history-message">{message}</div>}
+
+        {loading && events.length === 0 ? (
+          <p className="history-empty">Loading history...</p>
+        ) : events.length === 0 ? (
+          <p className="history-empty">No changes recorded yet.</p>
+        ) : (
+          <div className="history-body">
+            <div className="history-preview">
+              <div className={`history-preview-stage ${previewLoading ? 'loading' : ''}`}>
+                <Stage
+                  width={PREVIEW_WIDTH}
+                  height={PREVIEW_HEIGHT}
+                  scaleX={previewTransform.scale}
+                  scaleY={previewTransform.scale}
+                  x={previewTransform.x}
+                  y={previewTransform.y}
+                  listening={false}
+                >
+                  <Layer>
+                    {previewShapes.map(shape => (
+                      <StaticShape key={shape.id} shape={shape} />
+                    ))}
+                  </Layer>
+                </Stage>
+              </div>
+
+              <input
+                type="range"
+                className="history-scrubber"
+                min={0}
+                max={events.length - 1}
+                value={Math.max(selectedIndex, 0)}
+                onChange={(e) => setSelectedIndex(Number(e.target.value))}
+              />
+              <div className="history-scrubber-label">
+                {selectedEvent && formatTime(selectedEvent.created_at)}
+                {selectedIndex === events.length - 1 && ' (current)'}
+              </div>
+
+              {!readOnly && (
+                <div className="history-actions">
+                  <button
+                    className="toolbar-button primary"
+                    onClick={() => handleRestore()}
+                    disabled={restoring || selectedIndex === events.length - 1}
+                  >
+                    Restore board
+                  </button>
+                  <button
+                    className="toolbar-button secondary"
+                    onClick={() => handleRestore(selectedShapeIds)}
+                    disabled={restoring || selectedShapeIds.length === 0}
+                    title="Select shapes on the canvas to restore only those"
+                  >
+                    Restore selected ({selectedShapeIds.length})
+                  </button>
+                </div>
+              )}
+            </div>
+
+            <ul className="history-event-list">
+              {events.map((event, index) => ({ event, index })).reverse().map(({ event, index }) => (
+                <li
+                  key={event.id}
+                  className={`history-event ${index === selectedIndex ? 'selected' : ''} ${index > selectedIndex ? 'future' : ''}`}
+                  onClick={() => setSelectedIndex(index)}
+                >
+                  <span className="history-event-summary">
+                    <strong>{event.author}</strong> {OPERATION_LABELS[event.operation]} a {event.shape?.type || 'shape'}
+                  </span>
+                  <span className="history-event-time">{formatTime(event.created_at)}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
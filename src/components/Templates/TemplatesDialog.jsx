@@ -0,0 +1,142 @@
+import { useState } from 'react'
+import { useStoreSelector } from '../../hooks/useObjectStore'
+import objectStore from '../../lib/ObjectStore'
+import './TemplatesDialog.css'
+
+const getSelectedCount = (store) => store.getSelectedIds().length
+
+/**
+ * Template library: insert built-in components or saved templates, and save
+ * the selection as a new template for the team
+ * @param {Object} props
+ * @param {Object} props.library - From useTemplates
+ * @param {string} props.currentUserId - Current user (can delete their own templates)
+ * @param {boolean} props.readOnly - Viewers can only browse
+ * @param {Function} props.onInsert - (template) => Promise, places the template in view
+ * @param {Function} props.onClose - Close the dialog
+ */
+export const TemplatesDialog = ({ library, currentUserId, readOnly, onInsert, onClose }) => {
+  const { templates, customTemplates, loading, saveTemplate, deleteTemplate } = library
+  const [name, setName] = useState('')
+  const [description, setDescription] = useState('')
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
+
+  const selectedCount = useStoreSelector(getSelectedCount)
+  const builtinTemplates = templates.filter(template => !template.custom)
+
+  const handleInsert = async (template) => {
+    setError(null)
+    setBusy(true)
+    try {
+      await onInsert(template)
+      onClose()
+    } catch (error) {
+      console.error('💥 Failed to insert template:', error)
+      setError(`Could not insert "${template.label}": ${error.message}`)
+      setBusy(false)
+    }
+  }
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    setError(null)
+    setBusy(true)
+    try {
+      await saveTemplate(name, description, objectStore.getSelectedIds())
+      setName('')
+      setDescription('')
+    } catch (error) {
+      setError(`Could not save template: ${error.message}`)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleDelete = async (template) => {
+    if (!window.confirm(`Delete the template "${template.name}" for everyone?`)) return
+    setError(null)
+    try {
+      await deleteTemplate(template.id)
+    } catch (error) {
+      setError(`Could not delete template: ${error.message}`)
+    }
+  }
+
+  const renderTemplate = (template) => (
+    <li key={template.id || template.name} className="template-item">
+      <div className="template-text">
+        <span className="template-name">{template.label}</span>
+        {template.description && <span className="template-description">{template.description}</span>}
+      </div>
+      {template.custom && template.createdBy === currentUserId && (
+        <button className="share-remove-button" onClick={() => handleDelete(template)} disabled={busy}>
+          Delete
+        </button>
+      )}
+      {!readOnly && (
+        <button className="toolbar-button primary" onClick={() => handleInsert(template)} disabled={busy}>
+          Insert
+        </button>
+      )}
+    </li>
+  )
+
+  return (
+    <div className="share-dialog-overlay" onClick={onClose}>
+      <div className="share-dialog templates-dialog" onClick={(e) => e.stopPropagation()}>
+        <div className="settings-header">
+          <h4>Templates</h4>
+          <button className="close-button" onClick={onClose}>×</button>
+        </div>
+
+        {error && <div className="board-list-error">{error}</div>}
+
+        <div className="share-section">
+          <div className="section-label">Components</div>
+          <ul className="template-list">
+            {builtinTemplates.map(renderTemplate)}
+          </ul>
+        </div>
+
+        <div className="share-section">
+          <div className="section-label">Saved by your team</div>
+          {customTemplates.length > 0 ? (
+            <ul className="template-list">
+              {customTemplates.map(renderTemplate)}
+            </ul>
+          ) : (
+            <p className="share-empty">{loading ? 'Loading...' : 'No saved templates yet.'}</p>
+          )}
+        </div>
+
+        {!readOnly && (
+          <form className="share-section template-save" onSubmit={handleSave}>
+            <div className="section-label">Save selection as template ({selectedCount} selected)</div>
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="Name, e.g. Feature card"
+              maxLength={60}
+            />
+            <input
+              type="text"
+              value={description}
+              onChange={(e) => setDescription(e.target.value)}
+              placeholder="What it's for (helps the AI assistant pick it)"
+              maxLength={200}
+            />
+            <button
+              type="submit"
+              className="toolbar-button primary"
+              disabled={busy || selectedCount === 0 || !name.trim()}
+            >
+              Save template
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -1,13 +1,12 @@
 import { useState, useCallback } from 'react'
-import { supabase } from '../lib/supabase'
-import { TABLES } from '../lib/constants'
+import ShapeTransaction from '../lib/ShapeTransaction'
 
-export const useAICommands = ({ userId, onShapesCreated }) => {
+export const useAICommands = ({ userId, boardId, onShapesCreated }) => {
   const [isProcessing, setIsProcessing] = useState(false)
   const [lastError, setLastError] = useState(null)
   const [commandHistory, setCommandHistory] = useState([])
 
-  const executeCommand = useCallback(async (command, canvasContext = {}) => {
+  const executeCommand = useCallback(async (command, canvasContext = null) => {
     if (!command.trim()) return
 
     setIsProcessing(true)
@@ -22,13 +21,7 @@ export const useAICommands = ({ userId, onShapesCreated }) => {
         },
         body: JSON.stringify({
           command: command.trim(),
-          canvasContext: {
-            width: canvasContext.width || 5000,
-            height: canvasContext.height || 5000,
-            centerX: canvasContext.centerX || 2500,
-            centerY: canvasContext.centerY || 2500,
-            shapeCount: canvasContext.shapeCount || 0,
-          }
+          canvasContext: canvasContext || null // see buildAIContext
         })
       })
 
@@ -49,28 +42,20 @@ export const useAICommands = ({ userId, onShapesCreated }) => {
         ...prev.slice(0, 9) // Keep last 10 commands
       ])
 
-      // If shapes were created, broadcast them to Supabase
+      // If shapes were created, save them all in one request (all or nothing)
       if (result.shapes && result.shapes.length > 0) {
-        for (const shape of result.shapes) {
-          // Add created_by field
-          const shapeData = {
-            ...shape,
-            created_by: userId
-          }
-
-          // Insert to database
-          const { error } = await supabase
-            .from(TABLES.SHAPES)
-            .insert(shapeData)
-
-          if (error) {
-            console.error('Error inserting AI-created shape:', error)
-            throw new Error('Failed to create shape in database')
-          }
-
-          // Notify parent component
-          onShapesCreated?.(shapeData)
+        const shapes = result.shapes.map(shape => ({ ...shape, board_id: boardId, created_by: userId }))
+        try {
+          await new ShapeTransaction({ boardId, label: `AI: ${command.trim()}` })
+            .insert(shapes)
+            .commit()
+        } catch (error) {
+          console.error('Error inserting AI-created shapes:', error)
+          throw new Error('Failed to create shapes in database')
         }
+
+        // Notify parent component
+        shapes.forEach(shapeData => onShapesCreated?.(shapeData))
       }
 
       return result
@@ -82,7 +67,7 @@ export const useAICommands = ({ userId, onShapesCreated }) => {
     } finally {
       setIsProcessing(false)
     }
-  }, [userId, onShapesCreated])
+  }, [userId, boardId, onShapesCreated])
 
   const clearError = useCallback(() => {
     setLastError(null)
@@ -0,0 +1,298 @@
+import { useState, useCallback, useRef } from 'react'
+import { streamAICommand } from '../utils/aiStream'
+import { AI_CONFIG } from '../lib/constants'
+import objectStore from '../lib/ObjectStore'
+
+// Conversations by board, kept while the app is open (switching boards keeps each thread)
+const threads = new Map()
+
+let turnCount = 0
+const createTurn = (fields) => ({ id: `turn-${++turnCount}`, createdAt: new Date().toISOString(), ...fields })
+
+// The shapes that stand for a command's changes: a new group stands for its members
+const getTopLevelIds = (ids) => {
+  const idSet = new Set(ids)
+  return ids.filter(id => !idSet.has(objectStore.get(id)?.parent_id))
+}
+
+// Shapes created or changed by the last answer the user accepted
+const getPreviousIds = (turns) => {
+  const turn = [...turns].reverse().find(entry => entry.role === 'assistant' && entry.status === 'accepted')
+  return turn ? turn.shapeIds : []
+}
+
+// What a failed command shows: the endpoint's reason when it gave one (see AICommandError)
+const describeError = (error) => (error.details && error.details !== error.message
+  ? `${error.message}. ${error.details}`
+  : error.message)
+
+// What the endpoint gets of each turn (see api/_lib/conversation.js)
+const toHistoryTurn = (turn) => (turn.role === 'user'
+  ? { role: 'user', content: turn.content, hasImage: !!turn.image }
+  : {
+      role: 'assistant',
+      status: turn.status,
+      content: turn.content,
+      actions: turn.actions,
+      shapeIds: turn.shapeIds,
+      error: turn.error
+    })
+
+/**
+ * Multi-turn conversation with the AI assistant on a board
+ * Every message is sent with the earlier turns (and what came of them), so
+ * follow-ups like "make them bigger" work. An answer's changes are previewed
+ * like any AI command; its turn records whether they were accepted, so the
+ * next message knows which shapes "them" and "it" are. The next message can
+ * only be sent once the previewed changes are accepted or discarded, so a
+ * follow-up never saves them on the user's behalf. The assistant may answer
+ * with a clarifying question instead of changes. Large deletes come back as
+ * a confirmation the user answers before they are previewed. A message can
+ * carry an image (a wireframe sketch or screenshot) the assistant rebuilds
+ * as shapes.
+ * @param {Object} params
+ * @param {string} params.boardId - Board the conversation belongs to
+ * @param {Function} params.getCanvasContext - ({ previousIds }) => canvas context for the endpoint
+ * @param {Function} params.startPreview - (command) => preview handle from useAIPreview, null to refuse
+ * @param {Function} params.acceptPreview - From useAIPreview
+ * @param {Function} params.discardPreview - From useAIPreview
+ * @param {Function} params.onAccepted - (session) => void, after an answer's changes were saved
+ * @param {boolean} params.hasOpenPreview - Changes are waiting for Accept/Discard (sending is refused)
+ * @returns {Object} { turns, isSending, sendMessage, acceptChanges, discardChanges, confirmDeletes, keepShapes, clearConversation }
+ */
+export const useAIConversation = ({ boardId, getCanvasContext, startPreview, acceptPreview, discardPreview, onAccepted, hasOpenPreview = false }) => {
+  const [thread, setThread] = useState(() => ({ boardId, turns: threads.get(boardId) || [] }))
+  const [isSending, setIsSending] = useState(false)
+  const sendingRef = useRef(false)
+  // { boardId, turnId, preview } of the answer whose changes are in the open preview
+  const previewTurnRef = useRef(null)
+
+  // Opening another board shows that board's conversation
+  if (thread.boardId !== boardId) {
+    setThread({ boardId, turns: threads.get(boardId) || [] })
+  }
+
+  const updateThread = useCallback((threadBoardId, update) => {
+    const turns = update(threads.get(threadBoardId) || [])
+    threads.set(threadBoardId, turns)
+    setThread(prev => (prev.boardId === threadBoardId ? { boardId: threadBoardId, turns } : prev))
+  }, [])
+
+  const updateTurn = useCallback((threadBoardId, turnId, changes) => {
+    updateThread(threadBoardId, turns => turns.map(turn => (turn.id === turnId ? { ...turn, ...changes } : turn)))
+  }, [updateThread])
+
+  // Record what happened to the previewed changes of the latest answer
+  const settlePreview = useCallback((status, session = null) => {
+    const link = previewTurnRef.current
+    if (!link) return
+    previewTurnRef.current = null
+    const shapeIds = session ? getTopLevelIds(session.transaction.getPendingIds()) : []
+    updateTurn(link.boardId, link.turnId, { status, shapeIds })
+  }, [updateTurn])
+
+  /**
+   * Save the previewed changes
+   * @returns {Promise<Object|null>} The saved session, null if there was nothing or it failed
+   */
+  const acceptChanges = useCallback(async () => {
+    const session = await acceptPreview()
+    settlePreview(session ? 'accepted' : 'discarded', session)
+    if (session) onAccepted?.(session)
+    return session
+  }, [acceptPreview, settlePreview, onAccepted])
+
+  /**
+   * Throw the previewed changes away
+   */
+  const discardChanges = useCallback(() => {
+    discardPreview()
+    settlePreview('discarded')
+  }, [discardPreview, settlePreview])
+
+  /**
+   * Send a message and preview the changes that come back
+   * @param {string} text - User message (may be empty when an image is attached)
+   * @param {Object|null} image - { mediaType, data, previewUrl } from prepareImage
+   */
+  const sendMessage = useCallback(async (text, image = null) => {
+    const content = text.trim() || (image ? AI_CONFIG.IMAGE_DEFAULT_COMMAND : '')
+    // The open preview has to be accepted or discarded first (the panel says so)
+    if (!content || sendingRef.current || hasOpenPreview) return
+
+    sendingRef.current = true
+    setIsSending(true)
+
+    const threadBoardId = boardId
+    const earlier = threads.get(threadBoardId) || []
+    const history = earlier.slice(-AI_CONFIG.CHAT_HISTORY_TURNS).map(toHistoryTurn)
+    // Taken before the preview starts, so it describes the board the user sees
+    const canvasContext = getCanvasContext({ previousIds: getPreviousIds(earlier) })
+
+    const preview = startPreview(content)
+    if (!preview) {
+      sendingRef.current = false
+      setIsSending(false)
+      return
+    }
+
+    const reply = createTurn({
+      role: 'assistant',
+      status: 'streaming',
+      command: content,
+      content: null,
+      options: [],
+      actions: [],
+      shapeIds: [],
+      pendingDeletes: [],
+      issues: [],
+      error: null,
+      errorCode: null
+    })
+    // Deletes nobody confirmed are not asked about again
+    updateThread(threadBoardId, turns => [
+      ...turns.map(turn => (turn.pendingDeletes?.length > 0
+        ? { ...turn, pendingDeletes: [], status: turn.status === 'confirm' ? 'declined' : turn.status }
+        : turn)),
+      createTurn({ role: 'user', content, image: image?.previewUrl || null }),
+      reply
+    ])
+    previewTurnRef.current = { boardId: threadBoardId, turnId: reply.id, preview }
+
+    const actions = []
+    let question = null
+    let confirmation = null
+    let opened = false
+    try {
+      const { issues } = await streamAICommand({
+        boardId: threadBoardId,
+        command: content,
+        canvasContext,
+        history,
+        image: image ? { mediaType: image.mediaType, data: image.data } : null,
+        signal: preview.signal,
+        onOpen: () => {
+          opened = true
+        },
+        onAction: (action) => {
+          if (action.type === 'ask_question') {
+            question = action
+            return
+          }
+          // Held back by the endpoint until the user confirms (see confirmDeletes)
+          if (action.type === 'confirm_delete') {
+            confirmation = action
+            return
+          }
+          actions.push(action.type)
+          preview.addAction(action)
+          updateTurn(threadBoardId, reply.id, { actions: [...actions] })
+        }
+      })
+
+      const previewed = await preview.finish()
+      const confirm = confirmation
+        ? { pendingDeletes: confirmation.shapeIds, content: confirmation.question }
+        : {}
+      // Accepted or discarded meanwhile
+      if (previewTurnRef.current?.turnId !== reply.id) {
+        updateTurn(threadBoardId, reply.id, { issues, ...confirm })
+        return
+      }
+      if (previewed) {
+        updateTurn(threadBoardId, reply.id, { status: 'ready', content: question?.question || null, issues, ...confirm })
+        return
+      }
+
+      // Nothing to accept: deletes to confirm, a question, or no shape matched
+      previewTurnRef.current = null
+      if (confirmation) {
+        updateTurn(threadBoardId, reply.id, { status: 'confirm', issues, ...confirm })
+      } else if (question) {
+        updateTurn(threadBoardId, reply.id, { status: 'question', content: question.question, options: question.options || [], issues })
+      } else {
+        updateTurn(threadBoardId, reply.id, { status: 'empty', issues })
+      }
+    } catch (error) {
+      // Accepted or discarded before the stream ended (recorded by settlePreview)
+      if (error.name === 'AbortError') return
+
+      console.error('AI Command Error:', error)
+      if (opened) {
+        preview.fail(error)
+      } else {
+        preview.cancel()
+        previewTurnRef.current = null
+      }
+      updateTurn(threadBoardId, reply.id, { status: 'error', error: describeError(error), errorCode: error.code || null })
+    } finally {
+      sendingRef.current = false
+      setIsSending(false)
+    }
+  }, [boardId, getCanvasContext, startPreview, hasOpenPreview, updateThread, updateTurn])
+
+  /**
+   * Go ahead with the deletes an answer asked to confirm, as part of its
+   * preview when that is still open, else as a preview of their own
+   * @param {string} turnId - Assistant turn asking for confirmation
+   */
+  const confirmDeletes = useCallback(async (turnId) => {
+    const threadBoardId = boardId
+    const turn = (threads.get(threadBoardId) || []).find(entry => entry.id === turnId)
+    if (!turn?.pendingDeletes?.length || sendingRef.current) return
+
+    const deletes = turn.pendingDeletes.map(shapeId => ({ type: 'delete_shape', shapeId }))
+    const actions = [...turn.actions, ...deletes.map(action => action.type)]
+    updateTurn(threadBoardId, turnId, { pendingDeletes: [], actions })
+
+    const link = previewTurnRef.current
+    if (link?.turnId === turnId) {
+      deletes.forEach(action => link.preview.addAction(action))
+      return
+    }
+
+    const preview = startPreview(turn.command)
+    if (!preview) return
+    previewTurnRef.current = { boardId: threadBoardId, turnId, preview }
+    deletes.forEach(action => preview.addAction(action))
+
+    const previewed = await preview.finish()
+    if (previewTurnRef.current?.turnId !== turnId) return
+    if (!previewed) previewTurnRef.current = null
+    updateTurn(threadBoardId, turnId, { status: previewed ? 'ready' : 'empty' })
+  }, [boardId, startPreview, updateTurn])
+
+  /**
+   * Decline the deletes an answer asked to confirm
+   * @param {string} turnId - Assistant turn asking for confirmation
+   */
+  const keepShapes = useCallback((turnId) => {
+    const turn = (threads.get(boardId) || []).find(entry => entry.id === turnId)
+    if (!turn) return
+    updateTurn(boardId, turnId, {
+      pendingDeletes: [],
+      status: turn.status === 'confirm' ? 'declined' : turn.status
+    })
+  }, [boardId, updateTurn])
+
+  /**
+   * Start over with an empty conversation on this board
+   */
+  const clearConversation = useCallback(() => {
+    if (previewTurnRef.current?.boardId === boardId) {
+      previewTurnRef.current = null
+    }
+    updateThread(boardId, () => [])
+  }, [boardId, updateThread])
+
+  return {
+    turns: thread.turns,
+    isSending,
+    sendMessage,
+    acceptChanges,
+    discardChanges,
+    confirmDeletes,
+    keepShapes,
+    clearConversation
+  }
+}
@@ -0,0 +1,147 @@
+import { useState, useCallback, useRef, useEffect } from 'react'
+import ShapeTransaction from '../lib/ShapeTransaction'
+import { applyAIChanges } from '../utils/aiStream'
+
+/**
+ * Preview of a streaming AI command
+ * Actions are staged as they arrive in an uncommitted ShapeTransaction, so
+ * they show up on the board right away (drawn as ghosts) while nothing is
+ * saved or broadcast. Accept commits the whole batch (one atomic write made by
+ * the AI endpoint as the current user, one undo step); Discard rolls it back.
+ * @param {Object} params
+ * @param {string} params.boardId - Board the command runs on
+ * @param {Function} params.applyAction - async (session, action) => void, stages one action
+ * @param {Function} params.finishActions - (session) => void, runs once every action arrived
+ * @returns {Object} { preview, startPreview, acceptPreview, discardPreview }
+ */
+export const useAIPreview = ({ boardId, applyAction, finishActions }) => {
+  // { command, status: 'streaming' | 'ready' | 'error' | 'saving', actionCount, shapeIds, error }
+  const [preview, setPreview] = useState(null)
+  const sessionRef = useRef(null)
+
+  // Update the preview state, unless a newer command replaced this session
+  const updateSession = useCallback((session, changes) => {
+    if (sessionRef.current !== session) return
+    setPreview(prev => prev && ({
+      ...prev,
+      actionCount: session.actionCount,
+      shapeIds: session.transaction.getPendingIds(),
+      ...changes
+    }))
+  }, [])
+
+  const endSession = useCallback((session) => {
+    if (sessionRef.current !== session) return
+    sessionRef.current = null
+    setPreview(null)
+  }, [])
+
+  const discardSession = useCallback((session) => {
+    if (!session) return
+    session.controller.abort()
+    session.transaction.rollback()
+    endSession(session)
+  }, [endSession])
+
+  /**
+   * Start previewing a command (discards any preview still open)
+   * @param {string} command - Command text (used for the undo label)
+   * @returns {Object} { signal, addAction(action), finish(), fail(error), cancel() };
+   *   finish() resolves to whether anything is left to accept
+   */
+  const startPreview = useCallback((command) => {
+    discardSession(sessionRef.current)
+
+    const label = `AI: ${command}`
+    const session = {
+      command,
+      label,
+      transaction: new ShapeTransaction({
+        boardId,
+        label,
+        applyMutations: (mutations) => applyAIChanges({ ...mutations, command })
+      }),
+      controller: new AbortController(),
+      // Shapes created by this command, and the refs the AI gave them (used by group_shapes)
+      createdIds: new Set(),
+      createdRefs: new Map(),
+      lastCreatedId: null,
+      actionCount: 0,
+      // Actions are applied one after another, even when they arrive faster
+      queue: Promise.resolve()
+    }
+    sessionRef.current = session
+    setPreview({ command, status: 'streaming', actionCount: 0, shapeIds: [], error: null })
+
+    const enqueue = (step) => {
+      session.queue = session.queue
+        .then(() => (sessionRef.current === session ? step() : null))
+        .catch(error => console.error('❌ Error previewing AI command:', error))
+      return session.queue
+    }
+
+    return {
+      signal: session.controller.signal,
+      addAction: (action) => enqueue(async () => {
+        await applyAction(session, action)
+        session.actionCount++
+        updateSession(session, {})
+      }),
+      finish: () => enqueue(() => {
+        finishActions(session)
+        if (session.transaction.isEmpty()) {
+          discardSession(session)
+          return false
+        }
+        updateSession(session, { status: 'ready' })
+        return true
+      }),
+      fail: (error) => enqueue(() => {
+        updateSession(session, { status: 'error', error: error.message })
+      }),
+      cancel: () => discardSession(session)
+    }
+  }, [boardId, applyAction, finishActions, updateSession, discardSession])
+
+  /**
+   * Save the previewed changes
+   * @returns {Promise<Object|null>} The session once saved, null if there was nothing or it failed
+   */
+  const acceptPreview = useCallback(async () => {
+    const session = sessionRef.current
+    if (!session) return null
+
+    session.controller.abort() // a stream that is still running adds nothing more
+    updateSession(session, { status: 'saving' })
+    await session.queue
+
+    try {
+      await session.transaction.commit()
+      return session
+    } catch (error) {
+      // The transaction already put the board back as it was
+      console.error('💥 Failed to apply AI command:', error)
+      window.alert(`Could not apply "${session.command}": ${error.details || error.message}`)
+      return null
+    } finally {
+      endSession(session)
+    }
+  }, [updateSession, endSession])
+
+  /**
+   * Throw the previewed changes away
+   */
+  const discardPreview = useCallback(() => {
+    discardSession(sessionRef.current)
+  }, [discardSession])
+
+  // Leaving the board drops an unaccepted preview
+  useEffect(() => () => discardSession(sessionRef.current), [discardSession])
+
+  return {
+    preview,
+    startPreview,
+    acceptPreview,
+    discardPreview
+  }
+}
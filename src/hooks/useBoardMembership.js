@@ -0,0 +1,216 @@
+import { useState, useEffect, useCallback } from 'react'
+import { supabase } from '../lib/supabase'
+import { TABLES, CHANNELS, BOARD_ROLES } from '../lib/constants'
+
+/**
+ * Build a shareable invite URL for an invite token
+ * @param {string} token - Invite token
+ * @returns {string} Absolute invite URL
+ */
+export const getInviteUrl = (token) => `${window.location.origin}/invite/${token}`
+
+/**
+ * Custom hook for the current user's role on a board, plus member and
+ * invite management for board owners
+ * @param {Object} params
+ * @param {string} boardId - Board ID
+ * @param {string} userId - Current user ID
+ */
+export const useBoardMembership = ({ boardId, userId }) => {
+  const [role, setRole] = useState(null)
+  const [members, setMembers] = useState([])
+  const [invites, setInvites] = useState([])
+  const [loading, setLoading] = useState(true)
+
+  const isOwner = role === BOARD_ROLES.OWNER
+  const canEdit = role === BOARD_ROLES.OWNER || role === BOARD_ROLES.EDITOR
+
+  // Load all members of the board with their profile info
+  const loadMembers = useCallback(async () => {
+    if (!boardId || !userId) return
+
+    try {
+      const { data, error } = await supabase
+        .from(TABLES.BOARD_MEMBERS)
+        .select(`
+          user_id,
+          role,
+          created_at,
+          profiles:user_id (
+            email,
+            username,
+            display_name
+          )
+        `)
+        .eq('board_id', boardId)
+        .order('created_at', { ascending: true })
+
+      if (error) {
+        console.error('Error loading board members:', error)
+        return
+      }
+
+      const formattedMembers = (data || []).map(member => ({
+        ...member,
+        username: member.profiles?.username || member.profiles?.display_name || member.profiles?.email || 'Anonymous'
+      }))
+
+      setMembers(formattedMembers)
+      setRole(formattedMembers.find(member => member.user_id === userId)?.role || null)
+    } catch (error) {
+      console.error('Error in loadMembers:', error)
+    } finally {
+      setLoading(false)
+    }
+  }, [boardId, userId])
+
+  // Load active invite links (owners only - RLS hides them from everyone else)
+  const loadInvites = useCallback(async () => {
+    if (!boardId || !isOwner) return
+
+    try {
+      const { data, error } = await supabase
+        .from(TABLES.BOARD_INVITES)
+        .select('*')
+        .eq('board_id', boardId)
+        .eq('revoked', false)
+        .gt('expires_at', new Date().toISOString())
+        .order('created_at', { ascending: false })
+
+      if (error) {
+        console.error('Error loading board invites:', error)
+        return
+      }
+
+      setInvites(data || [])
+    } catch (error) {
+      console.error('Error in loadInvites:', error)
+    }
+  }, [boardId, isOwner])
+
+  useEffect(() => {
+    if (!boardId || !userId) return
+
+    setLoading(true)
+    loadMembers()
+
+    // Reload when membership changes so role updates apply without a refresh
+    const subscription = supabase
+      .channel(CHANNELS.MEMBERS(boardId))
+      .on(
+        'postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: TABLES.BOARD_MEMBERS,
+          filter: `board_id=eq.${boardId}`,
+        },
+        () => {
+          loadMembers()
+        }
+      )
+      .subscribe()
+
+    return () => {
+      supabase.removeChannel(subscription)
+    }
+  }, [boardId, userId, loadMembers])
+
+  useEffect(() => {
+    loadInvites()
+  }, [loadInvites])
+
+  const createInvite = useCallback(async (inviteRole = BOARD_ROLES.EDITOR) => {
+    if (!isOwner) return null
+
+    const { data, error } = await supabase
+      .from(TABLES.BOARD_INVITES)
+      .insert({ board_id: boardId, role: inviteRole, created_by: userId })
+      .select()
+      .single()
+
+    if (error) {
+      console.error('❌ Error creating invite:', error)
+      throw error
+    }
+
+    setInvites(prev => [data, ...prev])
+    return data
+  }, [boardId, userId, isOwner])
+
+  const revokeInvite = useCallback(async (inviteId) => {
+    const { error } = await supabase
+      .from(TABLES.BOARD_INVITES)
+      .update({ revoked: true })
+      .eq('id', inviteId)
+
+    if (error) {
+      console.error('❌ Error revoking invite:', error)
+      throw error
+    }
+
+    setInvites(prev => prev.filter(invite => invite.id !== inviteId))
+  }, [])
+
+  const updateMemberRole = useCallback(async (memberId, newRole) => {
+    const { error } = await supabase
+      .from(TABLES.BOARD_MEMBERS)
+      .update({ role: newRole })
+      .eq('board_id', boardId)
+      .eq('user_id', memberId)
+
+    if (error) {
+      console.error('❌ Error updating member role:', error)
+      throw error
+    }
+
+    setMembers(prev => prev.map(member =>
+      member.user_id === memberId ? { ...member, role: newRole } : member
+    ))
+  }, [boardId])
+
+  const removeMember = useCallback(async (memberId) => {
+    const { error } = await supabase
+      .from(TABLES.BOARD_MEMBERS)
+      .delete()
+      .eq('board_id', boardId)
+      .eq('user_id', memberId)
+
+    if (error) {
+      console.error('❌ Error removing member:', error)
+      throw error
+    }
+
+    setMembers(prev => prev.filter(member => member.user_id !== memberId))
+  }, [boardId])
+
+  return {
+    role,
+    isOwner,
+    canEdit,
+    readOnly: !canEdit,
+    members,
+    invites,
+    loading,
+    createInvite,
+    revokeInvite,
+    updateMemberRole,
+    removeMember,
+  }
+}
+
+/**
+ * Accept an invite link for the current user
+ * @param {string} token - Invite token from the URL
+ * @returns {Promise<string>} ID of the board the user joined
+ */
+export const acceptBoardInvite = async (token) => {
+  const { data, error } = await supabase.rpc('accept_board_invite', { p_token: token })
+
+  if (error) {
+    console.error('❌ Error accepting invite:', error)
+    throw error
+  }
+
+  return data
+}
@@ -0,0 +1,180 @@
+import { useState, useEffect, useCallback } from 'react'
+import { supabase } from '../lib/supabase'
+import { TABLES, CHANNELS } from '../lib/constants'
+
+/**
+ * Custom hook for listing and managing named boards
+ * @param {Object} params
+ * @param {string} userId - Current user ID
+ */
+export const useBoards = ({ userId }) => {
+  const [boards, setBoards] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  // Load all boards, most recently updated first
+  const loadBoards = useCallback(async () => {
+    if (!userId) return
+
+    try {
+      const { data, error } = await supabase
+        .from(TABLES.BOARDS)
+        .select('*')
+        .order('updated_at', { ascending: false })
+
+      if (error) {
+        console.error('Error loading boards:', error)
+        setError(error.message)
+        return
+      }
+
+      setBoards(data || [])
+      setError(null)
+    } catch (error) {
+      console.error('Error in loadBoards:', error)
+      setError(error.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [userId])
+
+  useEffect(() => {
+    if (!userId) return
+
+    loadBoards()
+
+    // Keep the list fresh when boards are created, renamed or deleted elsewhere
+    const subscription = supabase
+      .channel(CHANNELS.BOARDS)
+      .on(
+        'postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: TABLES.BOARDS,
+        },
+        () => {
+          loadBoards()
+        }
+      )
+      .subscribe()
+
+    return () => {
+      supabase.removeChannel(subscription)
+    }
+  }, [userId, loadBoards])
+
+  const createBoard = useCallback(async (name) => {
+    if (!userId || !name?.trim()) return null
+
+    const { data, error } = await supabase
+      .from(TABLES.BOARDS)
+      .insert({ name: name.trim(), created_by: userId })
+      .select()
+      .single()
+
+    if (error) {
+      console.error('❌ Error creating board:', error)
+      throw error
+    }
+
+    setBoards(prev => [data, ...prev.filter(board => board.id !== data.id)])
+    return data
+  }, [userId])
+
+  const renameBoard = useCallback(async (boardId, name) => {
+    if (!name?.trim()) return
+
+    const { error } = await supabase
+      .from(TABLES.BOARDS)
+      .update({ name: name.trim(), updated_at: new Date().toISOString() })
+      .eq('id', boardId)
+
+    if (error) {
+      console.error('❌ Error renaming board:', error)
+      throw error
+    }
+
+    setBoards(prev => prev.map(board =>
+      board.id === boardId ? { ...board, name: name.trim() } : board
+    ))
+  }, [])
+
+  const deleteBoard = useCallback(async (boardId) => {
+    const { error } = await supabase
+      .from(TABLES.BOARDS)
+      .delete()
+      .eq('id', boardId)
+
+    if (error) {
+      console.error('❌ Error deleting board:', error)
+      throw error
+    }
+
+    setBoards(prev => prev.filter(board => board.id !== boardId))
+  }, [])
+
+  return {
+    boards,
+    loading,
+    error,
+    createBoard,
+    renameBoard,
+    deleteBoard,
+    reloadBoards: loadBoards,
+  }
+}
+
+/**
+ * Custom hook for loading a single board by ID
+ * @param {string} boardId - Board ID from the route
+ */
+export const useBoard = (boardId) => {
+  const [board, setBoard] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [notFound, setNotFound] = useState(false)
+
+  useEffect(() => {
+    if (!boardId) return
+
+    let cancelled = false
+    setLoading(true)
+    setNotFound(false)
+
+    const loadBoard = async () => {
+      try {
+        const { data, error } = await supabase
+          .from(TABLES.BOARDS)
+          .select('*')
+          .eq('id', boardId)
+          .single()
+
+        if (cancelled) return
+
+        if (error) {
+          // PGRST116 = no rows, 22P02 = malformed UUID in the URL
+          if (error.code !== 'PGRST116' && error.code !== '22P02') {
+            console.error('Error loading board:', error)
+          }
+          setBoard(null)
+          setNotFound(true)
+          return
+        }
+
+        setBoard(data)
+      } catch (error) {
+        console.error('Error in loadBoard:', error)
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+
+    loadBoard()
+
+    return () => {
+      cancelled = true
+    }
+  }, [boardId])
+
+  return { board, loading, notFound }
+}
@@ -3,45 +3,74 @@ import {
   createRectangle, 
   createCircle, 
   createTextBox, 
+  createLine,
+  createPath,
+  createStickyNote,
+  createFrame,
   updateShapePosition as updateShapePositionHelper
 } from '../utils/canvasHelpers'
 import objectStore from '../lib/ObjectStore'
+import { useSelectedIds, useStoreSelector } from './useObjectStore'
+import { haveSameLayout } from '../utils/renderCulling'
 
-export const useCanvas = () => {
-  // Use external store for objects and selection
-  const shapes = useSyncExternalStore(
-    objectStore.subscribe,
-    objectStore.getAll
-  )
+const selectShapes = (store) => store.getAll()
+
+export const useCanvas = ({ boardId } = {}) => {
+  // Shape list for laying out the canvas. It is only replaced when shapes are
+  // added, removed, reordered, regrouped or change owner; shape components follow
+  // their own records (useShape), so moving or editing a shape doesn't re-render the canvas.
+  const shapes = useStoreSelector(selectShapes, haveSameLayout)
+  // Selection only re-renders when the selection itself changes
   const selectedShapeId = useSyncExternalStore(
-    objectStore.subscribe,
+    objectStore.subscribeToSelection,
     objectStore.getSelected
   )
-  const selectedShapeIds = useSyncExternalStore(
-    objectStore.subscribe,
-    objectStore.getSelectedIds
-  )
+  const selectedShapeIds = useSelectedIds()
   
   // Keep color selection in React state (UI-only concern)
   const [selectedColor, setSelectedColor] = useState('#3B82F6')
 
   const addRectangle = useCallback((x, y) => {
-    const newRectangle = createRectangle(x, y, selectedColor)
+    const newRectangle = { ...createRectangle(x, y, selectedColor), board_id: boardId }
     objectStore.add(newRectangle)
     return newRectangle
-  }, [selectedColor])
+  }, [selectedColor, boardId])
 
   const addCircle = useCallback((x, y) => {
-    const newCircle = createCircle(x, y, selectedColor)
+    const newCircle = { ...createCircle(x, y, selectedColor), board_id: boardId }
     objectStore.add(newCircle)
     return newCircle
-  }, [selectedColor])
+  }, [selectedColor, boardId])
 
   const addTextBox = useCallback((x, y) => {
-    const newTextBox = createTextBox(x, y, selectedColor)
+    const newTextBox = { ...createTextBox(x, y, selectedColor), board_id: boardId }
     objectStore.add(newTextBox)
     return newTextBox
-  }, [selectedColor])
+  }, [selectedColor, boardId])
+
+  const addLine = useCallback((x1, y1, x2, y2, type = 'line', bindings = {}) => {
+    const newLine = { ...createLine(x1, y1, x2, y2, selectedColor, type), ...bindings, board_id: boardId }
+    objectStore.add(newLine)
+    return newLine
+  }, [selectedColor, boardId])
+
+  const addPath = useCallback((points, strokeWidth) => {
+    const newPath = { ...createPath(points, selectedColor, strokeWidth), board_id: boardId }
+    objectStore.add(newPath)
+    return newPath
+  }, [selectedColor, boardId])
+
+  const addStickyNote = useCallback((x, y, color) => {
+    const newSticky = { ...createStickyNote(x, y, color), board_id: boardId }
+    objectStore.add(newSticky)
+    return newSticky
+  }, [boardId])
+
+  const addFrame = useCallback((x, y, name, zIndex = 0) => {
+    const newFrame = { ...createFrame(x, y, name), z_index: zIndex, board_id: boardId }
+    objectStore.add(newFrame)
+    return newFrame
+  }, [boardId])
 
   const updateShapePosition = useCallback((shapeId, newPosition) => {
     const shape = objectStore.get(shapeId)
@@ -87,6 +116,10 @@ export const useCanvas = () => {
     addRectangle,
     addCircle,
     addTextBox,
+    addLine,
+    addPath,
+    addStickyNote,
+    addFrame,
     updateShapePosition,
     selectShape,
     deselectAll,
@@ -0,0 +1,82 @@
+import { useCallback } from 'react'
+import objectStore from '../lib/ObjectStore'
+import ShapeTransaction, { applyShapeMutations } from '../lib/ShapeTransaction'
+import { createCanvasDocument, parseCanvasDocument, documentToShapeRows } from '../utils/canvasDocument'
+import { downloadFile, readFileAsText, toFileName } from '../utils/fileHelpers'
+
+/**
+ * Custom hook for exporting and importing boards as JSON documents
+ * @param {Object} params
+ * @param {string} boardId - Current board ID (imports into this board)
+ * @param {string} userId - Current user ID
+ */
+export const useCanvasDocument = ({ boardId, userId }) => {
+  /**
+   * Download the current board as a JSON document
+   * @param {Object} board - Board record (for the name)
+   */
+  const exportDocument = useCallback((board) => {
+    const doc = createCanvasDocument({ board, shapes: objectStore.getAll() })
+    downloadFile(JSON.stringify(doc, null, 2), toFileName(board?.name, 'json'), 'application/json')
+    console.log('📦 Exported board document:', { shapes: doc.shapes.length })
+  }, [])
+
+  /**
+   * Import a JSON document into the current board, above existing shapes
+   * The import is all or nothing, and a single undo step.
+   * @param {File} file - Selected file
+   * @returns {Promise<number>} Number of shapes imported
+   */
+  const importIntoBoard = useCallback(async (file) => {
+    if (!boardId || !userId) return 0
+
+    const doc = parseCanvasDocument(await readFileAsText(file))
+    const zIndexBase = objectStore.getAll().reduce((max, shape) => Math.max(max, (shape.z_index || 0) + 1), 0)
+    const { rows } = documentToShapeRows(doc, { boardId, userId, zIndexBase })
+
+    const label = `Import ${rows.length} shape${rows.length !== 1 ? 's' : ''}`
+    const { inserted } = await new ShapeTransaction({ boardId, label }).insert(rows).commit()
+
+    console.log('📥 Imported board document:', { shapes: inserted.length })
+    return inserted.length
+  }, [boardId, userId])
+
+  /**
+   * Create a new board from a JSON document
+   * The shapes are written in one apply_shape_mutations batch; if that fails
+   * the new board is deleted again, so no half-imported board is left behind.
+   * @param {File} file - Selected file
+   * @param {Function} createBoard - Board creator from useBoards
+   * @param {Function} deleteBoard - Board remover from useBoards
+   * @returns {Promise<Object|null>} The new board
+   */
+  const importAsNewBoard = useCallback(async (file, createBoard, deleteBoard) => {
+    if (!userId) return null
+
+    const doc = parseCanvasDocument(await readFileAsText(file))
+    const fallbackName = file.name.replace(/\.json$/i, '') || 'Imported board'
+    const board = await createBoard(doc.board?.name || fallbackName)
+    if (!board) return null
+
+    const { rows } = documentToShapeRows(doc, { boardId: board.id, userId })
+    try {
+      // Not the open board: written directly, without the store or undo history
+      await applyShapeMutations({ boardId: board.id, inserts: rows, updates: [], deletes: [] })
+    } catch (error) {
+      console.error('❌ Error importing shapes:', error)
+      await deleteBoard(board.id).catch(deleteError => {
+        console.error('❌ Error removing half-created board:', deleteError)
+      })
+      throw error
+    }
+
+    console.log('📥 Imported board document as new board:', { boardId: board.id, shapes: rows.length })
+    return board
+  }, [userId])
+
+  return {
+    exportDocument,
+    importIntoBoard,
+    importAsNewBoard,
+  }
+}
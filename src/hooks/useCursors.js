@@ -1,6 +1,6 @@
 import { useState, useEffect, useRef, useCallback } from 'react'
 import { supabase } from '../lib/supabase'
-import { REALTIME_CONFIG, TABLES } from '../lib/constants'
+import { REALTIME_CONFIG, TABLES, CHANNELS } from '../lib/constants'
 import { throttle } from '../utils/syncHelpers'
 
 // Import getUserColor function from usePresence to ensure consistent colors
@@ -27,7 +27,7 @@ const getUserColor = (userId) => {
   return colors[Math.abs(hash) % colors.length]
 }
 
-export const useCursors = ({ userId, username, isDragging = false, updateActivity }) => {
+export const useCursors = ({ userId, username, boardId, isDragging = false, updateActivity }) => {
   const [otherCursors, setOtherCursors] = useState([])
   const [myCursor, setMyCursor] = useState({ x: 0, y: 0 })
   const subscriptionRef = useRef(null)
@@ -38,7 +38,7 @@ export const useCursors = ({ userId, username, isDragging = false, updateActivit
 
   // Update presence table with cursor position (lower frequency for DB writes)
   const updatePresenceWithCursor = useCallback(async (x, y) => {
-    if (!userId) return
+    if (!userId || !boardId) return
     
     const now = Date.now()
     // Only update presence every 300ms to avoid aggressive DB writes
@@ -57,14 +57,15 @@ export const useCursors = ({ userId, username, isDragging = false, updateActivit
           cursor_y: y,
           active: true,
           last_seen: new Date().toISOString(),
-          display_name: username
+          display_name: username,
+          board_id: boardId
         }, {
           onConflict: 'user_id'
         })
     } catch (error) {
       console.error('Error updating presence with cursor:', error)
     }
-  }, [userId, username])
+  }, [userId, username, boardId])
 
   // Throttled function to update cursor position - now receives stage reference to handle coordinate conversion
   const updateCursorPosition = useCallback(
@@ -112,10 +113,13 @@ export const useCursors = ({ userId, username, isDragging = false, updateActivit
   )
 
   useEffect(() => {
-    if (!userId || !username) return
+    if (!userId || !username || !boardId) return
 
-    // Create ephemeral channel for cursor broadcasting
-    const cursorChannel = supabase.channel('cursors', {
+    // Drop cursors from the previous board
+    setOtherCursors([])
+
+    // Create ephemeral channel for cursor broadcasting (one per board)
+    const cursorChannel = supabase.channel(CHANNELS.CURSORS(boardId), {
       config: {
         broadcast: { self: false } // Don't receive our own broadcasts
       }
@@ -173,6 +177,7 @@ export const useCursors = ({ userId, username, isDragging = false, updateActivit
           .from(TABLES.PRESENCE)
           .select('user_id, cursor_x, cursor_y, display_name, last_seen')
           .eq('active', true)
+          .eq('board_id', boardId) // Only users on this board
           .neq('user_id', userId) // Don't include our own cursor
           .gt('last_seen', new Date(Date.now() - 30000).toISOString()) // Only recent activity
 
@@ -204,11 +209,12 @@ export const useCursors = ({ userId, username, isDragging = false, updateActivit
 
     // Subscribe to presence changes for cursor updates
     const presenceSubscription = supabase
-      .channel('presence-cursors')
+      .channel(CHANNELS.PRESENCE_CURSORS(boardId))
       .on('postgres_changes', {
         event: 'UPDATE',
         schema: 'public',
-        table: 'presence'
+        table: TABLES.PRESENCE,
+        filter: `board_id=eq.${boardId}`
       }, (payload) => {
         const { user_id, cursor_x, cursor_y, display_name, last_seen, active } = payload.new
         
@@ -271,7 +277,7 @@ export const useCursors = ({ userId, username, isDragging = false, updateActivit
       }
       clearInterval(cleanupInterval)
     }
-  }, [userId, username])
+  }, [userId, username, boardId])
 
 
   return {
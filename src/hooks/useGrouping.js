@@ -0,0 +1,114 @@
+import { useCallback } from 'react'
+import { createGroup, getShapesBounds } from '../utils/canvasHelpers'
+import { isLineShape } from '../utils/connectorHelpers'
+import {
+  isGroupShape,
+  isFrameShape,
+  getParent,
+  getFrameOf,
+  getSelectionTargetId,
+  expandContainers,
+} from '../utils/containerHelpers'
+import objectStore from '../lib/ObjectStore'
+import ShapeTransaction from '../lib/ShapeTransaction'
+
+/**
+ * Custom hook for grouping and ungrouping shapes (Ctrl+G / Ctrl+Shift+G, AI commands)
+ * @param {Object} params
+ * @param {string} userId - Current user ID
+ * @param {string} boardId - Current board ID
+ */
+export const useGrouping = ({ userId, boardId }) => {
+  /**
+   * Put shapes into a new group
+   * Members that are already grouped bring their whole group along (groups
+   * nest); lines and frames can't be grouped.
+   * @param {Array<string>} shapeIds - Shapes to group
+   * @param {string} label - Undo label
+   * @param {ShapeTransaction|null} transaction - Add to this transaction instead of writing right away
+   * @returns {Promise<Object|null>} The group record, or null if nothing was grouped
+   */
+  const groupShapes = useCallback(async (shapeIds, label = 'Group', transaction = null) => {
+    if (!userId || !boardId) return null
+
+    const memberIds = [...new Set(shapeIds.map(id => getSelectionTargetId(id, objectStore.get)))]
+      .filter(id => {
+        const shape = objectStore.get(id)
+        return shape && !isLineShape(shape) && !isFrameShape(shape)
+      })
+    if (memberIds.length < 2) return null
+
+    try {
+      // The group lives in the members' frame when they share one
+      const frameIds = new Set(memberIds.map(id => getFrameOf(objectStore.get(id), objectStore.get)?.id ?? null))
+      const parentId = frameIds.size === 1 ? [...frameIds][0] : null
+
+      const allShapes = objectStore.getAll()
+      const contentIds = new Set(expandContainers(allShapes, memberIds))
+      const members = memberIds.map(id => objectStore.get(id))
+      const bounds = getShapesBounds(allShapes.filter(shape => contentIds.has(shape.id) && !isGroupShape(shape)))
+      const group = {
+        ...createGroup(bounds),
+        board_id: boardId,
+        parent_id: parentId,
+        z_index: Math.max(...members.map(shape => shape.z_index || 0)),
+        created_by: userId
+      }
+
+      // Creating the group and moving the members into it are written (and undone) together
+      const groupTransaction = transaction || new ShapeTransaction({ boardId, label })
+      objectStore.batch(() => {
+        groupTransaction.insert(group)
+        memberIds.forEach(id => groupTransaction.update(id, { parent_id: group.id }))
+      })
+      if (!transaction) {
+        await groupTransaction.commit()
+      }
+
+      console.log('🔗 Grouped shapes:', memberIds.length)
+      return group
+    } catch (error) {
+      console.error('💥 Failed to group shapes:', error)
+      return null
+    }
+  }, [userId, boardId])
+
+  /**
+   * Dissolve groups, moving their members up to the group's own parent
+   * @param {Array<string>} shapeIds - Selected shapes (only groups are ungrouped)
+   * @returns {Promise<Array<string>>} IDs of the former members
+   */
+  const ungroupShapes = useCallback(async (shapeIds) => {
+    if (!userId || !boardId) return []
+
+    const groups = shapeIds.map(id => objectStore.get(id)).filter(isGroupShape)
+    if (groups.length === 0) return []
+
+    try {
+      const transaction = new ShapeTransaction({ boardId, label: 'Ungroup' })
+      const releasedIds = []
+      objectStore.batch(() => {
+        for (const group of groups) {
+          const memberIds = objectStore.getAll()
+            .filter(shape => getParent(shape, objectStore.get)?.id === group.id)
+            .map(shape => shape.id)
+          const parentId = getParent(group, objectStore.get)?.id ?? null
+
+          memberIds.forEach(id => transaction.update(id, { parent_id: parentId }))
+          transaction.remove(group.id)
+          releasedIds.push(...memberIds)
+        }
+      })
+      await transaction.commit()
+      return releasedIds
+    } catch (error) {
+      console.error('💥 Failed to ungroup shapes:', error)
+      return []
+    }
+  }, [userId, boardId])
+
+  return {
+    groupShapes,
+    ungroupShapes,
+  }
+}
@@ -0,0 +1,150 @@
+import { useEffect, useCallback, useRef, useSyncExternalStore } from 'react'
+import objectStore from '../lib/ObjectStore'
+import historyManager from '../lib/HistoryManager'
+import ShapeTransaction from '../lib/ShapeTransaction'
+import { pickShapeTypeFields } from '../utils/canvasHelpers'
+
+const subscribeToHistory = (listener) => historyManager.subscribe(listener)
+const getHistoryVersion = () => historyManager.getVersion()
+
+/**
+ * Custom hook for per-user undo/redo of canvas mutations
+ * @param {Object} params
+ * @param {string} userId - Current user ID
+ * @param {string} boardId - Board the history belongs to
+ * @param {boolean} readOnly - Disable undo/redo (viewer role)
+ */
+export const useHistory = ({ userId, boardId, readOnly = false }) => {
+  const isApplyingRef = useRef(false)
+
+  // Re-render when the stacks change so canUndo/canRedo stay current
+  useSyncExternalStore(subscribeToHistory, getHistoryVersion)
+
+  // History is per board - start fresh whenever the board changes
+  useEffect(() => {
+    historyManager.clear()
+    return () => {
+      historyManager.clear()
+    }
+  }, [boardId])
+
+  // Add a resolved history operation to the transaction (and so to the ObjectStore)
+  const addOperation = useCallback((transaction, operation) => {
+    switch (operation.type) {
+      case 'create': {
+        const { record } = operation
+        transaction.insert({
+          id: record.id,
+          type: record.type,
+          x: record.x,
+          y: record.y,
+          width: record.width,
+          height: record.height,
+          rotation: record.rotation,
+          color: record.color,
+          z_index: record.z_index || 0,
+          text_content: record.text_content,
+          font_size: record.font_size,
+          parent_id: record.parent_id ?? null,
+          ...pickShapeTypeFields(record),
+          board_id: record.board_id || boardId,
+          created_by: userId
+        })
+        return true
+      }
+
+      case 'delete':
+        transaction.remove(operation.id)
+        return true
+
+      case 'update':
+        transaction.update(operation.id, operation.fields)
+        return true
+
+      default:
+        return false
+    }
+  }, [userId, boardId])
+
+  // Apply the next command in the given direction. Commands whose shapes were
+  // all changed or deleted by other users are skipped. A command is written in
+  // one apply_shape_mutations batch: if the database refuses any of it, none
+  // of it is applied and the command stays where it was.
+  const applyHistory = useCallback(async (direction) => {
+    if (readOnly || !userId || isApplyingRef.current) return false
+
+    isApplyingRef.current = true
+    try {
+      const popCommand = direction === 'undo'
+        ? () => historyManager.popUndo()
+        : () => historyManager.popRedo()
+      const putBack = direction === 'undo'
+        ? (command) => historyManager.pushUndo(command)
+        : (command) => historyManager.pushRedo(command)
+
+      let command = popCommand()
+      while (command) {
+        // Undo replays changes in reverse order so dependent changes unwind cleanly
+        const changes = direction === 'undo' ? [...command.changes].reverse() : command.changes
+        const appliedChanges = []
+        // No label: undo and redo move the existing command instead of recording a new one
+        const transaction = new ShapeTransaction({ boardId })
+
+        // The whole command shows up at once (one store notification)
+        objectStore.beginBatch()
+        try {
+          for (const change of changes) {
+            const operation = historyManager.resolveChange(change, direction, userId)
+            if (!operation) continue
+
+            if (addOperation(transaction, operation)) {
+              appliedChanges.push(operation.change)
+            }
+          }
+        } finally {
+          objectStore.endBatch()
+        }
+
+        if (appliedChanges.length > 0) {
+          try {
+            await transaction.commit()
+          } catch (error) {
+            // Rolled back by the transaction; try again later
+            console.error(`❌ Error applying ${direction} of "${command.label}":`, error)
+            putBack(command)
+            return false
+          }
+
+          if (direction === 'undo') {
+            historyManager.pushRedo({ ...command, changes: appliedChanges.reverse() })
+            console.log('↩️ Undo:', command.label)
+          } else {
+            historyManager.pushUndo({ ...command, changes: appliedChanges })
+            console.log('↪️ Redo:', command.label)
+          }
+          return true
+        }
+
+        console.warn(`⚠️ Skipping ${direction} of "${command.label}" - shapes were changed by other users`)
+        command = popCommand()
+      }
+
+      return false
+    } catch (error) {
+      console.error(`💥 Failed to ${direction}:`, error)
+      return false
+    } finally {
+      isApplyingRef.current = false
+    }
+  }, [readOnly, userId, boardId, addOperation])
+
+  const undo = useCallback(() => applyHistory('undo'), [applyHistory])
+  const redo = useCallback(() => applyHistory('redo'), [applyHistory])
+
+  return {
+    undo,
+    redo,
+    canUndo: !readOnly && historyManager.canUndo(),
+    canRedo: !readOnly && historyManager.canRedo(),
+  }
+}
@@ -1,29 +1,42 @@
 import { useEffect, useCallback, useRef } from 'react'
 import { throttle } from '../utils/syncHelpers'
-import { supabase } from '../lib/supabase'
-import { TABLES } from '../lib/constants'
-import { generateId } from '../utils/canvasHelpers'
+import { getTranslateChanges, getDetachChanges } from '../utils/connectorHelpers'
+import { expandContainers } from '../utils/containerHelpers'
+import { createDuplicates } from '../utils/editHelpers'
 import objectStore from '../lib/ObjectStore'
+import ShapeTransaction from '../lib/ShapeTransaction'
 
 /**
  * Custom hook for handling keyboard shortcuts in the Canvas
  * @param {Object} params
  * @param {string|null} selectedShapeId - Currently selected shape ID
  * @param {string} userId - Current user ID
+ * @param {string} boardId - Current board ID
+ * @param {boolean} readOnly - Disable all mutating shortcuts (viewer role)
  * @param {Function} onShapeDeleted - Callback when shape is deleted
  * @param {Function} onShapeDuplicated - Callback when shape is duplicated (Ctrl+D)
  * @param {Function} onShapeMoved - Callback when shape is moved
  * @param {Function} onDeselect - Callback to deselect all shapes
+ * @param {Function} onUndo - Callback for undo (Ctrl+Z)
+ * @param {Function} onRedo - Callback for redo (Ctrl+Shift+Z / Ctrl+Y)
+ * @param {Function} onGroup - Callback to group the selected shapes (Ctrl+G)
+ * @param {Function} onUngroup - Callback to ungroup the selected groups (Ctrl+Shift+G)
  */
 export const useKeyboardShortcuts = ({
   selectedShapeId,
   selectedShapeIds = [],
   userId,
+  boardId,
+  readOnly = false,
   updateActivity,
   onShapeDeleted,
   onShapeDuplicated,
   onShapeMoved,
-  onDeselect
+  onDeselect,
+  onUndo,
+  onRedo,
+  onGroup,
+  onUngroup
 }) => {
   const throttleRef = useRef(null)
 
@@ -47,101 +60,76 @@ export const useKeyboardShortcuts = ({
 
   // Delete selected shapes
   const deleteSelectedShape = useCallback(async () => {
-    if (selectedShapeIds.length === 0 || !userId) return
+    if (readOnly || selectedShapeIds.length === 0 || !userId) return
 
     try {
       console.log('🗑️ Deleting shapes:', selectedShapeIds)
-      
-      // Remove from Supabase
-      const { error } = await supabase
-        .from(TABLES.SHAPES)
-        .delete()
-        .in('id', selectedShapeIds)
-        .eq('created_by', userId) // Only delete own shapes
-
-      if (error) {
-        console.error('❌ Error deleting shapes:', error)
-        return
-      }
 
-      // Remove from ObjectStore
-      selectedShapeIds.forEach(shapeId => {
-        objectStore.remove(shapeId)
-        onShapeDeleted?.(shapeId)
-      })
+      // Groups and frames take everything inside them along
+      const deletedIds = expandContainers(objectStore.getAll(), selectedShapeIds)
       
+      // Deleting and detaching are written (and undone) together; if any shape
+      // can't be deleted (e.g. someone else's), nothing is
+      const label = deletedIds.length > 1 ? 'Delete shapes' : 'Delete shape'
+      const transaction = new ShapeTransaction({ boardId, label })
+
+      // Connectors attached to deleted shapes stay where they are, unbound
+      getDetachChanges(objectStore.getAll(), deletedIds)
+        .forEach(change => transaction.update(change.id, change.after))
+      transaction.remove(deletedIds)
+      await transaction.commit()
+
+      deletedIds.forEach(shapeId => onShapeDeleted?.(shapeId))
       console.log('✅ Shapes deleted successfully')
     } catch (error) {
       console.error('💥 Failed to delete shapes:', error)
     }
-  }, [selectedShapeIds, userId, onShapeDeleted])
+  }, [selectedShapeIds, userId, boardId, readOnly, onShapeDeleted])
 
   // Duplicate selected shapes
   const duplicateSelectedShape = useCallback(async () => {
-    if (selectedShapeIds.length === 0 || !userId) return
+    if (readOnly || selectedShapeIds.length === 0 || !userId) return
 
     try {
       console.log('📋 Duplicating shapes:', selectedShapeIds)
       
-      // Get all original shapes
-      const originalShapes = selectedShapeIds
-        .map(id => objectStore.get(id))
-        .filter(Boolean)
-      
-      if (originalShapes.length === 0) return
-
-      // Create duplicated shapes with offset positions
-      const duplicatedShapes = originalShapes.map((originalShape, index) => ({
-        id: generateId(),
-        type: originalShape.type,
-        x: originalShape.x + 20 + (index * 10), // Offset by 20px + index * 10px
-        y: originalShape.y + 20 + (index * 10), // Offset by 20px + index * 10px
-        width: originalShape.width,
-        height: originalShape.height,
-        color: originalShape.color,
-        rotation: originalShape.rotation,
-        created_at: new Date().toISOString(),
-        updated_at: new Date().toISOString(),
-        created_by: userId,
-        text_content: originalShape.text_content,
-        font_size: originalShape.font_size
-      }))
-
-      // Insert into Supabase
-      const { data, error } = await supabase
-        .from(TABLES.SHAPES)
-        .insert(duplicatedShapes)
-        .select()
+      // Copies are offset by 20px + index * 10px (contents keep their place in a copied container)
+      const shapes = objectStore.getAll()
+      const hasContainer = expandContainers(shapes, selectedShapeIds).length > selectedShapeIds.length
+      const { copies: duplicatedShapes, idMap } = createDuplicates(shapes, selectedShapeIds, {
+        userId,
+        getShape: objectStore.get,
+        getOffset: (shape, index) => (hasContainer ? 20 : 20 + (index * 10))
+      })
 
-      if (error) {
-        console.error('❌ Error duplicating shapes:', error)
-        return
-      }
+      if (duplicatedShapes.length === 0) return
 
-      // Add to ObjectStore and select all new shapes
-      data.forEach(duplicatedShape => {
-        objectStore.add(duplicatedShape)
-        onShapeDuplicated?.(duplicatedShape)
-      })
-      
-      // Select all duplicated shapes
-      objectStore.clearSelection()
-      data.forEach(duplicatedShape => {
-        objectStore.addToSelection(duplicatedShape.id)
+      // Add the copies (all or none) and select the copies of the selected shapes
+      const { inserted } = await new ShapeTransaction({ boardId, label: 'Duplicate' })
+        .insert(duplicatedShapes)
+        .commit()
+
+      objectStore.batch(() => {
+        objectStore.clearSelection()
+        selectedShapeIds.forEach(shapeId => {
+          if (idMap.has(shapeId)) objectStore.addToSelection(idMap.get(shapeId))
+        })
       })
+      inserted.forEach(duplicatedShape => onShapeDuplicated?.(duplicatedShape))
       
-      console.log('✅ Shapes duplicated successfully:', data.map(s => s.id))
+      console.log('✅ Shapes duplicated successfully:', inserted.map(s => s.id))
     } catch (error) {
       console.error('💥 Failed to duplicate shapes:', error)
     }
-  }, [selectedShapeIds, userId, onShapeDuplicated])
+  }, [selectedShapeIds, userId, boardId, readOnly, onShapeDuplicated])
 
   // Move selected shapes (throttled)
   const moveSelectedShape = useCallback(async (direction) => {
-    if (selectedShapeIds.length === 0 || !userId) return
+    if (readOnly || selectedShapeIds.length === 0 || !userId) return
 
     const moveDistance = 10
-    const shapes = selectedShapeIds
+    const movingIds = expandContainers(objectStore.getAll(), selectedShapeIds)
+    const shapes = movingIds
       .map(id => objectStore.get(id))
       .filter(Boolean)
     
@@ -169,54 +157,34 @@ export const useKeyboardShortcuts = ({
           return null
       }
 
-      return { id: shape.id, x: newX, y: newY }
+      // Lines move both ends (and keep only bindings to shapes moving with them)
+      return {
+        id: shape.id,
+        changes: getTranslateChanges(shape, newX - shape.x, newY - shape.y, {
+          movingIds,
+          getShape: objectStore.get
+        })
+      }
     }).filter(Boolean)
 
     if (updates.length === 0) return
 
     try {
-      // Update all shapes in Supabase
-      const { error } = await supabase
-        .from(TABLES.SHAPES)
-        .update({ 
-          updated_at: new Date().toISOString() 
-        })
-        .in('id', selectedShapeIds)
-        .eq('created_by', userId) // Only move own shapes
-
-      if (error) {
-        console.error('❌ Error moving shapes:', error)
-        return
-      }
-
-      // Update each shape individually with new position
-      for (const update of updates) {
-        const { error: updateError } = await supabase
-          .from(TABLES.SHAPES)
-          .update({ 
-            x: update.x, 
-            y: update.y, 
-            updated_at: new Date().toISOString() 
-          })
-          .eq('id', update.id)
-
-        if (updateError) {
-          console.error('❌ Error updating shape position:', updateError)
-          continue
-        }
+      // One request and one undo step for all of them
+      const transaction = new ShapeTransaction({ boardId, label: 'Move with arrow keys' })
+      objectStore.batch(() => {
+        updates.forEach(update => transaction.update(update.id, update.changes))
+      })
+      await transaction.commit()
 
-        // Update in ObjectStore
-        objectStore.update(update.id, { x: update.x, y: update.y })
-        
-        // Notify parent component
-        onShapeMoved?.(update.id, { x: update.x, y: update.y })
-      }
+      // Notify parent component
+      updates.forEach(update => onShapeMoved?.(update.id, { x: update.changes.x, y: update.changes.y }))
       
       console.log('✅ Shapes moved successfully')
     } catch (error) {
       console.error('💥 Failed to move shapes:', error)
     }
-  }, [selectedShapeIds, userId, onShapeMoved])
+  }, [selectedShapeIds, userId, boardId, readOnly, onShapeMoved])
 
   // Throttled version of move function
   const throttledMove = useCallback(
@@ -231,7 +199,39 @@ export const useKeyboardShortcuts = ({
       return
     }
 
-    const { key, ctrlKey, shiftKey } = event
+    const { key, ctrlKey, metaKey, shiftKey } = event
+    const isModifierPressed = ctrlKey || metaKey
+    const lowerKey = key.toLowerCase()
+
+    // Undo / redo (Ctrl+Z, Ctrl+Shift+Z, Ctrl+Y)
+    if (isModifierPressed && (lowerKey === 'z' || lowerKey === 'y')) {
+      event.preventDefault()
+      event.stopPropagation()
+      if (readOnly) return
+
+      if (updateActivity) updateActivity()
+      if (lowerKey === 'y' || shiftKey) {
+        onRedo?.()
+      } else {
+        onUndo?.()
+      }
+      return
+    }
+
+    // Group / ungroup (Ctrl+G, Ctrl+Shift+G)
+    if (isModifierPressed && lowerKey === 'g') {
+      event.preventDefault()
+      event.stopPropagation()
+      if (readOnly || selectedShapeIds.length === 0) return
+
+      if (updateActivity) updateActivity()
+      if (shiftKey) {
+        onUngroup?.(selectedShapeIds)
+      } else {
+        onGroup?.(selectedShapeIds)
+      }
+      return
+    }
 
     // Prevent browser defaults for our shortcuts
     if (key === 'Delete' || key === 'Backspace' || 
@@ -285,11 +285,16 @@ export const useKeyboardShortcuts = ({
   }, [
     shouldIgnoreKeyboardEvent,
     selectedShapeId,
+    readOnly,
     updateActivity,
     deleteSelectedShape,
     duplicateSelectedShape,
     throttledMove,
-    onDeselect
+    onDeselect,
+    onUndo,
+    onRedo,
+    onGroup,
+    onUngroup
   ])
 
   // Set up event listeners
@@ -0,0 +1,45 @@
+import { useCallback, useRef, useSyncExternalStore } from 'react'
+import objectStore from '../lib/ObjectStore'
+
+/**
+ * Subscribe to a single shape record
+ * The component only re-renders when this shape changes, not on every store update.
+ * @param {string} id - Shape ID
+ * @returns {Object|null} Current shape record
+ */
+export const useShape = (id) => {
+  const subscribe = useCallback((listener) => objectStore.subscribeTo(id, listener), [id])
+  const getSnapshot = useCallback(() => objectStore.get(id), [id])
+  return useSyncExternalStore(subscribe, getSnapshot)
+}
+
+/**
+ * Subscribe to the selected shape IDs
+ * @returns {Array<string>} Selected IDs (same array until the selection changes)
+ */
+export const useSelectedIds = () => (
+  useSyncExternalStore(objectStore.subscribeToSelection, objectStore.getSelectedIds)
+)
+
+/**
+ * Subscribe to a value derived from the store
+ * Re-renders only when isEqual says the selected value changed, so selectors
+ * may build new arrays/objects as long as isEqual compares their contents.
+ * @param {Function} selector - (store) => value
+ * @param {Function} isEqual - Comparison for selected values (default Object.is)
+ * @returns {*} Selected value
+ */
+export const useStoreSelector = (selector, isEqual = Object.is) => {
+  const selectedRef = useRef({ hasValue: false, value: undefined })
+
+  const getSnapshot = useCallback(() => {
+    const next = selector(objectStore)
+    const selected = selectedRef.current
+    if (!selected.hasValue || !isEqual(selected.value, next)) {
+      selectedRef.current = { hasValue: true, value: next }
+    }
+    return selectedRef.current.value
+  }, [selector, isEqual])
+
+  return useSyncExternalStore(objectStore.subscribe, getSnapshot)
+}
@@ -1,9 +1,9 @@
 import { useState, useEffect, useRef, useCallback } from 'react'
 import { supabase } from '../lib/supabase'
-import { TABLES, REALTIME_CONFIG } from '../lib/constants'
+import { TABLES, REALTIME_CONFIG, CHANNELS } from '../lib/constants'
 import { throttle } from '../utils/syncHelpers'
 
-export const usePresence = ({ userId, username }) => {
+export const usePresence = ({ userId, username, boardId }) => {
   const [onlineUsers, setOnlineUsers] = useState([])
   const [idleUsers, setIdleUsers] = useState(new Set())
   const subscriptionRef = useRef(null)
@@ -53,7 +53,7 @@ export const usePresence = ({ userId, username }) => {
 
   // Update user activity (called on any user action) - throttled version
   const updateActivityInternal = useCallback(async (cursorX = null, cursorY = null) => {
-    if (!userId) return
+    if (!userId || !boardId) return
 
     try {
       // Ensure profile exists first (cached, so minimal overhead)
@@ -69,7 +69,8 @@ export const usePresence = ({ userId, username }) => {
           active: true,
           last_seen: now,
           last_activity: now, // Track activity timestamp
-          display_name: username
+          display_name: username,
+          board_id: boardId
         }, {
           onConflict: 'user_id'
         })
@@ -80,7 +81,7 @@ export const usePresence = ({ userId, username }) => {
     } catch (error) {
       console.error('Error in updateActivity:', error)
     }
-  }, [userId, username, ensureProfileExists])
+  }, [userId, username, boardId, ensureProfileExists])
 
   // Throttled version of updateActivity to prevent excessive DB calls
   const updateActivity = useCallback(
@@ -136,11 +137,12 @@ export const usePresence = ({ userId, username }) => {
       // console.log('🔍 IDLE CHECK - 5 minutes ago:', fiveMinutesAgo.toISOString())
       // console.log('🔍 IDLE CHECK - 10 minutes ago:', tenMinutesAgo.toISOString())
 
-      // Get all active users
+      // Get all active users on this board
       const { data: activeUsers, error: fetchError } = await supabase
         .from(TABLES.PRESENCE)
         .select('user_id, last_activity, active, last_seen')
         .eq('active', true)
+        .eq('board_id', boardId)
 
       if (fetchError) {
         console.error('❌ Error fetching users for idle check:', fetchError)
@@ -228,10 +230,12 @@ export const usePresence = ({ userId, username }) => {
     } catch (error) {
       console.error('❌ Error in checkIdleUsers:', error)
     }
-  }, [])
+  }, [boardId])
 
   // Load all online users with profile information
   const loadOnlineUsers = useCallback(async () => {
+    if (!boardId) return
+
     try {
       const { data, error } = await supabase
         .from(TABLES.PRESENCE)
@@ -244,6 +248,7 @@ export const usePresence = ({ userId, username }) => {
           )
         `)
         .eq('active', true)
+        .eq('board_id', boardId)
         .order('last_seen', { ascending: false })
 
       if (error) {
@@ -280,7 +285,7 @@ export const usePresence = ({ userId, username }) => {
     } catch (error) {
       console.error('Error in loadOnlineUsers:', error)
     }
-  }, [getUserColor])
+  }, [boardId, getUserColor])
 
   // Throttled version of loadOnlineUsers to prevent spam
   const throttledLoadOnlineUsers = useCallback(
@@ -292,7 +297,7 @@ export const usePresence = ({ userId, username }) => {
 
   // Mark user as offline
   const markOffline = useCallback(async () => {
-    if (!userId) return
+    if (!userId || !boardId) return
 
     try {
       const { error } = await supabase
@@ -302,6 +307,7 @@ export const usePresence = ({ userId, username }) => {
           last_seen: new Date().toISOString()
         })
         .eq('user_id', userId)
+        .eq('board_id', boardId) // Don't clobber presence already moved to another board
 
       if (error) {
         console.error('Error marking user offline:', error)
@@ -309,24 +315,25 @@ export const usePresence = ({ userId, username }) => {
     } catch (error) {
       console.error('Error in markOffline:', error)
     }
-  }, [userId])
+  }, [userId, boardId])
 
   useEffect(() => {
-    if (!userId) return
+    if (!userId || !boardId) return
 
     // Initial setup
     upsertPresence()
     loadOnlineUsers()
 
-    // Subscribe to presence changes
+    // Subscribe to presence changes for this board only
     const subscription = supabase
-      .channel('presence')
+      .channel(CHANNELS.PRESENCE(boardId))
       .on(
         'postgres_changes',
         {
           event: '*',
           schema: 'public',
           table: TABLES.PRESENCE,
+          filter: `board_id=eq.${boardId}`,
         },
         (payload) => {
           // console.log('🔄 PRESENCE CHANGE DETECTED:', {
@@ -368,7 +375,7 @@ export const usePresence = ({ userId, username }) => {
         clearInterval(idleCheckIntervalRef.current)
       }
     }
-  }, [userId, upsertPresence, loadOnlineUsers, checkIdleUsers])
+  }, [userId, boardId, upsertPresence, loadOnlineUsers, checkIdleUsers])
 
   // Mark user as offline on unmount
   useEffect(() => {
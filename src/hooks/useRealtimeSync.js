@@ -1,22 +1,85 @@
 import { useEffect, useRef, useState, useCallback } from 'react'
 import { supabase } from '../lib/supabase'
-import { TABLES } from '../lib/constants'
+import { TABLES, CHANNELS } from '../lib/constants'
 import objectStore from '../lib/ObjectStore'
+import offlineQueue from '../lib/OfflineQueue'
+import { applyPendingChanges, mergeShapeFields } from '../utils/syncHelpers'
+import { pickShapeTypeFields } from '../utils/canvasHelpers'
 
-export const useRealtimeSync = ({ shapes, setShapesFromRemote, userId }) => {
+// Outcome of sending a single shape operation
+const SEND_RESULT = {
+  SENT: 'sent',
+  RETRY: 'retry', // Network problem - keep it queued and try again later
+  DROPPED: 'dropped', // Rejected or no longer applicable - don't retry
+}
+
+/**
+ * Check whether a Supabase error is a connectivity problem (worth retrying)
+ * rather than a rejection by the database (RLS, constraints)
+ * @param {Object} error - Supabase error
+ * @returns {boolean} True if the request never reached the database
+ */
+const isNetworkError = (error) => {
+  return !error?.code || /fetch|network/i.test(error.message || '')
+}
+
+/**
+ * Build the database row for a shape operation
+ * @param {Object} shape - Shape record
+ * @param {string} userId - Current user ID
+ * @param {string} boardId - Current board ID
+ * @returns {Object} Shape row
+ */
+const toShapeRow = (shape, userId, boardId) => ({
+  id: shape.id,
+  type: shape.type,
+  x: shape.x,
+  y: shape.y,
+  width: shape.width,
+  height: shape.height,
+  rotation: shape.rotation,
+  color: shape.color,
+  z_index: shape.z_index ?? 0,
+  text_content: shape.text_content,
+  font_size: shape.font_size,
+  parent_id: shape.parent_id ?? null,
+  ...pickShapeTypeFields(shape),
+  field_clocks: shape.field_clocks || {},
+  board_id: shape.board_id || boardId,
+  created_by: userId,
+  updated_at: new Date().toISOString()
+})
+
+// Fixed when a shape is created; the database keeps them as they are on updates
+const CREATION_FIELDS = ['created_by', 'board_id']
+
+/**
+ * Build the update payload from a shape row (everything but the creation fields)
+ * @param {Object} shapeRow - Row from toShapeRow
+ * @returns {Object} Changes for an update
+ */
+const toShapeUpdate = (shapeRow) => Object.fromEntries(
+  Object.entries(shapeRow).filter(([field]) => !CREATION_FIELDS.includes(field))
+)
+
+export const useRealtimeSync = ({ setShapesFromRemote, userId, boardId }) => {
   const subscriptionRef = useRef(null)
   const [isConnected, setIsConnected] = useState(true)
-  const [pendingChanges, setPendingChanges] = useState([])
-  const changeQueueRef = useRef([])
+  const [isOnline, setIsOnline] = useState(() => typeof navigator === 'undefined' || navigator.onLine !== false)
+  const [pendingChangesCount, setPendingChangesCount] = useState(0)
+  const pendingCountRef = useRef(0)
+  const isReplayingRef = useRef(false)
+  const needsResyncRef = useRef(false) // Set when we missed realtime events
 
   // Load existing shapes from database
   const loadExistingShapes = useCallback(async () => {
-    if (!userId) return
+    if (!userId || !boardId) return
 
     try {
       const { data, error } = await supabase
         .from(TABLES.SHAPES)
         .select('*')
+        .eq('board_id', boardId)
         .order('created_at', { ascending: true })
 
       if (error) {
@@ -24,30 +87,39 @@ export const useRealtimeSync = ({ shapes, setShapesFromRemote, userId }) => {
         return
       }
 
-      if (data && data.length > 0) {
-        // console.log('Loaded existing shapes:', data.length)
-        setShapesFromRemote(data)
-      }
+      // Always replace the store, even with an empty list, so shapes from
+      // a previously opened board don't linger. Edits still waiting in the
+      // offline queue (e.g. from before a reload) are laid on top.
+      // console.log('Loaded existing shapes:', data?.length || 0)
+      const pendingEntries = (await offlineQueue.getAll(boardId)).filter(entry => entry.userId === userId)
+      setShapesFromRemote(applyPendingChanges(data || [], pendingEntries))
     } catch (error) {
       console.error('Error in loadExistingShapes:', error)
     }
-  }, [userId, setShapesFromRemote])
+  }, [userId, boardId, setShapesFromRemote])
 
   // Load existing shapes and subscribe to real-time changes
   useEffect(() => {
-    if (!userId) return
+    if (!userId || !boardId) return
+
+    // Clear shapes and selection from the previous board before loading this one
+    objectStore.clearSelection()
+    setShapesFromRemote([])
 
     // Load existing shapes first
     loadExistingShapes()
 
+    const boardFilter = `board_id=eq.${boardId}`
+
     const subscription = supabase
-      .channel('shapes')
+      .channel(CHANNELS.SHAPES(boardId))
       .on(
         'postgres_changes',
         {
           event: 'INSERT',
           schema: 'public',
           table: TABLES.SHAPES,
+          filter: boardFilter,
         },
         (payload) => {
           handleRemoteChange('INSERT', payload)
@@ -59,11 +131,13 @@ export const useRealtimeSync = ({ shapes, setShapesFromRemote, userId }) => {
           event: 'UPDATE',
           schema: 'public',
           table: TABLES.SHAPES,
+          filter: boardFilter,
         },
         (payload) => {
           handleRemoteChange('UPDATE', payload)
         }
       )
+      // Realtime can't filter DELETE events, so these are scoped in handleRemoteChange
       .on(
         'postgres_changes',
         {
@@ -77,6 +151,10 @@ export const useRealtimeSync = ({ shapes, setShapesFromRemote, userId }) => {
       )
       .subscribe((status) => {
         // console.log('Realtime subscription status:', status)
+        if (status !== 'SUBSCRIBED') {
+          // Realtime events are lost while disconnected - resync once we're back
+          needsResyncRef.current = true
+        }
         setIsConnected(status === 'SUBSCRIBED')
       })
 
@@ -87,14 +165,12 @@ export const useRealtimeSync = ({ shapes, setShapesFromRemote, userId }) => {
         supabase.removeChannel(subscriptionRef.current)
       }
     }
-  }, [userId, loadExistingShapes])
+  }, [userId, boardId, loadExistingShapes, setShapesFromRemote])
 
   const handleRemoteChange = useCallback((eventType, payload) => {
-    // Filter out own changes to avoid duplicates
-    if (payload.new?.created_by === userId || payload.old?.created_by === userId) {
-      // console.log('🔄 Filtered out own change:', { eventType, shapeId: payload.new?.id || payload.old?.id, createdBy: payload.new?.created_by || payload.old?.created_by })
-      return
-    }
+    // Own changes are not filtered out: they echo back with the same field
+    // clocks we already have, so merging them is a no-op. Filtering by
+    // created_by used to drop other users' edits to shapes we created.
 
     // console.log('Remote shape change:', { eventType, payload })
     // console.log('Shape type:', payload.new?.type, 'Shape ID:', payload.new?.id)
@@ -103,25 +179,25 @@ export const useRealtimeSync = ({ shapes, setShapesFromRemote, userId }) => {
     switch (eventType) {
       case 'INSERT':
         if (payload.new) {
-          console.log('📥 Remote INSERT received:', { shapeId: payload.new.id, type: payload.new.type, createdBy: payload.new.created_by })
-          // Add the new shape to the store
-          objectStore.add(payload.new)
+          // console.log('📥 Remote INSERT received:', { shapeId: payload.new.id, type: payload.new.type, createdBy: payload.new.created_by })
+          // Add the new shape to the store (merging in case we already have it)
+          objectStore.mergeRemote(payload.new)
         }
         break
       case 'UPDATE':
         if (payload.new) {
-          // Don't update if the shape is currently being edited locally
-          if (objectStore.isEditing(payload.new.id)) {
-            // console.log('🚫 BLOCKED: Remote update for shape being edited:', payload.new.id, 'Type:', payload.new.type)
-            return
-          }
-          // console.log('✅ ALLOWED: Remote update for shape:', payload.new.id, 'Type:', payload.new.type)
-          // Update the existing shape in the store
-          objectStore.update(payload.new.id, payload.new)
+          // Merge field by field - even while the shape is being edited locally,
+          // fields we haven't touched still pick up remote changes
+          if (!objectStore.has(payload.new.id)) return
+          objectStore.mergeRemote(payload.new)
         }
         break
       case 'DELETE':
         if (payload.old) {
+          // Ignore deletes for shapes that aren't on this board
+          if (!objectStore.has(payload.old.id)) {
+            return
+          }
           // Don't delete if the shape is currently being edited locally
           if (objectStore.isEditing(payload.old.id)) {
             // console.log('Skipping remote delete for shape being edited:', payload.old.id)
@@ -132,99 +208,208 @@ export const useRealtimeSync = ({ shapes, setShapesFromRemote, userId }) => {
         }
         break
     }
-  }, [userId])
+  }, [])
 
-  const broadcastShapeChange = useCallback(async (shape, operation) => {
-    if (!userId) return
+  // Refresh the pending count for this board/user from the durable queue
+  const refreshPendingCount = useCallback(async () => {
+    if (!userId || !boardId) return 0
 
-    // console.log('Broadcasting shape change:', { operation, shapeType: shape.type, shapeId: shape.id })
+    try {
+      const entries = await offlineQueue.getAll(boardId)
+      const count = entries.filter(entry => entry.userId === userId).length
+      pendingCountRef.current = count
+      setPendingChangesCount(count)
+      return count
+    } catch (error) {
+      console.error('Error reading offline queue:', error)
+      return pendingCountRef.current
+    }
+  }, [userId, boardId])
 
+  // Add an operation to the end of the durable offline queue
+  const queueChange = useCallback(async (shapeRow, operation) => {
     try {
-      const shapeData = {
-        id: shape.id,
-        type: shape.type,
-        x: shape.x,
-        y: shape.y,
-        width: shape.width,
-        height: shape.height,
-        rotation: shape.rotation,
-        color: shape.color,
-        text_content: shape.text_content,
-        font_size: shape.font_size,
-        created_by: userId,
-        updated_at: new Date().toISOString()
-      }
+      await offlineQueue.enqueue({ boardId, userId, operation, shape: shapeRow })
+    } catch (error) {
+      console.error('❌ Error queueing offline change:', error)
+    }
+    pendingCountRef.current++
+    setPendingChangesCount(pendingCountRef.current)
+  }, [userId, boardId])
 
+  // Send a single operation to the database. Replayed operations are reconciled
+  // with whatever happened while we were offline:
+  // - a create that already landed becomes an update
+  // - an update to a shape someone else deleted is dropped
+  // - field-level conflicts are merged by the field_clocks trigger in the database
+  const sendShapeChange = useCallback(async (shapeRow, operation) => {
+    try {
       switch (operation) {
-        case 'create':
-          const { error: insertError } = await supabase
+        case 'create': {
+          const { error } = await supabase
             .from(TABLES.SHAPES)
-            .insert(shapeData)
-          
-          if (insertError) {
-            console.error('Error creating shape:', insertError)
-            queueChange(shape, operation)
+            .insert(shapeRow)
+
+          if (!error) return SEND_RESULT.SENT
+          if (error.code === '23505') {
+            // Already exists (e.g. sent right before the connection dropped)
+            return sendShapeChange(shapeRow, 'update')
           }
-          break
+          console.error('Error creating shape:', error)
+          return isNetworkError(error) ? SEND_RESULT.RETRY : SEND_RESULT.DROPPED
+        }
 
-        case 'update':
-          const { error: updateError } = await supabase
+        case 'update': {
+          const { data, error } = await supabase
             .from(TABLES.SHAPES)
-            .update(shapeData)
-            .eq('id', shape.id)
-          
-          if (updateError) {
-            console.error('Error updating shape:', updateError)
-            queueChange(shape, operation)
+            .update(toShapeUpdate(shapeRow))
+            .eq('id', shapeRow.id)
+            .select('id')
+
+          if (error) {
+            console.error('Error updating shape:', error)
+            return isNetworkError(error) ? SEND_RESULT.RETRY : SEND_RESULT.DROPPED
           }
-          break
+          if (!data || data.length === 0) {
+            console.warn('⚠️ Dropped update for shape that was deleted or can no longer be edited:', shapeRow.id)
+            return SEND_RESULT.DROPPED
+          }
+          return SEND_RESULT.SENT
+        }
 
-        case 'delete':
-          const { error: deleteError } = await supabase
+        case 'delete': {
+          const { error } = await supabase
             .from(TABLES.SHAPES)
             .delete()
-            .eq('id', shape.id)
-          
-          if (deleteError) {
-            console.error('Error deleting shape:', deleteError)
-            queueChange(shape, operation)
+            .eq('id', shapeRow.id)
+
+          if (error) {
+            console.error('Error deleting shape:', error)
+            return isNetworkError(error) ? SEND_RESULT.RETRY : SEND_RESULT.DROPPED
           }
-          break
+          return SEND_RESULT.SENT
+        }
+
+        default:
+          return SEND_RESULT.DROPPED
       }
     } catch (error) {
-      console.error('Error broadcasting shape change:', error)
-      queueChange(shape, operation)
+      console.error('Error sending shape change:', error)
+      return SEND_RESULT.RETRY
     }
-  }, [userId])
-
-  const queueChange = useCallback((shape, operation) => {
-    const change = { shape, operation, timestamp: Date.now() }
-    changeQueueRef.current.push(change)
-    setPendingChanges(changeQueueRef.current)
   }, [])
 
-  const retryPendingChanges = useCallback(async () => {
-    if (changeQueueRef.current.length === 0) return
+  const broadcastShapeChange = useCallback(async (shape, operation) => {
+    if (!userId) return
+
+    // console.log('Broadcasting shape change:', { operation, shapeType: shape.type, shapeId: shape.id })
+
+    // Snapshot the row now - the shape may keep changing while this is queued
+    const shapeRow = toShapeRow(shape, userId, boardId)
+
+    // While offline, or while older changes are still queued, new changes go
+    // to the back of the queue so everything reaches the server in order
+    const isOffline = typeof navigator !== 'undefined' && navigator.onLine === false
+    if (isOffline || pendingCountRef.current > 0 || isReplayingRef.current) {
+      await queueChange(shapeRow, operation)
+      return
+    }
+
+    const result = await sendShapeChange(shapeRow, operation)
+    if (result === SEND_RESULT.RETRY) {
+      await queueChange(shapeRow, operation)
+    }
+  }, [userId, boardId, queueChange, sendShapeChange])
+
+  // Replay queued operations in order; stops at the first one that still can't be sent
+  const replayPendingChanges = useCallback(async () => {
+    if (isReplayingRef.current || !userId || !boardId) return
+
+    isReplayingRef.current = true
+    try {
+      const entries = (await offlineQueue.getAll(boardId)).filter(entry => entry.userId === userId)
+
+      for (const entry of entries) {
+        const result = await sendShapeChange(entry.shape, entry.operation)
+        if (result === SEND_RESULT.RETRY) break
+        await offlineQueue.remove(entry.seq)
+      }
+    } catch (error) {
+      console.error('Error replaying offline changes:', error)
+    } finally {
+      isReplayingRef.current = false
+      await refreshPendingCount()
+    }
+  }, [userId, boardId, sendShapeChange, refreshPendingCount])
+
+  // Pick up everything that changed while we were disconnected. Local fields
+  // with newer clocks (including still-queued edits) win over the database copy.
+  const resyncShapes = useCallback(async () => {
+    if (!userId || !boardId) return
+
+    try {
+      const { data, error } = await supabase
+        .from(TABLES.SHAPES)
+        .select('*')
+        .eq('board_id', boardId)
+        .order('created_at', { ascending: true })
+
+      if (error) {
+        console.error('Error resyncing shapes:', error)
+        needsResyncRef.current = true
+        return
+      }
+
+      const pendingEntries = (await offlineQueue.getAll(boardId)).filter(entry => entry.userId === userId)
+      const mergedShapes = (data || []).map(row => mergeShapeFields(objectStore.get(row.id), row))
+      setShapesFromRemote(applyPendingChanges(mergedShapes, pendingEntries))
+    } catch (error) {
+      console.error('Error in resyncShapes:', error)
+      needsResyncRef.current = true
+    }
+  }, [userId, boardId, setShapesFromRemote])
+
+  // Track browser connectivity
+  useEffect(() => {
+    const handleOnline = () => setIsOnline(true)
+    const handleOffline = () => {
+      needsResyncRef.current = true
+      setIsOnline(false)
+    }
 
-    const changes = [...changeQueueRef.current]
-    changeQueueRef.current = []
-    setPendingChanges([])
+    window.addEventListener('online', handleOnline)
+    window.addEventListener('offline', handleOffline)
 
-    for (const change of changes) {
-      await broadcastShapeChange(change.shape, change.operation)
+    return () => {
+      window.removeEventListener('online', handleOnline)
+      window.removeEventListener('offline', handleOffline)
     }
-  }, [broadcastShapeChange])
+  }, [])
 
-  // Retry pending changes when connection is restored
+  // Load the queue size for this board (the queue survives reloads)
   useEffect(() => {
-    if (isConnected && pendingChanges.length > 0) {
-      retryPendingChanges()
+    refreshPendingCount()
+  }, [refreshPendingCount])
+
+  // Replay the queue and resync when the channel is back to SUBSCRIBED
+  useEffect(() => {
+    if (!isConnected || !isOnline) return
+    if (pendingChangesCount === 0 && !needsResyncRef.current) return
+
+    const syncAfterReconnect = async () => {
+      await replayPendingChanges()
+      if (needsResyncRef.current) {
+        needsResyncRef.current = false
+        await resyncShapes()
+      }
     }
-  }, [isConnected, pendingChanges.length, retryPendingChanges])
+
+    syncAfterReconnect()
+  }, [isConnected, isOnline, pendingChangesCount, replayPendingChanges, resyncShapes])
 
   return {
     broadcastShapeChange,
-    isConnected,
-    pendingChangesCount: pendingChanges.length,
+    isConnected: isConnected && isOnline,
+    pendingChangesCount,
   }
 }
@@ -0,0 +1,67 @@
+import { useEffect, useState } from 'react'
+import { RENDER_CONFIG } from '../lib/constants'
+import { getViewportRect } from '../utils/boardExport'
+
+const expandRect = (rect, margin) => ({
+  x: rect.x - rect.width * margin,
+  y: rect.y - rect.height * margin,
+  width: rect.width * (1 + margin * 2),
+  height: rect.height * (1 + margin * 2)
+})
+
+const containsRect = (outer, inner) => (
+  inner.x >= outer.x &&
+  inner.y >= outer.y &&
+  inner.x + inner.width <= outer.x + outer.width &&
+  inner.y + inner.height <= outer.y + outer.height
+)
+
+/**
+ * Custom hook tracking the area of the board worth drawing: the visible
+ * viewport plus RENDER_CONFIG.VIEWPORT_MARGIN on every side
+ * The area is only replaced once the viewport leaves it, or after zooming in
+ * far enough that it is mostly off-screen, so panning within the margin
+ * doesn't re-render the canvas.
+ * @param {Object} stageRef - Ref to the Konva stage
+ * @returns {Object|null} { x, y, width, height } in canvas coordinates, null until the stage mounts
+ */
+export const useRenderViewport = (stageRef) => {
+  const [renderRect, setRenderRect] = useState(null)
+
+  useEffect(() => {
+    const stage = stageRef.current
+    if (!stage) return
+
+    let current = null
+    let frameId = null
+
+    const update = () => {
+      frameId = null
+      const viewport = getViewportRect(stage)
+      const isTooLarge = current && current.width > viewport.width * (1 + RENDER_CONFIG.VIEWPORT_MARGIN * 2) * 2
+      if (current && containsRect(current, viewport) && !isTooLarge) return
+
+      current = expandRect(viewport, RENDER_CONFIG.VIEWPORT_MARGIN)
+      setRenderRect(current)
+    }
+
+    // Pans, zoom animations and resizes all change these attributes; check once per frame
+    const scheduleUpdate = () => {
+      if (frameId === null) {
+        frameId = requestAnimationFrame(update)
+      }
+    }
+
+    update()
+    stage.on('xChange.viewport yChange.viewport scaleXChange.viewport widthChange.viewport heightChange.viewport', scheduleUpdate)
+
+    return () => {
+      stage.off('.viewport')
+      if (frameId !== null) {
+        cancelAnimationFrame(frameId)
+      }
+    }
+  }, [stageRef])
+
+  return renderRect
+}
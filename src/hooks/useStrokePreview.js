@@ -0,0 +1,172 @@
+import { useState, useEffect, useRef, useCallback } from 'react'
+import { supabase } from '../lib/supabase'
+import { CHANNELS, PEN_CONFIG } from '../lib/constants'
+import { generateId } from '../utils/canvasHelpers'
+
+const round = (value) => Math.round(value * 10) / 10
+
+/**
+ * Apply a stroke broadcast to the list of remote previews
+ * Updates carry only the points added since the previous one (`from` is the
+ * index of the first new coordinate); a gap means a message was lost, so the
+ * preview waits for the finished shape instead of drawing a broken stroke.
+ * @param {Array<Object>} previews - Current previews
+ * @param {string} event - 'stroke_update' or 'stroke_end'
+ * @param {Object} payload - Broadcast payload
+ * @returns {Array<Object>} Next previews
+ */
+const applyStrokeEvent = (previews, event, payload) => {
+  const existing = previews.find(preview => preview.stroke_id === payload.stroke_id)
+  const others = previews.filter(preview => preview.stroke_id !== payload.stroke_id)
+
+  if (event === 'stroke_end') {
+    if (!existing || !payload.shape_id) return others
+    // Keep drawing it until the saved shape arrives (Canvas hides it then)
+    return [...others, { ...existing, shape_id: payload.shape_id, updatedAt: Date.now() }]
+  }
+
+  const points = existing ? existing.points : []
+  if (payload.from !== points.length) {
+    return existing ? [...others, { ...existing, updatedAt: Date.now() }] : previews
+  }
+
+  return [...others, {
+    stroke_id: payload.stroke_id,
+    user_id: payload.user_id,
+    color: payload.color,
+    stroke_width: payload.stroke_width,
+    points: [...points, ...payload.points],
+    shape_id: null,
+    updatedAt: Date.now()
+  }]
+}
+
+/**
+ * Custom hook sharing in-progress pen strokes with other users on the board
+ * Strokes go over an ephemeral broadcast channel (like cursors); the finished
+ * stroke is saved as a normal shape and arrives through useRealtimeSync.
+ * @param {Object} params
+ * @param {string} userId - Current user ID
+ * @param {string} boardId - Current board ID
+ */
+export const useStrokePreview = ({ userId, boardId }) => {
+  const [remoteStrokes, setRemoteStrokes] = useState([])
+  const channelRef = useRef(null)
+  const outgoingRef = useRef(null) // { stroke_id, color, stroke_width, sentCount, lastSentAt }
+
+  useEffect(() => {
+    if (!userId || !boardId) return
+
+    setRemoteStrokes([])
+
+    const channel = supabase.channel(CHANNELS.STROKES(boardId), {
+      config: {
+        broadcast: { self: false }
+      }
+    })
+
+    channel
+      .on('broadcast', { event: 'stroke_update' }, ({ payload }) => {
+        if (payload.user_id === userId) return
+        setRemoteStrokes(prev => applyStrokeEvent(prev, 'stroke_update', payload))
+      })
+      .on('broadcast', { event: 'stroke_end' }, ({ payload }) => {
+        if (payload.user_id === userId) return
+        setRemoteStrokes(prev => applyStrokeEvent(prev, 'stroke_end', payload))
+      })
+      .subscribe((status) => {
+        if (status === 'CHANNEL_ERROR') {
+          console.error('❌ Stroke preview channel error')
+        }
+      })
+
+    channelRef.current = channel
+
+    // Drop previews from users who disconnected mid-stroke
+    const cleanupInterval = setInterval(() => {
+      const cutoff = Date.now() - PEN_CONFIG.PREVIEW_TIMEOUT
+      setRemoteStrokes(prev => (
+        prev.some(preview => preview.updatedAt < cutoff)
+          ? prev.filter(preview => preview.updatedAt >= cutoff)
+          : prev
+      ))
+    }, 1000)
+
+    return () => {
+      clearInterval(cleanupInterval)
+      supabase.removeChannel(channel)
+      channelRef.current = null
+    }
+  }, [userId, boardId])
+
+  const sendPoints = useCallback((points) => {
+    const outgoing = outgoingRef.current
+    const channel = channelRef.current
+    if (!outgoing || !channel || points.length <= outgoing.sentCount) return
+
+    channel.send({
+      type: 'broadcast',
+      event: 'stroke_update',
+      payload: {
+        stroke_id: outgoing.stroke_id,
+        user_id: userId,
+        color: outgoing.color,
+        stroke_width: outgoing.stroke_width,
+        from: outgoing.sentCount,
+        points: points.slice(outgoing.sentCount).map(round)
+      }
+    })
+    outgoing.sentCount = points.length
+    outgoing.lastSentAt = Date.now()
+  }, [userId])
+
+  /**
+   * Start sharing a new stroke
+   * @param {string} color - Stroke color
+   * @param {number} strokeWidth - Stroke width
+   */
+  const startStroke = useCallback((color, strokeWidth) => {
+    outgoingRef.current = {
+      stroke_id: generateId(),
+      color,
+      stroke_width: strokeWidth,
+      sentCount: 0,
+      lastSentAt: 0
+    }
+  }, [])
+
+  /**
+   * Share the stroke's points so far (throttled to PEN_CONFIG.PREVIEW_INTERVAL)
+   * @param {Array<number>} points - All captured points of the stroke
+   */
+  const extendStroke = useCallback((points) => {
+    const outgoing = outgoingRef.current
+    if (!outgoing || Date.now() - outgoing.lastSentAt < PEN_CONFIG.PREVIEW_INTERVAL) return
+    sendPoints(points)
+  }, [sendPoints])
+
+  /**
+   * Finish the shared stroke
+   * @param {Array<number>} points - All captured points of the stroke
+   * @param {string|null} shapeId - Saved path shape (null if the stroke was discarded)
+   */
+  const endStroke = useCallback((points, shapeId = null) => {
+    const outgoing = outgoingRef.current
+    if (!outgoing) return
+
+    sendPoints(points)
+    channelRef.current?.send({
+      type: 'broadcast',
+      event: 'stroke_end',
+      payload: { stroke_id: outgoing.stroke_id, user_id: userId, shape_id: shapeId }
+    })
+    outgoingRef.current = null
+  }, [sendPoints, userId])
+
+  return {
+    remoteStrokes,
+    startStroke,
+    extendStroke,
+    endStroke,
+  }
+}
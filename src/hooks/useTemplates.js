@@ -0,0 +1,163 @@
+import { useState, useEffect, useCallback, useMemo } from 'react'
+import { supabase } from '../lib/supabase'
+import { TABLES } from '../lib/constants'
+import objectStore from '../lib/ObjectStore'
+import ShapeTransaction from '../lib/ShapeTransaction'
+import { BUILTIN_TEMPLATES, instantiateTemplate, createTemplateShapes } from '../utils/templates'
+
+// A saved row as a template (custom templates take no parameters)
+const toCustomTemplate = (row) => ({
+  id: row.id,
+  name: row.name,
+  label: row.name,
+  description: row.description || '',
+  params: {},
+  shapes: Array.isArray(row.shapes) ? row.shapes : [],
+  createdBy: row.created_by,
+  custom: true
+})
+
+/**
+ * Lowest z_index that puts new shapes above everything on the board
+ * @returns {number}
+ */
+const getTopZIndex = () => objectStore.getAll().reduce((max, shape) => Math.max(max, (shape.z_index || 0) + 1), 0)
+
+/**
+ * Custom hook for the template library: built-in components plus the
+ * selections the user's team saved as templates
+ * @param {Object} params
+ * @param {string} boardId - Current board ID (templates are inserted here)
+ * @param {string} userId - Current user ID
+ */
+export const useTemplates = ({ boardId, userId }) => {
+  const [customTemplates, setCustomTemplates] = useState([])
+  const [loading, setLoading] = useState(true)
+
+  // Load the templates the user and their team saved, newest first
+  const loadTemplates = useCallback(async () => {
+    if (!userId) return
+
+    try {
+      const { data, error } = await supabase
+        .from(TABLES.SHAPE_TEMPLATES)
+        .select('*')
+        .order('created_at', { ascending: false })
+
+      if (error) {
+        console.error('Error loading templates:', error)
+        return
+      }
+
+      setCustomTemplates((data || []).map(toCustomTemplate))
+    } catch (error) {
+      console.error('Error in loadTemplates:', error)
+    } finally {
+      setLoading(false)
+    }
+  }, [userId])
+
+  useEffect(() => {
+    loadTemplates()
+  }, [loadTemplates])
+
+  const templates = useMemo(() => [...BUILTIN_TEMPLATES, ...customTemplates], [customTemplates])
+
+  /**
+   * Build the shape rows of a template on this board, above every shape
+   * (AI commands stage them in their own transaction)
+   * @param {Object} template - Built-in or custom template
+   * @param {Object} params - Parameter values (defaults for anything left out)
+   * @param {Object} anchor - { x, y } for the template's top-left corner
+   * @returns {{ rows: Array<Object>, rootId: string|null }}
+   */
+  const createTemplateRows = useCallback((template, params, anchor) => instantiateTemplate(template, params, anchor, {
+    boardId,
+    userId,
+    zIndexBase: getTopZIndex()
+  }), [boardId, userId])
+
+  /**
+   * Insert a template on the board as one undo step and select it
+   * @param {Object} template - Built-in or custom template
+   * @param {Object} params - Parameter values (defaults for anything left out)
+   * @param {Object} anchor - { x, y } for the template's top-left corner
+   * @returns {Promise<string|null>} ID of the shape standing for the inserted component
+   */
+  const insertTemplate = useCallback(async (template, params, anchor) => {
+    if (!boardId || !userId) return null
+
+    const { rows, rootId } = createTemplateRows(template, params, anchor)
+    if (rows.length === 0) return null
+
+    await new ShapeTransaction({ boardId, label: `Insert ${template.label || template.name}` }).insert(rows).commit()
+    objectStore.setSelected(rootId)
+
+    console.log('🧩 Inserted template:', { template: template.name, shapes: rows.length })
+    return rootId
+  }, [boardId, userId, createTemplateRows])
+
+  /**
+   * Save shapes (the selection) as a custom template
+   * @param {string} name - Template name
+   * @param {string} description - What the template is for
+   * @param {Array<string>} shapeIds - Shapes to save (containers bring their contents)
+   * @returns {Promise<Object|null>} The new template
+   */
+  const saveTemplate = useCallback(async (name, description, shapeIds) => {
+    if (!userId || !name?.trim()) return null
+
+    const shapes = createTemplateShapes(objectStore.getAll(), shapeIds)
+    if (shapes.length === 0) return null
+
+    const { data, error } = await supabase
+      .from(TABLES.SHAPE_TEMPLATES)
+      .insert({
+        name: name.trim(),
+        description: description?.trim() || null,
+        shapes,
+        created_by: userId
+      })
+      .select()
+      .single()
+
+    if (error) {
+      console.error('❌ Error saving template:', error)
+      throw error
+    }
+
+    const template = toCustomTemplate(data)
+    setCustomTemplates(prev => [template, ...prev.filter(entry => entry.id !== template.id)])
+    console.log('💾 Saved template:', { name: template.name, shapes: shapes.length })
+    return template
+  }, [userId])
+
+  /**
+   * Delete a custom template (only its creator can)
+   * @param {string} templateId - Template ID
+   */
+  const deleteTemplate = useCallback(async (templateId) => {
+    const { error } = await supabase
+      .from(TABLES.SHAPE_TEMPLATES)
+      .delete()
+      .eq('id', templateId)
+
+    if (error) {
+      console.error('❌ Error deleting template:', error)
+      throw error
+    }
+
+    setCustomTemplates(prev => prev.filter(template => template.id !== templateId))
+  }, [])
+
+  return {
+    templates,
+    customTemplates,
+    loading,
+    createTemplateRows,
+    insertTemplate,
+    saveTemplate,
+    deleteTemplate,
+    reloadTemplates: loadTemplates,
+  }
+}
@@ -0,0 +1,111 @@
+import { useState, useCallback } from 'react'
+import { supabase } from '../lib/supabase'
+import { TABLES } from '../lib/constants'
+
+// Number of change log entries shown in the history panel
+const EVENT_LIMIT = 300
+
+/**
+ * Custom hook for a board's version history (append-only shape change log)
+ * @param {Object} params
+ * @param {string} boardId - Board ID
+ */
+export const useVersionHistory = ({ boardId }) => {
+  const [events, setEvents] = useState([])
+  const [loading, setLoading] = useState(false)
+
+  // Load the most recent change log entries, oldest first
+  const loadEvents = useCallback(async () => {
+    if (!boardId) return
+
+    setLoading(true)
+    try {
+      const { data, error } = await supabase
+        .from(TABLES.SHAPE_EVENTS)
+        .select(`
+          id,
+          shape_id,
+          operation,
+          shape,
+          author_id,
+          created_at,
+          profiles:author_id (
+            email,
+            username,
+            display_name
+          )
+        `)
+        .eq('board_id', boardId)
+        .order('id', { ascending: false })
+        .limit(EVENT_LIMIT)
+
+      if (error) {
+        console.error('Error loading version history:', error)
+        return
+      }
+
+      const formattedEvents = (data || []).reverse().map(event => ({
+        ...event,
+        author: event.profiles?.username || event.profiles?.display_name || event.profiles?.email || 'Unknown'
+      }))
+
+      setEvents(formattedEvents)
+    } catch (error) {
+      console.error('Error in loadEvents:', error)
+    } finally {
+      setLoading(false)
+    }
+  }, [boardId])
+
+  /**
+   * Get the board's shapes as they were at a point in time
+   * @param {string} at - ISO timestamp
+   * @returns {Promise<Array<Object>>} Shape records
+   */
+  const loadStateAt = useCallback(async (at) => {
+    const { data, error } = await supabase.rpc('get_board_state_at', {
+      p_board_id: boardId,
+      p_at: at
+    })
+
+    if (error) {
+      console.error('❌ Error loading board version:', error)
+      throw error
+    }
+
+    return (data || []).sort((a, b) => (a.z_index || 0) - (b.z_index || 0))
+  }, [boardId])
+
+  /**
+   * Restore the whole board, or only some shapes, to a point in time
+   * @param {string} at - ISO timestamp
+   * @param {Array<string>|null} shapeIds - Shapes to restore (null = whole board)
+   * @returns {Promise<Object>} { restored, skipped } shapes that changed, and shapes left alone
+   *   (locked by someone else, or another user's shape the caller can't delete)
+   */
+  const restoreVersion = useCallback(async (at, shapeIds = null) => {
+    const { data, error } = await supabase.rpc('restore_board_version', {
+      p_board_id: boardId,
+      p_at: at,
+      p_shape_ids: shapeIds && shapeIds.length > 0 ? shapeIds : null
+    })
+
+    if (error) {
+      console.error('❌ Error restoring board version:', error)
+      throw error
+    }
+
+    // Older databases return only the count
+    const result = typeof data === 'number' ? { restored: data, skipped: 0 } : data
+    console.log('⏪ Restored board version:', { at, ...result })
+    return result
+  }, [boardId])
+
+  return {
+    events,
+    loading,
+    loadEvents,
+    loadStateAt,
+    restoreVersion,
+  }
+}
@@ -0,0 +1,305 @@
+import objectStore from './ObjectStore'
+import { SYNCED_SHAPE_FIELDS } from './constants'
+
+// Maximum number of commands kept on the undo stack
+const MAX_HISTORY = 100
+
+/**
+ * Pick tracked fields from a shape record
+ * @param {Object} shape - Shape record
+ * @param {Array<string>} fields - Fields to pick
+ * @returns {Object} Object containing only the picked fields
+ */
+const pickFields = (shape, fields = SYNCED_SHAPE_FIELDS) => {
+  const picked = {}
+  fields.forEach(field => {
+    if (field in shape) {
+      picked[field] = shape[field]
+    }
+  })
+  return picked
+}
+
+/**
+ * HistoryManager - Per-user undo/redo history for canvas mutations
+ *
+ * Only operations made by the local user are recorded, so undo never reverts
+ * someone else's work. Each command is a list of changes `{ id, before, after }`:
+ * - create: before is null, after is the full shape record
+ * - delete: before is the full shape record, after is null
+ * - update: before/after hold only the fields that changed
+ */
+class HistoryManager {
+  constructor() {
+    this.undoStack = []
+    this.redoStack = []
+    this.pendingSnapshots = new Map() // shapeId -> fields captured before a drag/transform
+    this.batch = null // Open batch collecting changes into a single command
+    this.listeners = new Set()
+    this._version = 0
+  }
+
+  /**
+   * Subscribe to history changes
+   * @param {Function} listener - Callback function to call on changes
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener)
+    return () => {
+      this.listeners.delete(listener)
+    }
+  }
+
+  /**
+   * Notify all listeners of changes
+   */
+  notify() {
+    this._version++
+    this.listeners.forEach(listener => listener())
+  }
+
+  /**
+   * Get the history version (changes whenever the stacks change)
+   * @returns {number} Version counter
+   */
+  getVersion() {
+    return this._version
+  }
+
+  /**
+   * Record a command on the undo stack
+   * @param {string} label - Human readable description (e.g. "Move shape")
+   * @param {Array<Object>} changes - Changes `{ id, before, after }`
+   */
+  record(label, changes) {
+    const validChanges = changes.filter(change => change && change.id && (change.before || change.after))
+    if (validChanges.length === 0) return
+
+    // Inside a batch, changes are merged into the batch's single command
+    if (this.batch) {
+      this.batch.changes.push(...validChanges)
+      return
+    }
+
+    this.undoStack.push({ label, changes: validChanges, timestamp: Date.now() })
+    if (this.undoStack.length > MAX_HISTORY) {
+      this.undoStack.shift()
+    }
+    this.redoStack = []
+    this.notify()
+  }
+
+  /**
+   * Record newly created shapes
+   * @param {Object|Array<Object>} shapes - Created shape(s)
+   * @param {string} label - Command label
+   */
+  recordCreate(shapes, label = 'Create shape') {
+    const list = Array.isArray(shapes) ? shapes : [shapes]
+    this.record(label, list.filter(Boolean).map(shape => ({ id: shape.id, before: null, after: { ...shape } })))
+  }
+
+  /**
+   * Record deleted shapes
+   * @param {Object|Array<Object>} shapes - Shape record(s) as they were before deletion
+   * @param {string} label - Command label
+   */
+  recordDelete(shapes, label = 'Delete shape') {
+    const list = Array.isArray(shapes) ? shapes : [shapes]
+    this.record(label, list.filter(Boolean).map(shape => ({ id: shape.id, before: { ...shape }, after: null })))
+  }
+
+  /**
+   * Record a field update on a shape (no-op if nothing actually changed)
+   * @param {string} id - Shape ID
+   * @param {Object} before - Field values before the change
+   * @param {Object} after - Field values after the change
+   * @param {string} label - Command label
+   */
+  recordUpdate(id, before, after, label = 'Edit shape') {
+    const changedFields = Object.keys(after).filter(field => before[field] !== after[field])
+    if (changedFields.length === 0) return
+
+    this.record(label, [{
+      id,
+      before: pickFields(before, changedFields),
+      after: pickFields(after, changedFields)
+    }])
+  }
+
+  /**
+   * Capture a shape's fields before a continuous gesture (drag, transform).
+   * Only the first call per gesture is kept.
+   * @param {string} id - Shape ID
+   */
+  beginChange(id) {
+    if (this.pendingSnapshots.has(id)) return
+    const shape = objectStore.get(id)
+    if (shape) {
+      this.pendingSnapshots.set(id, pickFields(shape))
+    }
+  }
+
+  /**
+   * Finish a gesture started with beginChange and record what changed
+   * @param {string} id - Shape ID
+   * @param {string} label - Command label
+   */
+  commitChange(id, label = 'Edit shape') {
+    const before = this.pendingSnapshots.get(id)
+    this.pendingSnapshots.delete(id)
+    const shape = objectStore.get(id)
+    if (!before || !shape) return
+
+    this.recordUpdate(id, before, pickFields(shape, Object.keys(before)), label)
+  }
+
+  /**
+   * Start collecting recorded changes into one command (e.g. a whole AI command)
+   * Batches opened while another one is open join it (e.g. grouping shapes
+   * as part of an AI command), so the outer command stays a single undo step.
+   * @param {string} label - Command label
+   */
+  beginBatch(label) {
+    if (this.batch) {
+      this.batch.depth++
+      return
+    }
+    this.batch = { label, changes: [], depth: 1 }
+  }
+
+  /**
+   * Close the current batch and push it as a single command
+   */
+  endBatch() {
+    const batch = this.batch
+    if (!batch) return
+    batch.depth--
+    if (batch.depth > 0) return
+
+    this.batch = null
+    this.record(batch.label, batch.changes)
+  }
+
+  /**
+   * Resolve a recorded change into the operation needed to move a shape from
+   * one state to another, taking concurrent remote edits into account:
+   * - re-creating a shape that exists again is skipped
+   * - deleting a shape that's already gone, or that another user currently owns, is skipped
+   * - updates only restore fields nobody else has changed since, and are skipped
+   *   entirely if the shape was deleted remotely
+   * @param {Object} change - Recorded change `{ id, before, after }`
+   * @param {'undo'|'redo'} direction - Which way to apply the change
+   * @param {string} userId - Current user ID
+   * @returns {Object|null} `{ type, id, record|fields, change }` where `change` is the part
+   *   that was actually applied, or null if nothing can be applied
+   */
+  resolveChange(change, direction, userId) {
+    const from = direction === 'undo' ? change.after : change.before
+    const to = direction === 'undo' ? change.before : change.after
+    const current = objectStore.get(change.id)
+
+    // Shape should come back
+    if (!from && to) {
+      if (current) return null
+      return { type: 'create', id: change.id, record: to, change }
+    }
+
+    // Shape should go away
+    if (from && !to) {
+      if (!current) return null
+      if (current.owner_id && current.owner_id !== userId) return null
+      // Remember the shape as it is now, so undoing/redoing this brings back the latest version
+      const applied = direction === 'undo'
+        ? { id: change.id, before: null, after: { ...current } }
+        : { id: change.id, before: { ...current }, after: null }
+      return { type: 'delete', id: change.id, record: current, change: applied }
+    }
+
+    // Field update
+    if (!current) return null
+    if (current.owner_id && current.owner_id !== userId) return null
+
+    const fields = {}
+    const applied = { id: change.id, before: {}, after: {} }
+    Object.keys(to).forEach(field => {
+      // Someone else changed this field after us - keep their value
+      if (current[field] !== from[field]) return
+      fields[field] = to[field]
+      applied.before[field] = change.before[field]
+      applied.after[field] = change.after[field]
+    })
+
+    if (Object.keys(fields).length === 0) return null
+    return { type: 'update', id: change.id, fields, change: applied }
+  }
+
+  /**
+   * Take the most recent command off the undo stack
+   * @returns {Object|null} Command or null if empty
+   */
+  popUndo() {
+    const command = this.undoStack.pop() || null
+    if (command) this.notify()
+    return command
+  }
+
+  /**
+   * Take the most recent command off the redo stack
+   * @returns {Object|null} Command or null if empty
+   */
+  popRedo() {
+    const command = this.redoStack.pop() || null
+    if (command) this.notify()
+    return command
+  }
+
+  /**
+   * Push an undone command so it can be redone
+   * @param {Object} command - Command containing only the changes that were applied
+   */
+  pushRedo(command) {
+    this.redoStack.push(command)
+    this.notify()
+  }
+
+  /**
+   * Push a redone command back onto the undo stack (keeps the redo stack intact)
+   * @param {Object} command - Command containing only the changes that were applied
+   */
+  pushUndo(command) {
+    this.undoStack.push(command)
+    this.notify()
+  }
+
+  /**
+   * @returns {boolean} True if there is something to undo
+   */
+  canUndo() {
+    return this.undoStack.length > 0
+  }
+
+  /**
+   * @returns {boolean} True if there is something to redo
+   */
+  canRedo() {
+    return this.redoStack.length > 0
+  }
+
+  /**
+   * Clear all history (e.g. when switching boards)
+   */
+  clear() {
+    this.undoStack = []
+    this.redoStack = []
+    this.pendingSnapshots.clear()
+    this.batch = null
+    this.notify()
+  }
+}
+
+// Create singleton instance
+const historyManager = new HistoryManager()
+
+export default historyManager
@@ -1,3 +1,9 @@
+import { SYNCED_SHAPE_FIELDS, RENDER_CONFIG } from './constants'
+import { createHlc, formatHlc, tickHlc, receiveHlc } from '../utils/hlc'
+import { mergeShapeFields, getLatestFieldClock } from '../utils/syncHelpers'
+import { generateId, getShapeBounds } from '../utils/canvasHelpers'
+import SpatialIndex from './SpatialIndex'
+
 /**
  * ObjectStore - External state management for canvas objects
  * Decoupled from React state for better performance and real-time updates
@@ -5,17 +11,27 @@
 class ObjectStore {
   constructor() {
     this.objects = new Map()
+    this.clock = createHlc(generateId().slice(0, 8)) // Hybrid logical clock for field-level merging
     this.listeners = new Set()
+    this.objectListeners = new Map() // Per-object listeners: shapeId -> Set of callbacks
+    this.selectionListeners = new Set()
     this.selectedId = null
     this.selectedIds = new Set() // Track multiple selected shapes
     this.editingIds = new Set() // Track which shapes are being edited
     this.ownedShapes = new Map() // Track ownership: shapeId -> {ownerId, ownedAt}
     this.positionBuffer = new Map() // Buffer for smooth interpolation: shapeId -> [{x, y, timestamp}, ...]
-    this._version = 0
+    this.spatialIndex = new SpatialIndex({
+      cellSize: RENDER_CONFIG.INDEX_CELL_SIZE,
+      maxCells: RENDER_CONFIG.INDEX_MAX_CELLS,
+      scanRatio: RENDER_CONFIG.INDEX_SCAN_RATIO
+    }) // Shape bounds for viewport queries
+    this._selectionVersion = 0 // Bumped only when the selection changes
+    this._batchDepth = 0
+    this._pending = { any: false, all: false, ids: new Set(), selection: false } // Changes waiting for the batch to end
+    this._objectsVersion = 0 // Bumped only when shape records change
+    this._orderedIds = null // IDs sorted by z_index, rebuilt when shapes are added, removed or restacked
     this._cachedArray = null
     this._arrayVersion = -1
-    this._cachedSelected = null
-    this._selectedVersion = -1
     this._cachedSelectedIds = null
     this._selectedIdsVersion = -1
   }
@@ -33,15 +49,151 @@ class ObjectStore {
   }
 
   /**
-   * Notify all listeners of changes
+   * Subscribe to changes of a single object: its record, editing and
+   * ownership state, or its removal
+   * @param {string} id - Object ID
+   * @param {Function} listener - Callback function to call on changes
+   * @returns {Function} Unsubscribe function
+   */
+  subscribeTo(id, listener) {
+    if (!this.objectListeners.has(id)) {
+      this.objectListeners.set(id, new Set())
+    }
+    const listeners = this.objectListeners.get(id)
+    listeners.add(listener)
+    return () => {
+      listeners.delete(listener)
+      if (listeners.size === 0 && this.objectListeners.get(id) === listeners) {
+        this.objectListeners.delete(id)
+      }
+    }
+  }
+
+  /**
+   * Subscribe to selection changes
+   * @param {Function} listener - Callback function to call on changes
+   * @returns {Function} Unsubscribe function
+   */
+  subscribeToSelection(listener) {
+    this.selectionListeners.add(listener)
+    return () => {
+      this.selectionListeners.delete(listener)
+    }
+  }
+
+  /**
+   * Subscribe to a value derived from the store
+   * The listener only runs when the selected value changes.
+   * @param {Function} selector - (store) => value
+   * @param {Function} listener - (value, previousValue) => void
+   * @param {Function} isEqual - Comparison for selected values (default Object.is)
+   * @returns {Function} Unsubscribe function
+   */
+  subscribeWithSelector(selector, listener, isEqual = Object.is) {
+    let current = selector(boundObjectStore)
+    return this.subscribe(() => {
+      const next = selector(boundObjectStore)
+      if (isEqual(current, next)) return
+      const previous = current
+      current = next
+      listener(next, previous)
+    })
+  }
+
+  /**
+   * Start a batch: notifications are held until the outermost endBatch,
+   * then listeners run once for everything that changed
+   */
+  beginBatch() {
+    this._batchDepth++
+  }
+
+  /**
+   * End a batch started with beginBatch
+   */
+  endBatch() {
+    if (this._batchDepth === 0) return
+    this._batchDepth--
+    if (this._batchDepth === 0) {
+      this.flush()
+    }
+  }
+
+  /**
+   * Run synchronous updates as one batch (one notification)
+   * For async work, call beginBatch/endBatch around it instead.
+   * @param {Function} fn - Function making the updates
+   * @returns {*} Whatever fn returns
+   */
+  batch(fn) {
+    this.beginBatch()
+    try {
+      return fn()
+    } finally {
+      this.endBatch()
+    }
+  }
+
+  /**
+   * Notify listeners of changes (held while a batch is open)
+   * @param {Object} change
+   * @param {Array<string>|null} change.ids - Objects that changed, null for all of them
+   * @param {boolean} change.selection - Whether the selection changed
    */
-  notify() {
-    this._version++
+  notify({ ids = [], selection = false } = {}) {
+    const pending = this._pending
+    pending.any = true
+    if (ids === null) {
+      pending.all = true
+    } else {
+      ids.forEach(id => pending.ids.add(id))
+    }
+    if (selection) {
+      pending.selection = true
+      this._selectionVersion++
+    }
+    if (this._batchDepth === 0) {
+      this.flush()
+    }
+  }
+
+  /**
+   * Run the listeners for everything changed since the last flush
+   */
+  flush() {
+    const pending = this._pending
+    if (!pending.any) return
+    this._pending = { any: false, all: false, ids: new Set(), selection: false }
+
     this.listeners.forEach(listener => listener())
+    if (pending.selection) {
+      this.selectionListeners.forEach(listener => listener())
+    }
+    const ids = pending.all ? Array.from(this.objectListeners.keys()) : pending.ids
+    ids.forEach(id => {
+      this.objectListeners.get(id)?.forEach(listener => listener())
+    })
+  }
+
+  /**
+   * Record that shape records changed (selection/ownership changes don't count)
+   * @param {Object} object - Changed object, re-indexed for viewport queries
+   * @param {boolean} reorder - Whether the z_index order may have changed
+   */
+  objectsChanged(object, reorder) {
+    this._objectsVersion++
+    if (reorder) {
+      this._orderedIds = null
+    }
+    if (object) {
+      this.spatialIndex.insert(object.id, getShapeBounds(object))
+    }
   }
 
   /**
    * Get all objects as an array, sorted by z_index
+   * The same array is returned until a shape record changes, and the sort
+   * only runs again when shapes are added, removed or restacked.
    * @returns {Array} Array of all objects sorted by z_index (ascending)
    */
   getAll() {
@@ -49,14 +201,29 @@ class ObjectStore {
       this.objects = new Map()
     }
     // Return the same array reference if nothing changed
-    if (!this._cachedArray || this._arrayVersion !== this._version) {
-      this._cachedArray = Array.from(this.objects.values())
-        .sort((a, b) => (a.z_index || 0) - (b.z_index || 0)) // Sort by z_index ascending
-      this._arrayVersion = this._version
+    if (!this._cachedArray || this._arrayVersion !== this._objectsVersion) {
+      if (!this._orderedIds) {
+        this._orderedIds = Array.from(this.objects.values())
+          .sort((a, b) => (a.z_index || 0) - (b.z_index || 0)) // Sort by z_index ascending
+          .map(object => object.id)
+      }
+      this._cachedArray = this._orderedIds.map(id => this.objects.get(id))
+      this._arrayVersion = this._objectsVersion
     }
     return this._cachedArray
   }
 
+  /**
+   * Get the IDs of objects whose bounds intersect a rectangle
+   * Lines are indexed by their stored ends, so lines bound to shapes that
+   * moved may be missing; see getRenderSets.
+   * @param {Object} rect - { x, y, width, height } in canvas coordinates
+   * @returns {Set<string>} Object IDs
+   */
+  queryRect(rect) {
+    return this.spatialIndex.search(rect)
+  }
+
   /**
    * Get a single object by ID
    * @param {string} id - Object ID
@@ -78,11 +245,23 @@ class ObjectStore {
       this.objects = new Map()
     }
     this.objects.set(object.id, object)
-    this.notify()
+    this.objectsChanged(object, true)
+    this.notify({ ids: [object.id] })
+  }
+
+  /**
+   * Get a new timestamp from this client's hybrid logical clock
+   * @returns {string} Serialized HLC timestamp
+   */
+  nextClock() {
+    this.clock = tickHlc(this.clock, Date.now())
+    return formatHlc(this.clock)
   }
 
   /**
-   * Update an existing object
+   * Update an existing object with a local change.
+   * Every synced field whose value changes gets a fresh clock, so the change
+   * wins over older remote values for that field only.
    * @param {string} id - Object ID
    * @param {Object} changes - Changes to apply
    */
@@ -92,14 +271,49 @@ class ObjectStore {
     }
     const existing = this.objects.get(id)
     if (existing) {
+      const changedFields = SYNCED_SHAPE_FIELDS.filter(field =>
+        field in changes && changes[field] !== existing[field]
+      )
+      const fieldClocks = { ...(existing.field_clocks || {}) }
+      if (changedFields.length > 0) {
+        const clock = this.nextClock()
+        changedFields.forEach(field => {
+          fieldClocks[field] = clock
+        })
+      }
+
       const updated = {
         ...existing,
         ...changes,
+        field_clocks: fieldClocks,
         updated_at: new Date().toISOString()
       }
       this.objects.set(id, updated)
-      this.notify()
+      this.objectsChanged(updated, updated.z_index !== existing.z_index)
+      this.notify({ ids: [id] })
+    }
+  }
+
+  /**
+   * Merge a remote version of an object (from realtime or the database).
+   * Fields are merged individually by their clocks - never whole-row - and
+   * this applies even while the object is being edited locally.
+   * @param {Object} remote - Remote object record
+   */
+  mergeRemote(remote) {
+    if (!this.objects) {
+      this.objects = new Map()
     }
+    const latestRemoteClock = getLatestFieldClock(remote.field_clocks)
+    if (latestRemoteClock) {
+      // Keep later local edits ordered after everything we've seen
+      this.clock = receiveHlc(this.clock, latestRemoteClock, Date.now())
+    }
+    const existing = this.objects.get(remote.id)
+    const merged = mergeShapeFields(existing, remote)
+    this.objects.set(remote.id, merged)
+    this.objectsChanged(merged, !existing || merged.z_index !== existing.z_index)
+    this.notify({ ids: [remote.id] })
   }
 
   /**
@@ -111,10 +325,13 @@ class ObjectStore {
       this.objects = new Map()
     }
     this.objects.delete(id)
-    if (this.selectedId === id) {
+    this.spatialIndex.remove(id)
+    this.objectsChanged(null, true)
+    const wasPrimary = this.selectedId === id
+    if (wasPrimary) {
       this.selectedId = null
     }
-    this.notify()
+    this.notify({ ids: [id], selection: wasPrimary })
   }
 
   /**
@@ -127,7 +344,7 @@ class ObjectStore {
     if (id) {
       this.selectedIds.add(id)
     }
-    this.notify()
+    this.notify({ selection: true })
   }
 
   /**
@@ -136,11 +353,7 @@ class ObjectStore {
    */
   getSelected() {
     // Return the same reference if nothing changed
-    if (!this._cachedSelected || this._selectedVersion !== this._version) {
-      this._cachedSelected = this.selectedId
-      this._selectedVersion = this._version
-    }
-    return this._cachedSelected
+    return this.selectedId
   }
 
   /**
@@ -148,10 +361,10 @@ class ObjectStore {
    * @returns {Array<string>} Array of selected object IDs
    */
   getSelectedIds() {
-    // Return the same reference if nothing changed
-    if (!this._cachedSelectedIds || this._selectedIdsVersion !== this._version) {
+    // Return the same reference until the selection changes
+    if (!this._cachedSelectedIds || this._selectedIdsVersion !== this._selectionVersion) {
       this._cachedSelectedIds = Array.from(this.selectedIds)
-      this._selectedIdsVersion = this._version
+      this._selectedIdsVersion = this._selectionVersion
     }
     return this._cachedSelectedIds
   }
@@ -164,7 +377,7 @@ class ObjectStore {
     if (this.objects.has(id)) {
       this.selectedIds.add(id)
       this.selectedId = id // Last added becomes primary
-      this.notify()
+      this.notify({ selection: true })
     }
   }
 
@@ -178,7 +391,7 @@ class ObjectStore {
     if (this.selectedId === id) {
       this.selectedId = this.selectedIds.size > 0 ? Array.from(this.selectedIds)[this.selectedIds.size - 1] : null
     }
-    this.notify()
+    this.notify({ selection: true })
   }
 
   /**
@@ -199,7 +412,7 @@ class ObjectStore {
   clearSelection() {
     this.selectedId = null
     this.selectedIds.clear()
-    this.notify()
+    this.notify({ selection: true })
   }
 
   /**
@@ -235,8 +448,10 @@ class ObjectStore {
       this.objects = new Map()
     }
     this.objects.clear()
+    this.spatialIndex.clear()
+    this.objectsChanged(null, true)
     this.selectedId = null
-    this.notify()
+    this.notify({ ids: null, selection: true })
   }
 
   /**
@@ -248,10 +463,13 @@ class ObjectStore {
       this.objects = new Map()
     }
     this.objects.clear()
+    this.spatialIndex.clear()
     objects.forEach(obj => {
       this.objects.set(obj.id, obj)
+      this.objectsChanged(obj, false)
     })
-    this.notify()
+    this.objectsChanged(null, true)
+    this.notify({ ids: null })
   }
 
   /**
@@ -284,7 +502,7 @@ class ObjectStore {
   setEditing(id) {
     this.editingIds.add(id)
     // console.log('🔒 ObjectStore: Set editing for', id, 'Current editing:', Array.from(this.editingIds))
-    this.notify()
+    this.notify({ ids: [id] })
   }
 
   /**
@@ -294,7 +512,7 @@ class ObjectStore {
   setNotEditing(id) {
     this.editingIds.delete(id)
     // console.log('🔓 ObjectStore: Set not editing for', id, 'Current editing:', Array.from(this.editingIds))
-    this.notify()
+    this.notify({ ids: [id] })
   }
 
   /**
@@ -314,7 +532,7 @@ class ObjectStore {
    */
   setOwnership(shapeId, ownerId, ownedAt = new Date()) {
     this.ownedShapes.set(shapeId, { ownerId, ownedAt })
-    this.notify()
+    this.notify({ ids: [shapeId] })
   }
 
   /**
@@ -323,7 +541,7 @@ class ObjectStore {
    */
   releaseOwnership(shapeId) {
     this.ownedShapes.delete(shapeId)
-    this.notify()
+    this.notify({ ids: [shapeId] })
   }
 
   /**
@@ -340,7 +558,7 @@ class ObjectStore {
       }
     }
     if (releasedShapes.length > 0) {
-      this.notify()
+      this.notify({ ids: releasedShapes })
     }
     return releasedShapes
   }
@@ -369,7 +587,7 @@ class ObjectStore {
     } else {
       this.ownedShapes.delete(shapeId)
     }
-    this.notify()
+    this.notify({ ids: [shapeId] })
   }
 
   /**
@@ -392,7 +610,7 @@ class ObjectStore {
       buffer.shift()
     }
     
-    this.notify()
+    this.notify({ ids: [shapeId] })
   }
 
   /**
@@ -439,7 +657,7 @@ class ObjectStore {
    */
   clearPositionBuffer(shapeId) {
     this.positionBuffer.delete(shapeId)
-    this.notify()
+    this.notify({ ids: [shapeId] })
   }
 }
 
@@ -450,13 +668,26 @@ const objectStore = new ObjectStore()
 const boundObjectStore = {
   // Core subscription and data methods
   subscribe: objectStore.subscribe.bind(objectStore),
+  subscribeTo: objectStore.subscribeTo.bind(objectStore),
+  subscribeToSelection: objectStore.subscribeToSelection.bind(objectStore),
+  subscribeWithSelector: objectStore.subscribeWithSelector.bind(objectStore),
   getAll: objectStore.getAll.bind(objectStore),
   getSelected: objectStore.getSelected.bind(objectStore),
   get: objectStore.get.bind(objectStore),
+  queryRect: objectStore.queryRect.bind(objectStore),
+  has: objectStore.has.bind(objectStore),
+  size: objectStore.size.bind(objectStore),
+  
+  // Batched updates (one notification)
+  beginBatch: objectStore.beginBatch.bind(objectStore),
+  endBatch: objectStore.endBatch.bind(objectStore),
+  batch: objectStore.batch.bind(objectStore),
   
   // CRUD operations
   add: objectStore.add.bind(objectStore),
   update: objectStore.update.bind(objectStore),
+  mergeRemote: objectStore.mergeRemote.bind(objectStore),
+  nextClock: objectStore.nextClock.bind(objectStore),
   remove: objectStore.remove.bind(objectStore),
   setAll: objectStore.setAll.bind(objectStore),
   
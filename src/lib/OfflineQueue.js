@@ -0,0 +1,159 @@
+const DB_NAME = 'collab-canvas'
+const DB_VERSION = 1
+const STORE_NAME = 'outbox'
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<any>} Request result
+ */
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result)
+  request.onerror = () => reject(request.error)
+})
+
+/**
+ * OfflineQueue - Durable outbox of shape operations that couldn't be sent
+ * Entries are stored in IndexedDB so they survive page reloads, and are
+ * replayed in the order they were queued. Falls back to memory when
+ * IndexedDB isn't available (e.g. private browsing in some browsers).
+ */
+class OfflineQueue {
+  constructor() {
+    this.dbPromise = null
+    this.memoryEntries = [] // Fallback storage when IndexedDB is unavailable
+    this.memorySeq = 0
+    this.listeners = new Set()
+  }
+
+  /**
+   * Subscribe to queue changes
+   * @param {Function} listener - Callback function to call on changes
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener)
+    return () => {
+      this.listeners.delete(listener)
+    }
+  }
+
+  /**
+   * Notify all listeners of changes
+   */
+  notify() {
+    this.listeners.forEach(listener => listener())
+  }
+
+  /**
+   * Open (or create) the IndexedDB database
+   * @returns {Promise<IDBDatabase|null>} Database or null if IndexedDB is unavailable
+   */
+  openDb() {
+    if (this.dbPromise) return this.dbPromise
+
+    if (typeof indexedDB === 'undefined') {
+      this.dbPromise = Promise.resolve(null)
+      return this.dbPromise
+    }
+
+    this.dbPromise = new Promise((resolve) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+
+      request.onupgradeneeded = () => {
+        const db = request.result
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          const store = db.createObjectStore(STORE_NAME, { keyPath: 'seq', autoIncrement: true })
+          store.createIndex('boardId', 'boardId', { unique: false })
+        }
+      }
+
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => {
+        console.error('❌ Could not open offline queue, falling back to memory:', request.error)
+        resolve(null)
+      }
+    })
+
+    return this.dbPromise
+  }
+
+  /**
+   * Add an operation to the end of the queue
+   * @param {Object} entry - { boardId, userId, operation, shape }
+   * @returns {Promise<number>} Sequence number of the queued entry
+   */
+  async enqueue(entry) {
+    const record = { ...entry, queuedAt: Date.now() }
+    const db = await this.openDb()
+
+    let seq
+    if (db) {
+      const transaction = db.transaction(STORE_NAME, 'readwrite')
+      seq = await promisifyRequest(transaction.objectStore(STORE_NAME).add(record))
+    } else {
+      seq = ++this.memorySeq
+      this.memoryEntries.push({ ...record, seq })
+    }
+
+    this.notify()
+    return seq
+  }
+
+  /**
+   * Get all queued operations for a board, oldest first
+   * @param {string} boardId - Board ID
+   * @returns {Promise<Array<Object>>} Queued entries
+   */
+  async getAll(boardId) {
+    const db = await this.openDb()
+
+    if (!db) {
+      return this.memoryEntries.filter(entry => entry.boardId === boardId)
+    }
+
+    const transaction = db.transaction(STORE_NAME, 'readonly')
+    const entries = await promisifyRequest(
+      transaction.objectStore(STORE_NAME).index('boardId').getAll(boardId)
+    )
+    return entries.sort((a, b) => a.seq - b.seq)
+  }
+
+  /**
+   * Count queued operations for a board
+   * @param {string} boardId - Board ID
+   * @returns {Promise<number>} Number of queued entries
+   */
+  async count(boardId) {
+    const db = await this.openDb()
+
+    if (!db) {
+      return this.memoryEntries.filter(entry => entry.boardId === boardId).length
+    }
+
+    const transaction = db.transaction(STORE_NAME, 'readonly')
+    return promisifyRequest(transaction.objectStore(STORE_NAME).index('boardId').count(boardId))
+  }
+
+  /**
+   * Remove an entry once it has been replayed
+   * @param {number} seq - Sequence number of the entry
+   */
+  async remove(seq) {
+    const db = await this.openDb()
+
+    if (db) {
+      const transaction = db.transaction(STORE_NAME, 'readwrite')
+      await promisifyRequest(transaction.objectStore(STORE_NAME).delete(seq))
+    } else {
+      this.memoryEntries = this.memoryEntries.filter(entry => entry.seq !== seq)
+    }
+
+    this.notify()
+  }
+}
+
+// Create singleton instance
+const offlineQueue = new OfflineQueue()
+
+export default offlineQueue
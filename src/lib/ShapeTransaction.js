@@ -0,0 +1,211 @@
+import { supabase } from './supabase'
+import objectStore from './ObjectStore'
+import historyManager from './HistoryManager'
+
+/**
+ * Default writer: apply_shape_mutations with the signed-in user's rights
+ * Also used on its own for boards that aren't open (nothing in the store).
+ * @param {Object} mutations - { boardId, inserts, updates, deletes }
+ * @returns {Promise<Object>} { inserted, updated, deleted } as stored in the database
+ */
+export const applyShapeMutations = async ({ boardId, inserts, updates, deletes }) => {
+  const { data, error } = await supabase.rpc('apply_shape_mutations', {
+    p_board_id: boardId,
+    p_inserts: inserts,
+    p_updates: updates,
+    p_deletes: deletes
+  })
+  if (error) throw error
+  return data
+}
+
+/**
+ * ShapeTransaction - All-or-nothing batch of shape inserts, updates and deletes
+ * Changes show up in the ObjectStore right away (optimistically) and are sent
+ * to the database in a single apply_shape_mutations call on commit (AI
+ * commands pass a writer that goes through the AI endpoint instead). If the
+ * call fails, nothing was written and the store is put back as it was.
+ * A committed transaction is recorded as one undo step.
+ *
+ * const transaction = new ShapeTransaction({ boardId, label: 'Arrange' })
+ * transaction.update(id, { x, y })
+ * await transaction.commit()
+ */
+class ShapeTransaction {
+  /**
+   * @param {Object} options
+   * @param {string} options.boardId - Board all shapes belong to
+   * @param {string|null} options.label - Undo label, null to leave history alone
+   * @param {Function} options.applyMutations - ({ boardId, inserts, updates, deletes }) => Promise<{ inserted, updated, deleted }>
+   */
+  constructor({ boardId, label = null, applyMutations = applyShapeMutations }) {
+    this.boardId = boardId
+    this.label = label
+    this.applyMutations = applyMutations
+    this.before = new Map() // shapeId -> record before the transaction (null for new shapes)
+    this.inserts = new Map() // shapeId -> record to insert
+    this.updates = new Map() // shapeId -> changed fields
+    this.deletes = new Set()
+    this.done = false
+  }
+
+  // Remember how a shape looked before this transaction first touched it
+  remember(id) {
+    if (!this.before.has(id)) {
+      this.before.set(id, objectStore.get(id))
+    }
+  }
+
+  /**
+   * Add new shapes
+   * @param {Object|Array<Object>} records - Shape record(s), with IDs
+   * @returns {ShapeTransaction} this
+   */
+  insert(records) {
+    const list = Array.isArray(records) ? records : [records]
+    objectStore.batch(() => {
+      list.forEach(record => {
+        if (!this.before.has(record.id)) {
+          this.before.set(record.id, null)
+        }
+        this.inserts.set(record.id, record)
+        objectStore.add(record)
+      })
+    })
+    return this
+  }
+
+  /**
+   * Change fields of a shape (new shapes just get the fields merged in)
+   * @param {string} id - Shape ID
+   * @param {Object} changes - Changed fields
+   * @returns {ShapeTransaction} this
+   */
+  update(id, changes) {
+    if (this.inserts.has(id)) {
+      this.inserts.set(id, { ...this.inserts.get(id), ...changes })
+    } else {
+      if (!objectStore.has(id)) return this
+      this.remember(id)
+      this.updates.set(id, { ...(this.updates.get(id) || {}), ...changes })
+    }
+    objectStore.update(id, changes)
+    return this
+  }
+
+  /**
+   * Delete shapes
+   * @param {string|Array<string>} ids - Shape ID(s)
+   * @returns {ShapeTransaction} this
+   */
+  remove(ids) {
+    const list = Array.isArray(ids) ? ids : [ids]
+    objectStore.batch(() => {
+      list.forEach(id => {
+        if (this.inserts.has(id)) {
+          this.inserts.delete(id)
+        } else {
+          if (!objectStore.has(id)) return
+          this.remember(id)
+          this.updates.delete(id)
+          this.deletes.add(id)
+        }
+        objectStore.removeFromSelection(id)
+        objectStore.remove(id)
+      })
+    })
+    return this
+  }
+
+  /**
+   * Check whether the transaction has anything to write
+   * @returns {boolean}
+   */
+  isEmpty() {
+    return this.inserts.size === 0 && this.updates.size === 0 && this.deletes.size === 0
+  }
+
+  /**
+   * Get the shapes this transaction adds or changes (not the deleted ones)
+   * @returns {Array<string>} Shape IDs
+   */
+  getPendingIds() {
+    return [...this.inserts.keys(), ...this.updates.keys()]
+  }
+
+  /**
+   * Put every shape back the way it was before the transaction
+   */
+  rollback() {
+    if (this.done) return
+    this.done = true
+    objectStore.batch(() => {
+      this.before.forEach((record, id) => {
+        if (record) {
+          objectStore.add(record)
+        } else {
+          objectStore.removeFromSelection(id)
+          objectStore.remove(id)
+        }
+      })
+    })
+    console.log('↩️ Rolled back shape transaction:', this.label || this.before.size)
+  }
+
+  /**
+   * Write everything in one atomic request
+   * Throws (after rolling back) if the database rejected any of it.
+   * @returns {Promise<Object>} { inserted, updated, deleted } as stored in the database
+   */
+  async commit() {
+    if (this.done) throw new Error('Shape transaction already finished')
+    if (this.isEmpty()) {
+      this.done = true
+      return { inserted: [], updated: [], deleted: [] }
+    }
+
+    let result
+    try {
+      result = await this.applyMutations({
+        boardId: this.boardId,
+        inserts: Array.from(this.inserts.values()),
+        updates: Array.from(this.updates, ([id, changes]) => ({ id, changes })),
+        deletes: Array.from(this.deletes)
+      })
+    } catch (error) {
+      console.error('❌ Error applying shape changes:', error)
+      this.rollback()
+      throw error
+    }
+    this.done = true
+
+    // Take server-side fields (timestamps, clocks) without clobbering newer local edits
+    const rows = [...result.inserted, ...result.updated]
+    objectStore.batch(() => rows.forEach(row => objectStore.mergeRemote(row)))
+
+    if (this.label) {
+      this.recordHistory(result.inserted)
+    }
+    return result
+  }
+
+  // One undo step for the whole transaction
+  recordHistory(inserted) {
+    const changes = Array.from(this.updates, ([id, fields]) => {
+      const before = this.before.get(id)
+      return {
+        id,
+        before: Object.fromEntries(Object.keys(fields).map(field => [field, before[field] ?? null])),
+        after: fields
+      }
+    })
+
+    historyManager.beginBatch(this.label)
+    historyManager.recordCreate(inserted, this.label)
+    historyManager.record(this.label, changes)
+    historyManager.recordDelete(Array.from(this.deletes, id => this.before.get(id)), this.label)
+    historyManager.endBatch()
+  }
+}
+
+export default ShapeTransaction
@@ -0,0 +1,228 @@
+/**
+ * SpatialIndex - Uniform grid over shape bounding boxes
+ *
+ * Every entry is stored in each grid cell its bounds touch, so a rectangle
+ * query only visits the cells it covers instead of every shape on the board.
+ * Re-inserting an entry only touches its own cells, which keeps the index
+ * cheap to maintain while shapes are dragged (a tree would be rebalanced on
+ * every move). Entries covering more than maxCells cells (huge frames, long
+ * lines) are kept in a short list that every query checks directly.
+ *
+ * A query reports an entry only from the first of its cells inside the query,
+ * so entries spanning several cells need no de-duplication, and entries in
+ * cells fully inside the query need no bounds test. Queries covering most of
+ * the occupied cells (zoomed far out) scan every entry instead, which is
+ * cheaper than walking the cells at that point.
+ *
+ * Plain module with no imports, so scripts/bench-spatial-index.js can load it
+ * in Node.
+ */
+class SpatialIndex {
+  /**
+   * @param {Object} options
+   * @param {number} options.cellSize - Grid cell size in canvas units
+   * @param {number} options.maxCells - Cells an entry may cover before it goes in the large list
+   * @param {number} options.scanRatio - Share of the occupied cells a query may cover before it scans every entry
+   */
+  constructor({ cellSize = 256, maxCells = 1024, scanRatio = 0.5 } = {}) {
+    this.cellSize = cellSize
+    this.maxCells = maxCells
+    this.scanRatio = scanRatio
+    this.cells = new Map() // cell key -> array of entries (arrays iterate much faster than Sets)
+    this.entries = new Map() // id -> { id, x, y, width, height, keys, slots, minCol, minRow, listSlot }
+    this.list = [] // every entry, for full scans (faster to walk than the Map)
+    this.large = new Set() // entries too big for the grid
+  }
+
+  // Grid cells covered by a box: { minCol, minRow, maxCol, maxRow, count }
+  getCellRange(bounds) {
+    const minCol = Math.floor(bounds.x / this.cellSize)
+    const minRow = Math.floor(bounds.y / this.cellSize)
+    const maxCol = Math.floor((bounds.x + bounds.width) / this.cellSize)
+    const maxRow = Math.floor((bounds.y + bounds.height) / this.cellSize)
+    return { minCol, minRow, maxCol, maxRow, count: (maxCol - minCol + 1) * (maxRow - minRow + 1) }
+  }
+
+  // Keys of the grid cells covered by a box, or null when there are more than limit
+  getCellKeys(bounds, limit = Infinity) {
+    const { minCol, minRow, maxCol, maxRow, count } = this.getCellRange(bounds)
+    if (count > limit) return null
+
+    const keys = []
+    for (let col = minCol; col <= maxCol; col++) {
+      for (let row = minRow; row <= maxRow; row++) {
+        keys.push(cellKey(col, row))
+      }
+    }
+    return keys
+  }
+
+  /**
+   * Add an entry, or move it if it is already indexed
+   * @param {string} id - Shape ID
+   * @param {Object} bounds - { x, y, width, height }
+   */
+  insert(id, bounds) {
+    const existing = this.entries.get(id)
+    if (existing && sameBounds(existing, bounds)) return
+    if (!isValidBounds(bounds)) {
+      this.remove(id)
+      return
+    }
+
+    // Small moves usually stay within the same cells
+    const keys = this.getCellKeys(bounds, this.maxCells)
+    if (existing && sameKeys(existing.keys, keys)) {
+      setBounds(existing, bounds)
+      return
+    }
+    if (existing) this.remove(id)
+
+    const { minCol, minRow } = this.getCellRange(bounds)
+    // slots[i] is the entry's position in the cell keys[i]
+    // The box is kept on the entry itself: one object less to visit per test
+    const entry = { id, x: 0, y: 0, width: 0, height: 0, keys, slots: [], minCol, minRow }
+    setBounds(entry, bounds)
+    if (entry.keys) {
+      entry.keys.forEach((key, index) => {
+        let cell = this.cells.get(key)
+        if (!cell) {
+          cell = []
+          this.cells.set(key, cell)
+        }
+        entry.slots[index] = cell.length
+        cell.push(entry)
+      })
+    } else {
+      this.large.add(entry)
+    }
+    entry.listSlot = this.list.length
+    this.list.push(entry)
+    this.entries.set(id, entry)
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} id - Shape ID
+   */
+  remove(id) {
+    const entry = this.entries.get(id)
+    if (!entry) return
+
+    if (entry.keys) {
+      entry.keys.forEach((key, index) => {
+        const cell = this.cells.get(key)
+        if (!cell) return
+        // Fill the gap with the cell's last entry
+        const slot = entry.slots[index]
+        const last = cell.pop()
+        if (last !== entry) {
+          cell[slot] = last
+          last.slots[last.keys.indexOf(key)] = slot
+        }
+        if (cell.length === 0) this.cells.delete(key)
+      })
+    } else {
+      this.large.delete(entry)
+    }
+    const last = this.list.pop()
+    if (last !== entry) {
+      this.list[entry.listSlot] = last
+      last.listSlot = entry.listSlot
+    }
+    this.entries.delete(id)
+  }
+
+  /**
+   * Remove every entry
+   */
+  clear() {
+    this.cells.clear()
+    this.entries.clear()
+    this.list = []
+    this.large.clear()
+  }
+
+  /**
+   * Find the entries whose bounds intersect a rectangle
+   * @param {Object} rect - { x, y, width, height }
+   * @returns {Set<string>} Matching IDs
+   */
+  search(rect) {
+    const result = new Set()
+    const range = this.getCellRange(rect)
+
+    // Zoomed far out: most entries match anyway, so test each one once
+    if (range.count > this.cells.size * this.scanRatio) {
+      for (const entry of this.list) {
+        if (intersects(entry, rect)) result.add(entry.id)
+      }
+      return result
+    }
+
+    const { minCol, minRow, maxCol, maxRow } = range
+    for (let col = minCol; col <= maxCol; col++) {
+      for (let row = minRow; row <= maxRow; row++) {
+        const cell = this.cells.get(cellKey(col, row))
+        if (!cell) continue
+
+        // Cells away from the query's edges lie completely inside it
+        const isInner = col > minCol && col < maxCol && row > minRow && row < maxRow
+        for (const entry of cell) {
+          // Only the entry's first cell inside the query reports it
+          if (col !== Math.max(entry.minCol, minCol) || row !== Math.max(entry.minRow, minRow)) continue
+          if (isInner || intersects(entry, rect)) result.add(entry.id)
+        }
+      }
+    }
+    for (const entry of this.large) {
+      if (intersects(entry, rect)) result.add(entry.id)
+    }
+
+    return result
+  }
+
+  /**
+   * Number of indexed entries
+   * @returns {number}
+   */
+  size() {
+    return this.entries.size
+  }
+}
+
+// Numeric cell keys (Map lookups on numbers are much cheaper than on strings);
+// unique for grids up to 2^20 cells across in either direction
+const CELL_OFFSET = 2 ** 19
+const cellKey = (col, row) => (col + CELL_OFFSET) * 2 ** 20 + (row + CELL_OFFSET)
+
+const setBounds = (entry, bounds) => {
+  entry.x = bounds.x
+  entry.y = bounds.y
+  entry.width = bounds.width
+  entry.height = bounds.height
+}
+
+const isValidBounds = (bounds) => (
+  bounds &&
+  Number.isFinite(bounds.x) && Number.isFinite(bounds.y) &&
+  Number.isFinite(bounds.width) && Number.isFinite(bounds.height)
+)
+
+const sameBounds = (a, b) => (
+  b && a.x === b.x && a.y === b.y && a.width === b.width && a.height === b.height
+)
+
+const sameKeys = (a, b) => (
+  a === b || (a && b && a.length === b.length && a.every((key, index) => key === b[index]))
+)
+
+// Touching edges count, so zero-size entries (points, flat lines) are found
+const intersects = (a, b) => (
+  a.x <= b.x + b.width &&
+  a.x + a.width >= b.x &&
+  a.y <= b.y + b.height &&
+  a.y + a.height >= b.y
+)
+
+export default SpatialIndex
@@ -21,6 +21,98 @@ export const SHAPE_CONFIG = {
   },
 }
 
+// Shape fields that are merged individually during sync (each has its own clock)
+// and restored by undo/redo. Keep in sync with synced_shape_fields() in the database
+// (latest definition: database/add-groups-frames.sql).
+export const SYNCED_SHAPE_FIELDS = [
+  'x',
+  'y',
+  'width',
+  'height',
+  'rotation',
+  'color',
+  'z_index',
+  'text_content',
+  'font_size',
+  // Lines, arrows and connectors (see database/add-connectors.sql)
+  'end_x',
+  'end_y',
+  'routing',
+  'stroke_width',
+  'dash',
+  'start_arrowhead',
+  'end_arrowhead',
+  'start_shape_id',
+  'start_anchor',
+  'end_shape_id',
+  'end_anchor',
+  // Freehand pen strokes (see database/add-freehand-paths.sql)
+  'path_points',
+  // Groups and frames (see database/add-groups-frames.sql)
+  'parent_id',
+]
+
+// Line / arrow / connector configuration
+export const LINE_CONFIG = {
+  TYPES: ['line', 'arrow'],
+  ROUTINGS: ['straight', 'elbow', 'curved'],
+  DASHES: ['solid', 'dashed', 'dotted'],
+  ARROWHEADS: ['none', 'arrow', 'triangle', 'circle'],
+  ANCHORS: ['top', 'right', 'bottom', 'left', 'center'],
+  STROKE_WIDTHS: [1, 2, 4, 6, 8],
+  DEFAULT_STROKE_WIDTH: 2,
+  DEFAULT_LENGTH: 150,
+  SNAP_DISTANCE: 20, // px (screen) from an anchor to bind an endpoint
+}
+
+// Freehand pen configuration
+export const PEN_CONFIG = {
+  STROKE_WIDTHS: [2, 4, 8, 12],
+  DEFAULT_STROKE_WIDTH: 4,
+  SIMPLIFY_TOLERANCE: 1.5, // px (screen) a simplified stroke may deviate from the pointer
+  MIN_POINT_DISTANCE: 2, // px (screen) between captured points
+  MAX_POINTS: 5000, // captured points per stroke
+  PREVIEW_INTERVAL: 50, // ms between live stroke broadcasts
+  PREVIEW_TIMEOUT: 5000, // ms before an abandoned remote preview is dropped
+}
+
+// Sticky note configuration
+export const STICKY_CONFIG = {
+  COLORS: ['#FDE68A', '#FBCFE8', '#BBF7D0', '#BFDBFE', '#DDD6FE'],
+  DEFAULT_COLOR: '#FDE68A',
+  SIZE: 200,
+  FONT_SIZE: 18,
+  PADDING: 12,
+  TEXT_COLOR: '#1F2937',
+}
+
+// Frame configuration
+export const FRAME_CONFIG = {
+  DEFAULT_WIDTH: 480,
+  DEFAULT_HEIGHT: 360,
+  DEFAULT_COLOR: '#FFFFFF',
+  BORDER_COLOR: '#CBD5E1',
+  LABEL_FONT_SIZE: 14,
+  LABEL_HEIGHT: 22, // px above the frame reserved for its name
+}
+
+// Layout configuration (tidy up)
+export const LAYOUT_CONFIG = {
+  TIDY_DEFAULT_GAP: 24, // px between shapes when none are spaced apart yet
+  TIDY_MIN_GAP: 16, // px, smallest gap tidy up leaves
+  TIDY_GAP_STEP: 4, // gaps are rounded to this many px
+  TIDY_BAND_OVERLAP: 0.5, // share of the smaller shape that must overlap to count as the same row/column
+  TIDY_MAX_PASSES: 50, // rounds of pushing overlapping shapes apart
+}
+
+// Rendering configuration (large boards)
+export const RENDER_CONFIG = {
+  INDEX_CELL_SIZE: 256, // px per spatial index grid cell
+  INDEX_MAX_CELLS: 1024, // shapes covering more cells are kept in a separate list
+  INDEX_SCAN_RATIO: 0.5, // queries covering more of the occupied cells test every shape instead
+  VIEWPORT_MARGIN: 0.5, // viewports rendered on each side beyond the visible area
+}
+
 // Color Palette
 export const COLOR_PALETTE = [
   '#3B82F6', // Blue
@@ -39,10 +131,53 @@ export const REALTIME_CONFIG = {
   TRANSFORM_UPDATE_INTERVAL: 100, // ms - throttle resize updates
 }
 
+// Shape lock configuration (leases are timed by the database, see add-shape-locks.sql)
+export const LOCK_CONFIG = {
+  LEASE_SECONDS: 15, // lock lifetime without renewal
+  RENEW_INTERVAL: 5000, // ms between lease renewals while shapes are held
+  NOTICE_DURATION: 3000, // ms the "shape is locked" notice stays up
+}
+
+// AI command configuration
+export const AI_CONFIG = {
+  ENDPOINT: 'https://gauntlet-colabcanvas.vercel.app/api/ai-command',
+  APPLY_ENDPOINT: 'https://gauntlet-colabcanvas.vercel.app/api/ai-apply', // saves accepted AI changes
+  PREVIEW_OPACITY: 0.5, // shapes from an AI command that hasn't been accepted yet
+  CONTEXT_MAX_SHAPES: 200, // shapes described to the AI per command
+  CONTEXT_RECENT: 10, // recently created shapes always included
+  CHAT_HISTORY_TURNS: 20, // earlier chat messages sent with each new one
+  IMAGE_MAX_SIZE: 1568, // px, longest side of an image sent to the AI (larger ones are scaled down)
+  IMAGE_QUALITY: 0.85, // JPEG quality of a sent image
+  IMAGE_DEFAULT_COMMAND: 'Turn this sketch into shapes', // sent with an image that has no message
+}
+
 // Database Table Names
 export const TABLES = {
   SHAPES: 'shapes',
   PRESENCE: 'presence',
   PROFILES: 'profiles',
+  BOARDS: 'boards',
+  BOARD_MEMBERS: 'board_members',
+  BOARD_INVITES: 'board_invites',
+  SHAPE_EVENTS: 'shape_events',
+  SHAPE_TEMPLATES: 'shape_templates',
+}
+
+// Board sharing roles
+export const BOARD_ROLES = {
+  OWNER: 'owner',
+  EDITOR: 'editor',
+  VIEWER: 'viewer',
+}
+
+// Realtime channel names (scoped per board so activity never leaks between boards)
+export const CHANNELS = {
+  SHAPES: (boardId) => `shapes:${boardId}`,
+  PRESENCE: (boardId) => `presence:${boardId}`,
+  CURSORS: (boardId) => `cursors:${boardId}`,
+  STROKES: (boardId) => `strokes:${boardId}`,
+  PRESENCE_CURSORS: (boardId) => `presence-cursors:${boardId}`,
+  MEMBERS: (boardId) => `members:${boardId}`,
+  BOARDS: 'boards',
 }
 
@@ -1,101 +1,140 @@
+import { supabase } from '../lib/supabase'
+import { LOCK_CONFIG } from '../lib/constants'
+
 /**
- * OwnershipManager - Manages shape ownership with 15-second timeout
+ * OwnershipManager - Shape locks backed by leases in the database
+ * acquire_shape_lock grants locks all or nothing, with a lease that runs out
+ * by the database clock. While shapes are held the lease is renewed every
+ * LOCK_CONFIG.RENEW_INTERVAL; when this tab stops renewing (closed, offline,
+ * asleep) the lease runs out and other users can take the shapes. Nothing in
+ * the browser decides that a lock has expired.
  * Singleton pattern for consistent ownership state across the application
  */
 class OwnershipManager {
   constructor() {
-    this.timers = new Map() // shapeId -> timerId
-    this.ownershipTimeout = 15000 // 15 seconds
+    this.held = new Set() // shape IDs this client holds locks on
+    this.renewTimer = null
+    this.onLost = null
   }
 
   /**
-   * Acquire ownership for a shape with automatic timeout
-   * @param {string} shapeId - ID of the shape
-   * @param {string} userId - ID of the user acquiring ownership
-   * @param {Function} onTimeout - Callback when ownership times out
+   * Set the callback for locks that could not be renewed (taken by someone
+   * else after the lease ran out, or the shape was deleted)
+   * @param {Function|null} callback - (shapeIds) => void
    */
-  acquire(shapeId, userId, onTimeout) {
-    // Clear existing timer if any
-    this.clearTimer(shapeId)
-    
-    // Set new timer for 15-second timeout
-    const timerId = setTimeout(() => {
-      this.release(shapeId)
-      onTimeout?.(shapeId, userId)
-    }, this.ownershipTimeout)
-    
-    this.timers.set(shapeId, timerId)
+  setOnLost(callback) {
+    this.onLost = callback
   }
 
   /**
-   * Release ownership for a specific shape
-   * @param {string} shapeId - ID of the shape
+   * Acquire locks on shapes, all or nothing
+   * Shapes this client already holds count as free, so this also renews them.
+   * @param {Array<string>} shapeIds - IDs of the shapes
+   * @returns {Promise<Object>} { acquired, locks: [{ shape_id, holder_id, owned_at, expires_at }], error }
    */
-  release(shapeId) {
-    this.clearTimer(shapeId)
+  async acquire(shapeIds) {
+    const { data, error } = await supabase.rpc('acquire_shape_lock', {
+      p_shape_ids: shapeIds,
+      p_lease_seconds: LOCK_CONFIG.LEASE_SECONDS
+    })
+
+    if (error) {
+      console.error('❌ Error acquiring shape locks:', error)
+      return { acquired: false, locks: [], error }
+    }
+
+    const locks = data || []
+    const acquired = locks.length > 0 && locks.every(lock => lock.acquired)
+    if (acquired) {
+      locks.forEach(lock => this.held.add(lock.shape_id))
+      this.startRenewing()
+    }
+    return { acquired, locks, error: null }
   }
 
   /**
-   * Release all ownership for a specific user
-   * @param {string} userId - ID of the user
-   * @param {Function} onRelease - Callback for each released shape
+   * Release locks on shapes
+   * They stop being renewed right away, so even if the request fails the
+   * lease runs out on its own.
+   * @param {Array<string>} shapeIds - IDs of the shapes
+   * @returns {Promise<boolean>} True if the database released them
    */
-  releaseAllForUser(userId, onRelease) {
-    // Note: This would need to be called with the actual owned shapes
-    // from the database or ObjectStore since we only track timers here
-    for (const [shapeId, timerId] of this.timers.entries()) {
-      this.clearTimer(shapeId)
-      onRelease?.(shapeId, userId)
+  async release(shapeIds) {
+    if (shapeIds.length === 0) return true
+    shapeIds.forEach(shapeId => this.held.delete(shapeId))
+    if (this.held.size === 0) this.stopRenewing()
+
+    const { error } = await supabase.rpc('release_shape_lock', { p_shape_ids: shapeIds })
+    if (error) {
+      console.error('❌ Error releasing shape locks:', error)
+      return false
     }
+    return true
   }
 
   /**
-   * Reset the timeout for a shape (called when user interacts with owned shape)
-   * @param {string} shapeId - ID of the shape
-   * @param {string} userId - ID of the user
-   * @param {Function} onTimeout - Callback when ownership times out
+   * Release every lock this client holds (logout, leaving the board)
+   * @returns {Promise<boolean>} True if the database released them
    */
-  resetTimeout(shapeId, userId, onTimeout) {
-    this.acquire(shapeId, userId, onTimeout)
+  releaseAll() {
+    return this.release(Array.from(this.held))
   }
 
   /**
-   * Clear timer for a specific shape
-   * @param {string} shapeId - ID of the shape
+   * Extend the leases of all held shapes
+   * Errors are only logged: if renewals keep failing the leases run out,
+   * and the next successful renewal reports whatever was lost meanwhile.
    */
-  clearTimer(shapeId) {
-    const timerId = this.timers.get(shapeId)
-    if (timerId) {
-      clearTimeout(timerId)
-      this.timers.delete(shapeId)
+  async renew() {
+    const shapeIds = Array.from(this.held)
+    if (shapeIds.length === 0) return
+
+    const { data, error } = await supabase.rpc('renew_shape_lock', {
+      p_shape_ids: shapeIds,
+      p_lease_seconds: LOCK_CONFIG.LEASE_SECONDS
+    })
+
+    if (error) {
+      console.error('❌ Error renewing shape locks:', error)
+      return
     }
+
+    const renewed = new Set((data || []).map(row => row.shape_id))
+    // Shapes released while the request was in flight aren't lost
+    const lost = shapeIds.filter(shapeId => !renewed.has(shapeId) && this.held.has(shapeId))
+    if (lost.length === 0) return
+
+    lost.forEach(shapeId => this.held.delete(shapeId))
+    if (this.held.size === 0) this.stopRenewing()
+    console.log('🔓 Lost shape locks:', lost)
+    this.onLost?.(lost)
   }
 
-  /**
-   * Check if a shape has an active ownership timer
-   * @param {string} shapeId - ID of the shape
-   * @returns {boolean} True if shape has active timer
-   */
-  hasActiveTimer(shapeId) {
-    return this.timers.has(shapeId)
+  startRenewing() {
+    if (this.renewTimer) return
+    this.renewTimer = setInterval(() => this.renew(), LOCK_CONFIG.RENEW_INTERVAL)
+  }
+
+  stopRenewing() {
+    clearInterval(this.renewTimer)
+    this.renewTimer = null
   }
 
   /**
-   * Get all shapes with active timers
-   * @returns {Array<string>} Array of shape IDs with active timers
+   * Check if this client holds the lock on a shape
+   * @param {string} shapeId - ID of the shape
+   * @returns {boolean}
    */
-  getActiveTimers() {
-    return Array.from(this.timers.keys())
+  isHeld(shapeId) {
+    return this.held.has(shapeId)
   }
 
   /**
-   * Clear all timers (cleanup on app shutdown)
+   * Get all shapes this client holds locks on
+   * @returns {Array<string>} Shape IDs
    */
-  clearAllTimers() {
-    for (const timerId of this.timers.values()) {
-      clearTimeout(timerId)
-    }
-    this.timers.clear()
+  getHeldIds() {
+    return Array.from(this.held)
   }
 }
 
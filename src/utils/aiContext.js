@@ -0,0 +1,92 @@
+import { AI_CONFIG, CANVAS_CONFIG } from '../lib/constants'
+import { getShapeBounds } from './canvasHelpers'
+import { isLineShape } from './connectorHelpers'
+import { isGroupShape, getContentBounds } from './containerHelpers'
+
+// Canvas context for AI commands
+//
+// Commands refer to shapes on the board ("move it left", "delete the three
+// blue circles", "arrange everything I selected"), so every command carries a
+// compact description of the shapes it is most likely about: the selection
+// first, then the shapes of the previous chat answer, then the user's recent
+// creations, then what is in view. The endpoint
+// resolves descriptions against this list (see api/_lib/canvasContext.js).
+// The templates the assistant can place (see templates.js) travel along.
+
+const round = (value) => Math.round(value || 0)
+
+// Short form of one shape (empty fields are left out to keep requests small)
+const compactShape = (shape, shapes, getShape) => {
+  let bounds = { x: shape.x, y: shape.y, width: shape.width, height: shape.height }
+  if (isLineShape(shape)) bounds = getShapeBounds(shape, getShape)
+  // A group is described by the box around its members
+  if (isGroupShape(shape)) bounds = getContentBounds(shapes, shape.id) || bounds
+  const { x, y, width, height } = bounds
+  const compact = { id: shape.id, type: shape.type, x: round(x), y: round(y), w: round(width), h: round(height) }
+  if (shape.color) compact.color = shape.color
+  if (shape.text_content) compact.text = shape.text_content.slice(0, 80)
+  if (shape.parent_id) compact.parent = shape.parent_id
+  return compact
+}
+
+/**
+ * Build the canvas context sent with an AI command
+ * @param {Object} params
+ * @param {Array<Object>} params.shapes - Every shape on the board
+ * @param {Array<string>} params.selectedIds - Current selection
+ * @param {Set<string>|Array<string>} params.viewportIds - Shapes in the visible area
+ * @param {Object|null} params.viewport - { x, y, width, height } visible area in canvas coordinates
+ * @param {string|null} params.userId - Current user (their newest shapes count as recent)
+ * @param {string|null} params.lastCreatedId - Last shape an AI command created
+ * @param {Array<string>} params.previousIds - Shapes created or changed by the previous chat answer
+ * @param {Array<Object>} params.commandHistory - Earlier commands ({ command })
+ * @param {Array<Object>} params.templates - Template catalog (getTemplateCatalog)
+ * @returns {Object} { shapes, selection, recent, previous, viewport, totalShapes, canvasWidth, canvasHeight, commandHistory, templates }
+ */
+export const buildAIContext = ({
+  shapes,
+  selectedIds = [],
+  viewportIds = [],
+  viewport = null,
+  userId = null,
+  lastCreatedId = null,
+  previousIds = [],
+  commandHistory = [],
+  templates = []
+}) => {
+  const byId = new Map(shapes.map(shape => [shape.id, shape]))
+  const getShape = (id) => byId.get(id) || null
+
+  const selection = selectedIds.filter(id => byId.has(id))
+  const previous = previousIds.filter(id => byId.has(id))
+  const recent = [...new Set([
+    lastCreatedId,
+    ...shapes
+      .filter(shape => shape.created_by === userId && shape.created_at)
+      .sort((a, b) => b.created_at.localeCompare(a.created_at))
+      .map(shape => shape.id)
+  ])].filter(id => id && byId.has(id)).slice(0, AI_CONFIG.CONTEXT_RECENT)
+
+  // Most relevant first, so the cap only ever drops distant shapes
+  const ordered = [...new Set([...selection, ...previous, ...recent, ...viewportIds])]
+    .filter(id => byId.has(id))
+    .slice(0, AI_CONFIG.CONTEXT_MAX_SHAPES)
+
+  return {
+    shapes: ordered.map(id => compactShape(byId.get(id), shapes, getShape)),
+    selection,
+    recent,
+    previous,
+    viewport: viewport && {
+      x: round(viewport.x),
+      y: round(viewport.y),
+      width: round(viewport.width),
+      height: round(viewport.height)
+    },
+    totalShapes: shapes.length,
+    canvasWidth: CANVAS_CONFIG.WIDTH,
+    canvasHeight: CANVAS_CONFIG.HEIGHT,
+    commandHistory: commandHistory.slice(-3).map(entry => entry.command),
+    templates
+  }
+}
@@ -0,0 +1,183 @@
+import { supabase } from '../lib/supabase'
+import { AI_CONFIG } from '../lib/constants'
+
+// Streaming AI commands
+//
+// The AI endpoint answers `stream: true` requests with server-sent events:
+//   event: action  data: { index, action }   (one per valid action)
+//   event: done    data: { count, command, timestamp, issues }
+//   event: error   data: { error, code, details }
+// A plain JSON answer ({ actions, issues }) is accepted too, so an older
+// deployment of the endpoint still works (all actions then arrive at once).
+// Refused requests (signed out, too long, rate limited, ...) answer with an
+// error status and the same { error, code, details, retryAfter } body.
+// Both endpoints want the user's access token and the board ID: only the
+// board's owners and editors can run commands and save their changes.
+
+/**
+ * An AI command the endpoint refused or couldn't finish
+ */
+export class AICommandError extends Error {
+  /**
+   * @param {Object} body - { error, code, details, retryAfter } from the endpoint
+   */
+  constructor({ error, code = null, details = null, retryAfter = null }) {
+    super(error || 'AI command failed')
+    this.name = 'AICommandError'
+    this.code = code
+    this.details = details
+    this.retryAfter = retryAfter
+  }
+}
+
+// Error for a response with an error status (older deployments answer with plain text)
+const toResponseError = async (response) => {
+  try {
+    return new AICommandError(await response.json())
+  } catch {
+    return new AICommandError({ error: `API Error: ${response.status}` })
+  }
+}
+
+// Authorization header with the signed-in user's access token
+const getAuthHeaders = async () => {
+  const { data: { session }, error } = await supabase.auth.getSession()
+  if (error) {
+    console.error('Error getting session for AI request:', error)
+  }
+  return session ? { Authorization: `Bearer ${session.access_token}` } : {}
+}
+
+// Parse one event block ("event: ...\ndata: ...") into { event, data }
+const parseEvent = (block) => {
+  let event = 'message'
+  const dataLines = []
+  for (const line of block.split('\n')) {
+    if (line.startsWith('event:')) event = line.slice(6).trim()
+    else if (line.startsWith('data:')) dataLines.push(line.slice(5).trimStart())
+  }
+  if (dataLines.length === 0) return null
+  return { event, data: JSON.parse(dataLines.join('\n')) }
+}
+
+/**
+ * Read a server-sent event stream, calling onEvent for each complete event
+ * @param {Response} response - Fetch response with an event stream body
+ * @param {Function} onEvent - ({ event, data }) => void
+ * @returns {Promise<void>} Resolves when the stream ends
+ */
+export const readEventStream = async (response, onEvent) => {
+  const reader = response.body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+
+  for (;;) {
+    const { value, done } = await reader.read()
+    buffer += decoder.decode(value, { stream: !done }).replace(/\r\n/g, '\n')
+
+    let boundary = buffer.indexOf('\n\n')
+    while (boundary !== -1) {
+      const event = parseEvent(buffer.slice(0, boundary))
+      buffer = buffer.slice(boundary + 2)
+      if (event) onEvent(event)
+      boundary = buffer.indexOf('\n\n')
+    }
+
+    if (done) break
+  }
+}
+
+/**
+ * Run an AI command, handing over each action as soon as it arrives
+ * @param {Object} params
+ * @param {string} params.boardId - Board the command is for
+ * @param {string} params.command - Command text
+ * @param {Object|null} params.canvasContext - Current board summary for the AI
+ * @param {Array<Object>} params.history - Earlier turns of the conversation (see useAIConversation)
+ * @param {Object|null} params.image - Attached image { mediaType, data } (see prepareImage)
+ * @param {Function} params.onAction - (action) => void, called in order
+ * @param {Function} params.onOpen - Called once the endpoint accepted the command
+ * @param {AbortSignal} params.signal - Cancels the request
+ * @returns {Promise<Object>} { count, issues } actions received, and what the endpoint skipped or adjusted
+ * @throws {AICommandError} When the endpoint refused the command or it failed midway
+ */
+export const streamAICommand = async ({ boardId, command, canvasContext, history = [], image = null, onAction, onOpen, signal }) => {
+  const response = await fetch(AI_CONFIG.ENDPOINT, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Accept': 'text/event-stream',
+      ...await getAuthHeaders()
+    },
+    body: JSON.stringify({
+      boardId,
+      command,
+      canvasContext: canvasContext || null,
+      history,
+      image,
+      stream: true
+    }),
+    signal
+  })
+
+  if (!response.ok) {
+    throw await toResponseError(response)
+  }
+  onOpen?.()
+
+  if (!response.headers.get('Content-Type')?.includes('text/event-stream')) {
+    const result = await response.json()
+    const actions = result.actions || []
+    actions.forEach(action => onAction(action))
+    return { count: actions.length, issues: result.issues || [] }
+  }
+
+  let count = 0
+  let finished = false
+  let issues = []
+  let streamError = null
+  await readEventStream(response, ({ event, data }) => {
+    if (event === 'action') {
+      count++
+      onAction(data.action)
+    } else if (event === 'done') {
+      finished = true
+      issues = data.issues || []
+    } else if (event === 'error') {
+      streamError = new AICommandError(data)
+    }
+  })
+
+  if (streamError) throw streamError
+  if (!finished) throw new AICommandError({ error: 'The AI response ended early' })
+  return { count, issues }
+}
+
+/**
+ * Save the changes of an accepted AI command through the AI endpoint, which
+ * writes them with the current user's token in one atomic batch, under the
+ * same row level security as any other edit (api/ai-apply.js)
+ * @param {Object} params
+ * @param {string} params.boardId - Board the changes belong to
+ * @param {string} params.command - Command the changes came from
+ * @param {Array<Object>} params.inserts - New shape rows
+ * @param {Array<Object>} params.updates - [{ id, changes }]
+ * @param {Array<string>} params.deletes - Shape IDs
+ * @returns {Promise<Object>} { inserted, updated, deleted } as stored in the database
+ * @throws {AICommandError} When the endpoint refused the changes; nothing was written
+ */
+export const applyAIChanges = async ({ boardId, command, inserts, updates, deletes }) => {
+  const response = await fetch(AI_CONFIG.APPLY_ENDPOINT, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...await getAuthHeaders()
+    },
+    body: JSON.stringify({ boardId, command, inserts, updates, deletes })
+  })
+
+  if (!response.ok) {
+    throw await toResponseError(response)
+  }
+  return response.json()
+}
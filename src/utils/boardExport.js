@@ -0,0 +1,531 @@
+import Konva from 'konva'
+import { getShapeBounds, getShapesBounds } from './canvasHelpers'
+import { createPdf, dataUrlToBytes, getJpegSize } from './pdfWriter'
+import { LINE_CONFIG, PEN_CONFIG, STICKY_CONFIG, FRAME_CONFIG } from '../lib/constants'
+import {
+  resolveConnectors,
+  getLinePoints,
+  getEndpointAngles,
+  getArrowhead,
+  getDashArray,
+} from './connectorHelpers'
+import { decodePathPoints, getSmoothCurvePoints } from './penHelpers'
+import { isGroupShape, isFrameShape, expandContainers, getRenderTree } from './containerHelpers'
+
+// Board image export (PNG / SVG / PDF)
+//
+// Exports are rendered from the shape records in the ObjectStore rather than
+// from the live stage, so cursors, the Transformer, selection strokes and
+// ownership outlines/transparency never end up in the output.
+// Groups are invisible; frames clip the shapes inside them, like on the canvas.
+
+export const EXPORT_AREAS = {
+  CONTENT: 'content',
+  SELECTION: 'selection',
+  VIEWPORT: 'viewport',
+}
+
+// Space around the content when exporting the whole board or a selection
+const EXPORT_PADDING = 20
+
+// CSS pixels (96 dpi) to PDF points (72 dpi)
+const PX_TO_PT = 0.75
+
+// Text box styling, kept in sync with TextBox and StaticShape
+const TEXT_STYLE = {
+  fontFamily: 'Arial, sans-serif',
+  padding: 5,
+  fill: '#000000',
+  boxFill: '#FFFFFF',
+  boxStroke: '#000000',
+  cornerRadius: 3,
+}
+
+// Sticky note styling, kept in sync with TextBox and StaticShape
+const STICKY_STYLE = {
+  fontFamily: 'Arial, sans-serif',
+  padding: STICKY_CONFIG.PADDING,
+  fill: STICKY_CONFIG.TEXT_COLOR,
+  cornerRadius: 4,
+}
+
+const byZIndex = (a, b) => (a.z_index || 0) - (b.z_index || 0)
+
+/**
+ * Get the part of the board currently visible on a stage, in canvas coordinates
+ * @param {Konva.Stage} stage - The live canvas stage
+ * @returns {Object} { x, y, width, height }
+ */
+export const getViewportRect = (stage) => {
+  const scale = stage.scaleX() || 1
+  return {
+    x: -stage.x() / scale,
+    y: -stage.y() / scale,
+    width: stage.width() / scale,
+    height: stage.height() / scale
+  }
+}
+
+// Frame bounds include the name label drawn above them
+const getExportBounds = (shapes) => getShapesBounds(shapes.map(shape => (
+  isFrameShape(shape)
+    ? { ...shape, y: shape.y - FRAME_CONFIG.LABEL_HEIGHT, height: shape.height + FRAME_CONFIG.LABEL_HEIGHT }
+    : shape
+)))
+
+const intersects = (a, b) => (
+  a.x < b.x + b.width &&
+  a.x + a.width > b.x &&
+  a.y < b.y + b.height &&
+  a.y + a.height > b.y
+)
+
+/**
+ * Work out which shapes to export and the region they are rendered in
+ * @param {Object} params
+ * @param {Array<Object>} shapes - All shape records on the board
+ * @param {string} area - One of EXPORT_AREAS
+ * @param {Array<string>} selectedIds - Selected shape IDs (selection area)
+ * @param {Object} viewport - Visible canvas rect (viewport area)
+ * @returns {Object|null} { shapes, bounds } or null when there is nothing to export
+ */
+export const getExportRegion = ({ shapes: allShapes, area, selectedIds = [], viewport = null }) => {
+  // Connectors are drawn where their bound shapes are now; groups draw nothing
+  const shapes = resolveConnectors(allShapes).filter(shape => !isGroupShape(shape))
+
+  if (area === EXPORT_AREAS.VIEWPORT) {
+    if (!viewport) return null
+    return {
+      shapes: shapes.filter(shape => intersects(getShapeBounds(shape), viewport)).sort(byZIndex),
+      bounds: viewport
+    }
+  }
+
+  // Selected groups and frames bring their contents
+  const exportedIds = area === EXPORT_AREAS.SELECTION ? expandContainers(allShapes, selectedIds) : []
+  const included = area === EXPORT_AREAS.SELECTION
+    ? shapes.filter(shape => exportedIds.includes(shape.id))
+    : shapes
+  const bounds = getExportBounds(included)
+  if (!bounds) return null
+
+  return {
+    shapes: [...included].sort(byZIndex),
+    bounds: {
+      x: bounds.x - EXPORT_PADDING,
+      y: bounds.y - EXPORT_PADDING,
+      width: bounds.width + EXPORT_PADDING * 2,
+      height: bounds.height + EXPORT_PADDING * 2
+    }
+  }
+}
+
+/**
+ * Create a Konva node for a shape record (same drawing as StaticShape)
+ * @param {Object} shape - Shape record
+ * @returns {Konva.Node}
+ */
+const createShapeNode = (shape) => {
+  switch (shape.type) {
+    case 'circle': {
+      const radius = shape.width / 2
+      return new Konva.Circle({
+        x: shape.x + radius,
+        y: shape.y + radius,
+        radius,
+        rotation: shape.rotation || 0,
+        fill: shape.color
+      })
+    }
+
+    case 'text': {
+      const group = new Konva.Group({ x: shape.x, y: shape.y, rotation: shape.rotation || 0 })
+      group.add(new Konva.Rect({
+        width: shape.width,
+        height: shape.height,
+        fill: TEXT_STYLE.boxFill,
+        stroke: TEXT_STYLE.boxStroke,
+        strokeWidth: 1,
+        cornerRadius: TEXT_STYLE.cornerRadius
+      }))
+      group.add(createTextNode(shape))
+      return group
+    }
+
+    case 'sticky': {
+      const group = new Konva.Group({ x: shape.x, y: shape.y, rotation: shape.rotation || 0 })
+      group.add(new Konva.Rect({
+        width: shape.width,
+        height: shape.height,
+        fill: shape.color,
+        cornerRadius: STICKY_STYLE.cornerRadius,
+        shadowColor: 'black',
+        shadowBlur: 5,
+        shadowOpacity: 0.2
+      }))
+      group.add(createTextNode(shape))
+      return group
+    }
+
+    case 'frame': {
+      const group = new Konva.Group()
+      group.add(createFrameLabelNode(shape))
+      group.add(new Konva.Rect({
+        x: shape.x,
+        y: shape.y,
+        width: shape.width,
+        height: shape.height,
+        fill: shape.color || FRAME_CONFIG.DEFAULT_COLOR,
+        stroke: FRAME_CONFIG.BORDER_COLOR,
+        strokeWidth: 1
+      }))
+      return group
+    }
+
+    case 'line':
+    case 'arrow': {
+      const { points, bezier, start, end } = getLinePoints(shape, () => null)
+      const angles = getEndpointAngles(points)
+      const strokeWidth = shape.stroke_width || LINE_CONFIG.DEFAULT_STROKE_WIDTH
+      const group = new Konva.Group()
+      group.add(new Konva.Line({
+        points,
+        bezier,
+        stroke: shape.color,
+        strokeWidth,
+        dash: getDashArray(shape.dash, strokeWidth) || undefined,
+        lineCap: 'round',
+        lineJoin: 'round'
+      }))
+
+      for (const [style, tip, angle] of [[shape.start_arrowhead, start, angles.start], [shape.end_arrowhead, end, angles.end]]) {
+        const head = getArrowhead(style, tip, angle, strokeWidth)
+        if (head) group.add(createArrowheadNode(head, shape.color, strokeWidth))
+      }
+      return group
+    }
+
+    case 'path': {
+      const { points, bezier } = getSmoothCurvePoints(decodePathPoints(shape.path_points))
+      return new Konva.Line({
+        x: shape.x,
+        y: shape.y,
+        rotation: shape.rotation || 0,
+        points,
+        bezier,
+        stroke: shape.color,
+        strokeWidth: shape.stroke_width || PEN_CONFIG.DEFAULT_STROKE_WIDTH,
+        lineCap: 'round',
+        lineJoin: 'round'
+      })
+    }
+
+    case 'rectangle':
+    default:
+      return new Konva.Rect({
+        x: shape.x,
+        y: shape.y,
+        width: shape.width,
+        height: shape.height,
+        rotation: shape.rotation || 0,
+        fill: shape.color
+      })
+  }
+}
+
+const createArrowheadNode = (head, color, strokeWidth) => {
+  if (head.kind === 'circle') {
+    return new Konva.Circle({ x: head.x, y: head.y, radius: head.radius, fill: color })
+  }
+  return new Konva.Line({
+    points: head.points,
+    stroke: color,
+    strokeWidth,
+    fill: head.kind === 'filled' ? color : undefined,
+    closed: head.kind === 'filled',
+    lineCap: 'round',
+    lineJoin: 'round'
+  })
+}
+
+// Text of a text box or sticky note (stickies wrap from the top and cut off with an ellipsis)
+const createTextNode = (shape) => {
+  const isSticky = shape.type === 'sticky'
+  const style = isSticky ? STICKY_STYLE : TEXT_STYLE
+  return new Konva.Text({
+    text: shape.text_content || '',
+    fontSize: shape.font_size || (isSticky ? STICKY_CONFIG.FONT_SIZE : 16),
+    fontFamily: style.fontFamily,
+    fill: style.fill,
+    width: shape.width,
+    height: shape.height,
+    verticalAlign: isSticky ? 'top' : 'middle',
+    padding: style.padding,
+    wrap: 'word',
+    ellipsis: isSticky
+  })
+}
+
+const createFrameLabelNode = (shape) => new Konva.Text({
+  x: shape.x,
+  y: shape.y - FRAME_CONFIG.LABEL_HEIGHT,
+  width: shape.width,
+  height: FRAME_CONFIG.LABEL_HEIGHT,
+  text: shape.text_content || 'Frame',
+  fontSize: FRAME_CONFIG.LABEL_FONT_SIZE,
+  fontFamily: TEXT_STYLE.fontFamily,
+  fill: '#6B7280',
+  verticalAlign: 'middle',
+  wrap: 'none',
+  ellipsis: true
+})
+
+// Add render tree nodes to a Konva container, clipping frame contents
+const addRenderNodes = (container, nodes) => {
+  for (const { shape, children } of nodes) {
+    container.add(createShapeNode(shape))
+    if (children) {
+      const clip = new Konva.Group({ clipX: shape.x, clipY: shape.y, clipWidth: shape.width, clipHeight: shape.height })
+      addRenderNodes(clip, children)
+      container.add(clip)
+    }
+  }
+}
+
+/**
+ * Render shapes into an image with an offscreen stage
+ * @param {Object} region - { shapes, bounds } from getExportRegion
+ * @param {Object} options
+ * @param {number} options.pixelRatio - Output pixels per canvas unit
+ * @param {string|null} options.background - Fill color, or null for transparent
+ * @param {string} options.mimeType - 'image/png' or 'image/jpeg'
+ * @returns {string} Data URL
+ */
+export const renderRegionToDataUrl = ({ shapes, bounds }, { pixelRatio = 2, background = null, mimeType = 'image/png' } = {}) => {
+  const stage = new Konva.Stage({
+    container: document.createElement('div'),
+    width: bounds.width,
+    height: bounds.height
+  })
+
+  try {
+    const layer = new Konva.Layer({ x: -bounds.x, y: -bounds.y, listening: false })
+    stage.add(layer)
+
+    if (background) {
+      layer.add(new Konva.Rect({ ...bounds, fill: background }))
+    }
+    addRenderNodes(layer, getRenderTree(shapes))
+    layer.draw()
+
+    return stage.toDataURL({
+      x: 0,
+      y: 0,
+      width: bounds.width,
+      height: bounds.height,
+      pixelRatio,
+      mimeType,
+      quality: 0.92
+    })
+  } finally {
+    stage.destroy()
+  }
+}
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;')
+
+const num = (value) => Number((value || 0).toFixed(2))
+
+/**
+ * Serialize one shape record as SVG markup
+ * Text is wrapped with Konva's own line breaking so it matches the canvas.
+ */
+const shapeToSvg = (shape) => {
+  const rotation = num(shape.rotation)
+
+  switch (shape.type) {
+    case 'circle': {
+      const radius = shape.width / 2
+      return `<circle cx="${num(shape.x + radius)}" cy="${num(shape.y + radius)}" r="${num(radius)}" fill="${escapeXml(shape.color)}"/>`
+    }
+
+    case 'text':
+    case 'sticky': {
+      const isSticky = shape.type === 'sticky'
+      const style = isSticky ? STICKY_STYLE : TEXT_STYLE
+      const textNode = createTextNode(shape)
+      const fontSize = textNode.fontSize()
+      const lineHeight = textNode.fontSize() * textNode.lineHeight()
+      const lines = textNode.textArr || []
+      const offsetY = isSticky
+        ? style.padding
+        : style.padding + (shape.height - style.padding * 2 - lines.length * lineHeight) / 2
+      textNode.destroy()
+
+      const tspans = lines.map((line, index) => (
+        `<tspan x="${style.padding}" y="${num(offsetY + lineHeight * (index + 0.5))}">${escapeXml(line.text)}</tspan>`
+      )).join('')
+
+      const box = isSticky
+        ? `<rect width="${num(shape.width)}" height="${num(shape.height)}" rx="${style.cornerRadius}" fill="${escapeXml(shape.color)}"/>`
+        : `<rect width="${num(shape.width)}" height="${num(shape.height)}" rx="${style.cornerRadius}" fill="${TEXT_STYLE.boxFill}" stroke="${TEXT_STYLE.boxStroke}" stroke-width="1"/>`
+
+      return [
+        `<g transform="translate(${num(shape.x)} ${num(shape.y)})${rotation ? ` rotate(${rotation})` : ''}">`,
+        box,
+        `<text font-family="${style.fontFamily}" font-size="${fontSize}" fill="${style.fill}" dominant-baseline="middle">${tspans}</text>`,
+        '</g>'
+      ].join('')
+    }
+
+    case 'frame': {
+      const labelY = shape.y - FRAME_CONFIG.LABEL_HEIGHT / 2
+      return [
+        `<text x="${num(shape.x)}" y="${num(labelY)}" font-family="${TEXT_STYLE.fontFamily}" font-size="${FRAME_CONFIG.LABEL_FONT_SIZE}" fill="#6B7280" dominant-baseline="middle">`,
+        `${escapeXml(shape.text_content || 'Frame')}</text>`,
+        `<rect x="${num(shape.x)}" y="${num(shape.y)}" width="${num(shape.width)}" height="${num(shape.height)}"`,
+        ` fill="${escapeXml(shape.color || FRAME_CONFIG.DEFAULT_COLOR)}" stroke="${FRAME_CONFIG.BORDER_COLOR}" stroke-width="1"/>`
+      ].join('')
+    }
+
+    case 'line':
+    case 'arrow':
+      return lineToSvg(shape)
+
+    case 'path': {
+      const { points, bezier } = getSmoothCurvePoints(decodePathPoints(shape.path_points))
+      const pairs = pointsToSvg(points)
+      if (pairs.length === 0) return ''
+      const transform = `translate(${num(shape.x)} ${num(shape.y)})${rotation ? ` rotate(${rotation})` : ''}`
+      const d = bezier
+        ? `M ${pairs[0]} C ${pairs.slice(1).join(' ')}`
+        : `M ${pairs[0]} L ${pairs.slice(1).join(' ')}`
+      return `<path transform="${transform}" d="${d}" fill="none" stroke="${escapeXml(shape.color)}"` +
+        ` stroke-width="${num(shape.stroke_width || PEN_CONFIG.DEFAULT_STROKE_WIDTH)}" stroke-linecap="round" stroke-linejoin="round"/>`
+    }
+
+    case 'rectangle':
+    default:
+      return `<rect x="${num(shape.x)}" y="${num(shape.y)}" width="${num(shape.width)}" height="${num(shape.height)}"` +
+        `${rotation ? ` transform="rotate(${rotation} ${num(shape.x)} ${num(shape.y)})"` : ''} fill="${escapeXml(shape.color)}"/>`
+  }
+}
+
+const pointsToSvg = (points) => {
+  const pairs = []
+  for (let i = 0; i < points.length; i += 2) {
+    pairs.push(`${num(points[i])},${num(points[i + 1])}`)
+  }
+  return pairs
+}
+
+const arrowheadToSvg = (head, color, strokeWidth) => {
+  if (head.kind === 'circle') {
+    return `<circle cx="${num(head.x)}" cy="${num(head.y)}" r="${num(head.radius)}" fill="${color}"/>`
+  }
+  const tag = head.kind === 'filled' ? 'polygon' : 'polyline'
+  const fill = head.kind === 'filled' ? color : 'none'
+  return `<${tag} points="${pointsToSvg(head.points).join(' ')}" fill="${fill}" stroke="${color}" stroke-width="${strokeWidth}" stroke-linecap="round" stroke-linejoin="round"/>`
+}
+
+/**
+ * Serialize a line or arrow (already resolved by resolveConnectors)
+ * Curved lines are a single cubic Bézier, like Konva's bezier mode.
+ */
+const lineToSvg = (shape) => {
+  const { points, bezier, start, end } = getLinePoints(shape, () => null)
+  const angles = getEndpointAngles(points)
+  const color = escapeXml(shape.color)
+  const strokeWidth = num(shape.stroke_width || LINE_CONFIG.DEFAULT_STROKE_WIDTH)
+  const dash = getDashArray(shape.dash, strokeWidth)
+  const stroke = `fill="none" stroke="${color}" stroke-width="${strokeWidth}"` +
+    `${dash ? ` stroke-dasharray="${dash.join(' ')}"` : ''} stroke-linecap="round" stroke-linejoin="round"`
+
+  const pairs = pointsToSvg(points)
+  const body = [bezier
+    ? `<path d="M ${pairs[0]} C ${pairs.slice(1).join(' ')}" ${stroke}/>`
+    : `<polyline points="${pairs.join(' ')}" ${stroke}/>`]
+
+  for (const [style, tip, angle] of [[shape.start_arrowhead, start, angles.start], [shape.end_arrowhead, end, angles.end]]) {
+    const head = getArrowhead(style, tip, angle, strokeWidth)
+    if (head) body.push(arrowheadToSvg(head, color, strokeWidth))
+  }
+
+  return `<g>${body.join('')}</g>`
+}
+
+// Serialize render tree nodes, clipping frame contents with a <clipPath>
+const renderNodesToSvg = (nodes) => nodes.flatMap(({ shape, children }) => {
+  if (!children) return [shapeToSvg(shape)]
+  const clipId = escapeXml(`frame-${shape.id}`)
+  return [
+    shapeToSvg(shape),
+    `<clipPath id="${clipId}"><rect x="${num(shape.x)}" y="${num(shape.y)}" width="${num(shape.width)}" height="${num(shape.height)}"/></clipPath>`,
+    `<g clip-path="url(#${clipId})">`,
+    ...renderNodesToSvg(children),
+    '</g>'
+  ]
+})
+
+/**
+ * Serialize a region as a standalone SVG document
+ * Shapes are emitted in z-order so later elements paint on top.
+ * @param {Object} region - { shapes, bounds } from getExportRegion
+ * @param {Object} options
+ * @param {string|null} options.background - Fill color, or null for transparent
+ * @returns {string} SVG markup
+ */
+export const regionToSvg = ({ shapes, bounds }, { background = null } = {}) => {
+  const { x, y, width, height } = bounds
+  const body = renderNodesToSvg(getRenderTree(shapes))
+
+  if (background) {
+    body.unshift(`<rect x="${num(x)}" y="${num(y)}" width="${num(width)}" height="${num(height)}" fill="${escapeXml(background)}"/>`)
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${num(width)}" height="${num(height)}" viewBox="${num(x)} ${num(y)} ${num(width)} ${num(height)}">`,
+    ...body,
+    '</svg>'
+  ].join('\n')
+}
+
+/**
+ * Render one or more regions into a PDF, one region per page
+ * Pages are rasterized (JPEG) at the given pixel ratio and sized so that one
+ * canvas unit prints like one CSS pixel.
+ * @param {Array<Object>} regions - { shapes, bounds } per page
+ * @param {Object} options
+ * @param {number} options.pixelRatio - Output pixels per canvas unit
+ * @param {string} options.background - Page color (PDF images have no transparency)
+ * @returns {Blob} PDF file
+ */
+export const regionsToPdf = (regions, { pixelRatio = 2, background = '#FFFFFF' } = {}) => {
+  const pages = regions.map(region => {
+    const dataUrl = renderRegionToDataUrl(region, {
+      pixelRatio,
+      background: background || '#FFFFFF',
+      mimeType: 'image/jpeg'
+    })
+
+    const bytes = dataUrlToBytes(dataUrl)
+    const size = getJpegSize(bytes) || {
+      width: Math.floor(region.bounds.width * pixelRatio),
+      height: Math.floor(region.bounds.height * pixelRatio)
+    }
+
+    return {
+      width: region.bounds.width * PX_TO_PT,
+      height: region.bounds.height * PX_TO_PT,
+      image: { bytes, ...size }
+    }
+  })
+
+  return new Blob([createPdf(pages)], { type: 'application/pdf' })
+}
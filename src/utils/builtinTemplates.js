@@ -0,0 +1,248 @@
+import { FRAME_CONFIG, STICKY_CONFIG } from '../lib/constants.js'
+
+// Built-in templates and their parameters
+//
+// Kept apart from templates.js with a single import (and explicit file
+// extensions) so the AI endpoint can load it in Node and count the shapes a
+// template adds before the browser places it (see api/_lib/actionValidation.js).
+
+const TEXT_COLOR = '#1F2937'
+const INPUT_COLOR = '#F3F4F6'
+const PANEL_COLOR = '#F9FAFB'
+
+// Longest list parameter a template accepts
+const MAX_LIST_ITEMS = 8
+
+const box = (id, x, y, width, height, color, parent = null) => ({
+  id, type: 'rectangle', x, y, width, height, color, parent
+})
+
+const label = (id, x, y, width, height, content, fontSize = 16, parent = null) => ({
+  id, type: 'text', x, y, width, height, color: TEXT_COLOR, parent, text: { content, font_size: fontSize }
+})
+
+const note = (id, x, y, width, height, content, color, parent = null) => ({
+  id, type: 'sticky', x, y, width, height, color, parent, text: { content, font_size: STICKY_CONFIG.FONT_SIZE }
+})
+
+const frame = (id, x, y, width, height, name) => ({
+  id, type: 'frame', x, y, width, height, color: FRAME_CONFIG.DEFAULT_COLOR, parent: null, text: { content: name, font_size: FRAME_CONFIG.LABEL_FONT_SIZE }
+})
+
+// Arrow from the bottom (or right) of one shape to the top (or left) of the next
+const connector = (id, from, to, horizontal) => ({
+  id,
+  type: 'arrow',
+  x: horizontal ? from.x + from.width : from.x + from.width / 2,
+  y: horizontal ? from.y + from.height / 2 : from.y + from.height,
+  width: 0,
+  height: 0,
+  color: TEXT_COLOR,
+  parent: null,
+  line: {
+    end_x: horizontal ? to.x : to.x + to.width / 2,
+    end_y: horizontal ? to.y + to.height / 2 : to.y,
+    routing: 'straight',
+    dash: 'solid',
+    start_arrowhead: 'none',
+    end_arrowhead: 'triangle',
+    start: { shape_id: from.id, anchor: horizontal ? 'right' : 'bottom' },
+    end: { shape_id: to.id, anchor: horizontal ? 'left' : 'top' }
+  }
+})
+
+/**
+ * Built-in templates
+ * params describe what build() accepts: { type: 'string' | 'number' | 'list', default, description }
+ */
+export const BUILTIN_TEMPLATES = [
+  {
+    name: 'login_form',
+    label: 'Login form',
+    description: 'Title, labeled input fields and a submit button',
+    params: {
+      title: { type: 'string', default: 'Sign in', description: 'Heading above the fields' },
+      fields: { type: 'list', default: ['Username', 'Password'], description: 'Field labels, top to bottom' },
+      buttonLabel: { type: 'string', default: 'Log in', description: 'Text on the button' },
+      color: { type: 'string', default: '#3B82F6', description: 'Button color (hex)' }
+    },
+    build: ({ title, fields, buttonLabel, color }) => {
+      const shapes = [label('title', 0, 0, 320, 36, title, 24)]
+      let y = 52
+      fields.forEach((field, index) => {
+        shapes.push(
+          label(`field-${index}-label`, 0, y, 320, 24, `${field}:`, 14),
+          box(`field-${index}-input`, 0, y + 28, 320, 40, INPUT_COLOR)
+        )
+        y += 84
+      })
+      shapes.push(
+        box('button', 0, y + 8, 320, 48, color),
+        label('button-label', 100, y + 20, 120, 24, buttonLabel, 16)
+      )
+      return shapes
+    }
+  },
+  {
+    name: 'nav_bar',
+    label: 'Navigation bar',
+    description: 'Full-width bar with a brand name on the left and menu items on the right',
+    params: {
+      brand: { type: 'string', default: 'Brand', description: 'Name on the left' },
+      items: { type: 'list', default: ['Home', 'Products', 'About', 'Contact'], description: 'Menu items, left to right' },
+      width: { type: 'number', default: 960, min: 480, max: 2400, description: 'Bar width in pixels' },
+      color: { type: 'string', default: '#1F2937', description: 'Bar color (hex)' }
+    },
+    build: ({ brand, items, width, color }) => {
+      const itemWidth = 110
+      const gap = 12
+      const itemsStart = width - 24 - items.length * itemWidth - (items.length - 1) * gap
+      return [
+        box('background', 0, 0, width, 64, color),
+        label('brand', 24, 16, 160, 32, brand, 20),
+        ...items.map((item, index) => label(`item-${index}`, itemsStart + index * (itemWidth + gap), 18, itemWidth, 28, item, 16))
+      ]
+    }
+  },
+  {
+    name: 'card',
+    label: 'Card',
+    description: 'Image placeholder, title, short text and a button',
+    params: {
+      title: { type: 'string', default: 'Card title', description: 'Card heading' },
+      body: { type: 'string', default: 'A short description of what this card is about.', description: 'Text under the heading' },
+      buttonLabel: { type: 'string', default: 'Learn more', description: 'Text on the button' },
+      color: { type: 'string', default: '#3B82F6', description: 'Button color (hex)' }
+    },
+    build: ({ title, body, buttonLabel, color }) => [
+      box('background', 0, 0, 300, 360, PANEL_COLOR),
+      box('image', 0, 0, 300, 160, '#E5E7EB'),
+      label('title', 16, 176, 268, 32, title, 20),
+      label('body', 16, 216, 268, 64, body, 14),
+      box('button', 16, 300, 140, 44, color),
+      label('button-label', 24, 310, 124, 24, buttonLabel, 14)
+    ]
+  },
+  {
+    name: 'pricing_table',
+    label: 'Pricing table',
+    description: 'Side-by-side plan columns with a price, features and a button each',
+    params: {
+      plans: { type: 'list', default: ['Basic', 'Pro', 'Enterprise'], description: 'Plan names, left to right' },
+      prices: { type: 'list', default: ['$9/mo', '$29/mo', 'Contact us'], description: 'Price of each plan' },
+      features: { type: 'list', default: ['Unlimited boards', 'Real-time collaboration', 'Export to PDF'], description: 'Feature lines shown in every column' },
+      highlight: { type: 'string', default: 'Pro', description: 'Plan to highlight' },
+      color: { type: 'string', default: '#3B82F6', description: 'Button color (hex)' }
+    },
+    build: ({ plans, prices, features, highlight, color }) => {
+      const columnHeight = 200 + features.length * 32
+      return plans.flatMap((plan, index) => {
+        const x = index * 264
+        const isHighlighted = plan.toLowerCase() === highlight.toLowerCase()
+        return [
+          box(`plan-${index}-background`, x, 0, 240, columnHeight, isHighlighted ? '#DBEAFE' : PANEL_COLOR),
+          label(`plan-${index}-name`, x + 20, 24, 200, 32, plan, 20),
+          label(`plan-${index}-price`, x + 20, 68, 200, 40, prices[index] ?? '', 24),
+          ...features.map((feature, row) => label(`plan-${index}-feature-${row}`, x + 20, 128 + row * 32, 200, 24, feature, 14)),
+          box(`plan-${index}-button`, x + 20, columnHeight - 64, 200, 44, color),
+          label(`plan-${index}-button-label`, x + 60, columnHeight - 54, 120, 24, 'Choose', 14)
+        ]
+      })
+    }
+  },
+  {
+    name: 'kanban_column',
+    label: 'Kanban column',
+    description: 'A named frame holding a column of sticky-note cards',
+    params: {
+      title: { type: 'string', default: 'To do', description: 'Column name' },
+      cards: { type: 'list', default: ['First task', 'Second task', 'Third task'], description: 'Card texts, top to bottom' },
+      color: { type: 'string', default: STICKY_CONFIG.DEFAULT_COLOR, description: 'Card color (hex)' }
+    },
+    build: ({ title, cards, color }) => {
+      const cardHeight = 120
+      const height = Math.max(200, 20 + cards.length * (cardHeight + 16) + 4)
+      return [
+        frame('column', 0, 0, 280, height, title),
+        ...cards.map((card, index) => note(`card-${index}`, 20, 20 + index * (cardHeight + 16), 240, cardHeight, card, color, 'column'))
+      ]
+    }
+  },
+  {
+    name: 'flowchart',
+    label: 'Flowchart',
+    description: 'Boxed steps joined by arrows that stay attached when the steps move',
+    params: {
+      steps: { type: 'list', default: ['Start', 'Process', 'Decision', 'End'], description: 'Step labels, in order' },
+      direction: { type: 'string', default: 'vertical', options: ['vertical', 'horizontal'], description: 'Which way the flow runs' }
+    },
+    build: ({ steps, direction }) => {
+      const horizontal = direction === 'horizontal'
+      const nodes = steps.map((step, index) => label(
+        `step-${index}`,
+        horizontal ? index * 240 : 0,
+        horizontal ? 0 : index * 140,
+        160,
+        60,
+        step,
+        16
+      ))
+      const arrows = nodes.slice(1).map((node, index) => connector(`arrow-${index}`, nodes[index], node, horizontal))
+      return [...nodes, ...arrows]
+    }
+  }
+]
+
+// Keep a parameter value if it has the declared type, otherwise use the default
+const resolveParam = (spec, value) => {
+  switch (spec.type) {
+    case 'number': {
+      const number = Number(value)
+      if (value == null || value === '' || !Number.isFinite(number)) return spec.default
+      return Math.min(spec.max ?? Infinity, Math.max(spec.min ?? -Infinity, number))
+    }
+    case 'list': {
+      const items = Array.isArray(value) ? value : (typeof value === 'string' ? value.split(',') : null)
+      const cleaned = items?.map(item => String(item).trim()).filter(Boolean).slice(0, MAX_LIST_ITEMS)
+      return cleaned?.length > 0 ? cleaned : spec.default
+    }
+    default: {
+      if (typeof value !== 'string' && typeof value !== 'number') return spec.default
+      const text = String(value).trim()
+      if (!text || (spec.options && !spec.options.includes(text))) return spec.default
+      return text
+    }
+  }
+}
+
+/**
+ * Fill in a template's parameters (unknown keys are ignored, bad values fall back to defaults)
+ * @param {Object} template - Built-in or custom template
+ * @param {Object} params - Values given by the user or the AI
+ * @returns {Object} Value for every declared parameter
+ */
+export const resolveTemplateParams = (template, params = {}) => Object.fromEntries(
+  Object.entries(template.params || {}).map(([key, spec]) => [key, resolveParam(spec, params?.[key])])
+)
+
+/**
+ * Get a template's shapes (canvas document format, relative to its top-left corner)
+ * @param {Object} template - Built-in or custom template
+ * @param {Object} params - Parameter values (see resolveTemplateParams)
+ * @returns {Array<Object>} Document shapes
+ */
+export const getTemplateShapes = (template, params = {}) => (
+  template.build ? template.build(resolveTemplateParams(template, params)) : template.shapes || []
+)
+
+/**
+ * Count the shapes placing a template adds, including the group instantiateTemplate wraps them in
+ * @param {Object} template - Built-in or custom template
+ * @param {Object} params - Parameter values
+ * @returns {number}
+ */
+export const countTemplateShapes = (template, params = {}) => {
+  const shapes = getTemplateShapes(template, params)
+  const groupable = shapes.filter(shape => !shape.parent && !['line', 'arrow', 'frame'].includes(shape.type))
+  return shapes.length + (groupable.length > 1 ? 1 : 0)
+}
@@ -0,0 +1,424 @@
+import { generateId } from './canvasHelpers'
+import { LINE_CONFIG, PEN_CONFIG } from '../lib/constants'
+import { resolveConnectors } from './connectorHelpers'
+import { encodePathPoints, decodePathPoints } from './penHelpers'
+
+// Canvas document format (JSON import/export)
+//
+// {
+//   format: 'collab-canvas',
+//   version: 5,
+//   exportedAt: ISO timestamp,
+//   board: { name },
+//   shapes: [{ id, type, x, y, width, height, rotation, color, z_index,
+//              parent: group/frame id | null,
+//              text: { content, font_size } | null,
+//              line: { end_x, end_y, routing, stroke_width, dash,
+//                      start_arrowhead, end_arrowhead,
+//                      start: { shape_id, anchor } | null,
+//                      end: { shape_id, anchor } | null } | null,
+//              path: { points: [x1, y1, x2, y2, ...], stroke_width } | null }]
+// }
+//
+// Bump CANVAS_DOCUMENT_VERSION and add a migration below whenever the shape
+// of the document changes, so older exports keep importing.
+export const CANVAS_DOCUMENT_FORMAT = 'collab-canvas'
+export const CANVAS_DOCUMENT_VERSION = 5
+
+export const SHAPE_TYPES = ['rectangle', 'circle', 'text', ...LINE_CONFIG.TYPES, 'path', 'sticky', 'frame', 'group']
+
+// Guard rails for imported files
+const MAX_SHAPES = 5000
+const MAX_COORDINATE = 1000000
+const MAX_TEXT_LENGTH = 10000
+const MAX_BOARD_NAME_LENGTH = 100
+
+/**
+ * Migrations from each older version to the next one
+ * Version 1 was the original export: board name at the top level and shapes
+ * stored as flat database rows (text_content/font_size on the shape).
+ * Version 3 added lines and arrows (the `line` object); older documents
+ * simply have none. Version 4 added freehand paths (the `path` object).
+ * Version 5 added sticky notes, frames and groups (the `parent` reference).
+ */
+const MIGRATIONS = {
+  1: (doc) => ({
+    format: CANVAS_DOCUMENT_FORMAT,
+    version: 2,
+    exportedAt: doc.exportedAt || null,
+    board: { name: doc.name || doc.board?.name || null },
+    shapes: (doc.shapes || []).map(shape => {
+      const { text_content, font_size, ...rest } = shape || {}
+      return {
+        ...rest,
+        text: text_content != null || font_size != null
+          ? { content: text_content ?? '', font_size: font_size ?? 16 }
+          : null
+      }
+    })
+  }),
+  2: (doc) => ({
+    ...doc,
+    version: 3,
+    shapes: (doc.shapes || []).map(shape => ({ ...shape, line: shape?.line ?? null }))
+  }),
+  3: (doc) => ({
+    ...doc,
+    version: 4,
+    shapes: (doc.shapes || []).map(shape => ({ ...shape, path: shape?.path ?? null }))
+  }),
+  4: (doc) => ({
+    ...doc,
+    version: 5,
+    shapes: (doc.shapes || []).map(shape => ({ ...shape, parent: shape?.parent ?? null }))
+  }),
+}
+
+const isLineType = (type) => LINE_CONFIG.TYPES.includes(type)
+
+const toBinding = (shapeId, anchor) => (shapeId ? { shape_id: shapeId, anchor: anchor || 'center' } : null)
+
+/**
+ * Build an export document from a board and its shapes
+ * @param {Object} params
+ * @param {Object} board - Board record ({ name })
+ * @param {Array<Object>} shapes - Shape records from the ObjectStore
+ * @returns {Object} Canvas document
+ */
+export const createCanvasDocument = ({ board, shapes }) => ({
+  format: CANVAS_DOCUMENT_FORMAT,
+  version: CANVAS_DOCUMENT_VERSION,
+  exportedAt: new Date().toISOString(),
+  board: { name: board?.name || null },
+  // Bound line ends are written where they currently are (the fallback if a binding is dropped)
+  shapes: resolveConnectors(shapes)
+    .sort((a, b) => (a.z_index || 0) - (b.z_index || 0))
+    .map(shape => ({
+      id: shape.id,
+      type: shape.type,
+      x: shape.x,
+      y: shape.y,
+      width: shape.width,
+      height: shape.height,
+      rotation: shape.rotation || 0,
+      color: shape.color,
+      z_index: shape.z_index || 0,
+      parent: shape.parent_id || null,
+      text: shape.type === 'text' || shape.type === 'sticky' || shape.text_content != null
+        ? { content: shape.text_content ?? '', font_size: shape.font_size ?? 16 }
+        : null,
+      line: isLineType(shape.type)
+        ? {
+            end_x: shape.end_x ?? shape.x,
+            end_y: shape.end_y ?? shape.y,
+            routing: shape.routing || 'straight',
+            stroke_width: shape.stroke_width || LINE_CONFIG.DEFAULT_STROKE_WIDTH,
+            dash: shape.dash || 'solid',
+            start_arrowhead: shape.start_arrowhead || 'none',
+            end_arrowhead: shape.end_arrowhead || 'none',
+            start: toBinding(shape.start_shape_id, shape.start_anchor),
+            end: toBinding(shape.end_shape_id, shape.end_anchor)
+          }
+        : null,
+      path: shape.type === 'path'
+        ? {
+            points: decodePathPoints(shape.path_points),
+            stroke_width: shape.stroke_width || PEN_CONFIG.DEFAULT_STROKE_WIDTH
+          }
+        : null
+    }))
+})
+
+/**
+ * Upgrade a raw document to the current version
+ * A bare array of shape rows is treated as a version 1 document.
+ * @param {Object|Array} raw - Parsed JSON
+ * @returns {Object} Document at CANVAS_DOCUMENT_VERSION
+ */
+export const migrateCanvasDocument = (raw) => {
+  let doc = Array.isArray(raw) ? { version: 1, shapes: raw } : raw
+
+  if (!doc || typeof doc !== 'object') {
+    throw new Error('File does not contain a canvas document')
+  }
+
+  if (doc.format && doc.format !== CANVAS_DOCUMENT_FORMAT) {
+    throw new Error(`Unsupported document format "${doc.format}"`)
+  }
+
+  let version = doc.version ?? 1
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`Invalid document version "${doc.version}"`)
+  }
+  if (version > CANVAS_DOCUMENT_VERSION) {
+    throw new Error(`Document version ${version} is newer than this app supports (${CANVAS_DOCUMENT_VERSION})`)
+  }
+
+  while (version < CANVAS_DOCUMENT_VERSION) {
+    doc = MIGRATIONS[version](doc)
+    version = doc.version
+  }
+
+  return doc
+}
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value)
+
+const validateLine = (line, at) => {
+  if (!line || typeof line !== 'object') return [`${at} must be an object`]
+
+  const errors = []
+  for (const field of ['end_x', 'end_y']) {
+    if (!isFiniteNumber(line[field]) || Math.abs(line[field]) > MAX_COORDINATE) {
+      errors.push(`${at}.${field} must be a number`)
+    }
+  }
+  if (line.stroke_width != null && (!isFiniteNumber(line.stroke_width) || line.stroke_width <= 0 || line.stroke_width > 50)) {
+    errors.push(`${at}.stroke_width must be a number between 0 and 50`)
+  }
+
+  const options = {
+    routing: LINE_CONFIG.ROUTINGS,
+    dash: LINE_CONFIG.DASHES,
+    start_arrowhead: LINE_CONFIG.ARROWHEADS,
+    end_arrowhead: LINE_CONFIG.ARROWHEADS,
+  }
+  for (const [field, allowed] of Object.entries(options)) {
+    if (line[field] != null && !allowed.includes(line[field])) {
+      errors.push(`${at}.${field} must be one of ${allowed.join(', ')}`)
+    }
+  }
+
+  for (const end of ['start', 'end']) {
+    const binding = line[end]
+    if (binding == null) continue
+    if (typeof binding !== 'object' || typeof binding.shape_id !== 'string') {
+      errors.push(`${at}.${end}.shape_id must be a string`)
+    } else if (binding.anchor != null && !LINE_CONFIG.ANCHORS.includes(binding.anchor)) {
+      errors.push(`${at}.${end}.anchor must be one of ${LINE_CONFIG.ANCHORS.join(', ')}`)
+    }
+  }
+
+  return errors
+}
+
+const validatePath = (path, at) => {
+  if (!path || typeof path !== 'object') return [`${at} must be an object`]
+
+  const errors = []
+  const { points } = path
+  if (!Array.isArray(points) || points.length === 0 || points.length % 2 !== 0 || points.length > PEN_CONFIG.MAX_POINTS * 2) {
+    errors.push(`${at}.points must be a list of x, y pairs (at most ${PEN_CONFIG.MAX_POINTS} points)`)
+  } else if (points.some(value => !isFiniteNumber(value) || Math.abs(value) > MAX_COORDINATE)) {
+    errors.push(`${at}.points must only contain numbers`)
+  }
+  if (path.stroke_width != null && (!isFiniteNumber(path.stroke_width) || path.stroke_width <= 0 || path.stroke_width > 50)) {
+    errors.push(`${at}.stroke_width must be a number between 0 and 50`)
+  }
+
+  return errors
+}
+
+/**
+ * Check a (migrated) document against the current schema
+ * @param {Object} doc - Canvas document
+ * @returns {Array<string>} Problems found (empty when valid)
+ */
+export const validateCanvasDocument = (doc) => {
+  const errors = []
+
+  if (doc?.format !== CANVAS_DOCUMENT_FORMAT) errors.push('format must be "collab-canvas"')
+  if (doc?.version !== CANVAS_DOCUMENT_VERSION) errors.push(`version must be ${CANVAS_DOCUMENT_VERSION}`)
+
+  const name = doc?.board?.name
+  if (name != null && (typeof name !== 'string' || name.length > MAX_BOARD_NAME_LENGTH)) {
+    errors.push(`board.name must be a string of at most ${MAX_BOARD_NAME_LENGTH} characters`)
+  }
+
+  if (!Array.isArray(doc?.shapes)) {
+    errors.push('shapes must be an array')
+    return errors
+  }
+  if (doc.shapes.length > MAX_SHAPES) {
+    errors.push(`too many shapes (${doc.shapes.length}, max ${MAX_SHAPES})`)
+    return errors
+  }
+
+  const seenIds = new Set()
+  doc.shapes.forEach((shape, index) => {
+    const at = `shapes[${index}]`
+
+    if (!shape || typeof shape !== 'object') {
+      errors.push(`${at} must be an object`)
+      return
+    }
+
+    if (shape.id != null) {
+      if (typeof shape.id !== 'string') errors.push(`${at}.id must be a string`)
+      else if (seenIds.has(shape.id)) errors.push(`${at}.id "${shape.id}" is duplicated`)
+      else seenIds.add(shape.id)
+    }
+
+    if (!SHAPE_TYPES.includes(shape.type)) {
+      errors.push(`${at}.type must be one of ${SHAPE_TYPES.join(', ')}`)
+    }
+
+    for (const field of ['x', 'y']) {
+      if (!isFiniteNumber(shape[field]) || Math.abs(shape[field]) > MAX_COORDINATE) {
+        errors.push(`${at}.${field} must be a number`)
+      }
+    }
+    // Lines are defined by their end points, paths by their points and groups
+    // by their members, so they may have no size
+    const isLine = isLineType(shape.type)
+    const isPath = shape.type === 'path'
+    const mayBeEmpty = isLine || isPath || shape.type === 'group'
+    for (const field of ['width', 'height']) {
+      if (!isFiniteNumber(shape[field]) || shape[field] < 0 || (!mayBeEmpty && shape[field] === 0) || shape[field] > MAX_COORDINATE) {
+        errors.push(`${at}.${field} must be a positive number`)
+      }
+    }
+
+    if (shape.rotation != null && !isFiniteNumber(shape.rotation)) errors.push(`${at}.rotation must be a number`)
+    if (shape.z_index != null && !Number.isInteger(shape.z_index)) errors.push(`${at}.z_index must be an integer`)
+    if (shape.color != null && typeof shape.color !== 'string') errors.push(`${at}.color must be a string`)
+    if (shape.parent != null && typeof shape.parent !== 'string') errors.push(`${at}.parent must be a string`)
+
+    if (shape.text != null) {
+      if (typeof shape.text !== 'object') {
+        errors.push(`${at}.text must be an object`)
+      } else {
+        if (typeof shape.text.content !== 'string' || shape.text.content.length > MAX_TEXT_LENGTH) {
+          errors.push(`${at}.text.content must be a string of at most ${MAX_TEXT_LENGTH} characters`)
+        }
+        if (shape.text.font_size != null && (!isFiniteNumber(shape.text.font_size) || shape.text.font_size <= 0)) {
+          errors.push(`${at}.text.font_size must be a positive number`)
+        }
+      }
+    }
+
+    if (isLine) {
+      errors.push(...validateLine(shape.line, `${at}.line`))
+    }
+    if (isPath) {
+      errors.push(...validatePath(shape.path, `${at}.path`))
+    }
+  })
+
+  return errors
+}
+
+/**
+ * Parse, migrate and validate an exported file
+ * @param {string} text - File contents
+ * @returns {Object} Valid document at the current version
+ * @throws {Error} With a readable list of problems
+ */
+export const parseCanvasDocument = (text) => {
+  let raw
+  try {
+    raw = JSON.parse(text)
+  } catch {
+    throw new Error('File is not valid JSON')
+  }
+
+  const doc = migrateCanvasDocument(raw)
+  const errors = validateCanvasDocument(doc)
+  if (errors.length > 0) {
+    const shown = errors.slice(0, 5).join('; ')
+    const more = errors.length > 5 ? ` (and ${errors.length - 5} more)` : ''
+    throw new Error(`Invalid canvas document: ${shown}${more}`)
+  }
+
+  return doc
+}
+
+const toLineFields = (line, offset) => ({
+  end_x: line.end_x + offset.x,
+  end_y: line.end_y + offset.y,
+  routing: line.routing || 'straight',
+  stroke_width: line.stroke_width || LINE_CONFIG.DEFAULT_STROKE_WIDTH,
+  dash: line.dash || 'solid',
+  start_arrowhead: line.start_arrowhead || 'none',
+  end_arrowhead: line.end_arrowhead || 'none',
+  // Still the document's IDs here; documentToShapeRows rewrites them
+  start_shape_id: line.start?.shape_id || null,
+  start_anchor: line.start ? line.start.anchor || 'center' : null,
+  end_shape_id: line.end?.shape_id || null,
+  end_anchor: line.end ? line.end.anchor || 'center' : null,
+})
+
+// Path points are relative to the shape's x/y, so the offset doesn't apply
+const toPathFields = (path) => ({
+  path_points: encodePathPoints(path.points),
+  stroke_width: path.stroke_width || PEN_CONFIG.DEFAULT_STROKE_WIDTH,
+})
+
+/**
+ * Turn a document into shape rows for a board
+ * Every shape gets a fresh ID (idMap keeps old -> new so connector bindings
+ * and parents are rewritten; references to shapes missing from the document
+ * are dropped)
+ * and stacking order is kept above zIndexBase.
+ * @param {Object} doc - Valid canvas document
+ * @param {Object} options
+ * @param {string} options.boardId - Target board
+ * @param {string} options.userId - Importing user (created_by)
+ * @param {number} options.zIndexBase - Lowest z_index to use (default 0)
+ * @param {Object} options.offset - { x, y } added to every position
+ * @param {Function} options.createId - ID generator (default generateId)
+ * @returns {{ rows: Array<Object>, idMap: Map<string, string> }}
+ */
+export const documentToShapeRows = (doc, {
+  boardId,
+  userId,
+  zIndexBase = 0,
+  offset = { x: 0, y: 0 },
+  createId = generateId,
+} = {}) => {
+  const idMap = new Map()
+  const now = new Date().toISOString()
+
+  const rows = [...doc.shapes]
+    .map((shape, index) => ({ shape, index }))
+    .sort((a, b) => (a.shape.z_index || 0) - (b.shape.z_index || 0) || a.index - b.index)
+    .map(({ shape }, order) => {
+      const id = createId()
+      if (shape.id) idMap.set(shape.id, id)
+
+      return {
+        id,
+        type: shape.type,
+        x: shape.x + offset.x,
+        y: shape.y + offset.y,
+        width: shape.width,
+        height: shape.height,
+        rotation: shape.rotation || 0,
+        color: shape.color || '#3B82F6',
+        z_index: zIndexBase + order,
+        // Still the document's ID here; rewritten below
+        parent_id: shape.parent || null,
+        text_content: shape.text ? shape.text.content : null,
+        font_size: Math.round(shape.text?.font_size ?? 16),
+        ...(shape.line ? toLineFields(shape.line, offset) : {}),
+        ...(shape.path ? toPathFields(shape.path) : {}),
+        board_id: boardId,
+        created_by: userId,
+        created_at: now,
+        updated_at: now,
+      }
+    })
+
+  // Second pass: every ID is known now, so bindings and parents can be rewritten
+  for (const row of rows) {
+    row.parent_id = idMap.get(row.parent_id) || null
+    if (!isLineType(row.type)) continue
+    for (const end of ['start', 'end']) {
+      const targetId = idMap.get(row[`${end}_shape_id`]) || null
+      row[`${end}_shape_id`] = targetId
+      if (!targetId) row[`${end}_anchor`] = null
+    }
+  }
+
+  return { rows, idMap }
+}
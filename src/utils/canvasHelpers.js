@@ -1,4 +1,7 @@
 import { v4 as uuidv4 } from 'uuid'
+import { LINE_CONFIG, PEN_CONFIG, STICKY_CONFIG, FRAME_CONFIG } from '../lib/constants'
+import { isLineShape, getLineBounds, pickLineFields } from './connectorHelpers'
+import { getPathGeometry, pickPathFields } from './penHelpers'
 
 /**
  * Generate a unique ID for canvas objects
@@ -55,6 +58,114 @@ export const createTextBox = (x, y, color = '#3B82F6', text = 'Double-click to e
   updated_at: new Date().toISOString(),
 })
 
+/**
+ * Create a new line or arrow from (x1, y1) to (x2, y2)
+ * Arrows are lines with an arrowhead at the end by default.
+ */
+export const createLine = (x1, y1, x2, y2, color = '#1F2937', type = 'line') => ({
+  id: generateId(),
+  type,
+  x: x1,
+  y: y1,
+  end_x: x2,
+  end_y: y2,
+  width: 0,
+  height: 0,
+  rotation: 0,
+  color,
+  routing: 'straight',
+  stroke_width: LINE_CONFIG.DEFAULT_STROKE_WIDTH,
+  dash: 'solid',
+  start_arrowhead: 'none',
+  end_arrowhead: type === 'arrow' ? 'triangle' : 'none',
+  start_shape_id: null,
+  start_anchor: null,
+  end_shape_id: null,
+  end_anchor: null,
+  created_at: new Date().toISOString(),
+  updated_at: new Date().toISOString(),
+})
+
+/**
+ * Create a new freehand path from a captured (simplified) stroke
+ * @param {Array<number>} points - Flat point list in canvas coordinates
+ */
+export const createPath = (points, color = '#1F2937', strokeWidth = PEN_CONFIG.DEFAULT_STROKE_WIDTH) => ({
+  id: generateId(),
+  type: 'path',
+  ...getPathGeometry(points),
+  rotation: 0,
+  color,
+  stroke_width: strokeWidth,
+  created_at: new Date().toISOString(),
+  updated_at: new Date().toISOString(),
+})
+
+/**
+ * Create a new sticky note centered on (x, y)
+ */
+export const createStickyNote = (x, y, color = STICKY_CONFIG.DEFAULT_COLOR, text = '') => ({
+  id: generateId(),
+  type: 'sticky',
+  x: x - STICKY_CONFIG.SIZE / 2,
+  y: y - STICKY_CONFIG.SIZE / 2,
+  width: STICKY_CONFIG.SIZE,
+  height: STICKY_CONFIG.SIZE,
+  rotation: 0,
+  color,
+  text_content: text,
+  font_size: STICKY_CONFIG.FONT_SIZE,
+  created_at: new Date().toISOString(),
+  updated_at: new Date().toISOString(),
+})
+
+/**
+ * Create a new frame centered on (x, y)
+ * The frame's name is kept in text_content.
+ */
+export const createFrame = (x, y, name = 'Frame', width = FRAME_CONFIG.DEFAULT_WIDTH, height = FRAME_CONFIG.DEFAULT_HEIGHT) => ({
+  id: generateId(),
+  type: 'frame',
+  x: x - width / 2,
+  y: y - height / 2,
+  width,
+  height,
+  rotation: 0,
+  color: FRAME_CONFIG.DEFAULT_COLOR,
+  text_content: name,
+  parent_id: null,
+  created_at: new Date().toISOString(),
+  updated_at: new Date().toISOString(),
+})
+
+/**
+ * Create a group covering the given box (members point at it with parent_id)
+ * @param {Object} bounds - { x, y, width, height } around the members
+ */
+export const createGroup = (bounds) => ({
+  id: generateId(),
+  type: 'group',
+  x: bounds.x,
+  y: bounds.y,
+  width: bounds.width,
+  height: bounds.height,
+  rotation: 0,
+  color: '#000000',
+  created_at: new Date().toISOString(),
+  updated_at: new Date().toISOString(),
+})
+
+/**
+ * Pick the columns only some shape types carry (lines, paths)
+ * Used wherever shape rows are built field by field.
+ * @param {Object} shape - Shape record
+ * @returns {Object} Type-specific fields
+ */
+export const pickShapeTypeFields = (shape) => ({
+  ...pickLineFields(shape),
+  ...pickPathFields(shape),
+})
+
 /**
  * Update rectangle position
  */
@@ -133,3 +244,62 @@ export const canvasToStage = (canvasPos, stageScale, stagePosition) => {
   }
 }
 
+
+/**
+ * Get the axis-aligned bounding box of a single shape, including rotation
+ * Rectangles and text boxes rotate around their top-left corner (Konva's
+ * default origin); circles look the same at any rotation. Lines use their
+ * route, following bound ends when getShape is given.
+ * @param {Object} shape - Shape record
+ * @param {Function} getShape - (id) => shape record, for connector bindings
+ * @returns {Object} { x, y, width, height }
+ */
+export const getShapeBounds = (shape, getShape = () => null) => {
+  if (isLineShape(shape)) return getLineBounds(shape, getShape)
+
+  const width = shape.width || 0
+  const height = shape.height || 0
+  const rotation = shape.type === 'circle' ? 0 : (shape.rotation || 0)
+
+  if (rotation % 360 === 0) {
+    return { x: shape.x, y: shape.y, width, height }
+  }
+
+  const radians = (rotation * Math.PI) / 180
+  const cos = Math.cos(radians)
+  const sin = Math.sin(radians)
+  const corners = [[0, 0], [width, 0], [width, height], [0, height]].map(([cx, cy]) => ({
+    x: shape.x + cx * cos - cy * sin,
+    y: shape.y + cx * sin + cy * cos
+  }))
+
+  const xs = corners.map(corner => corner.x)
+  const ys = corners.map(corner => corner.y)
+  const minX = Math.min(...xs)
+  const minY = Math.min(...ys)
+  return { x: minX, y: minY, width: Math.max(...xs) - minX, height: Math.max(...ys) - minY }
+}
+
+/**
+ * Get the axis-aligned bounding box around a set of shapes
+ * @returns {Object|null} { x, y, width, height } or null for an empty list
+ */
+export const getShapesBounds = (shapes) => {
+  if (!shapes || shapes.length === 0) return null
+
+  let minX = Infinity
+  let minY = Infinity
+  let maxX = -Infinity
+  let maxY = -Infinity
+  const byId = new Map(shapes.map(shape => [shape.id, shape]))
+
+  shapes.forEach(shape => {
+    const bounds = getShapeBounds(shape, (id) => byId.get(id) || null)
+    minX = Math.min(minX, bounds.x)
+    minY = Math.min(minY, bounds.y)
+    maxX = Math.max(maxX, bounds.x + bounds.width)
+    maxY = Math.max(maxY, bounds.y + bounds.height)
+  })
+
+  return { x: minX, y: minY, width: maxX - minX, height: maxY - minY }
+}
@@ -0,0 +1,408 @@
+import { LINE_CONFIG } from '../lib/constants'
+
+// Lines, arrows and connectors
+//
+// A line runs from (x, y) to (end_x, end_y). Either end can be bound to an
+// anchor on another shape (start_shape_id/start_anchor, end_shape_id/end_anchor);
+// bound ends are resolved from the target shape on every render, so connectors
+// follow their shapes whether those move locally or arrive from realtime.
+// The stored coordinates are the fallback when the target shape is gone.
+
+// Fields that only lines carry (also in SYNCED_SHAPE_FIELDS)
+export const LINE_FIELDS = [
+  'end_x',
+  'end_y',
+  'routing',
+  'stroke_width',
+  'dash',
+  'start_arrowhead',
+  'end_arrowhead',
+  'start_shape_id',
+  'start_anchor',
+  'end_shape_id',
+  'end_anchor',
+]
+
+const ANCHOR_DIRECTIONS = {
+  top: { x: 0, y: -1 },
+  right: { x: 1, y: 0 },
+  bottom: { x: 0, y: 1 },
+  left: { x: -1, y: 0 },
+}
+
+/**
+ * Check whether a shape is a line or arrow
+ * @param {Object} shape - Shape record
+ * @returns {boolean}
+ */
+export const isLineShape = (shape) => LINE_CONFIG.TYPES.includes(shape?.type)
+
+/**
+ * Check whether connectors can attach to a shape
+ * @param {Object} shape - Shape record
+ * @returns {boolean}
+ */
+export const isBindableShape = (shape) => Boolean(shape) && !isLineShape(shape)
+
+/**
+ * Pick the line columns of a shape (empty for other shape types)
+ * Used wherever shape rows are built field by field.
+ * @param {Object} shape - Shape record
+ * @returns {Object} Line fields
+ */
+export const pickLineFields = (shape) => {
+  if (!isLineShape(shape)) return {}
+  return LINE_FIELDS.reduce((fields, field) => {
+    fields[field] = shape[field] ?? null
+    return fields
+  }, {})
+}
+
+/**
+ * Get an anchor point on a shape, in canvas coordinates
+ * Rectangles and text boxes rotate around their top-left corner; circles are
+ * the same at any rotation.
+ * @param {Object} shape - Shape record
+ * @param {string} anchor - One of LINE_CONFIG.ANCHORS
+ * @returns {Object} { x, y }
+ */
+export const getAnchorPoint = (shape, anchor) => {
+  const width = shape.width || 0
+  const height = shape.height || 0
+  const local = {
+    top: { x: width / 2, y: 0 },
+    right: { x: width, y: height / 2 },
+    bottom: { x: width / 2, y: height },
+    left: { x: 0, y: height / 2 },
+  }[anchor] || { x: width / 2, y: height / 2 }
+
+  const rotation = shape.type === 'circle' ? 0 : (shape.rotation || 0)
+  if (rotation % 360 === 0) {
+    return { x: shape.x + local.x, y: shape.y + local.y }
+  }
+
+  const radians = (rotation * Math.PI) / 180
+  const cos = Math.cos(radians)
+  const sin = Math.sin(radians)
+  return {
+    x: shape.x + local.x * cos - local.y * sin,
+    y: shape.y + local.x * sin + local.y * cos
+  }
+}
+
+/**
+ * Find the closest anchor to a point
+ * @param {Array<Object>} shapes - Candidate shapes
+ * @param {Object} point - { x, y } in canvas coordinates
+ * @param {number} maxDistance - Ignore anchors further away than this
+ * @param {Array<string>} excludeIds - Shapes that can't be bound (e.g. the line itself)
+ * @returns {Object|null} { shapeId, anchor, x, y } or null
+ */
+export const findNearestAnchor = (shapes, point, maxDistance, excludeIds = []) => {
+  let nearest = null
+  let nearestDistance = maxDistance
+
+  shapes.forEach(shape => {
+    if (!isBindableShape(shape) || excludeIds.includes(shape.id)) return
+
+    LINE_CONFIG.ANCHORS.forEach(anchor => {
+      const anchorPoint = getAnchorPoint(shape, anchor)
+      const distance = Math.hypot(anchorPoint.x - point.x, anchorPoint.y - point.y)
+      if (distance <= nearestDistance) {
+        nearestDistance = distance
+        nearest = { shapeId: shape.id, anchor, ...anchorPoint }
+      }
+    })
+  })
+
+  return nearest
+}
+
+/**
+ * Pick the anchors two shapes face each other with, for connecting them
+ * Uses the dominant axis between their centers.
+ * @param {Object} from - Shape the connector starts at
+ * @param {Object} to - Shape the connector ends at
+ * @returns {Object} { start, end } anchor names
+ */
+export const getFacingAnchors = (from, to) => {
+  const fromCenter = getAnchorPoint(from, 'center')
+  const toCenter = getAnchorPoint(to, 'center')
+  const dx = toCenter.x - fromCenter.x
+  const dy = toCenter.y - fromCenter.y
+
+  if (Math.abs(dx) >= Math.abs(dy)) {
+    return dx >= 0 ? { start: 'right', end: 'left' } : { start: 'left', end: 'right' }
+  }
+  return dy >= 0 ? { start: 'bottom', end: 'top' } : { start: 'top', end: 'bottom' }
+}
+
+/**
+ * Resolve where a line's ends are, following bound shapes
+ * @param {Object} line - Line record
+ * @param {Function} getShape - (id) => shape record or null
+ * @returns {Object} { start: { x, y, anchor }, end: { x, y, anchor } }
+ */
+export const resolveLineEndpoints = (line, getShape) => {
+  const resolve = (shapeId, anchor, fallback) => {
+    const target = shapeId ? getShape(shapeId) : null
+    // Unbound (or target gone): stored position, keeping the anchor as a routing hint
+    if (!isBindableShape(target)) return { ...fallback, anchor: anchor || null }
+    return { ...getAnchorPoint(target, anchor), anchor: anchor || 'center' }
+  }
+
+  return {
+    start: resolve(line.start_shape_id, line.start_anchor, { x: line.x, y: line.y }),
+    end: resolve(line.end_shape_id, line.end_anchor, { x: line.end_x ?? line.x, y: line.end_y ?? line.y })
+  }
+}
+
+// Direction a line leaves an endpoint in: away from the anchor's side, or
+// along the dominant axis towards the other end for free/center endpoints
+const getExitDirection = (point, other) => {
+  if (ANCHOR_DIRECTIONS[point.anchor]) return ANCHOR_DIRECTIONS[point.anchor]
+  const dx = other.x - point.x
+  const dy = other.y - point.y
+  return Math.abs(dx) >= Math.abs(dy)
+    ? { x: Math.sign(dx) || 1, y: 0 }
+    : { x: 0, y: Math.sign(dy) || 1 }
+}
+
+/**
+ * Compute the polyline (or bezier) points for a line
+ * - straight: start -> end
+ * - elbow: orthogonal segments leaving each end along its anchor side
+ * - curved: one cubic bezier whose handles follow the anchor sides
+ * @param {Object} line - Line record
+ * @param {Function} getShape - (id) => shape record or null
+ * @returns {Object} { points: [x1, y1, ...], bezier: boolean, start, end }
+ */
+export const getLinePoints = (line, getShape) => {
+  const { start, end } = resolveLineEndpoints(line, getShape)
+  const startDirection = getExitDirection(start, end)
+  const endDirection = getExitDirection(end, start)
+
+  switch (line.routing) {
+    case 'elbow': {
+      const startHorizontal = startDirection.x !== 0
+      const endHorizontal = endDirection.x !== 0
+      let points
+
+      if (startHorizontal && endHorizontal) {
+        const midX = (start.x + end.x) / 2
+        points = [start.x, start.y, midX, start.y, midX, end.y, end.x, end.y]
+      } else if (!startHorizontal && !endHorizontal) {
+        const midY = (start.y + end.y) / 2
+        points = [start.x, start.y, start.x, midY, end.x, midY, end.x, end.y]
+      } else if (startHorizontal) {
+        points = [start.x, start.y, end.x, start.y, end.x, end.y]
+      } else {
+        points = [start.x, start.y, start.x, end.y, end.x, end.y]
+      }
+
+      return { points, bezier: false, start, end }
+    }
+
+    case 'curved': {
+      const handle = Math.max(40, Math.hypot(end.x - start.x, end.y - start.y) / 3)
+      return {
+        points: [
+          start.x, start.y,
+          start.x + startDirection.x * handle, start.y + startDirection.y * handle,
+          end.x + endDirection.x * handle, end.y + endDirection.y * handle,
+          end.x, end.y
+        ],
+        bezier: true,
+        start,
+        end
+      }
+    }
+
+    case 'straight':
+    default:
+      return { points: [start.x, start.y, end.x, end.y], bezier: false, start, end }
+  }
+}
+
+/**
+ * Angles (radians) the line arrives at each end, pointing outwards
+ * @param {Array<number>} points - Flat point list from getLinePoints
+ * @returns {Object} { start, end }
+ */
+export const getEndpointAngles = (points) => {
+  const n = points.length
+
+  // Use the nearest point that differs from the end, so zero-length elbow
+  // segments don't flatten the arrowhead
+  const angleFrom = (tipIndex, step) => {
+    const tipX = points[tipIndex]
+    const tipY = points[tipIndex + 1]
+    for (let index = tipIndex + step; index >= 0 && index < n; index += step) {
+      if (points[index] !== tipX || points[index + 1] !== tipY) {
+        return Math.atan2(tipY - points[index + 1], tipX - points[index])
+      }
+    }
+    return 0
+  }
+
+  return {
+    start: angleFrom(0, 2),
+    end: angleFrom(n - 2, -2)
+  }
+}
+
+/**
+ * Geometry for an arrowhead drawn at a line end
+ * @param {string} style - One of LINE_CONFIG.ARROWHEADS
+ * @param {Object} tip - { x, y } line end
+ * @param {number} angle - Direction the head points (radians)
+ * @param {number} strokeWidth - Line stroke width
+ * @returns {Object|null} { kind: 'open'|'filled', points } or { kind: 'circle', x, y, radius }
+ */
+export const getArrowhead = (style, tip, angle, strokeWidth) => {
+  const size = 8 + strokeWidth * 2
+
+  switch (style) {
+    case 'arrow':
+    case 'triangle': {
+      const spread = Math.PI / 7
+      const left = { x: tip.x - size * Math.cos(angle - spread), y: tip.y - size * Math.sin(angle - spread) }
+      const right = { x: tip.x - size * Math.cos(angle + spread), y: tip.y - size * Math.sin(angle + spread) }
+      return {
+        kind: style === 'arrow' ? 'open' : 'filled',
+        points: [left.x, left.y, tip.x, tip.y, right.x, right.y]
+      }
+    }
+
+    case 'circle':
+      return { kind: 'circle', x: tip.x, y: tip.y, radius: size / 3 }
+
+    default:
+      return null
+  }
+}
+
+/**
+ * Dash pattern for a dash style
+ * @param {string} dash - One of LINE_CONFIG.DASHES
+ * @param {number} strokeWidth - Line stroke width
+ * @returns {Array<number>|null} Konva/SVG dash array, null for solid
+ */
+export const getDashArray = (dash, strokeWidth) => {
+  switch (dash) {
+    case 'dashed':
+      return [strokeWidth * 4, strokeWidth * 3]
+    case 'dotted':
+      return [strokeWidth, strokeWidth * 2]
+    default:
+      return null
+  }
+}
+
+/**
+ * Bounding box of a line's route (bezier handles included, so curves fit)
+ * @param {Object} line - Line record
+ * @param {Function} getShape - (id) => shape record or null
+ * @returns {Object} { x, y, width, height }
+ */
+export const getLineBounds = (line, getShape) => {
+  const { points } = getLinePoints(line, getShape)
+  const xs = points.filter((_, index) => index % 2 === 0)
+  const ys = points.filter((_, index) => index % 2 === 1)
+  const minX = Math.min(...xs)
+  const minY = Math.min(...ys)
+  return { x: minX, y: minY, width: Math.max(...xs) - minX, height: Math.max(...ys) - minY }
+}
+
+/**
+ * Changes that move a shape by (dx, dy)
+ * Lines move both ends; an end bound to a shape that isn't moving with it is
+ * detached at its current position, so the line moves as a whole.
+ * @param {Object} shape - Shape record
+ * @param {number} dx - Horizontal offset
+ * @param {number} dy - Vertical offset
+ * @param {Object} options
+ * @param {Array<string>} options.movingIds - Shapes moving together with this one
+ * @param {Function} options.getShape - (id) => shape record or null
+ * @returns {Object} Field changes
+ */
+export const getTranslateChanges = (shape, dx, dy, { movingIds = [], getShape = () => null } = {}) => {
+  if (!isLineShape(shape)) {
+    return { x: shape.x + dx, y: shape.y + dy }
+  }
+
+  const { start, end } = resolveLineEndpoints(shape, getShape)
+  const changes = {
+    x: start.x + dx,
+    y: start.y + dy,
+    end_x: end.x + dx,
+    end_y: end.y + dy
+  }
+
+  if (shape.start_shape_id && !movingIds.includes(shape.start_shape_id)) {
+    changes.start_shape_id = null
+    changes.start_anchor = null
+  }
+  if (shape.end_shape_id && !movingIds.includes(shape.end_shape_id)) {
+    changes.end_shape_id = null
+    changes.end_anchor = null
+  }
+
+  return changes
+}
+
+/**
+ * Changes that detach connectors from shapes that are about to be deleted,
+ * freezing the affected ends where they currently are
+ * @param {Array<Object>} shapes - All shapes on the board
+ * @param {Array<string>} deletedIds - Shapes being deleted
+ * @returns {Array<Object>} [{ id, before, after }] for lines that stay on the board
+ */
+export const getDetachChanges = (shapes, deletedIds) => {
+  const byId = new Map(shapes.map(shape => [shape.id, shape]))
+  const getShape = (id) => byId.get(id) || null
+
+  return shapes
+    .filter(shape => isLineShape(shape) && !deletedIds.includes(shape.id))
+    .map(line => {
+      const { start, end } = resolveLineEndpoints(line, getShape)
+      const after = {}
+      if (deletedIds.includes(line.start_shape_id)) {
+        Object.assign(after, { x: start.x, y: start.y, start_shape_id: null, start_anchor: null })
+      }
+      if (deletedIds.includes(line.end_shape_id)) {
+        Object.assign(after, { end_x: end.x, end_y: end.y, end_shape_id: null, end_anchor: null })
+      }
+      if (Object.keys(after).length === 0) return null
+
+      const before = Object.keys(after).reduce((fields, field) => {
+        fields[field] = line[field] ?? null
+        return fields
+      }, {})
+      return { id: line.id, before, after }
+    })
+    .filter(Boolean)
+}
+
+/**
+ * Replace bound line ends with their resolved coordinates
+ * For renderers that only see plain records (exports, history previews).
+ * @param {Array<Object>} shapes - Shape records
+ * @returns {Array<Object>} Shapes with lines' x/y/end_x/end_y resolved
+ */
+export const resolveConnectors = (shapes) => {
+  const byId = new Map(shapes.map(shape => [shape.id, shape]))
+  const getShape = (id) => byId.get(id) || null
+
+  return shapes.map(shape => {
+    if (!isLineShape(shape)) return shape
+    const { start, end } = resolveLineEndpoints(shape, getShape)
+    return {
+      ...shape,
+      x: start.x,
+      y: start.y,
+      end_x: end.x,
+      end_y: end.y
+    }
+  })
+}
@@ -0,0 +1,246 @@
+import { getShapeBounds, getShapesBounds } from './canvasHelpers'
+import { isLineShape } from './connectorHelpers'
+
+// Groups and frames
+//
+// Containment is stored on the child: parent_id points at the group or frame
+// a shape belongs to. Children keep absolute canvas coordinates, so every
+// renderer, exporter and sync path that ignores parent_id still draws them in
+// the right place; containers only change how shapes are selected, moved,
+// clipped and deleted together.
+// - A group is invisible. Selecting any member selects the outermost group,
+//   and the Transformer then moves/resizes/rotates all members at once.
+// - A frame is a named, visible area that clips its descendants. Its children
+//   are selected on their own; moving or deleting the frame takes them along.
+// A parent_id that doesn't point at an existing container (e.g. mid-undo or
+// before a remote change arrives) is treated as "no parent".
+
+/**
+ * Check whether a shape is a group
+ * @param {Object} shape - Shape record
+ * @returns {boolean}
+ */
+export const isGroupShape = (shape) => shape?.type === 'group'
+
+/**
+ * Check whether a shape is a frame
+ * @param {Object} shape - Shape record
+ * @returns {boolean}
+ */
+export const isFrameShape = (shape) => shape?.type === 'frame'
+
+/**
+ * Check whether a shape is a sticky note
+ * @param {Object} shape - Shape record
+ * @returns {boolean}
+ */
+export const isStickyShape = (shape) => shape?.type === 'sticky'
+
+/**
+ * Check whether a shape can contain other shapes
+ * @param {Object} shape - Shape record
+ * @returns {boolean}
+ */
+export const isContainerShape = (shape) => isGroupShape(shape) || isFrameShape(shape)
+
+/**
+ * Get the container a shape belongs to
+ * @param {Object} shape - Shape record
+ * @param {Function} getShape - (id) => shape record
+ * @returns {Object|null} Parent group/frame, or null for top-level shapes
+ */
+export const getParent = (shape, getShape) => {
+  if (!shape?.parent_id || shape.parent_id === shape.id) return null
+  const parent = getShape(shape.parent_id)
+  return isContainerShape(parent) ? parent : null
+}
+
+// Walk up the parent chain (guards against cycles from concurrent edits)
+const getAncestors = (shape, getShape) => {
+  const ancestors = []
+  const seen = new Set([shape?.id])
+  let parent = getParent(shape, getShape)
+  while (parent && !seen.has(parent.id)) {
+    ancestors.push(parent)
+    seen.add(parent.id)
+    parent = getParent(parent, getShape)
+  }
+  return ancestors
+}
+
+/**
+ * Get the shape that is selected when a shape is clicked: the outermost group
+ * around it (stopping at frames), or the shape itself
+ * @param {string} shapeId - Clicked shape ID
+ * @param {Function} getShape - (id) => shape record
+ * @returns {string} Shape ID to select
+ */
+export const getSelectionTargetId = (shapeId, getShape) => {
+  let targetId = shapeId
+  for (const ancestor of getAncestors(getShape(shapeId), getShape)) {
+    if (!isGroupShape(ancestor)) break
+    targetId = ancestor.id
+  }
+  return targetId
+}
+
+/**
+ * Get the frame a shape is (directly or through groups) inside of
+ * @param {Object} shape - Shape record
+ * @param {Function} getShape - (id) => shape record
+ * @returns {Object|null} Nearest frame, or null
+ */
+export const getFrameOf = (shape, getShape) => (
+  getAncestors(shape, getShape).find(isFrameShape) || null
+)
+
+const getChildrenMap = (shapes) => {
+  const byId = new Map(shapes.map(shape => [shape.id, shape]))
+  const children = new Map()
+  for (const shape of shapes) {
+    const parent = getParent(shape, (id) => byId.get(id) || null)
+    if (!parent) continue
+    if (!children.has(parent.id)) children.set(parent.id, [])
+    children.get(parent.id).push(shape)
+  }
+  return children
+}
+
+/**
+ * Get every shape inside the given containers (children, grandchildren, ...)
+ * @param {Array<Object>} shapes - All shape records
+ * @param {Array<string>} ids - Container IDs (other IDs are ignored)
+ * @returns {Array<string>} Descendant IDs, not including the given IDs
+ */
+export const getDescendantIds = (shapes, ids) => {
+  const children = getChildrenMap(shapes)
+  const result = []
+  const seen = new Set(ids)
+  const queue = [...ids]
+  while (queue.length > 0) {
+    for (const child of children.get(queue.shift()) || []) {
+      if (seen.has(child.id)) continue
+      seen.add(child.id)
+      result.push(child.id)
+      queue.push(child.id)
+    }
+  }
+  return result
+}
+
+/**
+ * Add the members of any selected groups (what the Transformer and ownership act on)
+ * @param {Array<Object>} shapes - All shape records
+ * @param {Array<string>} ids - Selected IDs
+ * @returns {Array<string>} IDs plus group members
+ */
+export const expandGroups = (shapes, ids) => {
+  const groupIds = ids.filter(id => isGroupShape(shapes.find(shape => shape.id === id)))
+  if (groupIds.length === 0) return ids
+  return [...new Set([...ids, ...getDescendantIds(shapes, groupIds)])]
+}
+
+/**
+ * Add everything inside selected groups and frames (what moves, duplicates
+ * and deletes along with them)
+ * @param {Array<Object>} shapes - All shape records
+ * @param {Array<string>} ids - Selected IDs
+ * @returns {Array<string>} IDs plus all descendants
+ */
+export const expandContainers = (shapes, ids) => [...new Set([...ids, ...getDescendantIds(shapes, ids)])]
+
+/**
+ * Get the box around everything inside a container
+ * @param {Array<Object>} shapes - All shape records
+ * @param {string} id - Group or frame ID
+ * @returns {Object|null} { x, y, width, height }, null when empty
+ */
+export const getContentBounds = (shapes, id) => {
+  const ids = new Set(getDescendantIds(shapes, [id]))
+  return getShapesBounds(shapes.filter(shape => ids.has(shape.id) && !isGroupShape(shape)))
+}
+
+/**
+ * Find the frame a box should belong to: the topmost frame containing its center
+ * Frames don't nest, so frames themselves never have a containing frame.
+ * @param {Array<Object>} shapes - All shape records (sorted by z_index)
+ * @param {Object} bounds - { x, y, width, height }
+ * @param {Array<string>} excludeIds - Shapes that can't be the frame (the moving ones)
+ * @returns {Object|null} Frame record
+ */
+export const findContainingFrame = (shapes, bounds, excludeIds = []) => {
+  const centerX = bounds.x + bounds.width / 2
+  const centerY = bounds.y + bounds.height / 2
+  let found = null
+  for (const shape of shapes) {
+    if (!isFrameShape(shape) || excludeIds.includes(shape.id)) continue
+    const frame = getShapeBounds(shape)
+    if (centerX >= frame.x && centerX <= frame.x + frame.width &&
+        centerY >= frame.y && centerY <= frame.y + frame.height) {
+      found = shape
+    }
+  }
+  return found
+}
+
+/**
+ * Get the top-level shapes a new frame takes in: everything not yet in a
+ * container whose center lies inside the frame (lines and frames stay out)
+ * @param {Array<Object>} shapes - All shape records (sorted by z_index)
+ * @param {Object} frame - Frame record
+ * @returns {Array<string>} Shape IDs to move into the frame
+ */
+export const getShapesInFrame = (shapes, frame) => {
+  const byId = new Map(shapes.map(shape => [shape.id, shape]))
+  const getShape = (id) => byId.get(id) || null
+  return shapes
+    .filter(shape => (
+      shape.id !== frame.id &&
+      !isFrameShape(shape) &&
+      !isLineShape(shape) &&
+      !getParent(shape, getShape)
+    ))
+    .filter(shape => {
+      const bounds = isGroupShape(shape) ? getContentBounds(shapes, shape.id) : getShapeBounds(shape)
+      return bounds && findContainingFrame([frame], bounds)
+    })
+    .map(shape => shape.id)
+}
+
+/**
+ * Arrange shapes for drawing: frames own a list of the shapes they clip,
+ * everything else is drawn at the top level. Groups aren't drawn at all.
+ * Order within each level follows the input order (z_index).
+ * When only part of the board is drawn (e.g. one canvas layer), pass
+ * getShape so shapes whose frame isn't in the list are still clipped: they
+ * go into a `clipOnly` node for that frame, which draws just the clip.
+ * @param {Array<Object>} shapes - Shape records to draw (sorted by z_index)
+ * @param {Function} getShape - Optional (id) => shape record for frames not in the list
+ * @returns {Array<Object>} Nodes `{ shape, children, clipOnly }` (children only for frames)
+ */
+export const getRenderTree = (shapes, getShape = null) => {
+  const byId = new Map(shapes.map(shape => [shape.id, shape]))
+  const lookup = (id) => byId.get(id) || (getShape ? getShape(id) : null)
+  const frameNodes = new Map()
+  const nodes = shapes
+    .filter(shape => !isGroupShape(shape))
+    .map(shape => {
+      const node = { shape, children: isFrameShape(shape) ? [] : null }
+      if (node.children) frameNodes.set(shape.id, node)
+      return node
+    })
+
+  const roots = []
+  for (const node of nodes) {
+    const frame = isFrameShape(node.shape) ? null : getFrameOf(node.shape, lookup)
+    let parentNode = frame && frameNodes.get(frame.id)
+    if (frame && !parentNode && getShape) {
+      parentNode = { shape: frame, children: [], clipOnly: true }
+      frameNodes.set(frame.id, parentNode)
+      roots.push(parentNode)
+    }
+    if (parentNode) parentNode.children.push(node)
+    else roots.push(node)
+  }
+  return roots
+}
@@ -0,0 +1,190 @@
+import { generateId, getShapeBounds, pickShapeTypeFields } from './canvasHelpers'
+import { isLineShape, getTranslateChanges } from './connectorHelpers'
+import { isGroupShape, expandContainers, getContentBounds } from './containerHelpers'
+
+// Multi-shape edits (align, distribute, layer order, duplicate)
+//
+// Pure helpers that work out the field changes; callers stage them in a
+// ShapeTransaction. Every target is handled as a unit: a group or frame moves
+// with everything inside it, and its box is the box around its contents.
+
+export const ALIGNMENTS = ['left', 'center', 'right', 'top', 'middle', 'bottom']
+export const DISTRIBUTIONS = ['horizontal', 'vertical']
+
+/**
+ * Get the box a target takes up on the board
+ * @param {Array<Object>} shapes - All shape records
+ * @param {Object} shape - Target shape
+ * @param {Function} getShape - (id) => shape record
+ * @returns {Object|null} { x, y, width, height }
+ */
+export const getUnitBounds = (shapes, shape, getShape) => (
+  isGroupShape(shape) ? getContentBounds(shapes, shape.id) : getShapeBounds(shape, getShape)
+)
+
+// Targets that exist, each with its box (empty groups are left out)
+const getUnits = (shapes, ids, getShape) => ids
+  .map(id => getShape(id))
+  .filter(Boolean)
+  .map(shape => ({ shape, bounds: getUnitBounds(shapes, shape, getShape) }))
+  .filter(unit => unit.bounds)
+
+/**
+ * Changes that move targets (and everything inside them) by an offset each
+ * @param {Array<Object>} shapes - All shape records
+ * @param {Map<string, Object>} offsets - Target ID -> { dx, dy }
+ * @param {Function} getShape - (id) => shape record
+ * @returns {Array<Object>} [{ id, changes }]
+ */
+export const getOffsetChanges = (shapes, offsets, getShape) => {
+  const movingIds = expandContainers(shapes, [...offsets.keys()])
+  const result = []
+  offsets.forEach(({ dx, dy }, id) => {
+    if (dx === 0 && dy === 0) return
+    expandContainers(shapes, [id]).forEach(memberId => {
+      const member = getShape(memberId)
+      if (!member) return
+      const changes = getTranslateChanges(member, dx, dy, { movingIds, getShape })
+      result.push({ id: memberId, changes })
+    })
+  })
+  return result
+}
+
+/**
+ * Line targets up along one edge or center line of their combined box
+ * @param {Array<Object>} shapes - All shape records
+ * @param {Array<string>} ids - Target IDs
+ * @param {string} alignment - One of ALIGNMENTS
+ * @param {Function} getShape - (id) => shape record
+ * @returns {Array<Object>} [{ id, changes }]
+ */
+export const getAlignChanges = (shapes, ids, alignment, getShape) => {
+  const units = getUnits(shapes, ids, getShape)
+  if (units.length < 2) return []
+
+  const left = Math.min(...units.map(({ bounds }) => bounds.x))
+  const right = Math.max(...units.map(({ bounds }) => bounds.x + bounds.width))
+  const top = Math.min(...units.map(({ bounds }) => bounds.y))
+  const bottom = Math.max(...units.map(({ bounds }) => bounds.y + bounds.height))
+
+  const offsets = new Map(units.map(({ shape, bounds }) => {
+    const offset = { dx: 0, dy: 0 }
+    switch (alignment) {
+      case 'left': offset.dx = left - bounds.x; break
+      case 'center': offset.dx = (left + right) / 2 - (bounds.x + bounds.width / 2); break
+      case 'right': offset.dx = right - (bounds.x + bounds.width); break
+      case 'top': offset.dy = top - bounds.y; break
+      case 'middle': offset.dy = (top + bottom) / 2 - (bounds.y + bounds.height / 2); break
+      case 'bottom': offset.dy = bottom - (bounds.y + bounds.height); break
+      default: break
+    }
+    return [shape.id, offset]
+  }))
+  return getOffsetChanges(shapes, offsets, getShape)
+}
+
+/**
+ * Space targets evenly between the first and the last one (equal gaps)
+ * @param {Array<Object>} shapes - All shape records
+ * @param {Array<string>} ids - Target IDs
+ * @param {string} direction - One of DISTRIBUTIONS
+ * @param {Function} getShape - (id) => shape record
+ * @returns {Array<Object>} [{ id, changes }]
+ */
+export const getDistributeChanges = (shapes, ids, direction, getShape) => {
+  const units = getUnits(shapes, ids, getShape)
+  if (units.length < 3) return []
+
+  const [axis, size] = direction === 'vertical' ? ['y', 'height'] : ['x', 'width']
+  units.sort((a, b) => a.bounds[axis] - b.bounds[axis])
+  const last = units[units.length - 1].bounds
+  const start = units[0].bounds[axis]
+  const end = last[axis] + last[size]
+  const gap = (end - start - units.reduce((total, { bounds }) => total + bounds[size], 0)) / (units.length - 1)
+
+  let position = start
+  const offsets = new Map()
+  units.forEach(({ shape, bounds }) => {
+    offsets.set(shape.id, axis === 'x'
+      ? { dx: position - bounds.x, dy: 0 }
+      : { dx: 0, dy: position - bounds.y })
+    position += bounds[size] + gap
+  })
+  return getOffsetChanges(shapes, offsets, getShape)
+}
+
+/**
+ * Bring targets to the front or send them to the back, keeping their order
+ * among themselves (shapes inside a target go along)
+ * @param {Array<Object>} shapes - All shape records, sorted by z_index
+ * @param {Array<string>} ids - Target IDs
+ * @param {string} position - 'front' or 'back'
+ * @returns {Array<Object>} [{ id, changes }]
+ */
+export const getLayerChanges = (shapes, ids, position) => {
+  const movingIds = new Set(expandContainers(shapes, ids))
+  const moving = shapes.filter(shape => movingIds.has(shape.id))
+  if (moving.length === 0) return []
+
+  const zIndexes = shapes.map(shape => shape.z_index || 0)
+  const first = position === 'back'
+    ? Math.min(...zIndexes, 0) - moving.length
+    : Math.max(...zIndexes, 0) + 1
+  return moving.map((shape, index) => ({ id: shape.id, changes: { z_index: first + index } }))
+}
+
+/**
+ * Create copies of shapes (groups and frames are copied with their contents)
+ * Copies of connectors attach to the copies of their shapes (or come loose),
+ * copies inside a copied container move into the copy.
+ * @param {Array<Object>} shapes - All shape records
+ * @param {Array<string>} ids - Shapes to copy
+ * @param {Object} options
+ * @param {string} options.userId - Owner of the copies
+ * @param {Function} options.getShape - (id) => shape record
+ * @param {Function} options.getOffset - (shape, index) => px the copy is shifted right and down
+ * @returns {Object} { copies: Array<Object> new records, idMap: Map<original ID, copy ID> }
+ */
+export const createDuplicates = (shapes, ids, { userId, getShape, getOffset }) => {
+  const copiedIds = expandContainers(shapes, ids)
+  const originalShapes = copiedIds.map(id => getShape(id)).filter(Boolean)
+  const idMap = new Map(originalShapes.map(shape => [shape.id, generateId()]))
+
+  const copies = originalShapes.map((originalShape, index) => {
+    const offset = getOffset(originalShape, index)
+    const duplicate = {
+      id: idMap.get(originalShape.id),
+      type: originalShape.type,
+      board_id: originalShape.board_id,
+      x: originalShape.x + offset,
+      y: originalShape.y + offset,
+      width: originalShape.width,
+      height: originalShape.height,
+      color: originalShape.color,
+      rotation: originalShape.rotation,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+      created_by: userId,
+      text_content: originalShape.text_content,
+      font_size: originalShape.font_size,
+      parent_id: idMap.get(originalShape.parent_id) || originalShape.parent_id || null,
+      ...pickShapeTypeFields(originalShape)
+    }
+
+    if (isLineShape(originalShape)) {
+      Object.assign(duplicate, getTranslateChanges(originalShape, offset, offset, {
+        movingIds: copiedIds,
+        getShape
+      }))
+      duplicate.start_shape_id = idMap.get(duplicate.start_shape_id) || null
+      duplicate.end_shape_id = idMap.get(duplicate.end_shape_id) || null
+      if (!duplicate.start_shape_id) duplicate.start_anchor = null
+      if (!duplicate.end_shape_id) duplicate.end_anchor = null
+    }
+
+    return duplicate
+  })
+
+  return { copies, idMap }
+}
@@ -0,0 +1,97 @@
+import { AI_CONFIG } from '../lib/constants'
+
+/**
+ * Trigger a browser download for some content
+ * @param {Blob|string|Uint8Array} content - File content
+ * @param {string} filename - Suggested file name
+ * @param {string} mimeType - MIME type (used when content is a string)
+ */
+export const downloadFile = (content, filename, mimeType = 'application/octet-stream') => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType })
+  const url = URL.createObjectURL(blob)
+
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  document.body.removeChild(link)
+
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
+
+/**
+ * Read a user-selected file as text
+ * @param {File} file - File from an <input type="file">
+ * @returns {Promise<string>} File contents
+ */
+export const readFileAsText = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader()
+  reader.onload = () => resolve(reader.result)
+  reader.onerror = () => reject(reader.error || new Error('Could not read file'))
+  reader.readAsText(file)
+})
+
+/**
+ * Turn a board name into a safe file name
+ * @param {string} name - Board name
+ * @param {string} extension - File extension without the dot
+ * @returns {string} File name
+ */
+export const toFileName = (name, extension) => {
+  const base = (name || 'board')
+    .trim()
+    .replace(/[^a-z0-9-_ ]/gi, '')
+    .replace(/\s+/g, '-')
+    .toLowerCase()
+  return `${base || 'board'}.${extension}`
+}
+
+// Load an image file into an <img> element
+const loadImage = (file) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(file)
+  const image = new Image()
+  image.onload = () => {
+    URL.revokeObjectURL(url)
+    resolve(image)
+  }
+  image.onerror = () => {
+    URL.revokeObjectURL(url)
+    reject(new Error('Could not read the image'))
+  }
+  image.src = url
+})
+
+/**
+ * Prepare a dropped, pasted or picked image for the AI endpoint
+ * It is scaled down so its longest side is at most AI_CONFIG.IMAGE_MAX_SIZE
+ * and encoded as JPEG on a white background (transparent screenshots stay readable).
+ * @param {File} file - Image file
+ * @returns {Promise<Object>} { mediaType, data, previewUrl } with base64 data and a data URL to show
+ * @throws {Error} When the file is not an image or can't be decoded
+ */
+export const prepareImage = async (file) => {
+  if (!file?.type?.startsWith('image/')) {
+    throw new Error('Only images can be attached')
+  }
+
+  const image = await loadImage(file)
+  const scale = Math.min(1, AI_CONFIG.IMAGE_MAX_SIZE / Math.max(image.naturalWidth, image.naturalHeight))
+  const canvas = document.createElement('canvas')
+  canvas.width = Math.max(1, Math.round(image.naturalWidth * scale))
+  canvas.height = Math.max(1, Math.round(image.naturalHeight * scale))
+
+  const context = canvas.getContext('2d')
+  context.fillStyle = '#ffffff'
+  context.fillRect(0, 0, canvas.width, canvas.height)
+  context.drawImage(image, 0, 0, canvas.width, canvas.height)
+
+  const previewUrl = canvas.toDataURL('image/jpeg', AI_CONFIG.IMAGE_QUALITY)
+  // console.log('🖼️ Prepared image:', { width: canvas.width, height: canvas.height, length: previewUrl.length })
+  return {
+    mediaType: 'image/jpeg',
+    data: previewUrl.slice(previewUrl.indexOf(',') + 1),
+    previewUrl
+  }
+}
@@ -0,0 +1,101 @@
+/**
+ * Hybrid logical clocks (HLC) for per-field conflict resolution
+ *
+ * A timestamp is serialized as "<wallTime>:<counter>:<nodeId>" with zero-padded
+ * numbers, so two timestamps can be compared with a plain string comparison -
+ * both here and in Postgres (see database/add-field-clocks.sql).
+ */
+
+const WALL_TIME_DIGITS = 15
+const COUNTER_DIGITS = 5
+
+/**
+ * Create a clock state for a node
+ * @param {string} nodeId - Unique ID of this client (ties are broken by it)
+ * @returns {Object} Clock state { wallTime, counter, nodeId }
+ */
+export const createHlc = (nodeId) => ({
+  wallTime: 0,
+  counter: 0,
+  nodeId
+})
+
+/**
+ * Serialize a clock state to a sortable string
+ * @param {Object} clock - Clock state
+ * @returns {string} Serialized timestamp
+ */
+export const formatHlc = ({ wallTime, counter, nodeId }) => {
+  return `${String(wallTime).padStart(WALL_TIME_DIGITS, '0')}:${String(counter).padStart(COUNTER_DIGITS, '0')}:${nodeId}`
+}
+
+/**
+ * Parse a serialized timestamp
+ * @param {string} timestamp - Serialized timestamp
+ * @returns {Object|null} Clock state or null if the timestamp is empty/invalid
+ */
+export const parseHlc = (timestamp) => {
+  if (!timestamp || typeof timestamp !== 'string') return null
+
+  const [wallTime, counter, ...nodeParts] = timestamp.split(':')
+  const parsed = {
+    wallTime: Number(wallTime),
+    counter: Number(counter),
+    nodeId: nodeParts.join(':')
+  }
+
+  if (!Number.isFinite(parsed.wallTime) || !Number.isFinite(parsed.counter)) return null
+  return parsed
+}
+
+/**
+ * Compare two serialized timestamps. Missing timestamps sort before everything.
+ * @param {string|null} a - First timestamp
+ * @param {string|null} b - Second timestamp
+ * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+ */
+export const compareHlc = (a, b) => {
+  const left = a || ''
+  const right = b || ''
+  if (left === right) return 0
+  return left < right ? -1 : 1
+}
+
+/**
+ * Advance the clock for a local event
+ * @param {Object} clock - Current clock state
+ * @param {number} now - Physical time in ms
+ * @returns {Object} New clock state (use formatHlc for the event timestamp)
+ */
+export const tickHlc = (clock, now) => {
+  if (now > clock.wallTime) {
+    return { ...clock, wallTime: now, counter: 0 }
+  }
+  return { ...clock, counter: clock.counter + 1 }
+}
+
+/**
+ * Advance the clock after seeing a remote timestamp, so later local events
+ * always sort after everything this client has observed
+ * @param {Object} clock - Current clock state
+ * @param {string} remoteTimestamp - Serialized remote timestamp
+ * @param {number} now - Physical time in ms
+ * @returns {Object} New clock state
+ */
+export const receiveHlc = (clock, remoteTimestamp, now) => {
+  const remote = parseHlc(remoteTimestamp)
+  if (!remote) return tickHlc(clock, now)
+
+  const wallTime = Math.max(clock.wallTime, remote.wallTime, now)
+  let counter = 0
+
+  if (wallTime === clock.wallTime && wallTime === remote.wallTime) {
+    counter = Math.max(clock.counter, remote.counter) + 1
+  } else if (wallTime === clock.wallTime) {
+    counter = clock.counter + 1
+  } else if (wallTime === remote.wallTime) {
+    counter = remote.counter + 1
+  }
+
+  return { ...clock, wallTime, counter }
+}
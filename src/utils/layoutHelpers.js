@@ -0,0 +1,295 @@
+import { LAYOUT_CONFIG } from '../lib/constants'
+import { isLineShape } from './connectorHelpers'
+import { getDescendantIds } from './containerHelpers'
+import { getUnitBounds, getOffsetChanges } from './editHelpers'
+
+// Layout of several shapes (arrange, tidy up)
+//
+// Pure helpers like the ones in editHelpers.js: they work out where each
+// target goes and return field changes for a ShapeTransaction. Targets are
+// measured by their box on the board (rotation included, groups and frames by
+// their contents) and move with everything inside them.
+
+export const ARRANGE_PATTERNS = ['horizontal_row', 'vertical_column', 'grid']
+
+const X = { pos: 'x', size: 'width' }
+const Y = { pos: 'y', size: 'height' }
+
+const start = (unit, axis) => unit.bounds[axis.pos]
+const end = (unit, axis) => unit.bounds[axis.pos] + unit.bounds[axis.size]
+const sizeOf = (unit, axis) => unit.bounds[axis.size]
+const byStart = (axis) => (a, b) => start(a, axis) - start(b, axis)
+
+// Targets to lay out, in the given order: shapes inside another target move
+// with it, and connectors bound to a shape follow their shapes
+const getLayoutUnits = (shapes, ids, getShape) => {
+  const inside = new Set(getDescendantIds(shapes, ids))
+  return [...new Set(ids)]
+    .filter(id => !inside.has(id))
+    .map(id => getShape(id))
+    .filter(shape => shape && !(isLineShape(shape) && (shape.start_shape_id || shape.end_shape_id)))
+    .map(shape => ({ shape, bounds: getUnitBounds(shapes, shape, getShape) }))
+    .filter(unit => unit.bounds)
+}
+
+// Changes that put every unit's box at its new top-left corner
+const toChanges = (shapes, positions, getShape) => {
+  const offsets = new Map()
+  positions.forEach((position, unit) => {
+    offsets.set(unit.shape.id, {
+      dx: Math.round(position.x - unit.bounds.x),
+      dy: Math.round(position.y - unit.bounds.y)
+    })
+  })
+  return getOffsetChanges(shapes, offsets, getShape)
+}
+
+// Consecutive slots along an axis, one per list of units, `gap` apart
+const packSlots = (lists, axis, origin, gap) => {
+  let position = origin
+  return lists.map(units => {
+    const slot = { start: position, size: Math.max(...units.map(unit => sizeOf(unit, axis))) }
+    position += slot.size + gap
+    return slot
+  })
+}
+
+// Where a unit starts inside a slot: 'start', 'center' or 'end' aligned
+const alignIn = (slot, size, alignment) => {
+  if (alignment === 'center') return slot.start + (slot.size - size) / 2
+  if (alignment === 'end') return slot.start + slot.size - size
+  return slot.start
+}
+
+/**
+ * Arrange targets in a row, a column or a grid from the top-left corner of
+ * their box, keeping their order; spacing is the gap between boxes
+ * @param {Array<Object>} shapes - All shape records
+ * @param {Array<string>} ids - Target IDs, in order
+ * @param {string} pattern - One of ARRANGE_PATTERNS
+ * @param {number} spacing - Gap between targets in px
+ * @param {Function} getShape - (id) => shape record
+ * @returns {Array<Object>} [{ id, changes }]
+ */
+export const getArrangeChanges = (shapes, ids, pattern, spacing, getShape) => {
+  const units = getLayoutUnits(shapes, ids, getShape)
+  if (units.length === 0) return []
+
+  const origin = {
+    x: Math.min(...units.map(unit => start(unit, X))),
+    y: Math.min(...units.map(unit => start(unit, Y)))
+  }
+  const perRow = pattern === 'grid'
+    ? Math.ceil(Math.sqrt(units.length))
+    : pattern === 'vertical_column' ? 1 : units.length
+
+  const rows = []
+  for (let index = 0; index < units.length; index += perRow) {
+    rows.push(units.slice(index, index + perRow))
+  }
+  const columns = Array.from({ length: perRow }, (_, column) => rows.map(row => row[column]).filter(Boolean))
+
+  const rowSlots = packSlots(rows, Y, origin.y, spacing)
+  const columnSlots = packSlots(columns, X, origin.x, spacing)
+  const positions = new Map()
+  rows.forEach((row, rowIndex) => row.forEach((unit, column) => {
+    positions.set(unit, { x: columnSlots[column].start, y: rowSlots[rowIndex].start })
+  }))
+  return toChanges(shapes, positions, getShape)
+}
+
+// Median of a non-empty list
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b)
+  const middle = Math.floor(sorted.length / 2)
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2
+}
+
+// The gap to use everywhere: the typical gap there is now, rounded to a step
+const getConsistentGap = (gaps, spacing) => {
+  if (typeof spacing === 'number') return Math.max(0, spacing)
+  const positive = gaps.filter(gap => gap > 0)
+  if (positive.length === 0) return LAYOUT_CONFIG.TIDY_DEFAULT_GAP
+  const step = LAYOUT_CONFIG.TIDY_GAP_STEP
+  return Math.max(LAYOUT_CONFIG.TIDY_MIN_GAP, Math.round(median(positive) / step) * step)
+}
+
+// Gaps between neighbours along an axis
+const getGaps = (units, axis) => {
+  const sorted = [...units].sort(byStart(axis))
+  return sorted.slice(1).map((unit, index) => start(unit, axis) - end(sorted[index], axis))
+}
+
+// Gaps between consecutive bands
+const getBandGaps = (bands) => bands.slice(1).map((band, index) => band.start - bands[index].end)
+
+/**
+ * Group units into the rows (axis Y) or columns (axis X) they seem to form
+ * A unit joins a band it overlaps by at least LAYOUT_CONFIG.TIDY_BAND_OVERLAP
+ * of the smaller size; bands are sorted by position.
+ */
+const findBands = (units, axis) => {
+  const bands = []
+  const sorted = [...units].sort(byStart(axis))
+  sorted.forEach(unit => {
+    const band = bands.find(candidate => {
+      const overlap = Math.min(candidate.end, end(unit, axis)) - Math.max(candidate.start, start(unit, axis))
+      return overlap > 0 && overlap >= LAYOUT_CONFIG.TIDY_BAND_OVERLAP * Math.min(candidate.minSize, sizeOf(unit, axis))
+    })
+    if (band) {
+      band.units.push(unit)
+      band.end = Math.max(band.end, end(unit, axis))
+      band.minSize = Math.min(band.minSize, sizeOf(unit, axis))
+    } else {
+      bands.push({ start: start(unit, axis), end: end(unit, axis), minSize: sizeOf(unit, axis), units: [unit] })
+    }
+  })
+  return bands.sort((a, b) => a.start - b.start)
+}
+
+// The edge the units of a band line up on most closely now
+const detectAlignment = (units, axis) => {
+  if (units.length < 2) return 'start'
+  const spread = (values) => Math.max(...values) - Math.min(...values)
+  const candidates = [
+    ['start', spread(units.map(unit => start(unit, axis)))],
+    ['center', spread(units.map(unit => (start(unit, axis) + end(unit, axis)) / 2))],
+    ['end', spread(units.map(unit => end(unit, axis)))]
+  ]
+  // Ties go to the start edge (left, top)
+  return candidates.reduce((best, candidate) => (candidate[1] < best[1] - 0.5 ? candidate : best))[0]
+}
+
+/**
+ * Work out the layout a messy set of targets was meant to have
+ * - grid: every target sits in its own row and column (a single row or
+ *   column is a grid too)
+ * - rows / columns: rows (or columns) are clear but don't line up with each
+ *   other, or targets overlap within them
+ * - loose: no two targets share a row or a column
+ * @param {Array<Object>} units - [{ shape, bounds }]
+ * @returns {Object} { kind, rows, columns }
+ */
+const detectLayout = (units) => {
+  const rows = findBands(units, Y)
+  const columns = findBands(units, X)
+  if (rows.length === units.length && columns.length === units.length) {
+    return { kind: 'loose', rows, columns }
+  }
+
+  const cells = new Set()
+  const isGrid = units.every(unit => {
+    const row = rows.findIndex(band => band.units.includes(unit))
+    const column = columns.findIndex(band => band.units.includes(unit))
+    const cell = `${row}:${column}`
+    if (cells.has(cell)) return false
+    cells.add(cell)
+    return true
+  })
+  if (isGrid) return { kind: 'grid', rows, columns }
+  return { kind: rows.length <= columns.length ? 'rows' : 'columns', rows, columns }
+}
+
+// Rows and columns packed with one gap each way; every column keeps the
+// horizontal alignment it has now, every row its vertical alignment
+const layoutGrid = (units, rows, columns, spacing) => {
+  const columnSlots = packSlots(columns.map(band => band.units), X,
+    Math.min(...units.map(unit => start(unit, X))), getConsistentGap(getBandGaps(columns), spacing))
+  const rowSlots = packSlots(rows.map(band => band.units), Y,
+    Math.min(...units.map(unit => start(unit, Y))), getConsistentGap(getBandGaps(rows), spacing))
+
+  const positions = new Map(units.map(unit => [unit, {}]))
+  columns.forEach((band, index) => {
+    const alignment = detectAlignment(band.units, X)
+    band.units.forEach(unit => {
+      positions.get(unit).x = alignIn(columnSlots[index], sizeOf(unit, X), alignment)
+    })
+  })
+  rows.forEach((band, index) => {
+    const alignment = detectAlignment(band.units, Y)
+    band.units.forEach(unit => {
+      positions.get(unit).y = alignIn(rowSlots[index], sizeOf(unit, Y), alignment)
+    })
+  })
+  return positions
+}
+
+// Bands stacked along the cross axis; inside each band the units follow each
+// other along the main axis from a shared edge, in their current order
+const layoutLines = (units, bands, main, cross, spacing) => {
+  const mainGap = getConsistentGap(bands.flatMap(band => getGaps(band.units, main)), spacing)
+  const mainOrigin = Math.min(...units.map(unit => start(unit, main)))
+  const crossSlots = packSlots(bands.map(band => band.units), cross,
+    Math.min(...units.map(unit => start(unit, cross))), getConsistentGap(getBandGaps(bands), spacing))
+
+  const positions = new Map()
+  bands.forEach((band, index) => {
+    const alignment = detectAlignment(band.units, cross)
+    const sorted = [...band.units].sort(byStart(main))
+    let position = mainOrigin
+    sorted.forEach(unit => {
+      positions.set(unit, {
+        [main.pos]: position,
+        [cross.pos]: alignIn(crossSlots[index], sizeOf(unit, cross), alignment)
+      })
+      position += sizeOf(unit, main) + mainGap
+    })
+  })
+  return positions
+}
+
+// Push overlapping units apart, each pair along the axis it overlaps least
+// (each moving half the way), until nothing overlaps or the passes run out
+const separateOverlaps = (units, spacing) => {
+  const gap = typeof spacing === 'number' ? spacing : LAYOUT_CONFIG.TIDY_MIN_GAP
+  const boxes = units.map(unit => ({ ...unit.bounds }))
+
+  for (let pass = 0; pass < LAYOUT_CONFIG.TIDY_MAX_PASSES; pass++) {
+    let moved = false
+    for (let i = 0; i < boxes.length; i++) {
+      for (let j = i + 1; j < boxes.length; j++) {
+        const a = boxes[i]
+        const b = boxes[j]
+        const overlapX = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x)
+        const overlapY = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y)
+        if (overlapX <= 0 || overlapY <= 0) continue
+
+        moved = true
+        const [axis, overlap] = overlapX <= overlapY ? [X, overlapX] : [Y, overlapY]
+        const direction = a[axis.pos] + a[axis.size] / 2 <= b[axis.pos] + b[axis.size] / 2 ? 1 : -1
+        const push = (overlap + gap) / 2
+        a[axis.pos] -= direction * push
+        b[axis.pos] += direction * push
+      }
+    }
+    if (!moved) break
+  }
+
+  return new Map(units.map((unit, index) => [unit, { x: boxes[index].x, y: boxes[index].y }]))
+}
+
+/**
+ * Tidy up a messy set of targets: find the rows and columns they were meant
+ * to form, line them up with one consistent gap each way, and move targets
+ * that don't form any apart just enough that they no longer overlap
+ * @param {Array<Object>} shapes - All shape records
+ * @param {Array<string>} ids - Target IDs
+ * @param {Function} getShape - (id) => shape record
+ * @param {Object} options
+ * @param {number} options.spacing - Gap to use (default: the typical gap there is now)
+ * @returns {Object} { kind: 'grid' | 'rows' | 'columns' | 'loose', changes: [{ id, changes }] }
+ */
+export const getTidyChanges = (shapes, ids, getShape, { spacing } = {}) => {
+  const units = getLayoutUnits(shapes, ids, getShape)
+  if (units.length < 2) return { kind: 'loose', changes: [] }
+
+  const { kind, rows, columns } = detectLayout(units)
+  let positions
+  switch (kind) {
+    case 'grid': positions = layoutGrid(units, rows, columns, spacing); break
+    case 'rows': positions = layoutLines(units, rows, X, Y, spacing); break
+    case 'columns': positions = layoutLines(units, columns, Y, X, spacing); break
+    default: positions = separateOverlaps(units, spacing)
+  }
+  return { kind, changes: toChanges(shapes, positions, getShape) }
+}
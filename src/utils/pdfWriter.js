@@ -0,0 +1,116 @@
+// Minimal PDF writer: one full-page JPEG image per page
+// Enough for handing rendered boards to stakeholders without pulling in a
+// PDF library. Page sizes are in PDF points (1/72 inch).
+
+const encoder = new TextEncoder()
+
+/**
+ * Decode a JPEG data URL into bytes
+ * @param {string} dataUrl - data:image/jpeg;base64,...
+ * @returns {Uint8Array} JPEG bytes
+ */
+export const dataUrlToBytes = (dataUrl) => {
+  const base64 = dataUrl.slice(dataUrl.indexOf(',') + 1)
+  const binary = atob(base64)
+  const bytes = new Uint8Array(binary.length)
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i)
+  }
+  return bytes
+}
+
+/**
+ * Read the pixel size of a JPEG from its start-of-frame marker
+ * @param {Uint8Array} bytes - JPEG bytes
+ * @returns {Object|null} { width, height }
+ */
+export const getJpegSize = (bytes) => {
+  let offset = 2 // Skip the SOI marker
+  while (offset + 9 < bytes.length) {
+    if (bytes[offset] !== 0xFF) return null
+    const marker = bytes[offset + 1]
+    const segmentLength = (bytes[offset + 2] << 8) | bytes[offset + 3]
+
+    // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+      return {
+        height: (bytes[offset + 5] << 8) | bytes[offset + 6],
+        width: (bytes[offset + 7] << 8) | bytes[offset + 8]
+      }
+    }
+    offset += 2 + segmentLength
+  }
+  return null
+}
+
+/**
+ * Build a PDF document
+ * @param {Array<Object>} pages - { width, height, image: { bytes, width, height } }
+ *   where width/height are the page size in points and image is a JPEG
+ * @returns {Uint8Array} PDF file bytes
+ */
+export const createPdf = (pages) => {
+  const chunks = []
+  const offsets = []
+  let length = 0
+
+  const write = (data) => {
+    const bytes = typeof data === 'string' ? encoder.encode(data) : data
+    chunks.push(bytes)
+    length += bytes.length
+  }
+
+  // Object numbers: 1 catalog, 2 page tree, then 3 per page (page, content, image)
+  const pageObject = (index) => 3 + index * 3
+  const objectCount = 2 + pages.length * 3
+
+  const beginObject = (number) => {
+    offsets[number] = length
+    write(`${number} 0 obj\n`)
+  }
+
+  write('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n')
+
+  beginObject(1)
+  write('<< /Type /Catalog /Pages 2 0 R >>\nendobj\n')
+
+  beginObject(2)
+  const kids = pages.map((_, index) => `${pageObject(index)} 0 R`).join(' ')
+  write(`<< /Type /Pages /Kids [${kids}] /Count ${pages.length} >>\nendobj\n`)
+
+  pages.forEach((page, index) => {
+    const pageNumber = pageObject(index)
+    const width = page.width.toFixed(2)
+    const height = page.height.toFixed(2)
+
+    beginObject(pageNumber)
+    write(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] ` +
+      `/Resources << /XObject << /Im0 ${pageNumber + 2} 0 R >> >> /Contents ${pageNumber + 1} 0 R >>\nendobj\n`)
+
+    // Scale the unit image square up to the full page
+    const content = `q ${width} 0 0 ${height} 0 0 cm /Im0 Do Q\n`
+    beginObject(pageNumber + 1)
+    write(`<< /Length ${encoder.encode(content).length} >>\nstream\n${content}endstream\nendobj\n`)
+
+    beginObject(pageNumber + 2)
+    write(`<< /Type /XObject /Subtype /Image /Width ${page.image.width} /Height ${page.image.height} ` +
+      `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${page.image.bytes.length} >>\nstream\n`)
+    write(page.image.bytes)
+    write('\nendstream\nendobj\n')
+  })
+
+  const xrefOffset = length
+  write(`xref\n0 ${objectCount + 1}\n0000000000 65535 f \n`)
+  for (let number = 1; number <= objectCount; number++) {
+    write(`${String(offsets[number]).padStart(10, '0')} 00000 n \n`)
+  }
+  write(`trailer\n<< /Size ${objectCount + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`)
+
+  const output = new Uint8Array(length)
+  let position = 0
+  chunks.forEach(chunk => {
+    output.set(chunk, position)
+    position += chunk.length
+  })
+  return output
+}
@@ -0,0 +1,182 @@
+import { PEN_CONFIG } from '../lib/constants'
+
+// Freehand pen strokes
+//
+// A stroke is captured as raw pointer positions, simplified with
+// Ramer-Douglas-Peucker and stored as a 'path' shape: x/y is the top-left of
+// the stroke's box and path_points holds the remaining points relative to it.
+// path_points is a compact "x y x y ..." string rather than an array so it
+// syncs, merges and undoes like every other scalar shape field.
+// The stored points are the simplified polyline; the curve through them is
+// rebuilt when drawing (getSmoothCurvePoints), so every renderer agrees.
+
+/**
+ * Check whether a shape is a freehand path
+ * @param {Object} shape - Shape record
+ * @returns {boolean}
+ */
+export const isPathShape = (shape) => shape?.type === 'path'
+
+/**
+ * Pick the path columns of a shape (empty for other shape types)
+ * @param {Object} shape - Shape record
+ * @returns {Object} Path fields
+ */
+export const pickPathFields = (shape) => {
+  if (!isPathShape(shape)) return {}
+  return {
+    path_points: shape.path_points ?? '',
+    stroke_width: shape.stroke_width ?? PEN_CONFIG.DEFAULT_STROKE_WIDTH
+  }
+}
+
+const round = (value) => Math.round(value * 10) / 10
+
+/**
+ * Serialize a flat point list ([x1, y1, x2, y2, ...]) for storage
+ * @param {Array<number>} points - Flat point list
+ * @returns {string} Space separated, rounded to 0.1
+ */
+export const encodePathPoints = (points) => points.map(round).join(' ')
+
+/**
+ * Parse stored path points back into a flat point list
+ * @param {string} encoded - Value of path_points
+ * @returns {Array<number>} Flat point list (empty if the value is malformed)
+ */
+export const decodePathPoints = (encoded) => {
+  if (!encoded) return []
+  const points = String(encoded).trim().split(/\s+/).map(Number)
+  if (points.length % 2 !== 0 || points.some(value => !Number.isFinite(value))) return []
+  return points
+}
+
+// Distance from point p to the segment a-b
+const distanceToSegment = (px, py, ax, ay, bx, by) => {
+  const dx = bx - ax
+  const dy = by - ay
+  const lengthSquared = dx * dx + dy * dy
+  if (lengthSquared === 0) return Math.hypot(px - ax, py - ay)
+
+  const t = Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSquared))
+  return Math.hypot(px - (ax + t * dx), py - (ay + t * dy))
+}
+
+/**
+ * Simplify a polyline with Ramer-Douglas-Peucker
+ * Iterative, so very long strokes can't overflow the call stack.
+ * @param {Array<number>} points - Flat point list
+ * @param {number} tolerance - Maximum distance a dropped point may be from the result
+ * @returns {Array<number>} Simplified flat point list (first and last points kept)
+ */
+export const simplifyPoints = (points, tolerance = PEN_CONFIG.SIMPLIFY_TOLERANCE) => {
+  const count = points.length / 2
+  if (count <= 2) return [...points]
+
+  const keep = new Uint8Array(count)
+  keep[0] = 1
+  keep[count - 1] = 1
+  const stack = [[0, count - 1]]
+
+  while (stack.length > 0) {
+    const [first, last] = stack.pop()
+    let maxDistance = 0
+    let index = -1
+
+    for (let i = first + 1; i < last; i++) {
+      const distance = distanceToSegment(
+        points[i * 2], points[i * 2 + 1],
+        points[first * 2], points[first * 2 + 1],
+        points[last * 2], points[last * 2 + 1]
+      )
+      if (distance > maxDistance) {
+        maxDistance = distance
+        index = i
+      }
+    }
+
+    if (index !== -1 && maxDistance > tolerance) {
+      keep[index] = 1
+      stack.push([first, index], [index, last])
+    }
+  }
+
+  const result = []
+  for (let i = 0; i < count; i++) {
+    if (keep[i]) result.push(points[i * 2], points[i * 2 + 1])
+  }
+  return result
+}
+
+/**
+ * Fit a smooth curve through a polyline (Catmull-Rom converted to cubic Béziers)
+ * The result is in Konva's bezier format: start point, then two control
+ * points and an end point per segment.
+ * @param {Array<number>} points - Flat point list
+ * @returns {Object} { points, bezier } - bezier is false when there is nothing to smooth
+ */
+export const getSmoothCurvePoints = (points) => {
+  const count = points.length / 2
+  // A single click is drawn as a dot (round caps on a zero-length line)
+  if (count === 1) return { points: [...points, ...points], bezier: false }
+  if (count < 3) return { points: [...points], bezier: false }
+
+  const point = (i) => {
+    const clamped = Math.max(0, Math.min(count - 1, i))
+    return { x: points[clamped * 2], y: points[clamped * 2 + 1] }
+  }
+
+  const curve = [points[0], points[1]]
+  for (let i = 0; i < count - 1; i++) {
+    const p0 = point(i - 1)
+    const p1 = point(i)
+    const p2 = point(i + 1)
+    const p3 = point(i + 2)
+    curve.push(
+      p1.x + (p2.x - p0.x) / 6, p1.y + (p2.y - p0.y) / 6,
+      p2.x - (p3.x - p1.x) / 6, p2.y - (p3.y - p1.y) / 6,
+      p2.x, p2.y
+    )
+  }
+
+  return { points: curve, bezier: true }
+}
+
+/**
+ * Turn captured canvas points into path geometry
+ * @param {Array<number>} points - Flat point list in canvas coordinates (already simplified)
+ * @returns {Object} { x, y, width, height, path_points } with points relative to x/y
+ */
+export const getPathGeometry = (points) => {
+  let minX = Infinity
+  let minY = Infinity
+  let maxX = -Infinity
+  let maxY = -Infinity
+  for (let i = 0; i < points.length; i += 2) {
+    minX = Math.min(minX, points[i])
+    maxX = Math.max(maxX, points[i])
+    minY = Math.min(minY, points[i + 1])
+    maxY = Math.max(maxY, points[i + 1])
+  }
+
+  const relative = points.map((value, index) => value - (index % 2 === 0 ? minX : minY))
+  return {
+    x: minX,
+    y: minY,
+    // Straight strokes still get a box the Transformer can grab
+    width: Math.max(1, maxX - minX),
+    height: Math.max(1, maxY - minY),
+    path_points: encodePathPoints(relative)
+  }
+}
+
+/**
+ * Scale stored path points (baking a resize into the stroke)
+ * @param {string} encoded - Value of path_points
+ * @param {number} scaleX - Horizontal scale
+ * @param {number} scaleY - Vertical scale
+ * @returns {string} Scaled path_points
+ */
+export const scalePathPoints = (encoded, scaleX, scaleY) => encodePathPoints(
+  decodePathPoints(encoded).map((value, index) => value * (index % 2 === 0 ? scaleX : scaleY))
+)
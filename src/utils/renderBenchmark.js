@@ -0,0 +1,105 @@
+import { CANVAS_CONFIG } from '../lib/constants'
+import objectStore from '../lib/ObjectStore'
+
+// Render benchmark (development builds only)
+//
+// Measures real frame times of the board canvas while it pans and zooms over
+// a synthetic board. Run it from the browser console on any open board:
+//
+//   await runRenderBenchmark({ count: 10000, duration: 5000 })
+//
+// The synthetic shapes only go into the local ObjectStore (nothing is saved
+// or broadcast); the board's own shapes and the view are restored afterwards.
+// The query-only counterpart for Node is `npm run bench:index`.
+
+const COLORS = ['#3B82F6', '#EF4444', '#10B981', '#F59E0B', '#8B5CF6']
+
+const createBenchmarkShapes = (count) => Array.from({ length: count }, (_, index) => {
+  const size = 20 + Math.random() * 80
+  return {
+    id: `benchmark-${index}`,
+    type: index % 2 === 0 ? 'rectangle' : 'circle',
+    x: Math.random() * (CANVAS_CONFIG.WIDTH - size),
+    y: Math.random() * (CANVAS_CONFIG.HEIGHT - size),
+    width: size,
+    height: size,
+    rotation: 0,
+    color: COLORS[index % COLORS.length],
+    z_index: index
+  }
+})
+
+const nextFrame = () => new Promise(resolve => requestAnimationFrame(resolve))
+
+const percentile = (values, p) => {
+  const sorted = [...values].sort((a, b) => a - b)
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))] || 0
+}
+
+/**
+ * Pan and zoom the stage over a synthetic board, recording frame times
+ * @param {Object} stage - Konva stage of the board
+ * @param {Object} options
+ * @param {number} options.count - Number of synthetic shapes
+ * @param {number} options.duration - Animation length in ms
+ * @returns {Promise<Object>} { shapes, frames, fps, avgFrameMs, p95FrameMs, maxFrameMs }
+ */
+export const runRenderBenchmark = async (stage, { count = 10000, duration = 5000 } = {}) => {
+  const savedShapes = objectStore.getAll()
+  const savedView = { x: stage.x(), y: stage.y(), scale: stage.scaleX() }
+
+  objectStore.setAll(createBenchmarkShapes(count))
+  // Let the first render of the new board land before measuring
+  await nextFrame()
+  await nextFrame()
+
+  const frameTimes = []
+  const start = performance.now()
+  let last = start
+  try {
+    while (last - start < duration) {
+      const now = await nextFrame()
+      frameTimes.push(now - last)
+      last = now
+
+      // Sweep across the board while zooming between 0.5x and 2x
+      const progress = (now - start) / duration
+      const scale = 1.25 + 0.75 * Math.sin(progress * Math.PI * 4)
+      stage.scale({ x: scale, y: scale })
+      stage.position({
+        x: -progress * (CANVAS_CONFIG.WIDTH * scale - stage.width()),
+        y: -progress * (CANVAS_CONFIG.HEIGHT * scale - stage.height())
+      })
+      stage.batchDraw()
+    }
+  } finally {
+    stage.scale({ x: savedView.scale, y: savedView.scale })
+    stage.position({ x: savedView.x, y: savedView.y })
+    objectStore.setAll(savedShapes)
+  }
+
+  const total = frameTimes.reduce((sum, time) => sum + time, 0)
+  const result = {
+    shapes: count,
+    frames: frameTimes.length,
+    fps: Math.round(frameTimes.length / (total / 1000)),
+    avgFrameMs: +(total / frameTimes.length).toFixed(1),
+    p95FrameMs: +percentile(frameTimes, 0.95).toFixed(1),
+    maxFrameMs: +Math.max(...frameTimes).toFixed(1)
+  }
+  console.log('⏱️ Render benchmark:', result)
+  return result
+}
+
+/**
+ * Expose runRenderBenchmark on window for the given stage (dev builds only)
+ * @param {Object} stageRef - Ref to the Konva stage
+ * @returns {Function} Cleanup that removes it again
+ */
+export const installRenderBenchmark = (stageRef) => {
+  if (!import.meta.env.DEV) return () => {}
+  window.runRenderBenchmark = (options) => runRenderBenchmark(stageRef.current, options)
+  return () => {
+    delete window.runRenderBenchmark
+  }
+}
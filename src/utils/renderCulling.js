@@ -0,0 +1,118 @@
+import { isLineShape } from './connectorHelpers'
+import { getFrameOf, expandContainers } from './containerHelpers'
+
+// Large-board rendering
+//
+// The canvas draws on two layers. The static layer holds shapes nobody is
+// interacting with and is only redrawn when one of them changes. The active
+// layer holds shapes that change from frame to frame: the local selection
+// (and everything that moves with it) and shapes other users are moving.
+// Dragging a shape on a 10,000-shape board then redraws a handful of nodes
+// instead of all of them. Both layers only get shapes inside the render area
+// (the viewport plus a margin, see useRenderViewport); active shapes are
+// always drawn so the Transformer and keyboard edits keep their nodes.
+// Selected shapes draw above the rest until they are deselected.
+
+/**
+ * Get the shapes that move along with the local selection or are being changed by others
+ * @param {Array<Object>} shapes - All shape records
+ * @param {Array<string>} selectedIds - Locally selected shape IDs
+ * @param {string} userId - Current user ID
+ * @returns {Set<string>} Active shape IDs
+ */
+export const getActiveIds = (shapes, selectedIds, userId) => {
+  const activeIds = new Set(expandContainers(shapes, selectedIds))
+  for (const shape of shapes) {
+    if (shape.owner_id && shape.owner_id !== userId) {
+      activeIds.add(shape.id)
+    }
+  }
+  // Connectors follow the shapes they are bound to
+  for (const shape of shapes) {
+    if (isLineShape(shape) && (activeIds.has(shape.start_shape_id) || activeIds.has(shape.end_shape_id))) {
+      activeIds.add(shape.id)
+    }
+  }
+  return activeIds
+}
+
+/**
+ * Split shapes between the static and active layers, dropping the ones outside the render area
+ * @param {Object} params
+ * @param {Array<Object>} shapes - All shape records (sorted by z_index)
+ * @param {Set<string>|null} visibleIds - Shapes in the render area, or null to draw everything
+ * @param {Set<string>} activeIds - From getActiveIds
+ * @param {Function} getShape - (id) => shape record
+ * @returns {{ staticShapes: Array<Object>, activeShapes: Array<Object> }} Both sorted by z_index
+ */
+export const getRenderSets = ({ shapes, visibleIds, activeIds, getShape }) => {
+  const isVisible = (shape) => {
+    if (!visibleIds) return true
+    if (visibleIds.has(shape.id)) return true
+    // The index knows where a bound line was saved, not where its shapes are now
+    return isLineShape(shape) && (visibleIds.has(shape.start_shape_id) || visibleIds.has(shape.end_shape_id))
+  }
+
+  const staticShapes = []
+  const activeShapes = []
+  for (const shape of shapes) {
+    if (activeIds.has(shape.id)) {
+      activeShapes.push(shape)
+      continue
+    }
+    if (!isVisible(shape)) continue
+
+    // Frame contents are clipped to the frame, so they are hidden with it
+    const frame = shape.parent_id ? getFrameOf(shape, getShape) : null
+    if (frame && !activeIds.has(frame.id) && !isVisible(frame)) continue
+
+    staticShapes.push(shape)
+  }
+
+  return { staticShapes, activeShapes }
+}
+
+/**
+ * Check whether two lists hold the same items in the same order
+ * Used to keep the static layer's shape list (and its rendered elements)
+ * when only active shapes changed.
+ * @param {Array} a
+ * @param {Array} b
+ * @returns {boolean}
+ */
+export const haveSameItems = (a, b) => (
+  a.length === b.length && a.every((item, index) => item === b[index])
+)
+
+// Fields the canvas lays shapes out by (layers, frames, groups and connectors)
+const LAYOUT_FIELDS = ['id', 'type', 'parent_id', 'owner_id', 'start_shape_id', 'end_shape_id']
+
+/**
+ * Check whether two shape lists lay out the same way
+ * True when only positions, sizes or content differ, which the shape
+ * components pick up from their own records.
+ * @param {Array<Object>} a - Shape records (sorted by z_index)
+ * @param {Array<Object>} b - Shape records (sorted by z_index)
+ * @returns {boolean}
+ */
+export const haveSameLayout = (a, b) => (
+  a === b || (
+    a.length === b.length &&
+    a.every((shape, index) => LAYOUT_FIELDS.every(field => shape[field] === b[index][field]))
+  )
+)
+
+/**
+ * Check whether two ID sets hold the same IDs
+ * @param {Set<string>|null} a
+ * @param {Set<string>|null} b
+ * @returns {boolean}
+ */
+export const haveSameIds = (a, b) => {
+  if (a === b) return true
+  if (!a || !b || a.size !== b.size) return false
+  for (const id of a) {
+    if (!b.has(id)) return false
+  }
+  return true
+}
@@ -1,6 +1,53 @@
+import { SYNCED_SHAPE_FIELDS } from '../lib/constants'
+import { compareHlc } from './hlc'
+
+/**
+ * Merge a remote shape record into a local one, field by field.
+ * Each synced field carries its own hybrid logical clock in `field_clocks`;
+ * the remote value only wins if its clock is strictly newer, so concurrent
+ * edits to different fields (one user recolors, another moves) both survive.
+ * Fields that aren't synced (ownership, timestamps) always take the remote value.
+ * Deterministic: the result depends only on the two records.
+ * @param {Object|null} local - Local shape record
+ * @param {Object} remote - Remote shape record
+ * @returns {Object} Merged shape record
+ */
+export const mergeShapeFields = (local, remote) => {
+  if (!local) return remote
+  if (!remote) return local
+
+  const localClocks = local.field_clocks || {}
+  const remoteClocks = remote.field_clocks || {}
+  const merged = { ...local, ...remote }
+  const mergedClocks = { ...localClocks }
+
+  SYNCED_SHAPE_FIELDS.forEach(field => {
+    if (compareHlc(remoteClocks[field], localClocks[field]) > 0) {
+      merged[field] = remote[field]
+      mergedClocks[field] = remoteClocks[field]
+    } else if (field in local) {
+      merged[field] = local[field]
+    }
+  })
+
+  merged.field_clocks = mergedClocks
+  return merged
+}
+
+/**
+ * Get the newest clock in a record's field clocks
+ * @param {Object} fieldClocks - Map of field -> serialized HLC
+ * @returns {string|null} Newest serialized HLC or null
+ */
+export const getLatestFieldClock = (fieldClocks = {}) => {
+  return Object.values(fieldClocks).reduce((latest, clock) => {
+    return compareHlc(clock, latest) > 0 ? clock : latest
+  }, null)
+}
+
 /**
  * Merge remote changes into local state
- * Uses last-write-wins strategy for conflict resolution
+ * Uses per-field last-write-wins registers (see mergeShapeFields)
  */
 export const mergeRemoteChanges = (localObjects, remoteChanges) => {
   const objectsMap = new Map()
@@ -16,19 +63,8 @@ export const mergeRemoteChanges = (localObjects, remoteChanges) => {
     
     switch (eventType) {
       case 'INSERT':
-        // Only add if we don't have it locally or remote is newer
-        const existing = objectsMap.get(newRecord.id)
-        if (!existing || new Date(newRecord.updated_at) > new Date(existing.updated_at)) {
-          objectsMap.set(newRecord.id, newRecord)
-        }
-        break
-        
       case 'UPDATE':
-        // Update if remote is newer
-        const current = objectsMap.get(newRecord.id)
-        if (current && new Date(newRecord.updated_at) > new Date(current.updated_at)) {
-          objectsMap.set(newRecord.id, newRecord)
-        }
+        objectsMap.set(newRecord.id, mergeShapeFields(objectsMap.get(newRecord.id), newRecord))
         break
         
       case 'DELETE':
@@ -43,6 +79,43 @@ export const mergeRemoteChanges = (localObjects, remoteChanges) => {
   return Array.from(objectsMap.values())
 }
 
+/**
+ * Overlay queued (not yet synced) operations on shapes loaded from the database,
+ * so offline edits stay visible after a reload until they're replayed
+ * @param {Array<Object>} shapes - Shapes loaded from the database
+ * @param {Array<Object>} pendingEntries - Queued entries `{ operation, shape }`, oldest first
+ * @returns {Array<Object>} Shapes with pending operations applied
+ */
+export const applyPendingChanges = (shapes, pendingEntries) => {
+  const shapesMap = new Map(shapes.map(shape => [shape.id, shape]))
+
+  pendingEntries.forEach(({ operation, shape }) => {
+    switch (operation) {
+      case 'create':
+        if (!shapesMap.has(shape.id)) {
+          shapesMap.set(shape.id, shape)
+        }
+        break
+
+      case 'update':
+        // Shapes deleted by someone else while we were offline stay deleted
+        if (shapesMap.has(shape.id)) {
+          shapesMap.set(shape.id, mergeShapeFields(shapesMap.get(shape.id), shape))
+        }
+        break
+
+      case 'delete':
+        shapesMap.delete(shape.id)
+        break
+
+      default:
+        break
+    }
+  })
+
+  return Array.from(shapesMap.values())
+}
+
 /**
  * Check if an object has been updated recently
  */
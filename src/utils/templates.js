@@ -0,0 +1,137 @@
+import { createGroup, getShapesBounds } from './canvasHelpers'
+import { createCanvasDocument, documentToShapeRows } from './canvasDocument'
+import { isLineShape } from './connectorHelpers'
+import { expandContainers } from './containerHelpers'
+import { getTemplateShapes, countTemplateShapes } from './builtinTemplates'
+
+// Templates: reusable multi-shape components
+//
+// A template's content is a list of shapes in the canvas document format
+// (see canvasDocument.js) placed relative to the template's top-left corner.
+// Built-in templates build that list from parameters (labels, item lists,
+// colors); custom templates are selections a user saved (stored in
+// shape_templates, see database/add-shape-templates.sql) and take no
+// parameters. Both are inserted the same way: fresh IDs at an anchor point,
+// with the top-level shapes wrapped in a group so the component moves as one.
+// The AI assistant sees the catalog (getTemplateCatalog) and places
+// templates with its instantiateTemplate tool. The built-in templates live in
+// builtinTemplates.js.
+
+export { BUILTIN_TEMPLATES, resolveTemplateParams, getTemplateShapes, countTemplateShapes } from './builtinTemplates'
+
+// Document shapes as records, enough to measure them
+const toMeasurable = (shape) => ({
+  ...shape,
+  end_x: shape.line?.end_x,
+  end_y: shape.line?.end_y
+})
+
+/**
+ * Get the size of a template with the given parameters
+ * @param {Object} template - Built-in or custom template
+ * @param {Object} params - Parameter values
+ * @returns {Object} { width, height }
+ */
+export const getTemplateSize = (template, params = {}) => {
+  const bounds = getShapesBounds(getTemplateShapes(template, params).filter(shape => shape.type !== 'group').map(toMeasurable))
+  return bounds ? { width: Math.round(bounds.width), height: Math.round(bounds.height) } : { width: 0, height: 0 }
+}
+
+/**
+ * Find a template by name (or label), ignoring case
+ * @param {Array<Object>} templates - Built-in and custom templates
+ * @param {string} name - Name from the user or the AI
+ * @returns {Object|null} Template
+ */
+export const findTemplate = (templates, name) => {
+  const wanted = String(name || '').trim().toLowerCase()
+  if (!wanted) return null
+  return templates.find(template => template.name.toLowerCase() === wanted) ||
+    templates.find(template => template.label?.toLowerCase() === wanted) ||
+    null
+}
+
+/**
+ * Turn a template into shape rows on a board
+ * The top-level shapes (apart from frames and lines, which can't be grouped)
+ * are wrapped in a new group when there is more than one.
+ * @param {Object} template - Built-in or custom template
+ * @param {Object} params - Parameter values
+ * @param {Object} anchor - { x, y } for the template's top-left corner
+ * @param {Object} options
+ * @param {string} options.boardId - Target board
+ * @param {string} options.userId - Creating user (created_by)
+ * @param {number} options.zIndexBase - Lowest z_index to use (above the board's shapes)
+ * @returns {{ rows: Array<Object>, rootId: string|null }} Rows in stacking order, and the shape standing for the whole component
+ */
+export const instantiateTemplate = (template, params, anchor, { boardId, userId, zIndexBase = 0 }) => {
+  const shapes = getTemplateShapes(template, params)
+  const { rows } = documentToShapeRows({ shapes }, {
+    boardId,
+    userId,
+    zIndexBase,
+    offset: { x: Math.round(anchor?.x || 0), y: Math.round(anchor?.y || 0) }
+  })
+  if (rows.length === 0) return { rows, rootId: null }
+
+  const topLevel = rows.filter(row => !row.parent_id)
+  const groupable = topLevel.filter(row => !isLineShape(row) && row.type !== 'frame')
+  if (groupable.length < 2) {
+    return { rows, rootId: (groupable[0] || topLevel[0]).id }
+  }
+
+  const group = {
+    ...createGroup(getShapesBounds(rows.filter(row => row.type !== 'group'))),
+    board_id: boardId,
+    parent_id: null,
+    z_index: Math.max(...groupable.map(row => row.z_index)),
+    created_by: userId
+  }
+  groupable.forEach(row => {
+    row.parent_id = group.id
+  })
+  return { rows: [...rows, group], rootId: group.id }
+}
+
+/**
+ * Capture shapes as the content of a custom template
+ * Containers are saved with everything inside them; connectors keep their
+ * bindings to shapes that are saved along.
+ * @param {Array<Object>} shapes - All shape records
+ * @param {Array<string>} ids - Selected shape IDs
+ * @returns {Array<Object>} Document shapes relative to their top-left corner (empty when nothing was selected)
+ */
+export const createTemplateShapes = (shapes, ids) => {
+  const savedIds = new Set(expandContainers(shapes, ids))
+  const saved = shapes.filter(shape => savedIds.has(shape.id))
+  const bounds = getShapesBounds(saved.filter(shape => shape.type !== 'group'))
+  if (!bounds) return []
+
+  return createCanvasDocument({ board: null, shapes: saved }).shapes.map(shape => ({
+    ...shape,
+    x: shape.x - bounds.x,
+    y: shape.y - bounds.y,
+    parent: savedIds.has(shape.parent) ? shape.parent : null,
+    line: shape.line
+      ? { ...shape.line, end_x: shape.line.end_x - bounds.x, end_y: shape.line.end_y - bounds.y }
+      : null
+  }))
+}
+
+/**
+ * Describe templates for the AI assistant (see api/_lib/canvasContext.js)
+ * @param {Array<Object>} templates - Built-in and custom templates
+ * @returns {Array<Object>} [{ name, description, params, width, height, shapeCount }]
+ */
+export const getTemplateCatalog = (templates) => templates.map(template => ({
+  name: template.name,
+  description: template.description || template.label || '',
+  params: Object.fromEntries(Object.entries(template.params || {}).map(([key, spec]) => [key, {
+    type: spec.type,
+    default: spec.default,
+    description: spec.description
+  }])),
+  ...getTemplateSize(template),
+  // Shapes it adds with the default parameters, counted against the endpoint's creation limit
+  shapeCount: countTemplateShapes(template)
+}))
@@ -0,0 +1,105 @@
+import { describe, it, expect } from 'vitest'
+import SpatialIndex from '../src/lib/SpatialIndex'
+
+// Small deterministic generator, so a failure can be replayed
+const createRandom = (seed) => () => {
+  seed = (seed * 1664525 + 1013904223) % 4294967296
+  return seed / 4294967296
+}
+
+const randomBounds = (random, { extent = 5000, maxSize = 400 } = {}) => ({
+  x: Math.round((random() - 0.5) * extent),
+  y: Math.round((random() - 0.5) * extent),
+  width: Math.round(random() * maxSize),
+  height: Math.round(random() * maxSize)
+})
+
+const scan = (boxes, rect) => {
+  const ids = new Set()
+  boxes.forEach((box, id) => {
+    if (
+      box.x <= rect.x + rect.width &&
+      box.x + box.width >= rect.x &&
+      box.y <= rect.y + rect.height &&
+      box.y + box.height >= rect.y
+    ) {
+      ids.add(id)
+    }
+  })
+  return ids
+}
+
+const sorted = (ids) => Array.from(ids).sort()
+
+describe('SpatialIndex', () => {
+  it('finds the same shapes as a scan through inserts, moves and removes', () => {
+    const random = createRandom(42)
+    const index = new SpatialIndex({ cellSize: 100, maxCells: 64 })
+    const boxes = new Map()
+
+    for (let step = 0; step < 3000; step++) {
+      const id = `shape-${Math.floor(random() * 400)}`
+      const roll = random()
+      if (roll < 0.15) {
+        index.remove(id)
+        boxes.delete(id)
+      } else if (roll < 0.2) {
+        // Bigger than maxCells cells: goes in the large list
+        const box = randomBounds(random, { maxSize: 3000 })
+        index.insert(id, box)
+        boxes.set(id, box)
+      } else if (roll < 0.5 && boxes.has(id)) {
+        // Small drag, usually within the same cells
+        const box = { ...boxes.get(id), x: boxes.get(id).x + Math.round((random() - 0.5) * 40) }
+        index.insert(id, box)
+        boxes.set(id, box)
+      } else {
+        const box = randomBounds(random)
+        index.insert(id, box)
+        boxes.set(id, box)
+      }
+
+      if (step % 25 === 0) {
+        const rect = randomBounds(random, { maxSize: 2000 })
+        expect(sorted(index.search(rect))).toEqual(sorted(scan(boxes, rect)))
+      }
+    }
+    expect(index.size()).toBe(boxes.size)
+  })
+
+  it('scans every entry when the query covers most of the board', () => {
+    const random = createRandom(7)
+    const index = new SpatialIndex({ cellSize: 100, scanRatio: 0.5 })
+    const boxes = new Map()
+    for (let i = 0; i < 500; i++) {
+      const box = randomBounds(random, { extent: 2000, maxSize: 80 })
+      index.insert(`shape-${i}`, box)
+      boxes.set(`shape-${i}`, box)
+    }
+
+    // Covers every occupied cell, and then a board-sized slice
+    const everything = { x: -1500, y: -1500, width: 3000, height: 3000 }
+    const half = { x: -1000, y: -1000, width: 1000, height: 2000 }
+    expect(index.getCellRange(everything).count).toBeGreaterThan(index.cells.size * index.scanRatio)
+    expect(sorted(index.search(everything))).toEqual(sorted(boxes.keys()))
+    expect(sorted(index.search(half))).toEqual(sorted(scan(boxes, half)))
+  })
+
+  it('finds zero-size entries on query edges', () => {
+    const index = new SpatialIndex({ cellSize: 100 })
+    index.insert('point', { x: 200, y: 200, width: 0, height: 0 })
+    index.insert('flat-line', { x: 0, y: 350, width: 300, height: 0 })
+
+    expect(sorted(index.search({ x: 100, y: 100, width: 100, height: 100 }))).toEqual(['point'])
+    expect(sorted(index.search({ x: 250, y: 300, width: 50, height: 50 }))).toEqual(['flat-line'])
+  })
+
+  it('drops entries whose bounds become invalid', () => {
+    const index = new SpatialIndex({ cellSize: 100 })
+    index.insert('a', { x: 0, y: 0, width: 50, height: 50 })
+    index.insert('a', { x: NaN, y: 0, width: 50, height: 50 })
+
+    expect(index.size()).toBe(0)
+    expect(index.search({ x: -10, y: -10, width: 100, height: 100 }).size).toBe(0)
+  })
+})
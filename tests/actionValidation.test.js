@@ -0,0 +1,69 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { ACTION_LIMITS, createActionValidator } from '../api/_lib/actionValidation.js'
+import { normalizeContext } from '../api/_lib/canvasContext.js'
+import { BUILTIN_TEMPLATES, countTemplateShapes, getTemplateCatalog } from '../src/utils/templates.js'
+
+const loginForm = BUILTIN_TEMPLATES.find(template => template.name === 'login_form')
+
+// Feed actions through a validator the way the endpoint does
+const validate = (actions, rawContext = {}) => {
+  const validator = createActionValidator(normalizeContext(rawContext))
+  const accepted = [...actions.flatMap(action => validator.add(action)), ...validator.finish()]
+  return { accepted, issues: validator.issues }
+}
+
+const placeTemplate = (name, params = {}) => ({ type: 'instantiate_template', name, params, x: 100, y: 100 })
+
+describe('creation limit', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+  })
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('counts every shape a built-in template places', () => {
+    const perForm = countTemplateShapes(loginForm)
+    const fitting = Math.floor(ACTION_LIMITS.MAX_CREATES / perForm)
+    const { accepted, issues } = validate(Array.from({ length: fitting + 1 }, () => placeTemplate('login_form')))
+
+    expect(perForm).toBeGreaterThan(1)
+    expect(accepted).toHaveLength(fitting)
+    expect(issues.map(issue => issue.code)).toEqual(['too_many_shapes'])
+  })
+
+  it('counts a template with the parameters it is given', () => {
+    const fields = ['Name', 'Email', 'Phone', 'Company', 'Role', 'Team', 'City', 'Country']
+    const large = countTemplateShapes(loginForm, { fields })
+    const small = countTemplateShapes(loginForm)
+    const shapes = Array.from({ length: ACTION_LIMITS.MAX_CREATES - large }, (_, index) => ({
+      type: 'create_shape', shape: 'rectangle', x: index, y: 0, width: 10, height: 10, color: '#000000'
+    }))
+
+    expect(large).toBeGreaterThan(small)
+    expect(validate([...shapes, placeTemplate('login_form', { fields })]).issues).toEqual([])
+    expect(validate([...shapes, { ...shapes[0] }, placeTemplate('login_form', { fields })]).issues[0].code).toBe('too_many_shapes')
+  })
+
+  it('counts saved templates by the size in the catalog', () => {
+    const templates = [{ name: 'team_board', description: 'Saved selection', shapeCount: 60 }]
+    const { accepted, issues } = validate([placeTemplate('team_board'), placeTemplate('team_board')], { templates })
+
+    expect(getTemplateCatalog([loginForm])[0].shapeCount).toBe(countTemplateShapes(loginForm))
+    expect(accepted).toHaveLength(1)
+    expect(issues[0].code).toBe('too_many_shapes')
+  })
+
+  it('counts the contents of duplicated groups and frames', () => {
+    const shapes = [
+      { id: 'frame', type: 'frame', x: 0, y: 0, w: 500, h: 500 },
+      { id: 'group', type: 'group', x: 0, y: 0, w: 100, h: 100, parent: 'frame' },
+      ...Array.from({ length: 60 }, (_, index) => ({ id: `member-${index}`, type: 'rectangle', x: index, y: 0, w: 10, h: 10, parent: 'group' }))
+    ]
+    const duplicate = { type: 'duplicate_shapes', shapeIds: ['frame'], offset: 20 }
+    const { accepted, issues } = validate([duplicate, { ...duplicate }], { shapes })
+
+    expect(accepted).toHaveLength(1)
+    expect(issues[0].code).toBe('too_many_shapes')
+  })
+})
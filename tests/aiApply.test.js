@@ -0,0 +1,116 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { createAIApplyHandler } from '../api/ai-apply.js'
+import { AIRequestError, REQUEST_LIMITS } from '../api/_lib/requestLimits.js'
+
+const createResponse = () => ({
+  statusCode: null,
+  body: null,
+  setHeader() {},
+  status(status) {
+    this.statusCode = status
+    return this
+  },
+  json(body) {
+    this.body = body
+    return this
+  },
+  end() {}
+})
+
+// Records the batch it is asked to write
+const createWriteClient = (result = { data: { inserted: [], updated: [], deleted: [] }, error: null }) => ({
+  rpc: vi.fn(async () => result)
+})
+
+const serviceClient = {
+  rpc: vi.fn(async () => {
+    throw new Error('the service role must not write shapes')
+  })
+}
+
+const createHandler = (writeClient, options = {}) => createAIApplyHandler({
+  getClient: () => serviceClient,
+  getWriteClient: () => writeClient,
+  authenticate: async () => ({ user: { id: 'user-1' }, role: 'editor' }),
+  ...options
+})
+
+const post = async (handler, body) => {
+  const res = createResponse()
+  await handler({ method: 'POST', headers: { authorization: 'Bearer token' }, body: { boardId: 'board-1', ...body } }, res)
+  return res
+}
+
+describe('AI apply handler', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+  })
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('writes as the caller and only the columns a shape edit may set', async () => {
+    const writeClient = createWriteClient()
+    const res = await post(createHandler(writeClient), {
+      inserts: [{
+        id: 'shape-1',
+        type: 'rectangle',
+        x: 10,
+        color: '#ff0000',
+        board_id: 'other-board',
+        created_by: 'someone-else',
+        owner_id: 'someone-else'
+      }],
+      updates: [{ id: 'shape-2', changes: { x: 5, created_by: 'someone-else', lock_expires_at: '2100-01-01' } }],
+      deletes: ['shape-3']
+    })
+
+    expect(res.statusCode).toBe(200)
+    expect(serviceClient.rpc).not.toHaveBeenCalled()
+    expect(writeClient.rpc).toHaveBeenCalledWith('apply_shape_mutations', {
+      p_board_id: 'board-1',
+      p_inserts: [{ id: 'shape-1', type: 'rectangle', x: 10, color: '#ff0000' }],
+      p_updates: [{ id: 'shape-2', changes: { x: 5 } }],
+      p_deletes: ['shape-3']
+    })
+  })
+
+  it('reports a batch the database refuses as a conflict', async () => {
+    const writeClient = createWriteClient({ data: null, error: { message: 'Some shapes could not be deleted' } })
+    const res = await post(createHandler(writeClient), { deletes: ['shape-3'] })
+
+    expect(res.statusCode).toBe(409)
+    expect(res.body.code).toBe('apply_failed')
+  })
+
+  it('refuses an anonymous caller before reading the changes', async () => {
+    const writeClient = createWriteClient()
+    const handler = createHandler(writeClient, {
+      authenticate: async () => {
+        throw new AIRequestError('unauthorized', 'Sign in to use the AI assistant', { status: 401 })
+      }
+    })
+    const tooMany = Array.from({ length: REQUEST_LIMITS.MAX_CHANGES + 1 }, (_, index) => `shape-${index}`)
+    const oversized = await post(handler, { deletes: tooMany })
+    const unreadable = await post(handler, { inserts: 'not a list' })
+
+    expect(oversized.statusCode).toBe(401)
+    expect(unreadable.statusCode).toBe(401)
+    expect(oversized.body.code).toBe('unauthorized')
+    expect(writeClient.rpc).not.toHaveBeenCalled()
+  })
+
+  it('writes nothing for a caller who cannot edit the board', async () => {
+    const writeClient = createWriteClient()
+    const handler = createHandler(writeClient, {
+      authenticate: async () => {
+        throw new AIRequestError('forbidden', "You can't edit this board", { status: 403 })
+      }
+    })
+    const res = await post(handler, { deletes: ['shape-3'] })
+
+    expect(res.statusCode).toBe(403)
+    expect(writeClient.rpc).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,287 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { createAICommandHandler } from '../api/ai-command.js'
+import { createFakeProvider } from '../api/_providers/fake.js'
+import { AIRequestError, createRateLimiter, REQUEST_LIMITS } from '../api/_lib/requestLimits.js'
+
+// Minimal stand-in for the Node response Vercel passes to handlers
+const createResponse = () => ({
+  statusCode: null,
+  headers: {},
+  body: null,
+  chunks: [],
+  ended: false,
+  setHeader(name, value) { this.headers[name] = value },
+  writeHead(status, headers) {
+    this.statusCode = status
+    Object.assign(this.headers, headers)
+  },
+  write(chunk) { this.chunks.push(chunk) },
+  status(status) {
+    this.statusCode = status
+    return this
+  },
+  json(body) {
+    this.body = body
+    return this
+  },
+  end() { this.ended = true }
+})
+
+// Server-sent events back as [{ event, data }]
+const readEvents = (res) => res.chunks.join('')
+  .split('\n\n')
+  .filter(Boolean)
+  .map(block => {
+    const [eventLine, dataLine] = block.split('\n')
+    return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) }
+  })
+
+const createHandler = (options = {}) => createAICommandHandler({
+  getProvider: () => createFakeProvider(),
+  authenticate: async () => ({ user: { id: 'user-1' }, role: 'editor' }),
+  ...options
+})
+
+const canvasContext = {
+  shapes: [
+    { id: 'red-circle', type: 'circle', x: 0, y: 0, w: 50, h: 50, color: '#ff0000' },
+    { id: 'green-circle', type: 'circle', x: 100, y: 0, w: 50, h: 50, color: '#00ff00' },
+    { id: 'box', type: 'rectangle', x: 300, y: 10, w: 80, h: 60, color: '#cccccc' }
+  ],
+  selection: ['green-circle', 'box'],
+  previous: ['red-circle', 'box']
+}
+
+// A wireframe sketch; the fake provider answers its command for any image
+const sketch = { mediaType: 'image/png', data: 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==' }
+
+const post = async (handler, body, method = 'POST') => {
+  const res = createResponse()
+  await handler({ method, headers: {}, body: { boardId: 'board-1', canvasContext, ...body } }, res)
+  return res
+}
+
+describe('AI command handler', () => {
+  // Refused requests and server errors are logged; keep the test output clean
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+  })
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  const fixtureCases = [
+    ['create a red circle', [
+      { type: 'create_shape', shape: 'circle', color: '#ff0000', x: 400, y: 300, width: 100, height: 100 }
+    ]],
+    ['create a login form', [
+      { type: 'instantiate_template', name: 'login_form', params: {}, x: 300, y: 200, ref: 'login-form' }
+    ]],
+    ['add a signup form with email and password', [
+      {
+        type: 'instantiate_template',
+        name: 'login_form',
+        params: { title: 'Sign up', fields: ['Email', 'Password'], buttonLabel: 'Create account' },
+        x: 300,
+        y: 200
+      }
+    ]],
+    ['delete the red circle', [{ type: 'delete_shape', shapeId: 'red-circle' }]],
+    ['make them blue', [{ type: 'change_color', shapeIds: ['red-circle', 'box'], color: '#0000ff' }]],
+    ['tidy up the selection', [{ type: 'tidy_shapes', shapeIds: ['green-circle', 'box'] }]],
+    ['delete the circle', [{
+      type: 'ask_question',
+      question: 'There are several circles. Which one should I delete?',
+      options: ['the red circle', 'all circles']
+    }]]
+  ]
+
+  it.each(fixtureCases)('returns the actions for "%s"', async (command, actions) => {
+    const res = await post(createHandler(), { command })
+
+    expect(res.statusCode).toBe(200)
+    expect(res.body.actions).toEqual(actions)
+    expect(res.body.issues).toEqual([])
+    expect(res.body.command).toBe(command)
+  })
+
+  it.each(fixtureCases)('streams the actions for "%s"', async (command, actions) => {
+    const res = await post(createHandler(), { command, stream: true })
+
+    expect(res.statusCode).toBe(200)
+    expect(res.headers['Content-Type']).toBe('text/event-stream')
+    expect(res.ended).toBe(true)
+
+    const events = readEvents(res)
+    expect(events.filter(({ event }) => event === 'action').map(({ data }) => data)).toEqual(
+      actions.map((action, index) => ({ index, action }))
+    )
+    expect(events[events.length - 1]).toMatchObject({
+      event: 'done',
+      data: { count: actions.length, command, issues: [] }
+    })
+  })
+
+  it('answers a command without a fixture with no actions', async () => {
+    const res = await post(createHandler(), { command: 'draw a dragon' })
+
+    expect(res.statusCode).toBe(200)
+    expect(res.body.actions).toEqual([])
+  })
+
+  it('reports a reference that matches no shapes', async () => {
+    const context = { shapes: canvasContext.shapes, selection: [], previous: [] }
+    const json = await post(createHandler(), { command: 'make them blue', canvasContext: context })
+    const streamed = await post(createHandler(), { command: 'make them blue', canvasContext: context, stream: true })
+
+    const issue = { code: 'no_match', message: 'No shapes match "them"' }
+    expect(json.body.actions).toEqual([])
+    expect(json.body.issues).toEqual([issue])
+    expect(readEvents(streamed)).toMatchObject([{ event: 'done', data: { count: 0, issues: [issue] } }])
+  })
+
+  it('reports a template the board does not have', async () => {
+    const context = { ...canvasContext, templates: [{ name: 'kanban_board', description: 'Three columns' }] }
+    const res = await post(createHandler(), { command: 'create a login form', canvasContext: context })
+
+    expect(res.body.actions).toEqual([])
+    expect(res.body.issues).toEqual([{ code: 'unknown_template', message: 'There is no template called "login_form"' }])
+  })
+
+  it('turns an attached wireframe into shapes and a group', async () => {
+    const res = await post(createHandler(), { command: 'turn this sketch into shapes', image: sketch })
+
+    expect(res.statusCode).toBe(200)
+    expect(res.body.issues).toEqual([])
+    expect(res.body.actions.map(action => action.type)).toEqual([
+      'create_shape', 'create_text', 'create_text', 'create_shape', 'create_text',
+      'create_shape', 'create_shape', 'create_text', 'create_shape', 'group_shapes'
+    ])
+    expect(res.body.actions[1]).toMatchObject({ type: 'create_text', content: 'Log in', font_size: 32, ref: 'title' })
+    expect(res.body.actions[9]).toEqual({
+      type: 'group_shapes',
+      shapeIds: res.body.actions.slice(0, 9).map(action => action.ref),
+      ref: 'login-sketch'
+    })
+  })
+
+  it('streams the shapes of an attached wireframe', async () => {
+    const json = await post(createHandler(), { command: 'turn this sketch into shapes', image: sketch })
+    const streamed = await post(createHandler(), { command: 'turn this sketch into shapes', image: sketch, stream: true })
+
+    const events = readEvents(streamed)
+    expect(events.filter(({ event }) => event === 'action').map(({ data }) => data.action)).toEqual(json.body.actions)
+    expect(events[events.length - 1]).toMatchObject({ event: 'done', data: { count: 10, issues: [] } })
+  })
+
+  it('does not answer the wireframe command without an image', async () => {
+    const res = await post(createHandler(), { command: 'turn this sketch into shapes' })
+
+    expect(res.statusCode).toBe(200)
+    expect(res.body.actions).toEqual([])
+  })
+
+  it.each([
+    ['a file that is not an image', { mediaType: 'text/plain', data: 'aGVsbG8=' }],
+    ['an image without data', { mediaType: 'image/png', data: '' }],
+    ['something that is not an attachment', 'data:image/png;base64,aGVsbG8=']
+  ])('rejects %s', async (_, image) => {
+    const getProvider = vi.fn(createFakeProvider)
+    const res = await post(createHandler({ getProvider }), { command: 'turn this sketch into shapes', image })
+
+    expect(res.statusCode).toBe(400)
+    expect(res.body.code).toBe('invalid_image')
+    expect(getProvider).not.toHaveBeenCalled()
+  })
+
+  it('rejects an image over the size limit', async () => {
+    const getProvider = vi.fn(createFakeProvider)
+    const image = { mediaType: 'image/png', data: 'A'.repeat(REQUEST_LIMITS.MAX_IMAGE_LENGTH + 1) }
+    const res = await post(createHandler({ getProvider }), { command: 'turn this sketch into shapes', image })
+
+    expect(res.statusCode).toBe(413)
+    expect(res.body.code).toBe('image_too_large')
+    expect(getProvider).not.toHaveBeenCalled()
+  })
+
+  it('only accepts POST', async () => {
+    const res = await post(createHandler(), { command: 'create a red circle' }, 'GET')
+
+    expect(res.statusCode).toBe(405)
+  })
+
+  it('rejects an empty command', async () => {
+    const res = await post(createHandler(), { command: '   ' })
+
+    expect(res.statusCode).toBe(400)
+    expect(res.body.code).toBe('invalid_command')
+  })
+
+  it('rejects a command over the length limit', async () => {
+    const res = await post(createHandler(), { command: 'a'.repeat(REQUEST_LIMITS.MAX_COMMAND_LENGTH + 1) })
+
+    expect(res.statusCode).toBe(413)
+    expect(res.body.code).toBe('prompt_too_long')
+  })
+
+  it('passes on authentication errors', async () => {
+    const getProvider = vi.fn(createFakeProvider)
+    const handler = createHandler({
+      getProvider,
+      authenticate: async () => {
+        throw new AIRequestError('forbidden', 'You cannot edit this board', { status: 403 })
+      }
+    })
+    const res = await post(handler, { command: 'create a red circle' })
+
+    expect(res.statusCode).toBe(403)
+    expect(res.body.code).toBe('forbidden')
+    expect(getProvider).not.toHaveBeenCalled()
+  })
+
+  it('refuses an anonymous caller before checking the request size', async () => {
+    const handler = createHandler({
+      authenticate: async () => {
+        throw new AIRequestError('unauthorized', 'Sign in to use the AI assistant', { status: 401 })
+      }
+    })
+    const res = await post(handler, { command: 'a'.repeat(REQUEST_LIMITS.MAX_COMMAND_LENGTH + 1) })
+
+    expect(res.statusCode).toBe(401)
+    expect(res.body.code).toBe('unauthorized')
+  })
+
+  it('rate limits each user', async () => {
+    const handler = createHandler({ rateLimiter: createRateLimiter({ limit: 2, windowMs: 60000, now: () => 1000 }) })
+    await post(handler, { command: 'create a red circle' })
+    await post(handler, { command: 'create a red circle' })
+    const res = await post(handler, { command: 'create a red circle' })
+
+    expect(res.statusCode).toBe(429)
+    expect(res.body.code).toBe('rate_limited')
+    expect(res.headers['Retry-After']).toBe('60')
+  })
+
+  it('reports a provider failure as a server error', async () => {
+    // Drops the connection after its first tool call
+    const failing = {
+      name: 'failing',
+      model: 'test',
+      async *streamToolCalls() {
+        yield { name: 'createShape', arguments: '{"shape":"circle","x":10,"y":10}' }
+        throw new Error('upstream unavailable')
+      }
+    }
+    const handler = createHandler({ getProvider: () => failing })
+    const json = await post(handler, { command: 'create a red circle' })
+    const streamed = await post(handler, { command: 'create a red circle', stream: true })
+
+    expect(json.statusCode).toBe(500)
+    expect(json.body.code).toBe('server_error')
+    const events = readEvents(streamed)
+    expect(events.map(({ event }) => event)).toEqual(['action', 'error'])
+    expect(events[1].data.code).toBe('server_error')
+    expect(streamed.ended).toBe(true)
+  })
+})
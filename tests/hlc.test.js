@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest'
+import { createHlc, formatHlc, parseHlc, compareHlc, tickHlc, receiveHlc } from '../src/utils/hlc'
+
+describe('hlc', () => {
+  it('formats timestamps that sort like the clocks they come from', () => {
+    const earlier = formatHlc({ wallTime: 999, counter: 12, nodeId: 'b' })
+    const later = formatHlc({ wallTime: 1000, counter: 0, nodeId: 'a' })
+
+    expect(compareHlc(earlier, later)).toBeLessThan(0)
+    expect(compareHlc(later, earlier)).toBeGreaterThan(0)
+    expect(parseHlc(later)).toEqual({ wallTime: 1000, counter: 0, nodeId: 'a' })
+  })
+
+  it('sorts missing timestamps before everything', () => {
+    expect(compareHlc(null, formatHlc(createHlc('a')))).toBeLessThan(0)
+    expect(compareHlc(undefined, null)).toBe(0)
+  })
+
+  it('breaks ties between nodes by node id', () => {
+    const a = formatHlc({ wallTime: 1000, counter: 3, nodeId: 'node-a' })
+    const b = formatHlc({ wallTime: 1000, counter: 3, nodeId: 'node-b' })
+
+    expect(compareHlc(a, b)).toBeLessThan(0)
+    expect(compareHlc(b, a)).toBeGreaterThan(0)
+  })
+
+  describe('tickHlc', () => {
+    it('takes the physical time when it moved forward', () => {
+      const clock = tickHlc(createHlc('a'), 1000)
+      expect(clock).toEqual({ wallTime: 1000, counter: 0, nodeId: 'a' })
+    })
+
+    it('counts up when the physical time stands still or goes back', () => {
+      let clock = tickHlc(createHlc('a'), 1000)
+      clock = tickHlc(clock, 1000)
+      clock = tickHlc(clock, 900)
+
+      expect(clock).toEqual({ wallTime: 1000, counter: 2, nodeId: 'a' })
+    })
+
+    it('gives every local event a strictly newer timestamp', () => {
+      const times = [1000, 1000, 990, 1001, 1001]
+      let clock = createHlc('a')
+      const stamps = times.map(now => {
+        clock = tickHlc(clock, now)
+        return formatHlc(clock)
+      })
+
+      stamps.slice(1).forEach((stamp, index) => {
+        expect(compareHlc(stamp, stamps[index])).toBeGreaterThan(0)
+      })
+    })
+  })
+
+  describe('receiveHlc', () => {
+    it('moves past a remote clock that is ahead of the local time', () => {
+      const remote = formatHlc({ wallTime: 5000, counter: 4, nodeId: 'b' })
+      const clock = receiveHlc(tickHlc(createHlc('a'), 1000), remote, 1200)
+
+      expect(clock).toEqual({ wallTime: 5000, counter: 5, nodeId: 'a' })
+      expect(compareHlc(formatHlc(clock), remote)).toBeGreaterThan(0)
+    })
+
+    it('counts past both clocks when they share the wall time', () => {
+      const local = { wallTime: 5000, counter: 7, nodeId: 'a' }
+      const remote = formatHlc({ wallTime: 5000, counter: 2, nodeId: 'b' })
+
+      expect(receiveHlc(local, remote, 4000)).toEqual({ wallTime: 5000, counter: 8, nodeId: 'a' })
+    })
+
+    it('takes the physical time when it is ahead of both clocks', () => {
+      const remote = formatHlc({ wallTime: 5000, counter: 2, nodeId: 'b' })
+
+      expect(receiveHlc({ wallTime: 4000, counter: 1, nodeId: 'a' }, remote, 6000))
+        .toEqual({ wallTime: 6000, counter: 0, nodeId: 'a' })
+    })
+
+    it('ticks when the remote timestamp is missing or invalid', () => {
+      const clock = { wallTime: 5000, counter: 0, nodeId: 'a' }
+
+      expect(receiveHlc(clock, null, 1000)).toEqual(tickHlc(clock, 1000))
+      expect(receiveHlc(clock, 'not-a-clock', 1000)).toEqual(tickHlc(clock, 1000))
+    })
+
+    it('orders a reply after the event it answers, even with a slow physical clock', () => {
+      // b's physical clock is far behind a's
+      let a = tickHlc(createHlc('a'), 10000)
+      const sent = formatHlc(a)
+      let b = receiveHlc(createHlc('b'), sent, 2000)
+      b = tickHlc(b, 2001)
+      const reply = formatHlc(b)
+
+      expect(compareHlc(reply, sent)).toBeGreaterThan(0)
+
+      a = receiveHlc(a, reply, 10000)
+      expect(compareHlc(formatHlc(a), reply)).toBeGreaterThan(0)
+    })
+  })
+})
@@ -0,0 +1,134 @@
+import { describe, it, expect } from 'vitest'
+import { formatHlc } from '../src/utils/hlc'
+import { mergeShapeFields, mergeRemoteChanges, applyPendingChanges } from '../src/utils/syncHelpers'
+
+const clock = (wallTime, nodeId, counter = 0) => formatHlc({ wallTime, counter, nodeId })
+
+const base = {
+  id: 'shape-1',
+  type: 'rectangle',
+  x: 0,
+  y: 0,
+  color: '#ff0000',
+  field_clocks: { x: clock(1000, 'a'), y: clock(1000, 'a'), color: clock(1000, 'a') }
+}
+
+// An edit of some fields, stamped by one node
+const edit = (shape, changes, stamp) => ({
+  ...shape,
+  ...changes,
+  field_clocks: {
+    ...shape.field_clocks,
+    ...Object.fromEntries(Object.keys(changes).map(field => [field, stamp]))
+  }
+})
+
+describe('mergeShapeFields', () => {
+  it('keeps both edits when two users change different fields', () => {
+    const moved = edit(base, { x: 200, y: 150 }, clock(2000, 'a'))
+    const recolored = edit(base, { color: '#0000ff' }, clock(2000, 'b'))
+
+    const expected = { x: 200, y: 150, color: '#0000ff' }
+    expect(mergeShapeFields(moved, recolored)).toMatchObject(expected)
+    expect(mergeShapeFields(recolored, moved)).toMatchObject(expected)
+  })
+
+  it('takes the newer clock when two users change the same field', () => {
+    const first = edit(base, { color: '#00ff00' }, clock(2000, 'a'))
+    const second = edit(base, { color: '#0000ff' }, clock(2500, 'b'))
+
+    expect(mergeShapeFields(first, second).color).toBe('#0000ff')
+    expect(mergeShapeFields(second, first).color).toBe('#0000ff')
+    expect(mergeShapeFields(first, second).field_clocks.color).toBe(clock(2500, 'b'))
+  })
+
+  it('breaks a tie on the same field by node id, in either order', () => {
+    const fromA = edit(base, { x: 10 }, clock(2000, 'node-a', 1))
+    const fromB = edit(base, { x: 20 }, clock(2000, 'node-b', 1))
+
+    expect(mergeShapeFields(fromA, fromB).x).toBe(20)
+    expect(mergeShapeFields(fromB, fromA).x).toBe(20)
+  })
+
+  it('converges when replicas see the same edits in different orders', () => {
+    const edits = [
+      edit(base, { x: 50 }, clock(2000, 'a')),
+      edit(base, { x: 70, color: '#00ff00' }, clock(2000, 'b')),
+      edit(base, { y: 30 }, clock(1500, 'c')),
+      edit(base, { color: '#123456' }, clock(1999, 'a'))
+    ]
+    const replay = (order) => order.reduce((shape, index) => mergeShapeFields(shape, edits[index]), base)
+
+    const results = [[0, 1, 2, 3], [3, 2, 1, 0], [1, 3, 0, 2], [2, 0, 3, 1]].map(replay)
+    results.forEach(result => expect(result).toEqual(results[0]))
+    expect(results[0]).toMatchObject({ x: 70, y: 30, color: '#00ff00' })
+  })
+
+  it('ignores a stale remote write but still takes unsynced fields', () => {
+    const local = edit(base, { x: 300 }, clock(3000, 'a'))
+    const stale = { ...edit(base, { x: 5 }, clock(2000, 'b')), owner_id: 'user-b' }
+
+    const merged = mergeShapeFields(local, stale)
+    expect(merged.x).toBe(300)
+    expect(merged.owner_id).toBe('user-b')
+  })
+
+  it('returns the other record when one is missing', () => {
+    expect(mergeShapeFields(null, base)).toBe(base)
+    expect(mergeShapeFields(base, null)).toBe(base)
+  })
+})
+
+describe('mergeRemoteChanges', () => {
+  it('merges updates field by field and applies deletes', () => {
+    const local = [edit(base, { x: 400 }, clock(3000, 'a')), { ...base, id: 'shape-2' }]
+    const merged = mergeRemoteChanges(local, [
+      { eventType: 'UPDATE', new: edit(base, { color: '#0000ff' }, clock(2000, 'b')) },
+      { eventType: 'DELETE', old: { id: 'shape-2' } }
+    ])
+
+    expect(merged).toHaveLength(1)
+    expect(merged[0]).toMatchObject({ x: 400, color: '#0000ff' })
+  })
+})
+
+describe('applyPendingChanges', () => {
+  const other = { ...base, id: 'shape-2' }
+
+  it('replays queued creates, updates and deletes in order', () => {
+    const created = { ...base, id: 'shape-3', x: 900 }
+    const result = applyPendingChanges([base, other], [
+      { operation: 'create', shape: created },
+      { operation: 'update', shape: edit(base, { x: 120 }, clock(2000, 'a')) },
+      { operation: 'update', shape: edit(base, { x: 140 }, clock(2001, 'a')) },
+      { operation: 'delete', shape: other }
+    ])
+
+    expect(result.map(shape => shape.id)).toEqual(['shape-1', 'shape-3'])
+    expect(result[0].x).toBe(140)
+    expect(result[1].x).toBe(900)
+  })
+
+  it('keeps newer server fields over older queued ones', () => {
+    const server = edit(base, { color: '#0000ff' }, clock(5000, 'b'))
+    const queued = edit(base, { x: 75, color: '#00ff00' }, clock(2000, 'a'))
+
+    expect(applyPendingChanges([server], [{ operation: 'update', shape: queued }])[0])
+      .toMatchObject({ x: 75, color: '#0000ff' })
+  })
+
+  it('does not bring back a shape someone else deleted while offline', () => {
+    const result = applyPendingChanges([other], [
+      { operation: 'update', shape: edit(base, { x: 10 }, clock(2000, 'a')) }
+    ])
+
+    expect(result.map(shape => shape.id)).toEqual(['shape-2'])
+  })
+
+  it('does not replace a shape that already reached the server', () => {
+    const server = edit(base, { x: 33 }, clock(4000, 'a'))
+    const result = applyPendingChanges([server], [{ operation: 'create', shape: base }])
+
+    expect(result[0].x).toBe(33)
+  })
+})